@@ -0,0 +1,92 @@
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const { loadConfig } = require('./config');
+const { notFoundHandler, errorHandler } = require('./errors');
+const { createServices } = require('./services');
+const { createMailer } = require('./mail');
+const { createSms } = require('./sms');
+const { createAuth } = require('./middleware/auth');
+const { createUploads } = require('./middleware/uploads');
+const { createStorage } = require('./storage');
+const { createRealtime } = require('./realtime');
+const { createAuthRouter } = require('./routes/auth');
+const { createNotificationsRouter } = require('./routes/notifications');
+const { createRegistrationRequestsRouter } = require('./routes/registrationRequests');
+const { createUpdatesRouter } = require('./routes/updates');
+const { createAdminRouter } = require('./routes/admin');
+const { createStudentsRouter } = require('./routes/students');
+const { createParentsRouter } = require('./routes/parents');
+const { createMessagingRouter } = require('./routes/messaging');
+const { createGroupsRouter } = require('./routes/groups');
+const { createContactsRouter } = require('./routes/contacts');
+const { createClassesRouter } = require('./routes/classes');
+const { createAttendanceRouter } = require('./routes/attendance');
+const { createSubjectsRouter } = require('./routes/subjects');
+const { createTimetableRouter } = require('./routes/timetable');
+const { createGradebookRouter } = require('./routes/gradebook');
+const { createAssignmentsRouter } = require('./routes/assignments');
+const { createFilesRouter } = require('./routes/files');
+const { createDocumentsRouter } = require('./routes/documents');
+const { createSearchRouter } = require('./routes/search');
+
+// Build the Express app against an injected database pool (and optionally
+// mailer and SMS sender). Nothing here opens a port, so the app can be
+// mounted directly in tests.
+const createApp = ({ pool, config = loadConfig(), mailer = createMailer(config.mail), sms = createSms(config.sms) }) => {
+    const app = express();
+    app.set('trust proxy', config.trustProxy);
+    app.use(cors());
+    app.use(bodyParser.json());
+
+    const storage = createStorage(config);
+    const auth = createAuth({ pool, config });
+    const realtime = createRealtime({ auth, config });
+    const services = createServices(pool, config, { mailer, sms, storage, realtime });
+    const uploads = createUploads(config, { pool, storage });
+    const deps = { pool, config, services, auth, uploads, storage, realtime };
+
+    // The server calls app.locals.realtime.attach(server) to accept
+    // WebSocket connections, and app.locals.deliveries.start() to send
+    // queued email and SMS notifications
+    app.locals.realtime = realtime;
+    app.locals.deliveries = services.deliveries;
+
+    // Update images are public, like the updates they illustrate. Documents
+    // and submissions are only served through authenticated routes and
+    // signed links.
+    app.get('/uploads/updates/:file_name', (req, res) => storage.send(res, `updates/${req.params.file_name}`, {
+        disposition: 'inline'
+    }));
+
+    app.get('/', (req, res) => {
+        res.json({ message: 'MUTOVUTSS System API' });
+    });
+
+    app.use('/api', createAuthRouter(deps));
+    app.use('/api', createNotificationsRouter(deps));
+    app.use('/api', createRegistrationRequestsRouter(deps));
+    app.use('/api', createUpdatesRouter(deps));
+    app.use('/api', createAdminRouter(deps));
+    app.use('/api', createStudentsRouter(deps));
+    app.use('/api', createParentsRouter(deps));
+    app.use('/api', createMessagingRouter(deps));
+    app.use('/api', createGroupsRouter(deps));
+    app.use('/api', createContactsRouter(deps));
+    app.use('/api', createClassesRouter(deps));
+    app.use('/api', createAttendanceRouter(deps));
+    app.use('/api', createSubjectsRouter(deps));
+    app.use('/api', createTimetableRouter(deps));
+    app.use('/api', createGradebookRouter(deps));
+    app.use('/api', createAssignmentsRouter(deps));
+    app.use('/api', createFilesRouter(deps));
+    app.use('/api', createDocumentsRouter(deps));
+    app.use('/api', createSearchRouter(deps));
+
+    app.use('/api', notFoundHandler);
+    app.use(errorHandler);
+
+    return app;
+};
+
+module.exports = { createApp };
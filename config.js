@@ -0,0 +1,111 @@
+// Runtime configuration, read from the environment (see README)
+const path = require('path');
+const { dbConfig } = require('./db/config');
+
+const MB = 1024 * 1024;
+
+const loadConfig = (env = process.env) => {
+    const nodeEnv = env.NODE_ENV || 'development';
+
+    // The development fallback secret is public, so never run with it in production
+    if (nodeEnv === 'production' && !env.JWT_SECRET) {
+        throw new Error('JWT_SECRET must be set when NODE_ENV=production');
+    }
+
+    return {
+        env: nodeEnv,
+        port: env.PORT || 5000,
+        jwtSecret: env.JWT_SECRET || 'your-secret-key',
+        accessTokenTtl: env.ACCESS_TOKEN_TTL || '15m',
+        refreshTokenTtlDays: Number(env.REFRESH_TOKEN_TTL_DAYS) || 30,
+        uploadsDir: env.UPLOADS_DIR || path.join(__dirname, 'uploads'),
+        // Where uploads are kept: `local` (under uploadsDir) or `s3` (any
+        // S3-compatible service). Download links are signed with
+        // signingSecret (default: the JWT secret) and last signedUrlTtlSeconds.
+        storage: {
+            driver: env.STORAGE_DRIVER || 'local',
+            signingSecret: env.STORAGE_SIGNING_SECRET,
+            signedUrlTtlSeconds: Number(env.SIGNED_URL_TTL_SECONDS) || 300,
+            s3: {
+                endpoint: env.S3_ENDPOINT,
+                region: env.S3_REGION || 'us-east-1',
+                bucket: env.S3_BUCKET,
+                accessKeyId: env.S3_ACCESS_KEY_ID,
+                secretAccessKey: env.S3_SECRET_ACCESS_KEY
+            }
+        },
+        // Upload limits in bytes. Each user's stored uploads together may not
+        // exceed quotaPerUser.
+        uploads: {
+            maxFileSize: (Number(env.UPLOAD_MAX_FILE_MB) || 20) * MB,
+            maxImageSize: (Number(env.UPLOAD_MAX_IMAGE_MB) || 5) * MB,
+            quotaPerUser: (Number(env.UPLOAD_QUOTA_MB) || 500) * MB
+        },
+        // Deleted documents stay in the trash this long before their files
+        // are removed by the purge-trash maintenance command (db/maintenance.js)
+        documents: {
+            trashRetentionDays: Number(env.DOCUMENT_TRASH_RETENTION_DAYS) || 30
+        },
+        // Domain for the addresses of student accounts created without an email
+        studentEmailDomain: env.STUDENT_EMAIL_DOMAIN || 'students.mutovutss.local',
+        // Frontend base URL used in links sent by email
+        appUrl: env.APP_URL || 'http://localhost:3000',
+        mail: {
+            transport: env.MAIL_TRANSPORT || 'console',
+            from: env.MAIL_FROM || 'MUTOVU TSS <no-reply@mutovutss.local>',
+            dir: env.MAIL_DIR || path.join(__dirname, 'mail-outbox'),
+            host: env.SMTP_HOST,
+            port: Number(env.SMTP_PORT) || 587,
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASSWORD
+        },
+        sms: {
+            transport: env.SMS_TRANSPORT || 'console',
+            from: env.SMS_FROM,
+            dir: env.SMS_DIR || path.join(__dirname, 'sms-outbox'),
+            accountSid: env.TWILIO_ACCOUNT_SID,
+            authToken: env.TWILIO_AUTH_TOKEN
+        },
+        // Email and SMS notifications wait in a queue that is polled every
+        // pollMs; a failed delivery is retried after retryBaseSeconds,
+        // doubling each time, until maxAttempts have failed
+        notifications: {
+            pollMs: Number(env.NOTIFICATION_POLL_SECONDS) * 1000 || 10000,
+            retryBaseSeconds: Number(env.NOTIFICATION_RETRY_SECONDS) || 60,
+            maxAttempts: Number(env.NOTIFICATION_MAX_ATTEMPTS) || 5
+        },
+        // Senders may edit or delete a message for this long after sending it
+        messages: {
+            editWindowMinutes: Number(env.MESSAGE_EDIT_WINDOW_MINUTES) || 15
+        },
+        // Realtime connections are pinged this often and dropped when they
+        // stop answering or their session ends
+        realtime: {
+            heartbeatMs: Number(env.REALTIME_HEARTBEAT_SECONDS) * 1000 || 30000
+        },
+        // Express "trust proxy" setting, so req.ip is the client behind a reverse proxy
+        trustProxy: env.TRUST_PROXY || false,
+        attendance: {
+            // Guardians are alerted when a child's attendance rate (%) over the
+            // last window drops below the threshold, once there are enough
+            // records for the rate to be meaningful
+            chronicAbsenceThreshold: Number(env.CHRONIC_ABSENCE_THRESHOLD) || 90,
+            chronicAbsenceWindowDays: Number(env.CHRONIC_ABSENCE_WINDOW_DAYS) || 30,
+            chronicAbsenceMinSessions: 5
+        },
+        security: {
+            maxFailedLogins: Number(env.MAX_FAILED_LOGINS) || 5,
+            lockoutMinutes: Number(env.LOCKOUT_MINUTES) || 15,
+            loginDelayBaseMs: 500,
+            loginDelayMaxMs: 8000,
+            loginRateLimit: { windowMs: 15 * 60 * 1000, maxPerIp: 50, maxPerUsername: 10 },
+            registrationRequestRateLimit: { windowMs: 60 * 60 * 1000, max: 5 },
+            // Status checks and withdrawals by reference number
+            registrationLookupRateLimit: { windowMs: 15 * 60 * 1000, max: 20 }
+        },
+        db: dbConfig
+    };
+};
+
+module.exports = { loadConfig };
@@ -0,0 +1,9 @@
+// MySQL connection settings shared by the API and the migration scripts
+const dbConfig = {
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'mutovutss_system'
+};
+
+module.exports = { dbConfig };
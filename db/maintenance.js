@@ -0,0 +1,60 @@
+// Stored file maintenance command
+//
+//   node db/maintenance.js purge-trash          delete documents that have been
+//                                               in the trash for longer than
+//                                               DOCUMENT_TRASH_RETENTION_DAYS
+//   node db/maintenance.js reconcile [--apply]  compare stored files with the
+//                                               documents, submissions,
+//                                               school_updates and messages
+//                                               tables; with
+//                                               --apply, delete orphaned files
+//
+// Both are safe to run repeatedly, e.g. daily from cron.
+require('dotenv').config();
+const mysql = require('mysql2/promise');
+const { loadConfig } = require('../config');
+const { createStorage } = require('../storage');
+const { createFileService } = require('../services/files');
+const { createDocumentService } = require('../services/documents');
+
+const purgeTrash = async ({ documents }) => {
+    const purged = await documents.purgeExpired();
+    console.log(`Purged ${purged} document(s) from the trash`);
+};
+
+const reconcile = async ({ files }, args) => {
+    const report = await files.reconcile({ apply: args.includes('--apply') });
+    const verb = report.applied ? 'Deleted' : 'Orphaned';
+    for (const key of report.orphaned) console.log(`${verb}: ${key}`);
+    for (const { key, table, id } of report.missing) console.log(`Missing: ${key} (${table} ${id})`);
+    for (const key of report.stale_quota) console.log(`${report.applied ? 'Released' : 'Stale'} quota entry: ${key}`);
+    console.log(`${report.orphaned.length} orphaned, ${report.missing.length} missing, ${report.stale_quota.length} stale quota entries`);
+    if (!report.applied && (report.orphaned.length || report.stale_quota.length)) {
+        console.log('Run again with --apply to delete orphaned files and release stale quota');
+    }
+};
+
+const commands = { 'purge-trash': purgeTrash, reconcile };
+
+const main = async () => {
+    const command = commands[process.argv[2]];
+    if (!command) {
+        console.error(`Usage: node db/maintenance.js <${Object.keys(commands).join('|')}> [--apply]`);
+        process.exit(1);
+    }
+
+    const config = loadConfig();
+    const pool = mysql.createPool(config.db);
+    const files = createFileService(pool, { storage: createStorage(config) });
+    const documents = createDocumentService(pool, { config, files });
+    try {
+        await command({ files, documents }, process.argv.slice(3));
+    } finally {
+        await pool.end();
+    }
+};
+
+main().catch(error => {
+    console.error('Maintenance error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,112 @@
+// Database migration and seed command
+//
+//   node db/migrate.js migrate    apply every pending migration
+//   node db/migrate.js rollback   undo the last batch of migrations
+//   node db/migrate.js seed       load development data
+//
+// Migrations live in db/migrations as NNN_description.js files exporting
+// `up` and `down` (a SQL string or an array of them) and run in filename
+// order. Applied migrations are tracked in `schema_migrations`.
+require('dotenv').config();
+const mysql = require('mysql2/promise');
+const path = require('path');
+const fs = require('fs');
+const { dbConfig } = require('./config');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+const listFiles = (dir) => fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .sort();
+
+const runStatements = async (conn, sql) => {
+    for (const statement of [].concat(sql)) {
+        await conn.query(statement);
+    }
+};
+
+const connect = async () => {
+    const { database, ...server } = dbConfig;
+    const conn = await mysql.createConnection(server);
+    await conn.query(`CREATE DATABASE IF NOT EXISTS \`${database}\``);
+    await conn.changeUser({ database });
+    await conn.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            name VARCHAR(255) PRIMARY KEY,
+            batch INT NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`
+    );
+    return conn;
+};
+
+const migrate = async (conn) => {
+    const [rows] = await conn.query('SELECT name FROM schema_migrations');
+    const applied = new Set(rows.map(row => row.name));
+    const pending = listFiles(MIGRATIONS_DIR).filter(file => !applied.has(file));
+    if (!pending.length) {
+        console.log('Database is up to date');
+        return;
+    }
+
+    const [[{ lastBatch }]] = await conn.query('SELECT COALESCE(MAX(batch), 0) AS lastBatch FROM schema_migrations');
+    const batch = lastBatch + 1;
+    for (const file of pending) {
+        const migration = require(path.join(MIGRATIONS_DIR, file));
+        // MySQL commits DDL implicitly, so each migration is recorded as soon
+        // as it succeeds and a failure leaves earlier ones in place.
+        await runStatements(conn, migration.up);
+        await conn.query('INSERT INTO schema_migrations (name, batch) VALUES (?, ?)', [file, batch]);
+        console.log(`Migrated: ${file}`);
+    }
+};
+
+const rollback = async (conn) => {
+    const [rows] = await conn.query(
+        `SELECT name FROM schema_migrations
+         WHERE batch = (SELECT MAX(batch) FROM schema_migrations)
+         ORDER BY name DESC`
+    );
+    if (!rows.length) {
+        console.log('Nothing to roll back');
+        return;
+    }
+
+    for (const { name } of rows) {
+        const migration = require(path.join(MIGRATIONS_DIR, name));
+        await runStatements(conn, migration.down);
+        await conn.query('DELETE FROM schema_migrations WHERE name = ?', [name]);
+        console.log(`Rolled back: ${name}`);
+    }
+};
+
+const seed = async (conn) => {
+    for (const file of listFiles(SEEDS_DIR)) {
+        const run = require(path.join(SEEDS_DIR, file));
+        await run(conn);
+        console.log(`Seeded: ${file}`);
+    }
+};
+
+const commands = { migrate, rollback, seed };
+
+const main = async () => {
+    const command = commands[process.argv[2]];
+    if (!command) {
+        console.error(`Usage: node db/migrate.js <${Object.keys(commands).join('|')}>`);
+        process.exit(1);
+    }
+
+    const conn = await connect();
+    try {
+        await command(conn);
+    } finally {
+        await conn.end();
+    }
+};
+
+main().catch(error => {
+    console.error('Migration error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,16 @@
+module.exports = {
+    up: `
+        CREATE TABLE users (
+            user_id INT AUTO_INCREMENT PRIMARY KEY,
+            username VARCHAR(50) NULL UNIQUE,
+            password VARCHAR(255) NULL,
+            email VARCHAR(100) NOT NULL UNIQUE,
+            first_name VARCHAR(50) NOT NULL,
+            last_name VARCHAR(50) NOT NULL,
+            user_type ENUM('student', 'parent', 'teacher', 'admin') NOT NULL,
+            last_login DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `,
+    down: 'DROP TABLE users'
+};
@@ -0,0 +1,11 @@
+module.exports = {
+    up: `
+        CREATE TABLE parents (
+            parent_id INT PRIMARY KEY,
+            phone_number VARCHAR(20) NULL,
+            address VARCHAR(255) NULL,
+            FOREIGN KEY (parent_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )
+    `,
+    down: 'DROP TABLE parents'
+};
@@ -0,0 +1,11 @@
+module.exports = {
+    up: `
+        CREATE TABLE teachers (
+            teacher_id INT PRIMARY KEY,
+            subject_specialization VARCHAR(100) NULL,
+            hire_date DATE NULL,
+            FOREIGN KEY (teacher_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )
+    `,
+    down: 'DROP TABLE teachers'
+};
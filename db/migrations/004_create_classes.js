@@ -0,0 +1,15 @@
+// teacher_id is the class (homeroom) teacher and drives teacher data scoping
+module.exports = {
+    up: `
+        CREATE TABLE classes (
+            class_id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(50) NOT NULL,
+            level VARCHAR(20) NOT NULL,
+            teacher_id INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_classes_name_level (name, level),
+            FOREIGN KEY (teacher_id) REFERENCES teachers(teacher_id) ON DELETE SET NULL
+        )
+    `,
+    down: 'DROP TABLE classes'
+};
@@ -0,0 +1,20 @@
+module.exports = {
+    up: `
+        CREATE TABLE students (
+            student_id INT AUTO_INCREMENT PRIMARY KEY,
+            student_name VARCHAR(100) NOT NULL,
+            parent_id INT NULL,
+            parent_name VARCHAR(100) NULL,
+            parent_email VARCHAR(100) NULL,
+            student_dob DATE NULL,
+            grade_level VARCHAR(20) NULL,
+            class_id INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_students_parent (parent_id),
+            INDEX idx_students_class (class_id),
+            FOREIGN KEY (parent_id) REFERENCES users(user_id) ON DELETE SET NULL,
+            FOREIGN KEY (class_id) REFERENCES classes(class_id) ON DELETE SET NULL
+        )
+    `,
+    down: 'DROP TABLE students'
+};
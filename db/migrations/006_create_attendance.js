@@ -0,0 +1,15 @@
+module.exports = {
+    up: `
+        CREATE TABLE attendance (
+            attendance_id INT AUTO_INCREMENT PRIMARY KEY,
+            student_id INT NOT NULL,
+            class_id INT NOT NULL,
+            date DATE NOT NULL,
+            status ENUM('present', 'absent', 'late') NOT NULL,
+            INDEX idx_attendance_class_date (class_id, date),
+            FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE CASCADE,
+            FOREIGN KEY (class_id) REFERENCES classes(class_id) ON DELETE CASCADE
+        )
+    `,
+    down: 'DROP TABLE attendance'
+};
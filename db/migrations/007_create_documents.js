@@ -0,0 +1,16 @@
+module.exports = {
+    up: `
+        CREATE TABLE documents (
+            document_id INT AUTO_INCREMENT PRIMARY KEY,
+            title VARCHAR(255) NULL,
+            file_path VARCHAR(255) NOT NULL,
+            class_id INT NULL,
+            uploaded_by INT NULL,
+            uploaded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_documents_class (class_id),
+            FOREIGN KEY (class_id) REFERENCES classes(class_id) ON DELETE CASCADE,
+            FOREIGN KEY (uploaded_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )
+    `,
+    down: 'DROP TABLE documents'
+};
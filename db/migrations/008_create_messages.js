@@ -0,0 +1,15 @@
+module.exports = {
+    up: `
+        CREATE TABLE messages (
+            message_id INT AUTO_INCREMENT PRIMARY KEY,
+            from_user_id INT NOT NULL,
+            to_user_id INT NOT NULL,
+            message TEXT NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_messages_pair (from_user_id, to_user_id, created_at),
+            FOREIGN KEY (from_user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+            FOREIGN KEY (to_user_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )
+    `,
+    down: 'DROP TABLE messages'
+};
@@ -0,0 +1,16 @@
+module.exports = {
+    up: `
+        CREATE TABLE notifications (
+            notification_id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            title VARCHAR(255) NOT NULL,
+            message TEXT NOT NULL,
+            notification_type VARCHAR(50) NOT NULL DEFAULT 'general',
+            is_read BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_notifications_user (user_id, created_at),
+            FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )
+    `,
+    down: 'DROP TABLE notifications'
+};
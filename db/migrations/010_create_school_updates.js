@@ -0,0 +1,13 @@
+module.exports = {
+    up: `
+        CREATE TABLE school_updates (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            title VARCHAR(255) NOT NULL,
+            content TEXT NULL,
+            image_url VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `,
+    down: 'DROP TABLE school_updates'
+};
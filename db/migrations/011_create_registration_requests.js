@@ -0,0 +1,19 @@
+module.exports = {
+    up: `
+        CREATE TABLE registration_requests (
+            request_id INT AUTO_INCREMENT PRIMARY KEY,
+            student_name VARCHAR(100) NOT NULL,
+            parent_name VARCHAR(100) NOT NULL,
+            parent_email VARCHAR(100) NOT NULL,
+            student_dob DATE NULL,
+            grade_level VARCHAR(20) NULL,
+            class_id INT NULL,
+            status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+            requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            processed_at DATETIME NULL,
+            INDEX idx_registration_requests_status (status),
+            FOREIGN KEY (class_id) REFERENCES classes(class_id) ON DELETE SET NULL
+        )
+    `,
+    down: 'DROP TABLE registration_requests'
+};
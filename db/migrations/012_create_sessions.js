@@ -0,0 +1,22 @@
+// One row per login (device). Refresh tokens are stored only as SHA-256
+// hashes; the previous hash is kept to detect reuse of a rotated token.
+module.exports = {
+    up: `
+        CREATE TABLE sessions (
+            session_id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+            previous_token_hash CHAR(64) NULL,
+            user_agent VARCHAR(255) NULL,
+            ip_address VARCHAR(45) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME NULL,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME NULL,
+            INDEX idx_sessions_user (user_id),
+            INDEX idx_sessions_previous (previous_token_hash),
+            FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )
+    `,
+    down: 'DROP TABLE sessions'
+};
@@ -0,0 +1,24 @@
+// Single-use tokens for password resets, email verification and parent
+// invitations, stored as SHA-256 hashes. Accounts that already have a
+// password are treated as verified so only new sign-ups need to confirm.
+module.exports = {
+    up: [
+        'ALTER TABLE users ADD COLUMN email_verified_at DATETIME NULL',
+        'UPDATE users SET email_verified_at = created_at WHERE password IS NOT NULL',
+        `CREATE TABLE user_tokens (
+            token_id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            purpose ENUM('password_reset', 'email_verification', 'invitation') NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_user_tokens_user (user_id, purpose),
+            FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )`
+    ],
+    down: [
+        'DROP TABLE user_tokens',
+        'ALTER TABLE users DROP COLUMN email_verified_at'
+    ]
+};
@@ -0,0 +1,25 @@
+// Audit of every login attempt, plus per-account failure counters used for
+// temporary lockout
+module.exports = {
+    up: [
+        'ALTER TABLE users ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0',
+        'ALTER TABLE users ADD COLUMN locked_until DATETIME NULL',
+        `CREATE TABLE login_attempts (
+            attempt_id INT AUTO_INCREMENT PRIMARY KEY,
+            username VARCHAR(50) NULL,
+            user_id INT NULL,
+            ip_address VARCHAR(45) NULL,
+            succeeded BOOLEAN NOT NULL DEFAULT FALSE,
+            reason VARCHAR(30) NOT NULL,
+            attempted_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_login_attempts_username (username, attempted_at),
+            INDEX idx_login_attempts_ip (ip_address, attempted_at),
+            FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL
+        )`
+    ],
+    down: [
+        'DROP TABLE login_attempts',
+        'ALTER TABLE users DROP COLUMN locked_until',
+        'ALTER TABLE users DROP COLUMN failed_login_count'
+    ]
+};
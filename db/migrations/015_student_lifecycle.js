@@ -0,0 +1,30 @@
+// Students leave through a status change rather than a hard delete, and
+// every class change is kept in student_class_history
+module.exports = {
+    up: [
+        "ALTER TABLE students ADD COLUMN status ENUM('active', 'graduated', 'withdrawn') NOT NULL DEFAULT 'active'",
+        'ALTER TABLE students ADD COLUMN status_changed_at DATETIME NULL',
+        'ALTER TABLE students ADD COLUMN status_reason VARCHAR(255) NULL',
+        `CREATE TABLE student_class_history (
+            history_id INT AUTO_INCREMENT PRIMARY KEY,
+            student_id INT NOT NULL,
+            from_class_id INT NULL,
+            to_class_id INT NULL,
+            reason ENUM('enrollment', 'transfer', 'promotion') NOT NULL,
+            note VARCHAR(255) NULL,
+            changed_by INT NULL,
+            changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_student_class_history_student (student_id, changed_at),
+            FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE CASCADE,
+            FOREIGN KEY (from_class_id) REFERENCES classes(class_id) ON DELETE SET NULL,
+            FOREIGN KEY (to_class_id) REFERENCES classes(class_id) ON DELETE SET NULL,
+            FOREIGN KEY (changed_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )`
+    ],
+    down: [
+        'DROP TABLE student_class_history',
+        'ALTER TABLE students DROP COLUMN status_reason',
+        'ALTER TABLE students DROP COLUMN status_changed_at',
+        'ALTER TABLE students DROP COLUMN status'
+    ]
+};
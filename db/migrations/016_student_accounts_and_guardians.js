@@ -0,0 +1,32 @@
+// Students get an optional login (students.user_id) and any number of
+// guardians. students.parent_id is kept as the primary guardian for older
+// clients; access checks use student_guardians.
+module.exports = {
+    up: [
+        `ALTER TABLE students ADD COLUMN user_id INT NULL,
+            ADD CONSTRAINT fk_students_user FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL`,
+        'CREATE UNIQUE INDEX uq_students_user ON students (user_id)',
+        // Before this migration a student's login shared the student's id
+        `UPDATE students SET user_id = student_id
+         WHERE student_id IN (SELECT user_id FROM users WHERE user_type = 'student')`,
+        `CREATE TABLE student_guardians (
+            student_id INT NOT NULL,
+            guardian_id INT NOT NULL,
+            relationship ENUM('mother', 'father', 'guardian', 'grandparent', 'sibling', 'other') NOT NULL DEFAULT 'guardian',
+            is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (student_id, guardian_id),
+            INDEX idx_student_guardians_guardian (guardian_id),
+            FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE CASCADE,
+            FOREIGN KEY (guardian_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )`,
+        `INSERT INTO student_guardians (student_id, guardian_id, relationship, is_primary)
+         SELECT student_id, parent_id, 'guardian', TRUE FROM students WHERE parent_id IS NOT NULL`
+    ],
+    down: [
+        'DROP TABLE student_guardians',
+        'ALTER TABLE students DROP FOREIGN KEY fk_students_user',
+        'DROP INDEX uq_students_user ON students',
+        'ALTER TABLE students DROP COLUMN user_id'
+    ]
+};
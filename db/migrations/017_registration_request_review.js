@@ -0,0 +1,27 @@
+// Registration requests become a small state machine (pending -> approved,
+// rejected or withdrawn) that records who reviewed them and why, which
+// student an approval created, and a reference parents use to follow up
+module.exports = {
+    up: [
+        "ALTER TABLE registration_requests MODIFY status ENUM('pending', 'approved', 'rejected', 'withdrawn') NOT NULL DEFAULT 'pending'",
+        'ALTER TABLE registration_requests ADD COLUMN reference VARCHAR(20) NULL',
+        "UPDATE registration_requests SET reference = CONCAT('REG-', request_id)",
+        'CREATE UNIQUE INDEX uq_registration_requests_reference ON registration_requests (reference)',
+        `ALTER TABLE registration_requests ADD COLUMN reviewed_by INT NULL,
+            ADD CONSTRAINT fk_registration_requests_reviewer FOREIGN KEY (reviewed_by) REFERENCES users(user_id) ON DELETE SET NULL`,
+        'ALTER TABLE registration_requests ADD COLUMN review_reason VARCHAR(255) NULL',
+        `ALTER TABLE registration_requests ADD COLUMN student_id INT NULL,
+            ADD CONSTRAINT fk_registration_requests_student FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE SET NULL`
+    ],
+    down: [
+        'ALTER TABLE registration_requests DROP FOREIGN KEY fk_registration_requests_student',
+        'ALTER TABLE registration_requests DROP COLUMN student_id',
+        'ALTER TABLE registration_requests DROP COLUMN review_reason',
+        'ALTER TABLE registration_requests DROP FOREIGN KEY fk_registration_requests_reviewer',
+        'ALTER TABLE registration_requests DROP COLUMN reviewed_by',
+        'DROP INDEX uq_registration_requests_reference ON registration_requests',
+        'ALTER TABLE registration_requests DROP COLUMN reference',
+        "UPDATE registration_requests SET status = 'rejected' WHERE status = 'withdrawn'",
+        "ALTER TABLE registration_requests MODIFY status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending'"
+    ]
+};
@@ -0,0 +1,49 @@
+// Subjects taught in each class (and by which teacher), the school's bell
+// schedule and the weekly timetable built from both
+module.exports = {
+    up: [
+        `CREATE TABLE subjects (
+            subject_id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(100) NOT NULL UNIQUE,
+            code VARCHAR(20) NULL UNIQUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE class_subjects (
+            class_subject_id INT AUTO_INCREMENT PRIMARY KEY,
+            class_id INT NOT NULL,
+            subject_id INT NOT NULL,
+            teacher_id INT NULL,
+            UNIQUE KEY uq_class_subjects (class_id, subject_id),
+            INDEX idx_class_subjects_teacher (teacher_id),
+            FOREIGN KEY (class_id) REFERENCES classes(class_id) ON DELETE CASCADE,
+            FOREIGN KEY (subject_id) REFERENCES subjects(subject_id) ON DELETE CASCADE,
+            FOREIGN KEY (teacher_id) REFERENCES teachers(teacher_id) ON DELETE SET NULL
+        )`,
+        `CREATE TABLE periods (
+            period INT PRIMARY KEY,
+            start_time TIME NOT NULL,
+            end_time TIME NOT NULL
+        )`,
+        // class_id repeats the class of class_subject_id so a class can only
+        // have one lesson per period
+        `CREATE TABLE timetable_entries (
+            entry_id INT AUTO_INCREMENT PRIMARY KEY,
+            class_id INT NOT NULL,
+            class_subject_id INT NOT NULL,
+            day_of_week TINYINT NOT NULL,
+            period INT NOT NULL,
+            room VARCHAR(50) NULL,
+            UNIQUE KEY uq_timetable_class_slot (class_id, day_of_week, period),
+            UNIQUE KEY uq_timetable_room_slot (room, day_of_week, period),
+            FOREIGN KEY (class_id) REFERENCES classes(class_id) ON DELETE CASCADE,
+            FOREIGN KEY (class_subject_id) REFERENCES class_subjects(class_subject_id) ON DELETE CASCADE,
+            FOREIGN KEY (period) REFERENCES periods(period)
+        )`
+    ],
+    down: [
+        'DROP TABLE timetable_entries',
+        'DROP TABLE periods',
+        'DROP TABLE class_subjects',
+        'DROP TABLE subjects'
+    ]
+};
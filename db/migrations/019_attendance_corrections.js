@@ -0,0 +1,44 @@
+// One attendance record per student, class, date and period (0 for the
+// whole day), with a reason, who last recorded it, and every change kept
+// in attendance_history. Duplicates left by repeated submissions are
+// collapsed to the most recent row first.
+module.exports = {
+    up: [
+        "ALTER TABLE attendance MODIFY status ENUM('present', 'absent', 'late', 'excused') NOT NULL",
+        'ALTER TABLE attendance ADD COLUMN period INT NOT NULL DEFAULT 0',
+        'ALTER TABLE attendance ADD COLUMN reason VARCHAR(255) NULL',
+        `ALTER TABLE attendance ADD COLUMN recorded_by INT NULL,
+            ADD CONSTRAINT fk_attendance_recorded_by FOREIGN KEY (recorded_by) REFERENCES users(user_id) ON DELETE SET NULL`,
+        'ALTER TABLE attendance ADD COLUMN updated_at DATETIME NULL',
+        `DELETE FROM attendance WHERE attendance_id NOT IN (
+            SELECT keep_id FROM (
+                SELECT MAX(attendance_id) AS keep_id FROM attendance GROUP BY student_id, class_id, date
+            ) AS latest
+        )`,
+        'CREATE UNIQUE INDEX uq_attendance_student_slot ON attendance (student_id, class_id, date, period)',
+        `CREATE TABLE attendance_history (
+            history_id INT AUTO_INCREMENT PRIMARY KEY,
+            attendance_id INT NOT NULL,
+            old_status VARCHAR(20) NULL,
+            new_status VARCHAR(20) NOT NULL,
+            old_reason VARCHAR(255) NULL,
+            new_reason VARCHAR(255) NULL,
+            changed_by INT NULL,
+            changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_attendance_history_record (attendance_id, changed_at),
+            FOREIGN KEY (attendance_id) REFERENCES attendance(attendance_id) ON DELETE CASCADE,
+            FOREIGN KEY (changed_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )`
+    ],
+    down: [
+        'DROP TABLE attendance_history',
+        'DROP INDEX uq_attendance_student_slot ON attendance',
+        'ALTER TABLE attendance DROP COLUMN updated_at',
+        'ALTER TABLE attendance DROP FOREIGN KEY fk_attendance_recorded_by',
+        'ALTER TABLE attendance DROP COLUMN recorded_by',
+        'ALTER TABLE attendance DROP COLUMN reason',
+        'ALTER TABLE attendance DROP COLUMN period',
+        "UPDATE attendance SET status = 'absent' WHERE status = 'excused'",
+        "ALTER TABLE attendance MODIFY status ENUM('present', 'absent', 'late') NOT NULL"
+    ]
+};
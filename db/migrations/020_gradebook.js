@@ -0,0 +1,52 @@
+// Academic terms, assessments set for a class subject in a term, and each
+// student's mark for an assessment
+module.exports = {
+    up: [
+        `CREATE TABLE terms (
+            term_id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(50) NOT NULL,
+            academic_year VARCHAR(9) NOT NULL,
+            start_date DATE NOT NULL,
+            end_date DATE NOT NULL,
+            UNIQUE KEY uq_terms_name (academic_year, name)
+        )`,
+        // weight is relative: a subject's term average weighs each marked
+        // assessment by weight / (sum of the marked assessments' weights).
+        // A class subject with assessments cannot be deleted, so removing a
+        // subject from a class (or deleting the class) never takes recorded
+        // marks with it.
+        `CREATE TABLE assessments (
+            assessment_id INT AUTO_INCREMENT PRIMARY KEY,
+            class_subject_id INT NOT NULL,
+            term_id INT NOT NULL,
+            title VARCHAR(100) NOT NULL,
+            assessment_type ENUM('test', 'exam', 'assignment') NOT NULL,
+            max_score DECIMAL(6,2) NOT NULL,
+            weight DECIMAL(5,2) NOT NULL DEFAULT 1,
+            assessment_date DATE NULL,
+            created_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_assessments_term (term_id),
+            FOREIGN KEY (class_subject_id) REFERENCES class_subjects(class_subject_id) ON DELETE RESTRICT,
+            FOREIGN KEY (term_id) REFERENCES terms(term_id),
+            FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )`,
+        `CREATE TABLE marks (
+            assessment_id INT NOT NULL,
+            student_id INT NOT NULL,
+            score DECIMAL(6,2) NOT NULL,
+            remarks VARCHAR(255) NULL,
+            recorded_by INT NULL,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (assessment_id, student_id),
+            FOREIGN KEY (assessment_id) REFERENCES assessments(assessment_id) ON DELETE CASCADE,
+            FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE CASCADE,
+            FOREIGN KEY (recorded_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )`
+    ],
+    down: [
+        'DROP TABLE marks',
+        'DROP TABLE assessments',
+        'DROP TABLE terms'
+    ]
+};
@@ -0,0 +1,46 @@
+// Homework set for a class (optionally with a class document as the brief)
+// and the file each student hands in, with the teacher's mark and feedback
+module.exports = {
+    up: [
+        `CREATE TABLE assignments (
+            assignment_id INT AUTO_INCREMENT PRIMARY KEY,
+            class_id INT NOT NULL,
+            subject_id INT NULL,
+            title VARCHAR(255) NOT NULL,
+            instructions TEXT NULL,
+            document_id INT NULL,
+            due_date DATE NOT NULL,
+            max_score DECIMAL(6,2) NULL,
+            allow_late BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_assignments_class_due (class_id, due_date),
+            FOREIGN KEY (class_id) REFERENCES classes(class_id) ON DELETE CASCADE,
+            FOREIGN KEY (subject_id) REFERENCES subjects(subject_id) ON DELETE SET NULL,
+            FOREIGN KEY (document_id) REFERENCES documents(document_id) ON DELETE SET NULL,
+            FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )`,
+        `CREATE TABLE assignment_submissions (
+            submission_id INT AUTO_INCREMENT PRIMARY KEY,
+            assignment_id INT NOT NULL,
+            student_id INT NOT NULL,
+            file_path VARCHAR(255) NOT NULL,
+            original_name VARCHAR(255) NOT NULL,
+            comment TEXT NULL,
+            submitted_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            is_late BOOLEAN NOT NULL DEFAULT FALSE,
+            score DECIMAL(6,2) NULL,
+            feedback TEXT NULL,
+            graded_by INT NULL,
+            graded_at DATETIME NULL,
+            UNIQUE KEY uq_submissions_student (assignment_id, student_id),
+            FOREIGN KEY (assignment_id) REFERENCES assignments(assignment_id) ON DELETE CASCADE,
+            FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE CASCADE,
+            FOREIGN KEY (graded_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )`
+    ],
+    down: [
+        'DROP TABLE assignment_submissions',
+        'DROP TABLE assignments'
+    ]
+};
@@ -0,0 +1,21 @@
+// Every stored upload with its owner, real content type and size, for
+// per-user storage quotas. Files uploaded before this migration are not
+// listed and do not count towards anyone's quota.
+module.exports = {
+    up: `
+        CREATE TABLE uploaded_files (
+            file_id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NULL,
+            folder VARCHAR(50) NOT NULL,
+            file_name VARCHAR(255) NOT NULL,
+            original_name VARCHAR(255) NOT NULL,
+            content_type VARCHAR(100) NOT NULL,
+            size BIGINT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_uploaded_files_name (folder, file_name),
+            INDEX idx_uploaded_files_user (user_id),
+            FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL
+        )
+    `,
+    down: 'DROP TABLE uploaded_files'
+};
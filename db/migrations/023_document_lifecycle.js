@@ -0,0 +1,34 @@
+// Documents keep every uploaded version in document_versions, with the
+// current one mirrored in documents.file_path and documents.version, and
+// are moved to the trash (deleted_at) before their files are removed for
+// good. Existing documents become their own first version.
+module.exports = {
+    up: [
+        'ALTER TABLE documents ADD COLUMN version INT NOT NULL DEFAULT 1',
+        'ALTER TABLE documents ADD COLUMN deleted_at DATETIME NULL',
+        `ALTER TABLE documents ADD COLUMN deleted_by INT NULL,
+            ADD CONSTRAINT fk_documents_deleted_by FOREIGN KEY (deleted_by) REFERENCES users(user_id) ON DELETE SET NULL`,
+        'CREATE INDEX idx_documents_deleted ON documents (deleted_at)',
+        `CREATE TABLE document_versions (
+            version_id INT AUTO_INCREMENT PRIMARY KEY,
+            document_id INT NOT NULL,
+            version INT NOT NULL,
+            file_path VARCHAR(255) NOT NULL,
+            uploaded_by INT NULL,
+            uploaded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_document_versions (document_id, version),
+            FOREIGN KEY (document_id) REFERENCES documents(document_id) ON DELETE CASCADE,
+            FOREIGN KEY (uploaded_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )`,
+        `INSERT INTO document_versions (document_id, version, file_path, uploaded_by, uploaded_at)
+         SELECT document_id, 1, file_path, uploaded_by, uploaded_at FROM documents`
+    ],
+    down: [
+        'DROP TABLE document_versions',
+        'DROP INDEX idx_documents_deleted ON documents',
+        'ALTER TABLE documents DROP FOREIGN KEY fk_documents_deleted_by',
+        'ALTER TABLE documents DROP COLUMN deleted_by',
+        'ALTER TABLE documents DROP COLUMN deleted_at',
+        'ALTER TABLE documents DROP COLUMN version'
+    ]
+};
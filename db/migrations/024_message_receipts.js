@@ -0,0 +1,14 @@
+// When each message reached the recipient's device (delivered_at) and when
+// they read it (read_at)
+module.exports = {
+    up: [
+        'ALTER TABLE messages ADD COLUMN delivered_at DATETIME NULL',
+        'ALTER TABLE messages ADD COLUMN read_at DATETIME NULL',
+        'CREATE INDEX idx_messages_recipient_unread ON messages (to_user_id, read_at)'
+    ],
+    down: [
+        'DROP INDEX idx_messages_recipient_unread ON messages',
+        'ALTER TABLE messages DROP COLUMN read_at',
+        'ALTER TABLE messages DROP COLUMN delivered_at'
+    ]
+};
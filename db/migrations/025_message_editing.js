@@ -0,0 +1,12 @@
+// When a message was last edited, and when its sender deleted it; deleted
+// messages keep their place in the conversation with the text removed
+module.exports = {
+    up: [
+        'ALTER TABLE messages ADD COLUMN edited_at DATETIME NULL',
+        'ALTER TABLE messages ADD COLUMN deleted_at DATETIME NULL'
+    ],
+    down: [
+        'ALTER TABLE messages DROP COLUMN deleted_at',
+        'ALTER TABLE messages DROP COLUMN edited_at'
+    ]
+};
@@ -0,0 +1,56 @@
+// Group conversations and class channels. A message goes either to one
+// user (to_user_id) or to a group (group_id). Members of a `group` are
+// listed in message_group_members; the members of a `class` channel follow
+// the class: its teachers and the guardians of its active students. How far
+// each user has read a group is kept in message_group_reads. A message can
+// carry one attachment, stored in the `attachments` folder.
+module.exports = {
+    up: [
+        `CREATE TABLE message_groups (
+            group_id INT AUTO_INCREMENT PRIMARY KEY,
+            group_type ENUM('group', 'class') NOT NULL DEFAULT 'group',
+            name VARCHAR(100) NULL,
+            class_id INT NULL UNIQUE,
+            created_by INT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (class_id) REFERENCES classes(class_id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )`,
+        `CREATE TABLE message_group_members (
+            group_id INT NOT NULL,
+            user_id INT NOT NULL,
+            role ENUM('owner', 'member') NOT NULL DEFAULT 'member',
+            added_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (group_id, user_id),
+            INDEX idx_message_group_members_user (user_id),
+            FOREIGN KEY (group_id) REFERENCES message_groups(group_id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE message_group_reads (
+            group_id INT NOT NULL,
+            user_id INT NOT NULL,
+            last_read_message_id INT NOT NULL,
+            PRIMARY KEY (group_id, user_id),
+            FOREIGN KEY (group_id) REFERENCES message_groups(group_id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )`,
+        'ALTER TABLE messages MODIFY to_user_id INT NULL',
+        `ALTER TABLE messages ADD COLUMN group_id INT NULL,
+            ADD CONSTRAINT fk_messages_group FOREIGN KEY (group_id) REFERENCES message_groups(group_id) ON DELETE CASCADE`,
+        'ALTER TABLE messages ADD COLUMN attachment_path VARCHAR(255) NULL',
+        'ALTER TABLE messages ADD COLUMN attachment_name VARCHAR(255) NULL',
+        'CREATE INDEX idx_messages_group ON messages (group_id, message_id)'
+    ],
+    down: [
+        'DROP INDEX idx_messages_group ON messages',
+        'ALTER TABLE messages DROP COLUMN attachment_name',
+        'ALTER TABLE messages DROP COLUMN attachment_path',
+        'ALTER TABLE messages DROP FOREIGN KEY fk_messages_group',
+        'ALTER TABLE messages DROP COLUMN group_id',
+        'DELETE FROM messages WHERE to_user_id IS NULL',
+        'ALTER TABLE messages MODIFY to_user_id INT NOT NULL',
+        'DROP TABLE message_group_reads',
+        'DROP TABLE message_group_members',
+        'DROP TABLE message_groups'
+    ]
+};
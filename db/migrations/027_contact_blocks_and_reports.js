@@ -0,0 +1,36 @@
+// Users a user has blocked from messaging them, and reports of users (and
+// optionally one of their messages) for admins to review
+module.exports = {
+    up: [
+        `CREATE TABLE user_blocks (
+            blocker_id INT NOT NULL,
+            blocked_id INT NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (blocker_id, blocked_id),
+            INDEX idx_user_blocks_blocked (blocked_id),
+            FOREIGN KEY (blocker_id) REFERENCES users(user_id) ON DELETE CASCADE,
+            FOREIGN KEY (blocked_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE user_reports (
+            report_id INT AUTO_INCREMENT PRIMARY KEY,
+            reporter_id INT NULL,
+            reported_id INT NOT NULL,
+            message_id INT NULL,
+            reason TEXT NOT NULL,
+            status ENUM('open', 'resolved', 'dismissed') NOT NULL DEFAULT 'open',
+            review_notes TEXT NULL,
+            reviewed_by INT NULL,
+            reviewed_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_user_reports_status (status, created_at),
+            FOREIGN KEY (reporter_id) REFERENCES users(user_id) ON DELETE SET NULL,
+            FOREIGN KEY (reported_id) REFERENCES users(user_id) ON DELETE CASCADE,
+            FOREIGN KEY (message_id) REFERENCES messages(message_id) ON DELETE SET NULL,
+            FOREIGN KEY (reviewed_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )`
+    ],
+    down: [
+        'DROP TABLE user_reports',
+        'DROP TABLE user_blocks'
+    ]
+};
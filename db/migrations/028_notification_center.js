@@ -0,0 +1,42 @@
+// Notifications record the event that raised them; users choose per event
+// which channels (in-app, email, SMS) they are told on, and email and SMS
+// notifications wait in a delivery queue until sent or given up on
+module.exports = {
+    up: [
+        'ALTER TABLE notifications ADD COLUMN event_type VARCHAR(50) NULL',
+        'CREATE INDEX idx_notifications_unread ON notifications (user_id, is_read)',
+        `CREATE TABLE notification_preferences (
+            user_id INT NOT NULL,
+            event_type VARCHAR(50) NOT NULL,
+            in_app BOOLEAN NOT NULL,
+            email BOOLEAN NOT NULL,
+            sms BOOLEAN NOT NULL,
+            updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, event_type),
+            FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE notification_deliveries (
+            delivery_id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            event_type VARCHAR(50) NOT NULL,
+            channel ENUM('email', 'sms') NOT NULL,
+            recipient VARCHAR(255) NOT NULL,
+            subject VARCHAR(255) NOT NULL,
+            body TEXT NOT NULL,
+            status ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+            attempts INT NOT NULL DEFAULT 0,
+            last_error VARCHAR(500) NULL,
+            next_attempt_at DATETIME NOT NULL,
+            sent_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_notification_deliveries_due (status, next_attempt_at),
+            FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )`
+    ],
+    down: [
+        'DROP TABLE notification_deliveries',
+        'DROP TABLE notification_preferences',
+        'DROP INDEX idx_notifications_unread ON notifications',
+        'ALTER TABLE notifications DROP COLUMN event_type'
+    ]
+};
@@ -0,0 +1,64 @@
+// Development data: one account of each user type, two classes and a few
+// students. Safe to run more than once.
+const bcrypt = require('bcrypt');
+
+const PASSWORD = process.env.SEED_PASSWORD || 'password123';
+
+const upsertUser = async (conn, user) => {
+    const hashedPassword = await bcrypt.hash(PASSWORD, 10);
+    await conn.query(
+        `INSERT IGNORE INTO users (username, password, email, first_name, last_name, user_type, email_verified_at)
+         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [user.username, hashedPassword, user.email, user.first_name, user.last_name, user.user_type]
+    );
+    const [[row]] = await conn.query('SELECT user_id FROM users WHERE username = ?', [user.username]);
+    return row.user_id;
+};
+
+module.exports = async (conn) => {
+    await upsertUser(conn, {
+        username: 'admin', email: 'admin@mutovutss.local', first_name: 'School', last_name: 'Admin', user_type: 'admin'
+    });
+
+    const teacherId = await upsertUser(conn, {
+        username: 'teacher', email: 'teacher@mutovutss.local', first_name: 'Jean', last_name: 'Mugisha', user_type: 'teacher'
+    });
+    await conn.query(
+        'INSERT IGNORE INTO teachers (teacher_id, subject_specialization, hire_date) VALUES (?, ?, CURDATE())',
+        [teacherId, 'Software Development']
+    );
+
+    const parentId = await upsertUser(conn, {
+        username: 'parent', email: 'parent@mutovutss.local', first_name: 'Alice', last_name: 'Uwase', user_type: 'parent'
+    });
+    await conn.query(
+        'INSERT IGNORE INTO parents (parent_id, phone_number, address) VALUES (?, ?, ?)',
+        [parentId, '+250788000000', 'Mutovu, Rwanda']
+    );
+
+    await conn.query(
+        `INSERT IGNORE INTO classes (name, level, teacher_id) VALUES
+         ('SOD', 'L3', ?), ('SOD', 'L4', ?), ('MMP', 'L3', NULL)`,
+        [teacherId, teacherId]
+    );
+    const [[{ class_id: classId }]] = await conn.query(
+        "SELECT class_id FROM classes WHERE name = 'SOD' AND level = 'L3'"
+    );
+
+    const [[{ count }]] = await conn.query('SELECT COUNT(*) AS count FROM students WHERE parent_id = ?', [parentId]);
+    if (!count) {
+        await conn.query(
+            `INSERT INTO students (student_name, parent_id, parent_name, parent_email, student_dob, grade_level, class_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?), (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                'Eric Uwase', parentId, 'Alice Uwase', 'parent@mutovutss.local', '2008-03-14', 'L3', classId,
+                'Grace Uwase', parentId, 'Alice Uwase', 'parent@mutovutss.local', '2009-07-02', 'L3', classId
+            ]
+        );
+        await conn.query(
+            `INSERT INTO student_guardians (student_id, guardian_id, relationship, is_primary)
+             SELECT student_id, parent_id, 'mother', TRUE FROM students WHERE parent_id = ?`,
+            [parentId]
+        );
+    }
+};
@@ -0,0 +1,20 @@
+// Run `work(conn)` in a transaction on a dedicated pool connection,
+// committing on success and rolling back if it throws. Passing an open
+// connection as `conn` joins that transaction instead.
+const transaction = async (pool, work, conn) => {
+    if (conn) return work(conn);
+    const connection = await pool.getConnection();
+    await connection.beginTransaction();
+    try {
+        const result = await work(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+module.exports = { transaction };
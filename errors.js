@@ -0,0 +1,72 @@
+// Uniform error responses
+//
+// Every error the API returns has the shape
+//   { error: { code, message, fields: [{ location, field, message }] } }
+// where `fields` lists per-field problems (empty when not applicable).
+
+const DEFAULT_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    422: 'UNPROCESSABLE_ENTITY',
+    423: 'LOCKED',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR'
+};
+
+const errorBody = (status, message, { code, fields = [] } = {}) => ({
+    error: { code: code || DEFAULT_CODES[status] || 'ERROR', message, fields }
+});
+
+const sendError = (res, status, message, options) => res.status(status).json(errorBody(status, message, options));
+
+// Error carrying an HTTP status, for services and middleware that cannot
+// respond directly
+class ApiError extends Error {
+    constructor(status, message, options = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = options.code;
+        this.fields = options.fields;
+    }
+}
+
+// Catch-block helper for routes: ApiErrors thrown by services keep their
+// status, anything else is logged and reported as a 500 with `message`
+const handleError = (res, error, message) => {
+    if (error instanceof ApiError) {
+        return sendError(res, error.status, error.message, { code: error.code, fields: error.fields });
+    }
+    console.error(error);
+    sendError(res, 500, message);
+};
+
+// 404 for unmatched /api routes
+const notFoundHandler = (req, res) => sendError(res, 404, 'Route not found');
+
+// Last-resort handler: malformed JSON bodies, ApiErrors and anything a
+// route did not catch itself
+const errorHandler = (err, req, res, next) => {
+    if (err instanceof ApiError) {
+        return sendError(res, err.status, err.message, { code: err.code, fields: err.fields });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'Malformed JSON body', { code: 'INVALID_JSON' });
+    }
+    if (err.name === 'MulterError') {
+        return sendError(res, 400, err.message, { code: err.code });
+    }
+    const status = err.status || err.statusCode;
+    if (status >= 400 && status < 500) {
+        return sendError(res, status, err.message);
+    }
+    console.error(err);
+    sendError(res, 500, 'Internal server error');
+};
+
+module.exports = { ApiError, errorBody, sendError, handleError, notFoundHandler, errorHandler };
@@ -0,0 +1,22 @@
+const { consoleTransport, fileTransport, memoryTransport, smtpTransport } = require('./transports');
+
+const TRANSPORTS = {
+    console: consoleTransport,
+    file: fileTransport,
+    memory: memoryTransport,
+    smtp: smtpTransport
+};
+
+// Build a mailer from config.mail; `transport` picks one of TRANSPORTS
+const createMailer = (mailConfig = {}) => {
+    const name = mailConfig.transport || 'console';
+    const factory = TRANSPORTS[name];
+    if (!factory) throw new Error(`Unknown mail transport: ${name}`);
+    const transport = factory(mailConfig);
+
+    const send = ({ to, subject, text }) => transport.send({ from: mailConfig.from, to, subject, text });
+
+    return { transport, send };
+};
+
+module.exports = { createMailer };
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// A transport takes { from, to, subject, text } and delivers it
+
+// Development: print to the server log
+const consoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}\n`);
+    }
+});
+
+// Development: write each message to a .eml-style file in `dir`
+const fileTransport = ({ dir }) => ({
+    name: 'file',
+    send: async (message) => {
+        fs.mkdirSync(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${Math.round(Math.random() * 1E9)}.eml`);
+        const content = `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`;
+        await fs.promises.writeFile(file, content);
+    }
+});
+
+// Tests: keep messages in memory
+const memoryTransport = () => {
+    const sent = [];
+    return {
+        name: 'memory',
+        sent,
+        send: async (message) => {
+            sent.push(message);
+        }
+    };
+};
+
+// Production: SMTP through nodemailer
+const smtpTransport = ({ host, port, secure, user, pass }) => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+module.exports = { consoleTransport, fileTransport, memoryTransport, smtpTransport };
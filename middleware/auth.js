@@ -0,0 +1,67 @@
+const jwt = require('jsonwebtoken');
+const { rolesFor, canAccessClass } = require('../permissions');
+const { ApiError, sendError, handleError } = require('../errors');
+
+const createAuth = ({ pool, config }) => {
+    // The user of a live session, or null when it has expired or been revoked
+    const sessionUser = async (userId, sessionId) => {
+        const [users] = await pool.query(
+            `SELECT u.* FROM users u
+             JOIN sessions s ON s.user_id = u.user_id
+             WHERE u.user_id = ? AND s.session_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+            [userId, sessionId]
+        );
+        return users[0] || null;
+    };
+
+    // Verify an access token and load its user. Throws ApiError 401.
+    const verifyToken = async (token) => {
+        let decoded;
+        try {
+            decoded = jwt.verify(token, config.jwtSecret);
+        } catch (error) {
+            throw new ApiError(401, 'Invalid token');
+        }
+        const user = await sessionUser(decoded.userId, decoded.sessionId);
+        if (!user) throw new ApiError(401, 'Session expired or revoked', { code: 'SESSION_REVOKED' });
+        return { user, sessionId: decoded.sessionId };
+    };
+
+    // Verify the JWT, check its session is still live and load the user,
+    // optionally restricted to user types
+    const authenticate = (user_types = []) => {
+        return async (req, res, next) => {
+            const token = req.headers.authorization?.split(' ')[1];
+            if (!token) return sendError(res, 401, 'Authentication required');
+
+            try {
+                const { user, sessionId } = await verifyToken(token);
+                if (user_types.length && !user_types.includes(user.user_type)) {
+                    return sendError(res, 403, 'Insufficient permissions');
+                }
+
+                req.user = user;
+                req.sessionId = sessionId;
+                next();
+            } catch (error) {
+                if (error instanceof ApiError) return handleError(res, error);
+                sendError(res, 401, 'Invalid token');
+            }
+        };
+    };
+
+    // Authenticate and check the user type against a named permission
+    const authorize = (permission) => authenticate(rolesFor(permission));
+
+    // Restrict /api/classes/:class_id/* to classes within the user's scope
+    const requireClassAccess = async (req, res, next) => {
+        if (!(await canAccessClass(pool, req.user, req.params.class_id))) {
+            return sendError(res, 403, 'Insufficient permissions');
+        }
+        next();
+    };
+
+    return { authenticate, authorize, requireClassAccess, verifyToken, sessionUser };
+};
+
+module.exports = { createAuth };
@@ -0,0 +1,107 @@
+const path = require('path');
+
+// Content types of the files the API accepts, by extension
+const CONTENT_TYPES = {
+    '.pdf': 'application/pdf',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.txt': 'text/plain',
+    '.csv': 'text/csv'
+};
+
+// File formats recognised by their leading bytes (hex, at `offset`), with
+// the extensions a file of that format may be saved under. Office Open XML
+// files are ZIP archives and legacy Office files OLE containers, so the
+// client's extension picks between the formats sharing a signature.
+const FORMATS = {
+    pdf: { label: 'PDF', signatures: [{ bytes: '25504446' }], extensions: ['.pdf'] },
+    jpeg: { label: 'JPEG', signatures: [{ bytes: 'ffd8ff' }], extensions: ['.jpg', '.jpeg'] },
+    png: { label: 'PNG', signatures: [{ bytes: '89504e470d0a1a0a' }], extensions: ['.png'] },
+    gif: { label: 'GIF', signatures: [{ bytes: '474946383761' }, { bytes: '474946383961' }], extensions: ['.gif'] },
+    webp: { label: 'WebP', signatures: [{ bytes: '52494646' }, { bytes: '57454250', offset: 8 }], all: true, extensions: ['.webp'] },
+    office: { label: 'Word, Excel or PowerPoint', signatures: [{ bytes: '504b0304' }], extensions: ['.docx', '.xlsx', '.pptx'] },
+    legacyOffice: { label: 'Word, Excel or PowerPoint 97-2003', signatures: [{ bytes: 'd0cf11e0a1b11ae1' }], extensions: ['.doc', '.xls', '.ppt'] },
+    text: { label: 'plain text', signatures: [], extensions: ['.txt', '.csv'] }
+};
+
+const DOCUMENT_FORMATS = Object.keys(FORMATS);
+const IMAGE_FORMATS = ['jpeg', 'png', 'gif', 'webp'];
+
+// Bytes needed to recognise any of the formats
+const SNIFF_LENGTH = 512;
+
+const matches = (buffer, { bytes, offset = 0 }) => buffer
+    .subarray(offset, offset + bytes.length / 2)
+    .equals(Buffer.from(bytes, 'hex'));
+
+// UTF-8 without NUL bytes. A multi-byte character cut off at the end of the
+// sample is fine.
+const isText = (buffer) => {
+    if (!buffer.length || buffer.includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// The format of a file from its first bytes, or null when it is not one
+// of `allowed`
+const detectFormat = (buffer, allowed) => allowed.find(name => {
+    const format = FORMATS[name];
+    if (!format.signatures.length) return isText(buffer);
+    return format.all
+        ? format.signatures.every(signature => matches(buffer, signature))
+        : format.signatures.some(signature => matches(buffer, signature));
+}) || null;
+
+// Safe file name for a detected format: the client's name reduced to
+// letters, digits, dots, dashes and underscores, with an extension that
+// matches the content
+const safeFileName = (originalName, formatName) => {
+    const { extensions } = FORMATS[formatName];
+    const base = path.basename(String(originalName).replace(/\\/g, '/'));
+    const ext = path.extname(base).toLowerCase();
+    const stem = base
+        .slice(0, base.length - path.extname(base).length)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9._-]+/g, '_')
+        .replace(/^[._-]+|[._-]+$/g, '')
+        .slice(0, 100) || 'file';
+    return stem + (extensions.includes(ext) ? ext : extensions[0]);
+};
+
+// Content type of a stored file from its first bytes, using its name only
+// to tell apart the formats that share a signature
+const sniffContentType = (buffer, fileName) => {
+    const format = detectFormat(buffer, DOCUMENT_FORMATS);
+    if (!format) return 'application/octet-stream';
+    const { extensions } = FORMATS[format];
+    const ext = path.extname(fileName).toLowerCase();
+    return CONTENT_TYPES[extensions.includes(ext) ? ext : extensions[0]];
+};
+
+const describeFormats = (allowed) => allowed.map(name => FORMATS[name].label).join(', ');
+
+module.exports = {
+    CONTENT_TYPES,
+    FORMATS,
+    DOCUMENT_FORMATS,
+    IMAGE_FORMATS,
+    SNIFF_LENGTH,
+    detectFormat,
+    sniffContentType,
+    safeFileName,
+    describeFormats
+};
@@ -0,0 +1,34 @@
+const { sendError } = require('../errors');
+
+// Fixed-window request counter kept in process memory. Each limiter has its
+// own store, so limits reset when the server restarts; that is acceptable
+// for a single-instance deployment.
+const rateLimit = ({ windowMs, max, key = (req) => req.ip, message = 'Too many requests, please try again later' }) => {
+    const hits = new Map();
+
+    return (req, res, next) => {
+        const id = key(req);
+        if (id === undefined || id === null) return next();
+
+        const now = Date.now();
+        let entry = hits.get(id);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(id, entry);
+        }
+        entry.count++;
+
+        // Drop expired windows now and then so the map cannot grow forever
+        if (hits.size > 10000) {
+            for (const [k, v] of hits) if (v.resetAt <= now) hits.delete(k);
+        }
+
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+            return sendError(res, 429, message);
+        }
+        next();
+    };
+};
+
+module.exports = { rateLimit };
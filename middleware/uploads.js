@@ -0,0 +1,146 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { ApiError, sendError, handleError } = require('../errors');
+const {
+    CONTENT_TYPES,
+    DOCUMENT_FORMATS,
+    IMAGE_FORMATS,
+    SNIFF_LENGTH,
+    detectFormat,
+    safeFileName,
+    describeFormats
+} = require('./fileTypes');
+
+const MB = 1024 * 1024;
+
+const formatSize = (bytes) => (bytes >= MB ? `${Math.round((bytes / MB) * 10) / 10} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+// Multer writes each upload to a temporary file; it only goes into storage,
+// under its final (sanitized) name, once its content has been checked
+const uniquePrefix = () => `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+const diskStorage = (dir) => multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, dir);
+    },
+    filename: function (req, file, cb) {
+        cb(null, `${uniquePrefix()}.upload`);
+    }
+});
+
+const readStart = async (filePath) => {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SNIFF_LENGTH);
+        const { bytesRead } = await handle.read(buffer, 0, SNIFF_LENGTH, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+};
+
+// Upload handling for the `documents`, `updates`, `submissions` and
+// `attachments` storage folders. Every upload is limited in size, must be
+// one of the folder's formats judged by its content (not its extension), is
+// stored under a sanitized name with a matching extension, and counts
+// towards its uploader's storage quota.
+const createUploads = (config, { pool, storage }) => {
+    const tmpDir = path.join(config.uploadsDir, 'tmp');
+
+    // Make sure the temporary folder exists
+    if (!fs.existsSync(tmpDir)) {
+        fs.mkdirSync(tmpDir, { recursive: true });
+    }
+
+    const discard = (filePath) => fs.promises.unlink(filePath).catch(() => {});
+
+    // Sniff, quota-check, rename and record an upload multer has stored
+    const accept = async (req, field, folder, formats) => {
+        const file = req.file;
+        const format = detectFormat(await readStart(file.path), formats);
+        if (!format) {
+            throw new ApiError(415, 'Unsupported file type', {
+                fields: [{ location: 'body', field, message: `must be one of: ${describeFormats(formats)}` }]
+            });
+        }
+
+        const [[{ used }]] = await pool.query(
+            'SELECT COALESCE(SUM(size), 0) AS used FROM uploaded_files WHERE user_id = ?',
+            [req.user.user_id]
+        );
+        if (Number(used) + file.size > config.uploads.quotaPerUser) {
+            throw new ApiError(413, `Upload would exceed your storage quota of ${formatSize(config.uploads.quotaPerUser)}`, {
+                code: 'QUOTA_EXCEEDED'
+            });
+        }
+
+        // Browsers send file names as UTF-8, which multer reads as latin1
+        const name = safeFileName(Buffer.from(file.originalname, 'latin1').toString('utf8'), format);
+        const fileName = `${uniquePrefix()}-${name}`;
+        const contentType = CONTENT_TYPES[path.extname(name)];
+        await storage.put(`${folder}/${fileName}`, file.path, { contentType });
+        Object.assign(file, { filename: fileName, path: null, originalname: name, mimetype: contentType });
+
+        try {
+            await pool.query(
+                `INSERT INTO uploaded_files (user_id, folder, file_name, original_name, content_type, size)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [req.user.user_id, folder, fileName, name, contentType, file.size]
+            );
+        } catch (error) {
+            await storage.remove(`${folder}/${fileName}`);
+            throw error;
+        }
+    };
+
+    // Drop-in for a multer instance: `.single(field)` returns the middleware
+    const safeUpload = (folder, { maxSize, formats }) => {
+        const upload = multer({ storage: diskStorage(tmpDir), limits: { fileSize: maxSize, files: 1 } });
+        return {
+            single: (field) => (req, res, next) => {
+                upload.single(field)(req, res, async (error) => {
+                    if (error && error.code === 'LIMIT_FILE_SIZE') {
+                        return sendError(res, 413, 'File is too large', {
+                            code: 'FILE_TOO_LARGE',
+                            fields: [{ location: 'body', field, message: `must be at most ${formatSize(maxSize)}` }]
+                        });
+                    }
+                    if (error) return next(error);
+                    if (!req.file) return next();
+                    try {
+                        await accept(req, field, folder, formats);
+                        next();
+                    } catch (acceptError) {
+                        if (req.file.path) await discard(req.file.path);
+                        handleError(res, acceptError, 'Failed to store upload');
+                    }
+                });
+            }
+        };
+    };
+
+    // Delete a stored upload and release its quota
+    const removeFile = async (folder, fileName) => {
+        await storage.remove(`${folder}/${fileName}`);
+        await pool.query('DELETE FROM uploaded_files WHERE folder = ? AND file_name = ?', [folder, fileName]);
+    };
+
+    // For validate(schemas, { onInvalid }) after an upload: a request whose
+    // other fields are rejected leaves no file behind
+    const discardUpload = (folder) => async (req) => {
+        if (req.file && req.file.filename) await removeFile(folder, req.file.filename);
+    };
+
+    return {
+        documentUpload: safeUpload('documents', { maxSize: config.uploads.maxFileSize, formats: DOCUMENT_FORMATS }),
+        updateImageUpload: safeUpload('updates', { maxSize: config.uploads.maxImageSize, formats: IMAGE_FORMATS }),
+        submissionUpload: safeUpload('submissions', { maxSize: config.uploads.maxFileSize, formats: DOCUMENT_FORMATS }),
+        attachmentUpload: safeUpload('attachments', { maxSize: config.uploads.maxFileSize, formats: DOCUMENT_FORMATS }),
+        removeFile,
+        discardUpload
+    };
+};
+
+module.exports = { createUploads };
@@ -0,0 +1,134 @@
+const { sendError } = require('../errors');
+
+// Request validation
+//
+// A schema maps field names to rules:
+//   type       'string' | 'integer' | 'number' | 'boolean' | 'date' | 'email' | 'array' | 'object'
+//   required   reject missing, null or empty-string values
+//   enum       allowed values (with `ignoreCase` for strings)
+//   minLength, maxLength   string length bounds
+//   min, max   numeric bounds, or item count bounds for arrays
+//   pattern    RegExp a string must match
+//   equals     name of a sibling field this value must equal
+//   items      rule applied to each array item
+//   properties schema applied to an object (or to each object array item)
+//
+// Params, query strings and multipart bodies arrive as strings, so numeric
+// and boolean types also accept their string forms. Values are checked,
+// not rewritten.
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const isInteger = (value) => Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value));
+const isNumber = (value) => (typeof value === 'number' && Number.isFinite(value))
+    || (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+
+const checkType = (type, value) => {
+    switch (type) {
+        case 'string': return typeof value === 'string' ? null : 'must be a string';
+        case 'integer': return isInteger(value) ? null : 'must be an integer';
+        case 'number': return isNumber(value) ? null : 'must be a number';
+        case 'boolean':
+            return typeof value === 'boolean' || value === 'true' || value === 'false' ? null : 'must be a boolean';
+        case 'date':
+            return typeof value === 'string' && DATE.test(value) && !Number.isNaN(Date.parse(value))
+                ? null : 'must be a date (YYYY-MM-DD)';
+        case 'email': return typeof value === 'string' && EMAIL.test(value) ? null : 'must be a valid email address';
+        case 'array': return Array.isArray(value) ? null : 'must be an array';
+        case 'object':
+            return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+        default: return null;
+    }
+};
+
+const checkRule = (rule, value, siblings) => {
+    const typeError = rule.type && checkType(rule.type, value);
+    if (typeError) return typeError;
+
+    if (rule.enum) {
+        const matches = rule.ignoreCase && typeof value === 'string'
+            ? rule.enum.includes(value.trim().toLowerCase())
+            : rule.enum.includes(value);
+        if (!matches) return `must be one of: ${rule.enum.join(', ')}`;
+    }
+    if (typeof value === 'string') {
+        if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+            return `must be at least ${rule.minLength} characters`;
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            return `must be at most ${rule.maxLength} characters`;
+        }
+        if (rule.pattern && !rule.pattern.test(value)) return 'has an invalid format';
+    }
+    if (rule.type === 'integer' || rule.type === 'number') {
+        if (rule.min !== undefined && Number(value) < rule.min) return `must be at least ${rule.min}`;
+        if (rule.max !== undefined && Number(value) > rule.max) return `must be at most ${rule.max}`;
+    }
+    if (Array.isArray(value)) {
+        if (rule.min !== undefined && value.length < rule.min) return `must have at least ${rule.min} items`;
+        if (rule.max !== undefined && value.length > rule.max) return `must have at most ${rule.max} items`;
+    }
+    if (rule.equals && value !== siblings[rule.equals]) return `must match ${rule.equals}`;
+    return null;
+};
+
+// Returns a list of { location, field, message } problems
+const validateSchema = (schema, data, location, prefix = '') => {
+    const errors = [];
+    const source = data || {};
+
+    for (const [name, rule] of Object.entries(schema)) {
+        const field = prefix + name;
+        const value = source[name];
+
+        if (isEmpty(value)) {
+            if (rule.required) errors.push({ location, field, message: 'is required' });
+            continue;
+        }
+
+        const message = checkRule(rule, value, source);
+        if (message) {
+            errors.push({ location, field, message });
+            continue;
+        }
+
+        if (rule.properties && rule.type === 'object') {
+            errors.push(...validateSchema(rule.properties, value, location, `${field}.`));
+        }
+        if (rule.items && Array.isArray(value)) {
+            value.forEach((item, index) => {
+                const itemField = `${field}[${index}]`;
+                const itemMessage = checkRule(rule.items, item, {});
+                if (itemMessage) {
+                    errors.push({ location, field: itemField, message: itemMessage });
+                } else if (rule.items.properties) {
+                    errors.push(...validateSchema(rule.items.properties, item, location, `${itemField}.`));
+                }
+            });
+        }
+    }
+
+    return errors;
+};
+
+// Middleware validating any of req.body, req.params and req.query.
+// `onInvalid(req)` undoes earlier work before the request is rejected, e.g.
+// uploads.discardUpload(folder) for the text fields of a multipart upload.
+const validate = (schemas, { onInvalid } = {}) => async (req, res, next) => {
+    const errors = [];
+    for (const location of ['params', 'query', 'body']) {
+        if (schemas[location]) {
+            errors.push(...validateSchema(schemas[location], req[location], location));
+        }
+    }
+    if (errors.length) {
+        if (onInvalid) await onInvalid(req);
+        return sendError(res, 400, 'Request validation failed', { code: 'VALIDATION_ERROR', fields: errors });
+    }
+    next();
+};
+
+module.exports = { validate, validateSchema };
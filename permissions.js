@@ -0,0 +1,252 @@
+// Role-based permissions
+//
+// Every protected route names a permission instead of listing user types
+// inline. The map below is the single place where a permission is granted
+// to the `student`/`parent`/`teacher`/`admin` user types.
+
+const USER_TYPES = ['student', 'parent', 'teacher', 'admin'];
+
+const ALL = USER_TYPES;
+const STAFF = ['teacher', 'admin'];
+const ADMIN = ['admin'];
+
+const PERMISSIONS = {
+    'sessions:manage': { user_types: ALL, description: 'List own sessions and log out all devices' },
+    'notifications:read': { user_types: ALL, description: 'Read and dismiss own notifications and choose how to receive them' },
+    'notifications:manage': { user_types: ADMIN, description: 'View the email and SMS delivery queue and retry failed deliveries' },
+    'registration_requests:read': { user_types: ADMIN, description: 'List student registration requests' },
+    'registration_requests:review': { user_types: ADMIN, description: 'Approve or reject registration requests' },
+    'updates:manage': { user_types: ADMIN, description: 'Post, edit and delete school updates' },
+    'dashboard:read': { user_types: ADMIN, description: 'View dashboard statistics' },
+    'students:read': { user_types: ALL, description: 'View students and their profiles (scoped)' },
+    'students:manage': { user_types: ADMIN, description: 'Create, edit, transfer, promote, graduate and withdraw students; manage their guardians and accounts' },
+    'parents:read': { user_types: STAFF, description: 'List parents' },
+    'parents:manage': { user_types: ADMIN, description: 'Create, edit and delete parents' },
+    'staff:manage': { user_types: ADMIN, description: 'Create teacher and admin accounts' },
+    'users:read': { user_types: ALL, description: 'List chat contacts (scoped)' },
+    'messages:send': { user_types: ALL, description: 'Read and send own messages' },
+    'contacts:manage': { user_types: ALL, description: 'Block, unblock and report users' },
+    'reports:review': { user_types: ADMIN, description: 'Review reports of users' },
+    'presence:read': { user_types: ALL, description: 'See which users are online' },
+    'classes:read': { user_types: ALL, description: 'View classes and their students (scoped)' },
+    'classes:manage': { user_types: ADMIN, description: 'Create, edit and delete classes and assign class teachers' },
+    'subjects:read': { user_types: ALL, description: 'View subjects' },
+    'subjects:manage': { user_types: ADMIN, description: 'Create subjects and assign them and their teachers to classes' },
+    'timetable:read': { user_types: ALL, description: 'View class timetables and own timetable (scoped)' },
+    'timetable:manage': { user_types: ADMIN, description: 'Edit the bell schedule and class timetables' },
+    'attendance:read': { user_types: ALL, description: 'View class attendance (scoped)' },
+    'attendance:record': { user_types: ['teacher'], description: 'Submit or resubmit attendance for own classes' },
+    'attendance:report': { user_types: STAFF, description: 'View school-wide attendance (scoped)' },
+    'attendance:correct': { user_types: STAFF, description: 'Correct attendance records (scoped)' },
+    'grades:read': { user_types: ALL, description: 'View terms, class assessments and report cards (scoped)' },
+    'grades:record': { user_types: STAFF, description: 'Set assessments and enter marks for subjects they teach' },
+    'grades:report': { user_types: STAFF, description: 'View class term averages and ranks (scoped)' },
+    'terms:manage': { user_types: ADMIN, description: 'Create, edit and delete academic terms' },
+    'assignments:read': { user_types: ALL, description: 'View class assignments and pending work (scoped)' },
+    'assignments:manage': { user_types: STAFF, description: 'Set, edit and delete assignments for own classes' },
+    'assignments:submit': { user_types: ['student'], description: 'Hand in work for assignments' },
+    'assignments:grade': { user_types: STAFF, description: 'View, mark and give feedback on submissions (scoped)' },
+    'documents:read': { user_types: ALL, description: 'View and download class documents (scoped)' },
+    'documents:upload': { user_types: ['teacher'], description: 'Upload documents to own classes' },
+    'documents:delete': { user_types: STAFF, description: 'Delete class documents' },
+    'search:read': { user_types: STAFF, description: 'Search students, staff, parents and documents (scoped)' },
+    'accounts:unlock': { user_types: ADMIN, description: 'Unlock accounts locked after failed logins' },
+    'login_attempts:read': { user_types: ADMIN, description: 'View the login attempt audit log' },
+    'permissions:read': { user_types: ADMIN, description: 'View the permission matrix' }
+};
+
+// User types allowed to use a permission. Unknown names are a programming
+// error, so fail loudly at route registration rather than at request time.
+const rolesFor = (permission) => {
+    const entry = PERMISSIONS[permission];
+    if (!entry) throw new Error(`Unknown permission: ${permission}`);
+    return entry.user_types;
+};
+
+// Effective matrix, both by permission and by user type
+const permissionMatrix = () => {
+    const permissions = Object.entries(PERMISSIONS).map(([name, entry]) => ({
+        permission: name,
+        description: entry.description,
+        user_types: entry.user_types
+    }));
+    const byUserType = {};
+    for (const type of USER_TYPES) {
+        byUserType[type] = permissions
+            .filter(p => p.user_types.includes(type))
+            .map(p => p.permission);
+    }
+    return { user_types: USER_TYPES, permissions, by_user_type: byUserType };
+};
+
+// Data scoping
+//
+// Each helper returns a SQL condition and its params restricting rows to
+// what the user may see: admins see everything, teachers the classes they
+// are class teacher of or teach a subject in, parents the children they are
+// a guardian of, and students their own record (linked through
+// students.user_id). `studentScope` only relies on `student_id` and
+// `class_id`, so it also applies to tables such as attendance that
+// reference a student.
+
+const studentScope = (user, alias = 's') => {
+    switch (user.user_type) {
+        case 'admin':
+            return { clause: '1 = 1', params: [] };
+        case 'teacher':
+            return {
+                clause: `${alias}.class_id IN (
+                    SELECT class_id FROM classes WHERE teacher_id = ?
+                    UNION SELECT class_id FROM class_subjects WHERE teacher_id = ?
+                )`,
+                params: [user.user_id, user.user_id]
+            };
+        case 'parent':
+            return {
+                clause: `${alias}.student_id IN (SELECT student_id FROM student_guardians WHERE guardian_id = ?)`,
+                params: [user.user_id]
+            };
+        case 'student':
+            return {
+                clause: `${alias}.student_id IN (SELECT student_id FROM students WHERE user_id = ?)`,
+                params: [user.user_id]
+            };
+        default:
+            return { clause: '1 = 0', params: [] };
+    }
+};
+
+const classScope = (user, alias = 'c') => {
+    switch (user.user_type) {
+        case 'admin':
+            return { clause: '1 = 1', params: [] };
+        case 'teacher':
+            return {
+                clause: `(${alias}.teacher_id = ? OR ${alias}.class_id IN (SELECT class_id FROM class_subjects WHERE teacher_id = ?))`,
+                params: [user.user_id, user.user_id]
+            };
+        case 'parent':
+            return {
+                clause: `${alias}.class_id IN (
+                    SELECT s.class_id FROM students s
+                    JOIN student_guardians g ON s.student_id = g.student_id
+                    WHERE g.guardian_id = ?
+                )`,
+                params: [user.user_id]
+            };
+        case 'student':
+            return {
+                clause: `${alias}.class_id IN (SELECT class_id FROM students WHERE user_id = ?)`,
+                params: [user.user_id]
+            };
+        default:
+            return { clause: '1 = 0', params: [] };
+    }
+};
+
+const canAccessClass = async (pool, user, classId) => {
+    const scope = classScope(user);
+    const [rows] = await pool.query(
+        `SELECT 1 FROM classes c WHERE c.class_id = ? AND ${scope.clause}`,
+        [classId, ...scope.params]
+    );
+    return rows.length > 0;
+};
+
+// Who a user may message, as a condition on a users table alias. Admins
+// may message anyone. Teachers may message staff and the students and
+// guardians of the classes they teach; parents their children's teachers
+// and the admins; students their own teachers. Anyone may reply to a user
+// who has messaged them.
+const TEACHER_CLASSES = 'SELECT class_id FROM classes WHERE teacher_id = ? UNION SELECT class_id FROM class_subjects WHERE teacher_id = ?';
+
+// The people a teacher, parent or student may message by the policy alone,
+// leaving out replies. For teachers and parents this is also who may
+// message them.
+const policyScope = (user, alias) => {
+    switch (user.user_type) {
+        case 'teacher':
+            return {
+                clause: `${alias}.user_type IN ('teacher', 'admin') OR ${alias}.user_id IN (
+                    SELECT s.user_id FROM students s
+                    WHERE s.status = 'active' AND s.class_id IN (${TEACHER_CLASSES})
+                    UNION SELECT g.guardian_id FROM student_guardians g
+                    JOIN students s ON s.student_id = g.student_id
+                    WHERE s.status = 'active' AND s.class_id IN (${TEACHER_CLASSES})
+                )`,
+                params: [user.user_id, user.user_id, user.user_id, user.user_id]
+            };
+        case 'parent':
+            return {
+                clause: `${alias}.user_type = 'admin' OR ${alias}.user_id IN (
+                    SELECT c.teacher_id FROM classes c
+                    JOIN students s ON s.class_id = c.class_id
+                    JOIN student_guardians g ON s.student_id = g.student_id
+                    WHERE g.guardian_id = ? AND s.status = 'active'
+                    UNION SELECT cs.teacher_id FROM class_subjects cs
+                    JOIN students s ON s.class_id = cs.class_id
+                    JOIN student_guardians g ON s.student_id = g.student_id
+                    WHERE g.guardian_id = ? AND s.status = 'active'
+                )`,
+                params: [user.user_id, user.user_id]
+            };
+        case 'student':
+            return {
+                clause: `${alias}.user_id IN (
+                    SELECT c.teacher_id FROM classes c
+                    JOIN students s ON s.class_id = c.class_id
+                    WHERE s.user_id = ? AND s.status = 'active'
+                    UNION SELECT cs.teacher_id FROM class_subjects cs
+                    JOIN students s ON s.class_id = cs.class_id
+                    WHERE s.user_id = ? AND s.status = 'active'
+                )`,
+                params: [user.user_id, user.user_id]
+            };
+        default:
+            return null;
+    }
+};
+
+const orReplies = (scope, replies) => ({
+    clause: `(${scope.clause} OR ${replies.clause})`,
+    params: [...scope.params, ...replies.params]
+});
+
+const contactScope = (user, alias = 'u') => {
+    if (user.user_type === 'admin') return { clause: '1 = 1', params: [] };
+    const scope = policyScope(user, alias);
+    if (!scope) return { clause: '1 = 0', params: [] };
+    return orReplies(scope, {
+        clause: `${alias}.user_id IN (SELECT from_user_id FROM messages WHERE to_user_id = ?)`,
+        params: [user.user_id]
+    });
+};
+
+// Who may message a user: the other side of contactScope. Admins are
+// messaged by everyone but students, students by their teachers and the
+// admins, and anyone by the users they have messaged.
+const reverseContactScope = (user, alias = 'u') => {
+    let scope = policyScope(user, alias);
+    if (user.user_type === 'admin') {
+        scope = { clause: `${alias}.user_type IN ('admin', 'teacher', 'parent')`, params: [] };
+    } else if (user.user_type === 'student') {
+        scope = { clause: `${alias}.user_type = 'admin' OR ${scope.clause}`, params: scope.params };
+    }
+    if (!scope) return { clause: '1 = 0', params: [] };
+    return orReplies(scope, {
+        clause: `${alias}.user_id IN (SELECT to_user_id FROM messages WHERE from_user_id = ?)`,
+        params: [user.user_id]
+    });
+};
+
+module.exports = {
+    USER_TYPES,
+    PERMISSIONS,
+    rolesFor,
+    permissionMatrix,
+    studentScope,
+    classScope,
+    canAccessClass,
+    contactScope,
+    reverseContactScope
+};
@@ -0,0 +1,184 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { ApiError } = require('../errors');
+const { validateSchema } = require('../middleware/validate');
+
+// Largest event a client may send
+const MAX_PAYLOAD = 64 * 1024;
+
+// Live events for signed-in users over a WebSocket at /ws?token=<access
+// token>. Every event is a JSON object with a `type`. The server pushes
+// events to users with publish(); areas of the API register handlers for
+// the events clients send with on(). A user is online while they have at
+// least one open connection, and the connected users in its audience (see
+// audience()) are told when that changes. Connections live in this
+// process, so run a single instance.
+const createRealtime = ({ auth, config }) => {
+    const connections = new Map();
+    const handlers = new Map();
+    const connectHandlers = [];
+    // Everyone sees everyone's presence until audience() says otherwise
+    let presence = {
+        visible: async (user, userIds) => userIds,
+        watchers: async (user, userIds) => userIds
+    };
+    // Presence changes are announced one at a time, in order
+    let announcing = Promise.resolve();
+    let server = null;
+    let heartbeat = null;
+
+    const send = (socket, type, data = {}) => {
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type, ...data }));
+    };
+
+    // Push an event to every connection of one or more users
+    const publish = (userIds, type, data) => {
+        for (const userId of [].concat(userIds)) {
+            for (const socket of connections.get(Number(userId)) || []) send(socket, type, data);
+        }
+    };
+
+    const isOnline = (userId) => connections.has(Number(userId));
+
+    const online = () => [...connections.keys()];
+
+    // Handle client events of `type`, checked against `schema` first;
+    // `handler(user, event)` may throw ApiErrors, which are sent back
+    const on = (type, schema, handler) => handlers.set(type, { schema, handler });
+
+    // Run `handler(user)` whenever a user opens a connection
+    const onConnect = (handler) => connectHandlers.push(handler);
+
+    // Decide who sees whose presence. Both handlers take a user and a list
+    // of user ids: `visible` resolves to the ids whose presence the user may
+    // see, and `watchers` to the ids that may see the user's presence.
+    const audience = ({ visible, watchers }) => { presence = { visible, watchers }; };
+
+    // The online users `user` may see, including themselves
+    const onlineFor = async (user) => {
+        const ids = new Set((await presence.visible(user, online())).map(Number));
+        return online().filter(id => id === user.user_id || ids.has(id));
+    };
+
+    // Tell the online users who may see `user` that they came online or
+    // went offline
+    const announce = (user, isOnline) => {
+        announcing = announcing.then(async () => {
+            const others = online().filter(id => id !== user.user_id);
+            if (!others.length) return;
+            const watchers = await presence.watchers(user, others);
+            publish(watchers, 'presence', { user_id: user.user_id, online: isOnline });
+        }).catch(error => console.error(error));
+    };
+
+    // Resolves once the presence changes so far have been announced
+    const settled = () => announcing;
+
+    const sendError = (socket, error) => {
+        if (error instanceof ApiError) {
+            return send(socket, 'error', { code: error.code, message: error.message, fields: error.fields || [] });
+        }
+        console.error(error);
+        send(socket, 'error', { code: 'INTERNAL_ERROR', message: 'Failed to handle event', fields: [] });
+    };
+
+    const receive = async (user, socket, raw) => {
+        let event;
+        try {
+            event = JSON.parse(raw);
+        } catch {
+            return sendError(socket, new ApiError(400, 'Events must be JSON objects', { code: 'VALIDATION_ERROR' }));
+        }
+        if (event && event.type === 'ping') return send(socket, 'pong');
+        const registered = event && handlers.get(event.type);
+        if (!registered) {
+            return sendError(socket, new ApiError(400, 'Unknown event type', { code: 'VALIDATION_ERROR' }));
+        }
+        const fields = validateSchema(registered.schema, event, 'event');
+        if (fields.length) {
+            return sendError(socket, new ApiError(400, 'Event validation failed', { code: 'VALIDATION_ERROR', fields }));
+        }
+        try {
+            await registered.handler(user, event);
+        } catch (error) {
+            sendError(socket, error);
+        }
+    };
+
+    const connected = (socket, { user, sessionId }) => {
+        const userId = user.user_id;
+        Object.assign(socket, { user, sessionId, isAlive: true });
+        if (!connections.has(userId)) {
+            connections.set(userId, new Set());
+            announce(user, true);
+        }
+        connections.get(userId).add(socket);
+
+        socket.on('pong', () => { socket.isAlive = true; });
+        socket.on('message', (raw) => receive(user, socket, raw));
+        socket.on('close', () => {
+            const sockets = connections.get(userId);
+            if (!sockets) return;
+            sockets.delete(socket);
+            if (!sockets.size) {
+                connections.delete(userId);
+                announce(user, false);
+            }
+        });
+
+        onlineFor(user)
+            .then(ids => send(socket, 'ready', { user_id: userId, online: ids }))
+            .catch(error => console.error(error));
+        for (const handler of connectHandlers) {
+            Promise.resolve(handler(user)).catch(error => console.error(error));
+        }
+    };
+
+    // Drop connections that stopped answering pings or whose session has
+    // ended since they connected
+    const checkConnections = async () => {
+        for (const sockets of connections.values()) {
+            for (const socket of sockets) {
+                if (!socket.isAlive) {
+                    socket.terminate();
+                    continue;
+                }
+                socket.isAlive = false;
+                socket.ping();
+                const live = await auth.sessionUser(socket.user.user_id, socket.sessionId).catch(() => socket.user);
+                if (!live) socket.close(4001, 'Session expired or revoked');
+            }
+        }
+    };
+
+    // Accept WebSocket connections on an HTTP server
+    const attach = (httpServer) => {
+        server = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD });
+        httpServer.on('upgrade', async (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname !== '/ws') return socket.destroy();
+            let session;
+            try {
+                session = await auth.verifyToken(url.searchParams.get('token') || '');
+            } catch (error) {
+                socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+                return socket.destroy();
+            }
+            server.handleUpgrade(req, socket, head, (ws) => connected(ws, session));
+        });
+        httpServer.on('close', close);
+        heartbeat = setInterval(checkConnections, config.realtime.heartbeatMs);
+        heartbeat.unref();
+    };
+
+    const close = () => {
+        clearInterval(heartbeat);
+        if (!server) return;
+        for (const socket of server.clients) socket.terminate();
+        server.close();
+        server = null;
+    };
+
+    return { attach, close, publish, isOnline, online, onlineFor, on, onConnect, audience, settled };
+};
+
+module.exports = { createRealtime };
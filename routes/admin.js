@@ -0,0 +1,58 @@
+const express = require('express');
+const { permissionMatrix } = require('../permissions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin');
+const { sendError, handleError } = require('../errors');
+
+const createAdminRouter = ({ services, auth }) => {
+    const router = express.Router();
+
+    // Dashboard statistics
+    router.get('/dashboard-stats', auth.authorize('dashboard:read'), async (req, res) => {
+        try {
+            res.json(await services.dashboard.stats());
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch dashboard stats');
+        }
+    });
+
+    // Effective permission matrix
+    router.get('/permissions', auth.authorize('permissions:read'), (req, res) => {
+        res.json(permissionMatrix());
+    });
+
+    // Create a teacher or admin account and invite them to choose a
+    // username and password
+    router.post('/staff', auth.authorize('staff:manage'), validate(schemas.createStaff), async (req, res) => {
+        try {
+            const userId = await services.users.createStaff(req.body);
+            await services.accounts.sendInvitation(userId);
+            res.status(201).json({ message: 'Account created and invitation sent', user_id: userId });
+        } catch (error) {
+            handleError(res, error, 'Failed to create account');
+        }
+    });
+
+    // Clear a lockout after repeated failed logins
+    router.post('/users/:id/unlock', auth.authorize('accounts:unlock'), validate(schemas.unlock), async (req, res) => {
+        try {
+            await services.loginGuard.unlock(req.params.id);
+            res.json({ message: 'Account unlocked' });
+        } catch (error) {
+            handleError(res, error, 'Failed to unlock account');
+        }
+    });
+
+    // Login attempt audit log, newest first
+    router.get('/login-attempts', auth.authorize('login_attempts:read'), validate(schemas.loginAttempts), async (req, res) => {
+        try {
+            res.json(await services.loginGuard.listAttempts(req.query));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch login attempts');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createAdminRouter };
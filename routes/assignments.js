@@ -0,0 +1,137 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/assignments');
+
+const createAssignmentsRouter = ({ services, auth, uploads, storage }) => {
+    const router = express.Router();
+    const { assignments } = services;
+
+    const keyFor = (submission) => `submissions/${submission.file_path}`;
+
+    // Get assignments for a class
+    router.get('/classes/:class_id/assignments', auth.authorize('assignments:read'), validate(schemas.classAssignments), auth.requireClassAccess, async (req, res) => {
+        try {
+            res.json(await assignments.listForClass(req.params.class_id));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch assignments');
+        }
+    });
+
+    // Set an assignment for a class
+    router.post('/classes/:class_id/assignments', auth.authorize('assignments:manage'), validate(schemas.create), auth.requireClassAccess, async (req, res) => {
+        try {
+            const assignmentId = await assignments.create(req.user, req.params.class_id, req.body);
+            res.status(201).json({ message: 'Assignment set', assignment_id: assignmentId });
+        } catch (error) {
+            handleError(res, error, 'Failed to set assignment');
+        }
+    });
+
+    // Work not yet handed in, for a student or each of a parent's children
+    router.get('/assignments/pending', auth.authorize('assignments:read'), async (req, res) => {
+        try {
+            res.json(await assignments.pending(req.user));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch pending work');
+        }
+    });
+
+    // Get an assignment (with the student's own submission)
+    router.get('/assignments/:id', auth.authorize('assignments:read'), validate(schemas.assignment), async (req, res) => {
+        try {
+            res.json(await assignments.detail(req.user, req.params.id));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch assignment');
+        }
+    });
+
+    // Update an assignment
+    router.put('/assignments/:id', auth.authorize('assignments:manage'), validate(schemas.update), async (req, res) => {
+        try {
+            await assignments.update(req.user, req.params.id, req.body);
+            res.json({ message: 'Assignment updated' });
+        } catch (error) {
+            handleError(res, error, 'Failed to update assignment');
+        }
+    });
+
+    // Delete an assignment nobody has handed work in for
+    router.delete('/assignments/:id', auth.authorize('assignments:manage'), validate(schemas.assignment), async (req, res) => {
+        try {
+            await assignments.remove(req.user, req.params.id);
+            res.json({ message: 'Assignment deleted' });
+        } catch (error) {
+            handleError(res, error, 'Failed to delete assignment');
+        }
+    });
+
+    // Hand in work; handing in again replaces the file until it is marked
+    router.post('/assignments/:id/submissions', auth.authorize('assignments:submit'), validate(schemas.assignment), uploads.submissionUpload.single('file'), validate(schemas.submit, { onInvalid: uploads.discardUpload('submissions') }), async (req, res) => {
+        if (!req.file) {
+            return sendError(res, 400, 'File is required', {
+                code: 'VALIDATION_ERROR',
+                fields: [{ location: 'body', field: 'file', message: 'is required' }]
+            });
+        }
+        try {
+            const submission = await assignments.submit(req.user, req.params.id, {
+                file_path: req.file.filename,
+                original_name: req.file.originalname,
+                comment: req.body.comment
+            });
+            if (submission.replaced) await uploads.removeFile('submissions', submission.replaced);
+            res.status(submission.replaced ? 200 : 201).json({
+                message: submission.is_late ? 'Work handed in late' : 'Work handed in',
+                submission_id: submission.submission_id,
+                is_late: submission.is_late
+            });
+        } catch (error) {
+            await uploads.removeFile('submissions', req.file.filename);
+            handleError(res, error, 'Failed to hand in work');
+        }
+    });
+
+    // Every student of the class and what they handed in
+    router.get('/assignments/:id/submissions', auth.authorize('assignments:grade'), validate(schemas.assignment), async (req, res) => {
+        try {
+            res.json(await assignments.submissions(req.user, req.params.id));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch submissions');
+        }
+    });
+
+    // Download handed-in work
+    router.get('/submissions/:id/download', auth.authorize('assignments:read'), validate(schemas.submission), async (req, res) => {
+        try {
+            const submission = await assignments.findSubmission(req.user, req.params.id);
+            await storage.send(res, keyFor(submission), { fileName: submission.original_name });
+        } catch (error) {
+            handleError(res, error, 'Failed to download submission');
+        }
+    });
+
+    // Signed, time-limited download link for handed-in work
+    router.get('/submissions/:id/link', auth.authorize('assignments:read'), validate(schemas.submission), async (req, res) => {
+        try {
+            const submission = await assignments.findSubmission(req.user, req.params.id);
+            res.json(storage.signedUrl(keyFor(submission), { fileName: submission.original_name }));
+        } catch (error) {
+            handleError(res, error, 'Failed to create download link');
+        }
+    });
+
+    // Mark a submission and leave feedback
+    router.put('/submissions/:id/grade', auth.authorize('assignments:grade'), validate(schemas.grade), async (req, res) => {
+        try {
+            await assignments.grade(req.user, req.params.id, req.body);
+            res.json({ message: 'Submission marked' });
+        } catch (error) {
+            handleError(res, error, 'Failed to mark submission');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createAssignmentsRouter };
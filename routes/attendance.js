@@ -0,0 +1,107 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/attendance');
+
+const createAttendanceRouter = ({ services, auth }) => {
+    const router = express.Router();
+    const { attendance, attendanceReports } = services;
+
+    // Submit attendance for a class, for the whole day or one period.
+    // Submitting again updates the records instead of adding new ones.
+    router.post('/classes/:class_id/attendance', auth.authorize('attendance:record'), validate(schemas.record), auth.requireClassAccess, async (req, res) => {
+        try {
+            const counts = await attendance.record(req.params.class_id, req.body, req.user.user_id);
+            res.status(counts.created ? 201 : 200).json({ message: 'Attendance recorded', ...counts });
+        } catch (error) {
+            handleError(res, error, 'Failed to record attendance');
+        }
+    });
+
+    // Get attendance for a class on a date
+    router.get('/classes/:class_id/attendance', auth.authorize('attendance:read'), validate(schemas.classAttendance), auth.requireClassAccess, async (req, res) => {
+        try {
+            res.json(await attendance.forClass(req.user, req.params.class_id, req.query));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch attendance');
+        }
+    });
+
+    // Get all attendance for a date (for dashboard)
+    router.get('/attendance', auth.authorize('attendance:report'), validate(schemas.report), async (req, res) => {
+        try {
+            res.json(await attendance.forDate(req.user, req.query.date));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch attendance');
+        }
+    });
+
+    // Attendance rate per student over a date range (parents see their
+    // children, students themselves)
+    router.get('/attendance/reports/students', auth.authorize('attendance:read'), validate(schemas.reportRange), async (req, res) => {
+        try {
+            res.json(await attendanceReports.students(req.user, req.query));
+        } catch (error) {
+            sendError(res, 500, 'Failed to build attendance report');
+        }
+    });
+
+    // Attendance rate per class
+    router.get('/attendance/reports/classes', auth.authorize('attendance:report'), validate(schemas.reportRange), async (req, res) => {
+        try {
+            res.json(await attendanceReports.classes(req.user, req.query));
+        } catch (error) {
+            sendError(res, 500, 'Failed to build attendance report');
+        }
+    });
+
+    // School-wide totals
+    router.get('/attendance/reports/school', auth.authorize('attendance:report'), validate(schemas.reportRange), async (req, res) => {
+        try {
+            res.json(await attendanceReports.school(req.user, req.query));
+        } catch (error) {
+            sendError(res, 500, 'Failed to build attendance report');
+        }
+    });
+
+    // Weekly attendance rates
+    router.get('/attendance/reports/trends', auth.authorize('attendance:report'), validate(schemas.reportRange), async (req, res) => {
+        try {
+            res.json(await attendanceReports.trends(req.user, req.query));
+        } catch (error) {
+            sendError(res, 500, 'Failed to build attendance report');
+        }
+    });
+
+    // Students below the chronic absence threshold
+    router.get('/attendance/reports/chronic', auth.authorize('attendance:report'), validate(schemas.chronicReport), async (req, res) => {
+        try {
+            res.json(await attendanceReports.chronic(req.user, req.query));
+        } catch (error) {
+            sendError(res, 500, 'Failed to build attendance report');
+        }
+    });
+
+    // Correct one attendance record
+    router.patch('/attendance/:id', auth.authorize('attendance:correct'), validate(schemas.correct), async (req, res) => {
+        try {
+            const changed = await attendance.correct(req.user, req.params.id, req.body);
+            res.json({ message: changed ? 'Attendance corrected' : 'Attendance unchanged' });
+        } catch (error) {
+            handleError(res, error, 'Failed to correct attendance');
+        }
+    });
+
+    // Who changed an attendance record and when
+    router.get('/attendance/:id/history', auth.authorize('attendance:read'), validate(schemas.history), async (req, res) => {
+        try {
+            res.json(await attendance.history(req.user, req.params.id));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch attendance history');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createAttendanceRouter };
@@ -0,0 +1,204 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const schemas = require('../schemas/auth');
+
+const createAuthRouter = ({ services, auth, config }) => {
+    const router = express.Router();
+    const { users, sessions, accounts, loginGuard } = services;
+
+    const { windowMs, maxPerIp, maxPerUsername } = config.security.loginRateLimit;
+    const loginLimits = [
+        rateLimit({ windowMs, max: maxPerIp, message: 'Too many login attempts from this address, please try again later' }),
+        rateLimit({
+            windowMs,
+            max: maxPerUsername,
+            key: (req) => (typeof req.body?.username === 'string' ? req.body.username.toLowerCase() : null),
+            message: 'Too many login attempts for this account, please try again later'
+        })
+    ];
+
+    // User registration
+    router.post('/register', validate(schemas.register), async (req, res) => {
+        const { 
+            username, 
+            password, 
+            email, 
+            firstName,
+            lastName,
+            user_type,
+            phone_number, 
+            address, 
+            subject_specialization 
+        } = req.body;
+
+        try {
+            if (await users.usernameOrEmailExists(username, email)) {
+                return sendError(res, 400, 'Username or email already exists', { code: 'ALREADY_EXISTS' });
+            }
+
+            const userId = await users.register({
+                username,
+                password,
+                email,
+                firstName,
+                lastName,
+                user_type: user_type.trim().toLowerCase(),
+                phone_number,
+                address,
+                subject_specialization
+            });
+
+            // The account exists either way; a failed email can be resent later
+            try {
+                await accounts.sendVerification(userId);
+            } catch (error) {
+                console.error('Verification email error:', error);
+            }
+
+            res.status(201).json({ message: 'User registered successfully. Check your email to verify your account.' });
+        } catch (error) {
+            console.error('Registration error:', error);
+            sendError(res, 500, 'Registration failed');
+        }
+    });
+
+    // User login
+    router.post('/login', ...loginLimits, validate(schemas.login), async (req, res) => {
+        const { username, password } = req.body;
+        const ip = req.ip;
+
+        try {
+            const user = await users.findByUsername(username);
+            if (!user || !user.password) {
+                await loginGuard.recordFailure({ user, username, ip, reason: 'unknown_user' });
+                return sendError(res, 401, 'Invalid credentials');
+            }
+
+            await loginGuard.assertNotLocked(user, ip);
+            await loginGuard.delay(user);
+
+            if (!(await users.verifyPassword(user, password))) {
+                await loginGuard.recordFailure({ user, username, ip, reason: 'invalid_password' });
+                return sendError(res, 401, 'Invalid credentials');
+            }
+
+            if (!user.email_verified_at) {
+                await loginGuard.recordFailure({ user, username, ip, reason: 'unverified' });
+                return sendError(res, 403, 'Please verify your email address before logging in', { code: 'EMAIL_NOT_VERIFIED' });
+            }
+
+            await loginGuard.recordSuccess({ user, ip });
+            await users.touchLastLogin(user.user_id);
+
+            const { token, refreshToken } = await sessions.create(user.user_id, {
+                userAgent: req.get('user-agent'),
+                ip: req.ip
+            });
+            const userDetails = await users.getProfile(user);
+
+            res.json({ token, refreshToken, user: userDetails });
+        } catch (error) {
+            handleError(res, error, 'Login failed');
+        }
+    });
+
+    // Exchange a refresh token for a new access token and refresh token
+    router.post('/auth/refresh', validate(schemas.refreshToken), async (req, res) => {
+        try {
+            res.json(await sessions.refresh(req.body.refreshToken));
+        } catch (error) {
+            handleError(res, error, 'Failed to refresh session');
+        }
+    });
+
+    // End the session a refresh token belongs to
+    router.post('/auth/logout', validate(schemas.refreshToken), async (req, res) => {
+        try {
+            await sessions.revokeByRefreshToken(req.body.refreshToken);
+            res.json({ message: 'Logged out' });
+        } catch (error) {
+            handleError(res, error, 'Failed to log out');
+        }
+    });
+
+    // End every session of the current user (log out all devices)
+    router.post('/auth/logout-all', auth.authorize('sessions:manage'), async (req, res) => {
+        try {
+            const revoked = await sessions.revokeAll(req.user.user_id);
+            res.json({ message: 'Logged out of all devices', revoked });
+        } catch (error) {
+            handleError(res, error, 'Failed to log out');
+        }
+    });
+
+    // Email a password reset link (same response whether or not the email exists)
+    router.post('/auth/forgot-password', validate(schemas.forgotPassword), async (req, res) => {
+        try {
+            await accounts.requestPasswordReset(req.body.email);
+            res.json({ message: 'If that email is registered, a reset link has been sent.' });
+        } catch (error) {
+            handleError(res, error, 'Failed to request password reset');
+        }
+    });
+
+    // Set a new password with a reset token
+    router.post('/auth/reset-password', validate(schemas.resetPassword), async (req, res) => {
+        try {
+            await accounts.resetPassword(req.body.token, req.body.password);
+            res.json({ message: 'Password has been reset. Please log in again.' });
+        } catch (error) {
+            handleError(res, error, 'Failed to reset password');
+        }
+    });
+
+    // Confirm an email address
+    router.post('/auth/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+        try {
+            await accounts.verifyEmail(req.body.token);
+            res.json({ message: 'Email verified' });
+        } catch (error) {
+            handleError(res, error, 'Failed to verify email');
+        }
+    });
+
+    // Resend the verification email, identified by username and password
+    // since unverified users cannot log in
+    router.post('/auth/resend-verification', validate(schemas.login), async (req, res) => {
+        try {
+            const user = await users.findByUsername(req.body.username);
+            if (!user || !user.password || !(await users.verifyPassword(user, req.body.password))) {
+                return sendError(res, 401, 'Invalid credentials');
+            }
+            await accounts.sendVerification(user.user_id);
+            res.json({ message: 'Verification email sent' });
+        } catch (error) {
+            handleError(res, error, 'Failed to send verification email');
+        }
+    });
+
+    // Choose a username and password from an invitation link
+    router.post('/auth/accept-invitation', validate(schemas.acceptInvitation), async (req, res) => {
+        try {
+            await accounts.acceptInvitation(req.body.token, req.body);
+            res.json({ message: 'Account activated. You can now log in.' });
+        } catch (error) {
+            handleError(res, error, 'Failed to accept invitation');
+        }
+    });
+
+    // Active sessions of the current user
+    router.get('/auth/sessions', auth.authorize('sessions:manage'), async (req, res) => {
+        try {
+            const active = await sessions.listActive(req.user.user_id);
+            res.json(active.map(s => ({ ...s, current: s.session_id === req.sessionId })));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch sessions');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createAuthRouter };
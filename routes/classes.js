@@ -0,0 +1,70 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/classes');
+
+const createClassesRouter = ({ services, auth }) => {
+    const router = express.Router();
+    const { classes } = services;
+
+    // Get classes visible to the user
+    router.get('/classes', auth.authorize('classes:read'), async (req, res) => {
+        try {
+            res.json(await classes.list(req.user));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch classes');
+        }
+    });
+
+    // Add a class
+    router.post('/classes', auth.authorize('classes:manage'), validate(schemas.createClass), async (req, res) => {
+        try {
+            const classId = await classes.create(req.body);
+            res.status(201).json({ message: 'Class added', class_id: classId });
+        } catch (error) {
+            handleError(res, error, 'Failed to add class');
+        }
+    });
+
+    // Get one class with its class teacher
+    router.get('/classes/:class_id', auth.authorize('classes:read'), validate(schemas.classParams), auth.requireClassAccess, async (req, res) => {
+        try {
+            res.json(await classes.findById(req.params.class_id));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch class');
+        }
+    });
+
+    // Rename a class or change its class teacher (omit teacher_id to clear it)
+    router.put('/classes/:class_id', auth.authorize('classes:manage'), validate(schemas.updateClass), async (req, res) => {
+        try {
+            await classes.update(req.params.class_id, req.body);
+            res.json({ message: 'Class updated' });
+        } catch (error) {
+            handleError(res, error, 'Failed to update class');
+        }
+    });
+
+    // Delete a class that was never used
+    router.delete('/classes/:class_id', auth.authorize('classes:manage'), validate(schemas.classParams), async (req, res) => {
+        try {
+            await classes.remove(req.params.class_id);
+            res.json({ message: 'Class deleted' });
+        } catch (error) {
+            handleError(res, error, 'Failed to delete class');
+        }
+    });
+
+    // Get students in a class
+    router.get('/classes/:class_id/students', auth.authorize('classes:read'), validate(schemas.classParams), auth.requireClassAccess, async (req, res) => {
+        try {
+            res.json(await classes.listStudents(req.user, req.params.class_id));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch students for class');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createClassesRouter };
@@ -0,0 +1,80 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/contacts');
+
+const createContactsRouter = ({ services, auth }) => {
+    const router = express.Router();
+    const { contacts } = services;
+
+    // Get chat contacts the current user may message
+    router.get('/users', auth.authorize('users:read'), validate(schemas.list), async (req, res) => {
+        try {
+            res.json(await contacts.list(req.user, req.query));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch users');
+        }
+    });
+
+    // Users the current user has blocked
+    router.get('/blocks', auth.authorize('contacts:manage'), async (req, res) => {
+        try {
+            res.json(await contacts.listBlocked(req.user.user_id));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch blocked users');
+        }
+    });
+
+    // Block a user from messaging the current user, and the other way round
+    router.post('/users/:user_id/block', auth.authorize('contacts:manage'), validate(schemas.user), async (req, res) => {
+        try {
+            await contacts.block(req.user.user_id, Number(req.params.user_id));
+            res.json({ message: 'User blocked' });
+        } catch (error) {
+            handleError(res, error, 'Failed to block user');
+        }
+    });
+
+    // Unblock a user
+    router.delete('/users/:user_id/block', auth.authorize('contacts:manage'), validate(schemas.user), async (req, res) => {
+        try {
+            await contacts.unblock(req.user.user_id, Number(req.params.user_id));
+            res.json({ message: 'User unblocked' });
+        } catch (error) {
+            sendError(res, 500, 'Failed to unblock user');
+        }
+    });
+
+    // Report a user to the admins
+    router.post('/users/:user_id/report', auth.authorize('contacts:manage'), validate(schemas.report), async (req, res) => {
+        try {
+            const report = await contacts.report(req.user.user_id, Number(req.params.user_id), req.body);
+            res.status(201).json({ message: 'User reported', ...report });
+        } catch (error) {
+            handleError(res, error, 'Failed to report user');
+        }
+    });
+
+    // Reports of users, newest first
+    router.get('/user-reports', auth.authorize('reports:review'), validate(schemas.reports), async (req, res) => {
+        try {
+            res.json(await contacts.listReports(req.query));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch reports');
+        }
+    });
+
+    // Resolve or dismiss a report
+    router.patch('/user-reports/:report_id', auth.authorize('reports:review'), validate(schemas.review), async (req, res) => {
+        try {
+            await contacts.review(req.params.report_id, req.body, req.user.user_id);
+            res.json({ message: 'Report updated' });
+        } catch (error) {
+            handleError(res, error, 'Failed to update report');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createContactsRouter };
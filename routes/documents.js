@@ -0,0 +1,235 @@
+const express = require('express');
+const path = require('path');
+const { canAccessClass } = require('../permissions');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { CONTENT_TYPES } = require('../middleware/fileTypes');
+const schemas = require('../schemas/documents');
+
+const createDocumentsRouter = ({ pool, services, auth, uploads, storage }) => {
+    const router = express.Router();
+    const { documents, files, previews } = services;
+
+    const keyFor = (doc) => `documents/${doc.file_path}`;
+
+    // Where a client shows a document: its content type, an inline preview
+    // and, for PDFs and images, a thumbnail
+    const withPreview = (doc) => {
+        const contentType = doc.content_type || CONTENT_TYPES[path.extname(doc.file_path).toLowerCase()] || null;
+        return {
+            ...doc,
+            content_type: contentType,
+            preview_url: `/api/documents/${doc.document_id}/view`,
+            thumbnail_url: previews.canPreview(contentType) ? `/api/documents/${doc.document_id}/thumbnail` : null
+        };
+    };
+
+    const fileRequired = (res) => sendError(res, 400, 'File is required', {
+        code: 'VALIDATION_ERROR',
+        fields: [{ location: 'body', field: 'file', message: 'is required' }]
+    });
+
+    // Load the (not deleted) document into req.document if the user may see
+    // its class
+    const loadDocument = async (req, res, next) => {
+        try {
+            const doc = await documents.findById(req.params.document_id);
+            if (!doc) {
+                return sendError(res, 404, 'Document not found');
+            }
+            if (!(await canAccessClass(pool, req.user, doc.class_id))) {
+                return sendError(res, 403, 'Insufficient permissions');
+            }
+            req.document = doc;
+            next();
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch document');
+        }
+    };
+
+    // Same for a document in the trash
+    const loadTrashed = async (req, res, next) => {
+        try {
+            const doc = await documents.findTrashed(req.params.document_id);
+            if (!doc) {
+                return sendError(res, 404, 'Document not found in trash');
+            }
+            if (!(await canAccessClass(pool, req.user, doc.class_id))) {
+                return sendError(res, 403, 'Insufficient permissions');
+            }
+            req.document = doc;
+            next();
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch document');
+        }
+    };
+
+    // Get documents for a class
+    router.get('/classes/:class_id/documents', auth.authorize('documents:read'), validate(schemas.classParams), auth.requireClassAccess, async (req, res) => {
+        try {
+            res.json((await documents.listForClass(req.params.class_id)).map(withPreview));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch documents');
+        }
+    });
+
+    // Deleted documents of a class, with when each will be purged
+    router.get('/classes/:class_id/documents/trash', auth.authorize('documents:delete'), validate(schemas.classParams), auth.requireClassAccess, async (req, res) => {
+        try {
+            res.json(await documents.listTrash(req.params.class_id));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch deleted documents');
+        }
+    });
+
+    // Upload a document for a class (teacher only)
+    router.post('/classes/:class_id/documents', auth.authorize('documents:upload'), validate(schemas.classParams), auth.requireClassAccess, uploads.documentUpload.single('file'), validate(schemas.upload, { onInvalid: uploads.discardUpload('documents') }), async (req, res) => {
+        if (!req.file) {
+            return fileRequired(res);
+        }
+        try {
+            const doc = await documents.create({
+                title: req.body.title,
+                file_path: req.file.filename,
+                class_id: req.params.class_id,
+                uploaded_by: req.user.user_id
+            });
+            res.status(201).json({ message: 'Document uploaded', ...doc });
+        } catch (error) {
+            await uploads.removeFile('documents', req.file.filename);
+            console.error(error);
+            sendError(res, 500, 'Failed to upload document');
+        }
+    });
+
+    // Upload a new version of a document; earlier versions are kept
+    router.post('/documents/:document_id/versions', auth.authorize('documents:upload'), validate(schemas.document), loadDocument, uploads.documentUpload.single('file'), async (req, res) => {
+        if (!req.file) {
+            return fileRequired(res);
+        }
+        try {
+            const version = await documents.addVersion(req.document.document_id, {
+                file_path: req.file.filename,
+                uploaded_by: req.user.user_id
+            });
+            res.status(201).json({ message: 'New version uploaded', ...version });
+        } catch (error) {
+            await uploads.removeFile('documents', req.file.filename);
+            handleError(res, error, 'Failed to upload new version');
+        }
+    });
+
+    // Version history of a document
+    router.get('/documents/:document_id/versions', auth.authorize('documents:read'), validate(schemas.document), loadDocument, async (req, res) => {
+        try {
+            res.json(await documents.versions(req.document.document_id));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch versions');
+        }
+    });
+
+    // Download an earlier version of a document
+    router.get('/documents/:document_id/versions/:version/download', auth.authorize('documents:read'), validate(schemas.version), loadDocument, async (req, res) => {
+        try {
+            const version = await documents.findVersion(req.document.document_id, req.params.version);
+            if (!version) {
+                return sendError(res, 404, 'Version not found');
+            }
+            await storage.send(res, keyFor(version), { fileName: req.document.title || version.file_path });
+        } catch (error) {
+            sendError(res, 500, 'Failed to download document');
+        }
+    });
+
+    // Download a document by document_id
+    router.get('/documents/:document_id/download', auth.authorize('documents:read'), validate(schemas.document), loadDocument, async (req, res) => {
+        try {
+            await storage.send(res, keyFor(req.document), { fileName: req.document.title || req.document.file_path });
+        } catch (error) {
+            sendError(res, 500, 'Failed to download document');
+        }
+    });
+
+    // Signed, time-limited download link for a document
+    router.get('/documents/:document_id/link', auth.authorize('documents:read'), validate(schemas.document), loadDocument, async (req, res) => {
+        try {
+            res.json(storage.signedUrl(keyFor(req.document), { fileName: req.document.title || req.document.file_path }));
+        } catch (error) {
+            sendError(res, 500, 'Failed to create download link');
+        }
+    });
+
+    // View a document in the browser, with its real content type; supports
+    // Range requests so large PDFs can be shown page by page
+    router.get('/documents/:document_id/view', auth.authorize('documents:read'), validate(schemas.document), loadDocument, async (req, res) => {
+        try {
+            const contentType = await files.contentType('documents', req.document.file_path);
+            await storage.send(res, keyFor(req.document), {
+                fileName: req.document.file_path,
+                disposition: 'inline',
+                contentType
+            });
+        } catch (error) {
+            sendError(res, 500, 'Failed to view document');
+        }
+    });
+
+    // Thumbnail of a PDF's first page or of an image, made on first request
+    router.get('/documents/:document_id/thumbnail', auth.authorize('documents:read'), validate(schemas.document), loadDocument, async (req, res) => {
+        // A new version has a new file, so the file name identifies the thumbnail
+        const etag = `"${req.document.file_path}"`;
+        res.setHeader('ETag', etag);
+        res.setHeader('Cache-Control', 'private, no-cache');
+        if (req.headers['if-none-match'] === etag) {
+            return res.status(304).end();
+        }
+        try {
+            const key = await previews.thumbnail('documents', req.document.file_path);
+            if (!key) {
+                return sendError(res, 404, 'No preview available for this document');
+            }
+            await storage.send(res, key, {
+                fileName: `${path.parse(req.document.file_path).name}.webp`,
+                disposition: 'inline',
+                contentType: 'image/webp'
+            });
+        } catch (error) {
+            console.error(error);
+            sendError(res, 500, 'Failed to fetch preview');
+        }
+    });
+
+    // Move a document to the trash (teacher or admin)
+    router.delete('/documents/:document_id', auth.authorize('documents:delete'), validate(schemas.document), loadDocument, async (req, res) => {
+        try {
+            await documents.trash(req.document.document_id, req.user.user_id);
+            res.json({ message: 'Document moved to trash' });
+        } catch (error) {
+            sendError(res, 500, 'Failed to delete document');
+        }
+    });
+
+    // Restore a document from the trash
+    router.post('/documents/:document_id/restore', auth.authorize('documents:delete'), validate(schemas.document), loadTrashed, async (req, res) => {
+        try {
+            await documents.restore(req.document.document_id);
+            res.json({ message: 'Document restored' });
+        } catch (error) {
+            sendError(res, 500, 'Failed to restore document');
+        }
+    });
+
+    // Delete a document in the trash and all its files for good
+    router.delete('/documents/:document_id/purge', auth.authorize('documents:delete'), validate(schemas.document), loadTrashed, async (req, res) => {
+        try {
+            await documents.purge(req.document.document_id);
+            res.json({ message: 'Document permanently deleted' });
+        } catch (error) {
+            sendError(res, 500, 'Failed to delete document');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createDocumentsRouter };
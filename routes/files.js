@@ -0,0 +1,25 @@
+const express = require('express');
+const { sendError } = require('../errors');
+
+// Downloads through signed links (see storage.signedUrl). The link itself
+// is the credential, so these routes need no login.
+const createFilesRouter = ({ storage }) => {
+    const router = express.Router();
+
+    router.get('/files/:folder/:file_name', async (req, res) => {
+        const key = `${req.params.folder}/${req.params.file_name}`;
+        if (!storage.verify(key, req.query)) {
+            return sendError(res, 403, 'Download link is invalid or has expired', { code: 'INVALID_LINK' });
+        }
+        try {
+            await storage.send(res, key, { fileName: req.query.name });
+        } catch (error) {
+            console.error(error);
+            sendError(res, 500, 'Failed to download file');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createFilesRouter };
@@ -0,0 +1,128 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/gradebook');
+
+const createGradebookRouter = ({ services, auth }) => {
+    const router = express.Router();
+    const { gradebook } = services;
+
+    // Get all terms
+    router.get('/terms', auth.authorize('grades:read'), async (req, res) => {
+        try {
+            res.json(await gradebook.listTerms());
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch terms');
+        }
+    });
+
+    // Add a term
+    router.post('/terms', auth.authorize('terms:manage'), validate(schemas.createTerm), async (req, res) => {
+        try {
+            const termId = await gradebook.createTerm(req.body);
+            res.status(201).json({ message: 'Term added', term_id: termId });
+        } catch (error) {
+            handleError(res, error, 'Failed to add term');
+        }
+    });
+
+    // Update a term
+    router.put('/terms/:term_id', auth.authorize('terms:manage'), validate(schemas.updateTerm), async (req, res) => {
+        try {
+            await gradebook.updateTerm(req.params.term_id, req.body);
+            res.json({ message: 'Term updated' });
+        } catch (error) {
+            handleError(res, error, 'Failed to update term');
+        }
+    });
+
+    // Delete a term without assessments
+    router.delete('/terms/:term_id', auth.authorize('terms:manage'), validate(schemas.removeTerm), async (req, res) => {
+        try {
+            await gradebook.removeTerm(req.params.term_id);
+            res.json({ message: 'Term deleted' });
+        } catch (error) {
+            handleError(res, error, 'Failed to delete term');
+        }
+    });
+
+    // Assessments set for a class, optionally for one term or subject
+    router.get('/classes/:class_id/assessments', auth.authorize('grades:read'), validate(schemas.classAssessments), auth.requireClassAccess, async (req, res) => {
+        try {
+            res.json(await gradebook.listForClass(req.params.class_id, req.query));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch assessments');
+        }
+    });
+
+    // Set an assessment for a subject the teacher teaches in the class
+    router.post('/classes/:class_id/assessments', auth.authorize('grades:record'), validate(schemas.createAssessment), auth.requireClassAccess, async (req, res) => {
+        try {
+            const assessmentId = await gradebook.createAssessment(req.user, req.params.class_id, req.body);
+            res.status(201).json({ message: 'Assessment added', assessment_id: assessmentId });
+        } catch (error) {
+            handleError(res, error, 'Failed to add assessment');
+        }
+    });
+
+    // Update an assessment
+    router.put('/assessments/:id', auth.authorize('grades:record'), validate(schemas.updateAssessment), async (req, res) => {
+        try {
+            await gradebook.updateAssessment(req.user, req.params.id, req.body);
+            res.json({ message: 'Assessment updated' });
+        } catch (error) {
+            handleError(res, error, 'Failed to update assessment');
+        }
+    });
+
+    // Delete an assessment and its marks
+    router.delete('/assessments/:id', auth.authorize('grades:record'), validate(schemas.assessmentParams), async (req, res) => {
+        try {
+            await gradebook.removeAssessment(req.user, req.params.id);
+            res.json({ message: 'Assessment deleted' });
+        } catch (error) {
+            handleError(res, error, 'Failed to delete assessment');
+        }
+    });
+
+    // Mark sheet for an assessment
+    router.get('/assessments/:id/marks', auth.authorize('grades:record'), validate(schemas.assessmentParams), async (req, res) => {
+        try {
+            res.json(await gradebook.marksFor(req.user, req.params.id));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch marks');
+        }
+    });
+
+    // Enter or correct marks for an assessment
+    router.put('/assessments/:id/marks', auth.authorize('grades:record'), validate(schemas.recordMarks), async (req, res) => {
+        try {
+            const counts = await gradebook.recordMarks(req.user, req.params.id, req.body);
+            res.json({ message: 'Marks saved', ...counts });
+        } catch (error) {
+            handleError(res, error, 'Failed to save marks');
+        }
+    });
+
+    // Term averages and ranks for a class
+    router.get('/classes/:class_id/results', auth.authorize('grades:report'), validate(schemas.classResults), auth.requireClassAccess, async (req, res) => {
+        try {
+            res.json(await gradebook.classResults(req.params.class_id, req.query.term_id));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch results');
+        }
+    });
+
+    // A student's term report card
+    router.get('/students/:id/report-card', auth.authorize('grades:read'), validate(schemas.reportCard), async (req, res) => {
+        try {
+            res.json(await gradebook.reportCard(req.user, req.params.id, req.query.term_id));
+        } catch (error) {
+            handleError(res, error, 'Failed to build report card');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createGradebookRouter };
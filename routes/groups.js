@@ -0,0 +1,114 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/groups');
+
+const createGroupsRouter = ({ services, auth, uploads }) => {
+    const router = express.Router();
+    const { groups } = services;
+
+    // Load the group into req.group if the user is a member
+    const loadGroup = async (req, res, next) => {
+        try {
+            req.group = await groups.details(req.user.user_id, req.params.group_id);
+            next();
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch group');
+        }
+    };
+
+    // Create a group conversation; the creator becomes its owner
+    router.post('/groups', auth.authorize('messages:send'), validate(schemas.create), async (req, res) => {
+        try {
+            res.status(201).json(await groups.create(req.user, req.body));
+        } catch (error) {
+            handleError(res, error, 'Failed to create group');
+        }
+    });
+
+    // The channel of a class, for its teachers and the parents of its students
+    router.get('/classes/:class_id/channel', auth.authorize('messages:send'), validate(schemas.classChannel), async (req, res) => {
+        try {
+            res.json(await groups.classChannel(req.user.user_id, Number(req.params.class_id)));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch class channel');
+        }
+    });
+
+    // A group with its members
+    router.get('/groups/:group_id', auth.authorize('messages:send'), validate(schemas.group), loadGroup, (req, res) => {
+        res.json(req.group);
+    });
+
+    // Rename a group (owner only)
+    router.patch('/groups/:group_id', auth.authorize('messages:send'), validate(schemas.rename), async (req, res) => {
+        try {
+            res.json(await groups.rename(req.user.user_id, req.params.group_id, req.body));
+        } catch (error) {
+            handleError(res, error, 'Failed to update group');
+        }
+    });
+
+    // Add members to a group (owner only)
+    router.post('/groups/:group_id/members', auth.authorize('messages:send'), validate(schemas.addMembers), async (req, res) => {
+        try {
+            res.json(await groups.addMembers(req.user, req.params.group_id, req.body));
+        } catch (error) {
+            handleError(res, error, 'Failed to add members');
+        }
+    });
+
+    // Remove a member (owner only), or leave the group
+    router.delete('/groups/:group_id/members/:user_id', auth.authorize('messages:send'), validate(schemas.member), async (req, res) => {
+        try {
+            await groups.removeMember(req.user.user_id, req.params.group_id, Number(req.params.user_id));
+            res.json({ message: 'Member removed' });
+        } catch (error) {
+            handleError(res, error, 'Failed to remove member');
+        }
+    });
+
+    // Get a page of a group's messages
+    router.get('/groups/:group_id/messages', auth.authorize('messages:send'), validate(schemas.history), async (req, res) => {
+        try {
+            res.json(await groups.history(req.user.user_id, req.params.group_id, {
+                before: req.query.before && Number(req.query.before),
+                limit: req.query.limit && Number(req.query.limit)
+            }));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch messages');
+        }
+    });
+
+    // Post to a group, optionally with an attached file
+    router.post('/groups/:group_id/messages', auth.authorize('messages:send'), validate(schemas.group), loadGroup, uploads.attachmentUpload.single('file'), validate(schemas.send, { onInvalid: uploads.discardUpload('attachments') }), async (req, res) => {
+        if (!req.body.message && !req.file) {
+            return sendError(res, 400, 'Message or file is required', {
+                code: 'VALIDATION_ERROR',
+                fields: [{ location: 'body', field: 'message', message: 'is required' }]
+            });
+        }
+        try {
+            const attachment = req.file && { file_path: req.file.filename, name: req.file.originalname };
+            const sent = await groups.send(req.user.user_id, req.group.group_id, req.body, attachment);
+            res.status(201).json({ message: 'Message sent', message_id: sent.message_id });
+        } catch (error) {
+            if (req.file) await uploads.removeFile('attachments', req.file.filename);
+            handleError(res, error, 'Failed to send message');
+        }
+    });
+
+    // Mark everything in a group as read
+    router.post('/groups/:group_id/read', auth.authorize('messages:send'), validate(schemas.group), async (req, res) => {
+        try {
+            const updated = await groups.markRead(req.user.user_id, req.params.group_id);
+            res.json({ message: 'Group marked as read', updated });
+        } catch (error) {
+            handleError(res, error, 'Failed to mark group as read');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createGroupsRouter };
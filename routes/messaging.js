@@ -0,0 +1,121 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/messaging');
+
+const createMessagingRouter = ({ services, auth, uploads, storage, realtime }) => {
+    const router = express.Router();
+    const { messages } = services;
+
+    // Realtime events: typing indicators and read receipts from clients, and
+    // delivery of messages that arrived while the user was offline
+    realtime.on('typing', schemas.events.typing, (user, event) => messages.typing(user, event));
+    realtime.on('read', schemas.events.read, (user, event) => messages.markRead(user.user_id, event.message_ids));
+    realtime.onConnect(user => messages.markDelivered(user.user_id));
+    // Users see the presence of the people they may message
+    realtime.audience({ visible: services.contacts.reachable, watchers: services.contacts.reachableBy });
+
+    // Conversations of the current user with the last message and unread count
+    router.get('/conversations', auth.authorize('messages:send'), async (req, res) => {
+        try {
+            res.json(await messages.conversations(req.user.user_id));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch conversations');
+        }
+    });
+
+    // Mark every message from a user in the conversation as read
+    router.post('/conversations/:user_id/read', auth.authorize('messages:send'), validate(schemas.conversationRead), async (req, res) => {
+        try {
+            const updated = await messages.markConversationRead(req.user.user_id, Number(req.params.user_id));
+            res.json({ message: 'Conversation marked as read', updated });
+        } catch (error) {
+            sendError(res, 500, 'Failed to mark conversation as read');
+        }
+    });
+
+    // Get a page of messages between current user and selected user
+    router.get('/messages', auth.authorize('messages:send'), validate(schemas.conversation), async (req, res) => {
+        try {
+            res.json(await messages.conversation(req.user.user_id, req.query.userId, {
+                before: req.query.before && Number(req.query.before),
+                limit: req.query.limit && Number(req.query.limit)
+            }));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch messages');
+        }
+    });
+
+    // Send a message, optionally with an attached file
+    router.post('/messages', auth.authorize('messages:send'), uploads.attachmentUpload.single('file'), validate(schemas.send, { onInvalid: uploads.discardUpload('attachments') }), async (req, res) => {
+        if (!req.body.message && !req.file) {
+            return sendError(res, 400, 'Message or file is required', {
+                code: 'VALIDATION_ERROR',
+                fields: [{ location: 'body', field: 'message', message: 'is required' }]
+            });
+        }
+        try {
+            const attachment = req.file && { file_path: req.file.filename, name: req.file.originalname };
+            const sent = await messages.send(req.user, req.body, attachment);
+            res.status(201).json({ message: 'Message sent', message_id: sent.message_id });
+        } catch (error) {
+            if (req.file) await uploads.removeFile('attachments', req.file.filename);
+            handleError(res, error, 'Failed to send message');
+        }
+    });
+
+    // Download the file attached to a message
+    router.get('/messages/:message_id/attachment', auth.authorize('messages:send'), validate(schemas.message), async (req, res) => {
+        try {
+            const row = await messages.findAttachment(req.user.user_id, req.params.message_id);
+            if (!row) {
+                return sendError(res, 404, 'Attachment not found');
+            }
+            await storage.send(res, `attachments/${row.attachment_path}`, { fileName: row.attachment_name });
+        } catch (error) {
+            sendError(res, 500, 'Failed to download attachment');
+        }
+    });
+
+    // Edit a message shortly after sending it
+    router.patch('/messages/:message_id', auth.authorize('messages:send'), validate(schemas.edit), async (req, res) => {
+        try {
+            res.json(await messages.edit(req.user.user_id, req.params.message_id, req.body));
+        } catch (error) {
+            handleError(res, error, 'Failed to edit message');
+        }
+    });
+
+    // Delete a message shortly after sending it
+    router.delete('/messages/:message_id', auth.authorize('messages:send'), validate(schemas.message), async (req, res) => {
+        try {
+            await messages.remove(req.user.user_id, req.params.message_id);
+            res.json({ message: 'Message deleted' });
+        } catch (error) {
+            handleError(res, error, 'Failed to delete message');
+        }
+    });
+
+    // Mark messages sent to the current user as read
+    router.post('/messages/read', auth.authorize('messages:send'), validate(schemas.markRead), async (req, res) => {
+        try {
+            const updated = await messages.markRead(req.user.user_id, req.body.message_ids);
+            res.json({ message: 'Messages marked as read', updated });
+        } catch (error) {
+            sendError(res, 500, 'Failed to mark messages as read');
+        }
+    });
+
+    // Connected users whose presence the current user may see
+    router.get('/active-users', auth.authorize('presence:read'), async (req, res) => {
+        try {
+            res.json(await messages.activeUsers(req.user));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch active users');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createMessagingRouter };
@@ -0,0 +1,92 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/notifications');
+
+const createNotificationsRouter = ({ services, auth }) => {
+    const router = express.Router();
+    const { notifications, deliveries } = services;
+
+    // Get user notifications
+    router.get('/notifications', auth.authorize('notifications:read'), async (req, res) => {
+        try {
+            res.json(await notifications.listForUser(req.user.user_id));
+        } catch (error) {
+            console.error(error);
+            sendError(res, 500, 'Failed to fetch notifications');
+        }
+    });
+
+    // How many of the user's notifications are unread
+    router.get('/notifications/unread-count', auth.authorize('notifications:read'), async (req, res) => {
+        try {
+            res.json({ count: await notifications.unreadCount(req.user.user_id) });
+        } catch (error) {
+            console.error(error);
+            sendError(res, 500, 'Failed to count notifications');
+        }
+    });
+
+    // Mark all of the user's notifications as read
+    router.post('/notifications/read-all', auth.authorize('notifications:read'), async (req, res) => {
+        try {
+            const updated = await notifications.markAllRead(req.user.user_id);
+            res.json({ message: 'Notifications marked as read', updated });
+        } catch (error) {
+            console.error(error);
+            sendError(res, 500, 'Failed to update notifications');
+        }
+    });
+
+    // Mark notification as read
+    router.patch('/notifications/:id/read', auth.authorize('notifications:read'), validate(schemas.markRead), async (req, res) => {
+        try {
+            await notifications.markRead(req.params.id, req.user.user_id);
+            res.json({ message: 'Notification marked as read' });
+        } catch (error) {
+            console.error(error);
+            sendError(res, 500, 'Failed to update notification');
+        }
+    });
+
+    // The events the user can be notified of, with the channels for each
+    router.get('/notification-preferences', auth.authorize('notifications:read'), async (req, res) => {
+        try {
+            res.json(await notifications.preferences(req.user));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch notification preferences');
+        }
+    });
+
+    // Choose the channels for one event
+    router.put('/notification-preferences/:event_type', auth.authorize('notifications:read'), validate(schemas.preference), async (req, res) => {
+        try {
+            res.json(await notifications.setPreference(req.user, req.params.event_type, req.body));
+        } catch (error) {
+            handleError(res, error, 'Failed to update notification preferences');
+        }
+    });
+
+    // The email and SMS delivery queue, most recent first
+    router.get('/notification-deliveries', auth.authorize('notifications:manage'), validate(schemas.deliveries), async (req, res) => {
+        try {
+            res.json(await deliveries.list(req.query));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch deliveries');
+        }
+    });
+
+    // Queue a failed delivery again
+    router.post('/notification-deliveries/:delivery_id/retry', auth.authorize('notifications:manage'), validate(schemas.delivery), async (req, res) => {
+        try {
+            await deliveries.retry(Number(req.params.delivery_id));
+            res.json({ message: 'Delivery queued' });
+        } catch (error) {
+            handleError(res, error, 'Failed to retry delivery');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createNotificationsRouter };
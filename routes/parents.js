@@ -0,0 +1,70 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/parents');
+
+const createParentsRouter = ({ services, auth }) => {
+    const router = express.Router();
+    const { parents, accounts } = services;
+
+    // Get all parents
+    router.get('/parents', auth.authorize('parents:read'), async (req, res) => {
+        try {
+            res.json(await parents.list());
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch parents');
+        }
+    });
+
+    // Add new parent
+    router.post('/parents', auth.authorize('parents:manage'), validate(schemas.create), async (req, res) => {
+        try {
+            const parentId = await parents.create(req.body);
+            // The parent is saved either way; a failed invitation can be
+            // resent with POST /parents/:id/invite
+            try {
+                await accounts.sendInvitation(parentId);
+            } catch (error) {
+                console.error('Parent invitation error:', error);
+                return res.status(201).json({ message: 'Parent added, but the invitation could not be sent', parent_id: parentId });
+            }
+            res.status(201).json({ message: 'Parent added and invitation sent', parent_id: parentId });
+        } catch (error) {
+            handleError(res, error, 'Failed to add parent');
+        }
+    });
+
+    // Resend the account invitation
+    router.post('/parents/:id/invite', auth.authorize('parents:manage'), validate(schemas.invite), async (req, res) => {
+        try {
+            await accounts.sendInvitation(req.params.id);
+            res.json({ message: 'Invitation sent' });
+        } catch (error) {
+            handleError(res, error, 'Failed to send invitation');
+        }
+    });
+
+    // Update parent
+    router.put('/parents/:id', auth.authorize('parents:manage'), validate(schemas.update), async (req, res) => {
+        try {
+            await parents.update(req.params.id, req.body);
+            res.json({ message: 'Parent updated' });
+        } catch (error) {
+            sendError(res, 500, 'Failed to update parent');
+        }
+    });
+
+    // Delete parent
+    router.delete('/parents/:id', auth.authorize('parents:manage'), validate(schemas.remove), async (req, res) => {
+        try {
+            await parents.remove(req.params.id);
+            res.json({ message: 'Parent deleted' });
+        } catch (error) {
+            sendError(res, 500, 'Failed to delete parent');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createParentsRouter };
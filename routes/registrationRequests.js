@@ -0,0 +1,92 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const schemas = require('../schemas/registrationRequests');
+
+const createRegistrationRequestsRouter = ({ services, auth, config }) => {
+    const router = express.Router();
+    const { registrationRequests } = services;
+
+    // Anonymous submissions are limited per IP address
+    const submissionLimit = rateLimit({
+        ...config.security.registrationRequestRateLimit,
+        message: 'Too many registration requests from this address, please try again later'
+    });
+
+    // Status checks and withdrawals are limited so references can't be guessed
+    const lookupLimit = rateLimit({
+        ...config.security.registrationLookupRateLimit,
+        message: 'Too many registration lookups from this address, please try again later'
+    });
+
+    // Registration request (parent registers student for approval). Repeating
+    // a pending submission returns its reference instead of a second request.
+    router.post('/registration-request', submissionLimit, validate(schemas.create), async (req, res) => {
+        try {
+            const { reference, created } = await registrationRequests.create(req.body);
+            res.status(created ? 201 : 200).json({
+                message: created ? 'Registration request submitted' : 'Registration request already submitted',
+                reference
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to submit registration request');
+        }
+    });
+
+    // Check a request's status with its reference and the parent's email
+    router.get('/registration-request/status', lookupLimit, validate(schemas.status), async (req, res) => {
+        try {
+            res.json(await registrationRequests.status(req.query));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch registration request');
+        }
+    });
+
+    // Parent withdraws a request that has not been reviewed yet
+    router.post('/registration-request/withdraw', lookupLimit, validate(schemas.withdraw), async (req, res) => {
+        try {
+            await registrationRequests.withdraw(req.body);
+            res.json({ message: 'Registration request withdrawn' });
+        } catch (error) {
+            handleError(res, error, 'Failed to withdraw registration request');
+        }
+    });
+
+    // Get registration requests (for admin), optionally by ?status=
+    router.get('/registration-requests', auth.authorize('registration_requests:read'), validate(schemas.list), async (req, res) => {
+        try {
+            res.json(await registrationRequests.list(req.query));
+        } catch (error) {
+            console.error('Fetch registration requests error:', error);
+            sendError(res, 500, 'Failed to fetch registration requests');
+        }
+    });
+
+    // Approve registration request; approving again is a no-op
+    router.patch('/registration-requests/:id/approve', auth.authorize('registration_requests:review'), validate(schemas.approve), async (req, res) => {
+        try {
+            const result = await registrationRequests.approve(req.params.id, req.user.user_id, req.body || {});
+            res.json({
+                message: result.changed ? 'Request approved and student added.' : 'Request was already approved.',
+                student_id: result.student_id
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to approve request');
+        }
+    });
+
+    // Reject registration request; rejecting again is a no-op
+    router.patch('/registration-requests/:id/reject', auth.authorize('registration_requests:review'), validate(schemas.reject), async (req, res) => {
+        try {
+            const result = await registrationRequests.reject(req.params.id, req.user.user_id, req.body || {});
+            res.json({ message: result.changed ? 'Request rejected and parent notified.' : 'Request was already rejected.' });
+        } catch (error) {
+            handleError(res, error, 'Failed to reject request');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createRegistrationRequestsRouter };
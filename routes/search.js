@@ -0,0 +1,24 @@
+const express = require('express');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/search');
+
+const createSearchRouter = ({ services, auth }) => {
+    const router = express.Router();
+
+    // Search API
+    router.get('/search', auth.authorize('search:read'), validate(schemas.search), async (req, res) => {
+        const { q = '', type = 'all' } = req.query;
+        if (!q || q.length < 2) return res.json({ results: [] });
+
+        try {
+            res.json({ results: await services.search.search(req.user, q, type) });
+        } catch (err) {
+            console.error(err);
+            res.json({ results: [] });
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createSearchRouter };
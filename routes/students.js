@@ -0,0 +1,167 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/students');
+
+const createStudentsRouter = ({ services, auth }) => {
+    const router = express.Router();
+    const { students, accounts } = services;
+
+    // Get students visible to the user (active only unless ?status= is given)
+    router.get('/students', auth.authorize('students:read'), validate(schemas.list), async (req, res) => {
+        try {
+            res.json(await students.list(req.user, req.query));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch students');
+        }
+    });
+
+    // Add new student
+    router.post('/students', auth.authorize('students:manage'), validate(schemas.create), async (req, res) => {
+        try {
+            const studentId = await students.create(req.body, req.user.user_id);
+            res.status(201).json({ message: 'Student added', student_id: studentId });
+        } catch (error) {
+            handleError(res, error, 'Failed to add student');
+        }
+    });
+
+    // Get one student
+    router.get('/students/:id', auth.authorize('students:read'), validate(schemas.student), async (req, res) => {
+        try {
+            res.json(await students.findById(req.user, req.params.id));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch student');
+        }
+    });
+
+    // Student profile with class, parent, history, attendance and documents
+    router.get('/students/:id/profile', auth.authorize('students:read'), validate(schemas.student), async (req, res) => {
+        try {
+            res.json(await students.profile(req.user, req.params.id));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch student profile');
+        }
+    });
+
+    // Update student details
+    router.put('/students/:id', auth.authorize('students:manage'), validate(schemas.update), async (req, res) => {
+        try {
+            await students.update(req.params.id, req.body);
+            res.json({ message: 'Student updated' });
+        } catch (error) {
+            handleError(res, error, 'Failed to update student');
+        }
+    });
+
+    // Withdraw a student (records are kept)
+    router.delete('/students/:id', auth.authorize('students:manage'), validate(schemas.withdraw), async (req, res) => {
+        try {
+            await students.setStatus(req.params.id, { status: 'withdrawn', reason: req.body?.reason });
+            res.json({ message: 'Student withdrawn' });
+        } catch (error) {
+            handleError(res, error, 'Failed to withdraw student');
+        }
+    });
+
+    // Graduate, withdraw or re-activate a student
+    router.patch('/students/:id/status', auth.authorize('students:manage'), validate(schemas.setStatus), async (req, res) => {
+        try {
+            await students.setStatus(req.params.id, req.body);
+            res.json({ message: `Student marked ${req.body.status}` });
+        } catch (error) {
+            handleError(res, error, 'Failed to update student status');
+        }
+    });
+
+    // Move a student to another class
+    router.post('/students/:id/transfer', auth.authorize('students:manage'), validate(schemas.transfer), async (req, res) => {
+        try {
+            await students.transfer(req.params.id, req.body, req.user.user_id);
+            res.json({ message: 'Student transferred' });
+        } catch (error) {
+            handleError(res, error, 'Failed to transfer student');
+        }
+    });
+
+    // Guardians of a student, primary contact first
+    router.get('/students/:id/guardians', auth.authorize('students:read'), validate(schemas.student), async (req, res) => {
+        try {
+            res.json(await students.listGuardians(req.user, req.params.id));
+        } catch (error) {
+            handleError(res, error, 'Failed to fetch guardians');
+        }
+    });
+
+    // Link a parent account to a student
+    router.post('/students/:id/guardians', auth.authorize('students:manage'), validate(schemas.addGuardian), async (req, res) => {
+        try {
+            await students.addGuardian(req.params.id, req.body);
+            res.status(201).json({ message: 'Guardian added' });
+        } catch (error) {
+            handleError(res, error, 'Failed to add guardian');
+        }
+    });
+
+    // Change a guardian's relationship or make them the primary contact
+    router.patch('/students/:id/guardians/:guardian_id', auth.authorize('students:manage'), validate(schemas.updateGuardian), async (req, res) => {
+        try {
+            await students.updateGuardian(req.params.id, req.params.guardian_id, req.body);
+            res.json({ message: 'Guardian updated' });
+        } catch (error) {
+            handleError(res, error, 'Failed to update guardian');
+        }
+    });
+
+    // Unlink a guardian from a student
+    router.delete('/students/:id/guardians/:guardian_id', auth.authorize('students:manage'), validate(schemas.removeGuardian), async (req, res) => {
+        try {
+            await students.removeGuardian(req.params.id, req.params.guardian_id);
+            res.json({ message: 'Guardian removed' });
+        } catch (error) {
+            handleError(res, error, 'Failed to remove guardian');
+        }
+    });
+
+    // Create a student's login and send the invitation to set it up
+    router.post('/students/:id/account', auth.authorize('students:manage'), validate(schemas.createAccount), async (req, res) => {
+        try {
+            const account = await students.createAccount(req.params.id, req.body || {});
+            if (account.invite_to) await accounts.sendInvitation(account.user_id, { to: account.invite_to });
+            res.status(201).json({
+                message: account.invite_to ? 'Account created and invitation sent' : 'Account created; no email to send the invitation to',
+                user_id: account.user_id
+            });
+        } catch (error) {
+            handleError(res, error, 'Failed to create student account');
+        }
+    });
+
+    // Resend a student's account invitation
+    router.post('/students/:id/account/invite', auth.authorize('students:manage'), validate(schemas.student), async (req, res) => {
+        try {
+            const account = await students.accountInvitation(req.params.id);
+            if (!account.invite_to) {
+                return sendError(res, 409, 'No email to send the invitation to', { code: 'NO_RECIPIENT' });
+            }
+            await accounts.sendInvitation(account.user_id, { to: account.invite_to });
+            res.json({ message: 'Invitation sent' });
+        } catch (error) {
+            handleError(res, error, 'Failed to send invitation');
+        }
+    });
+
+    // Year-end promotion of a whole class to the next level
+    router.post('/classes/:class_id/promote', auth.authorize('students:manage'), validate(schemas.promote), async (req, res) => {
+        try {
+            const result = await students.promoteClass(req.params.class_id, req.body || {}, req.user.user_id);
+            res.json({ message: `${result.promoted} students promoted`, ...result });
+        } catch (error) {
+            handleError(res, error, 'Failed to promote class');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createStudentsRouter };
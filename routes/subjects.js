@@ -0,0 +1,91 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/subjects');
+
+const createSubjectsRouter = ({ services, auth }) => {
+    const router = express.Router();
+    const { subjects } = services;
+
+    // Get all subjects
+    router.get('/subjects', auth.authorize('subjects:read'), async (req, res) => {
+        try {
+            res.json(await subjects.list());
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch subjects');
+        }
+    });
+
+    // Add a subject
+    router.post('/subjects', auth.authorize('subjects:manage'), validate(schemas.create), async (req, res) => {
+        try {
+            const subjectId = await subjects.create(req.body);
+            res.status(201).json({ message: 'Subject added', subject_id: subjectId });
+        } catch (error) {
+            handleError(res, error, 'Failed to add subject');
+        }
+    });
+
+    // Update a subject
+    router.put('/subjects/:id', auth.authorize('subjects:manage'), validate(schemas.update), async (req, res) => {
+        try {
+            await subjects.update(req.params.id, req.body);
+            res.json({ message: 'Subject updated' });
+        } catch (error) {
+            handleError(res, error, 'Failed to update subject');
+        }
+    });
+
+    // Delete a subject no class takes
+    router.delete('/subjects/:id', auth.authorize('subjects:manage'), validate(schemas.subject), async (req, res) => {
+        try {
+            await subjects.remove(req.params.id);
+            res.json({ message: 'Subject deleted' });
+        } catch (error) {
+            handleError(res, error, 'Failed to delete subject');
+        }
+    });
+
+    // Subjects taught in a class and their teachers
+    router.get('/classes/:class_id/subjects', auth.authorize('subjects:read'), validate(schemas.classSubjects), auth.requireClassAccess, async (req, res) => {
+        try {
+            res.json(await subjects.listForClass(req.params.class_id));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch class subjects');
+        }
+    });
+
+    // Add a subject to a class, optionally with its teacher
+    router.post('/classes/:class_id/subjects', auth.authorize('subjects:manage'), validate(schemas.assign), async (req, res) => {
+        try {
+            await subjects.assign(req.params.class_id, req.body);
+            res.status(201).json({ message: 'Subject added to class' });
+        } catch (error) {
+            handleError(res, error, 'Failed to add subject to class');
+        }
+    });
+
+    // Change the teacher of a class subject (omit teacher_id to clear it)
+    router.put('/classes/:class_id/subjects/:subject_id', auth.authorize('subjects:manage'), validate(schemas.setTeacher), async (req, res) => {
+        try {
+            await subjects.setTeacher(req.params.class_id, req.params.subject_id, req.body);
+            res.json({ message: 'Subject teacher updated' });
+        } catch (error) {
+            handleError(res, error, 'Failed to update subject teacher');
+        }
+    });
+
+    // Remove a subject (and its lessons) from a class
+    router.delete('/classes/:class_id/subjects/:subject_id', auth.authorize('subjects:manage'), validate(schemas.unassign), async (req, res) => {
+        try {
+            await subjects.unassign(req.params.class_id, req.params.subject_id);
+            res.json({ message: 'Subject removed from class' });
+        } catch (error) {
+            handleError(res, error, 'Failed to remove subject from class');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createSubjectsRouter };
@@ -0,0 +1,100 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/timetable');
+
+const createTimetableRouter = ({ services, auth }) => {
+    const router = express.Router();
+    const { timetable } = services;
+
+    // The signed-in teacher's, student's or parent's week
+    router.get('/timetable/me', auth.authorize('timetable:read'), async (req, res) => {
+        try {
+            res.json(await timetable.forUser(req.user));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch timetable');
+        }
+    });
+
+    // Bell schedule
+    router.get('/timetable/periods', auth.authorize('timetable:read'), async (req, res) => {
+        try {
+            res.json(await timetable.listPeriods());
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch periods');
+        }
+    });
+
+    // Add a period to the bell schedule
+    router.post('/timetable/periods', auth.authorize('timetable:manage'), validate(schemas.createPeriod), async (req, res) => {
+        try {
+            await timetable.createPeriod(req.body);
+            res.status(201).json({ message: 'Period added' });
+        } catch (error) {
+            handleError(res, error, 'Failed to add period');
+        }
+    });
+
+    // Change a period's times
+    router.put('/timetable/periods/:period', auth.authorize('timetable:manage'), validate(schemas.updatePeriod), async (req, res) => {
+        try {
+            await timetable.updatePeriod(req.params.period, req.body);
+            res.json({ message: 'Period updated' });
+        } catch (error) {
+            handleError(res, error, 'Failed to update period');
+        }
+    });
+
+    // Remove a period with no lessons
+    router.delete('/timetable/periods/:period', auth.authorize('timetable:manage'), validate(schemas.removePeriod), async (req, res) => {
+        try {
+            await timetable.removePeriod(req.params.period);
+            res.json({ message: 'Period deleted' });
+        } catch (error) {
+            handleError(res, error, 'Failed to delete period');
+        }
+    });
+
+    // Weekly timetable of a class
+    router.get('/classes/:class_id/timetable', auth.authorize('timetable:read'), validate(schemas.classTimetable), auth.requireClassAccess, async (req, res) => {
+        try {
+            res.json(await timetable.forClass(req.params.class_id));
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch timetable');
+        }
+    });
+
+    // Add a lesson to a class timetable
+    router.post('/classes/:class_id/timetable', auth.authorize('timetable:manage'), validate(schemas.createEntry), async (req, res) => {
+        try {
+            const entryId = await timetable.createEntry(req.params.class_id, req.body);
+            res.status(201).json({ message: 'Lesson added', entry_id: entryId });
+        } catch (error) {
+            handleError(res, error, 'Failed to add lesson');
+        }
+    });
+
+    // Move or change a lesson
+    router.put('/timetable/entries/:entry_id', auth.authorize('timetable:manage'), validate(schemas.updateEntry), async (req, res) => {
+        try {
+            await timetable.updateEntry(req.params.entry_id, req.body);
+            res.json({ message: 'Lesson updated' });
+        } catch (error) {
+            handleError(res, error, 'Failed to update lesson');
+        }
+    });
+
+    // Remove a lesson
+    router.delete('/timetable/entries/:entry_id', auth.authorize('timetable:manage'), validate(schemas.removeEntry), async (req, res) => {
+        try {
+            await timetable.removeEntry(req.params.entry_id);
+            res.json({ message: 'Lesson deleted' });
+        } catch (error) {
+            handleError(res, error, 'Failed to delete lesson');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createTimetableRouter };
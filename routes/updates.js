@@ -0,0 +1,64 @@
+const express = require('express');
+const { sendError, handleError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { UPDATE_IMAGE_PREFIX } = require('../services/files');
+const schemas = require('../schemas/updates');
+
+const createUpdatesRouter = ({ services, auth, uploads }) => {
+    const router = express.Router();
+    const { updates } = services;
+
+    const imageUrl = (file) => (file ? `${UPDATE_IMAGE_PREFIX}${file.filename}` : null);
+
+    // An image uploaded for a request that then failed is not kept
+    const discardImage = async (req) => {
+        if (req.file) await uploads.removeFile('updates', req.file.filename);
+    };
+
+    // Get all updates
+    router.get('/updates', async (req, res) => {
+        try {
+            res.json(await updates.list());
+        } catch (error) {
+            sendError(res, 500, 'Failed to fetch updates');
+        }
+    });
+
+    // Post new update with image
+    router.post('/updates', auth.authorize('updates:manage'), uploads.updateImageUpload.single('image'), validate(schemas.create, { onInvalid: uploads.discardUpload('updates') }), async (req, res) => {
+        const { title, content } = req.body;
+        try {
+            await updates.create({ title, content, image_url: imageUrl(req.file) });
+            res.status(201).json({ message: 'Update posted' });
+        } catch (error) {
+            await discardImage(req);
+            sendError(res, 500, 'Failed to post update');
+        }
+    });
+
+    // Edit update with image; a new image replaces (and deletes) the old one
+    router.put('/updates/:id', auth.authorize('updates:manage'), uploads.updateImageUpload.single('image'), validate(schemas.update, { onInvalid: uploads.discardUpload('updates') }), async (req, res) => {
+        const { title, content } = req.body;
+        try {
+            await updates.update(req.params.id, { title, content, image_url: imageUrl(req.file) });
+            res.json({ message: 'Update edited' });
+        } catch (error) {
+            await discardImage(req);
+            handleError(res, error, 'Failed to edit update');
+        }
+    });
+
+    // Delete update and its image
+    router.delete('/updates/:id', auth.authorize('updates:manage'), validate(schemas.remove), async (req, res) => {
+        try {
+            await updates.remove(req.params.id);
+            res.json({ message: 'Update deleted' });
+        } catch (error) {
+            handleError(res, error, 'Failed to delete update');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createUpdatesRouter };
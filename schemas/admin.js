@@ -0,0 +1,23 @@
+const { idParam } = require('./common');
+
+const unlock = { params: idParam() };
+
+const loginAttempts = {
+    query: {
+        username: { type: 'string', maxLength: 50 },
+        ip: { type: 'string', maxLength: 45 },
+        limit: { type: 'integer', min: 1, max: 500 }
+    }
+};
+
+const createStaff = {
+    body: {
+        first_name: { type: 'string', required: true, maxLength: 50 },
+        last_name: { type: 'string', required: true, maxLength: 50 },
+        email: { type: 'email', required: true, maxLength: 100 },
+        user_type: { type: 'string', required: true, enum: ['teacher', 'admin'] },
+        subject_specialization: { type: 'string', maxLength: 100 }
+    }
+};
+
+module.exports = { unlock, loginAttempts, createStaff };
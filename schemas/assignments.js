@@ -0,0 +1,39 @@
+const { idParam } = require('./common');
+
+const details = {
+    title: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    instructions: { type: 'string', maxLength: 5000 },
+    subject_id: { type: 'integer', min: 1 },
+    document_id: { type: 'integer', min: 1 },
+    due_date: { type: 'date', required: true },
+    max_score: { type: 'number', min: 1, max: 1000 },
+    allow_late: { type: 'boolean' }
+};
+
+const classAssignments = { params: idParam('class_id') };
+
+const create = { params: idParam('class_id'), body: details };
+
+const update = { params: idParam(), body: details };
+
+const assignment = { params: idParam() };
+
+// Multipart body alongside the `file` field
+const submit = {
+    params: idParam(),
+    body: {
+        comment: { type: 'string', maxLength: 2000 }
+    }
+};
+
+const submission = { params: idParam() };
+
+const grade = {
+    params: idParam(),
+    body: {
+        score: { type: 'number', min: 0 },
+        feedback: { type: 'string', maxLength: 5000 }
+    }
+};
+
+module.exports = { classAssignments, create, update, assignment, submit, submission, grade };
@@ -0,0 +1,63 @@
+const { id, idParam } = require('./common');
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+const reason = { type: 'string', maxLength: 255 };
+
+// Period 0 (or no period) is a whole-day record
+const period = { type: 'integer', min: 0, max: 20 };
+
+const record = {
+    params: idParam('class_id'),
+    body: {
+        date: { type: 'date', required: true },
+        period,
+        attendance: {
+            type: 'array',
+            required: true,
+            min: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    student_id: id,
+                    status: { type: 'string', required: true, enum: ATTENDANCE_STATUSES },
+                    reason
+                }
+            }
+        }
+    }
+};
+
+const classAttendance = {
+    params: idParam('class_id'),
+    query: { date: { type: 'date', required: true }, period }
+};
+
+const report = {
+    query: { date: { type: 'date', required: true } }
+};
+
+// Reports default to the last 30 days
+const reportRange = {
+    query: {
+        from: { type: 'date' },
+        to: { type: 'date' },
+        class_id: { ...id, required: false }
+    }
+};
+
+const chronicReport = {
+    query: { ...reportRange.query, threshold: { type: 'number', min: 0, max: 100 } }
+};
+
+const correct = {
+    params: idParam(),
+    body: {
+        status: { type: 'string', required: true, enum: ATTENDANCE_STATUSES },
+        reason
+    }
+};
+
+const history = { params: idParam() };
+
+module.exports = { ATTENDANCE_STATUSES, record, classAttendance, report, reportRange, chronicReport, correct, history };
@@ -0,0 +1,63 @@
+// Only parents sign themselves up; staff accounts are created by an admin
+// (POST /api/staff) and student accounts from the student record
+const SELF_REGISTRATION_TYPES = ['parent'];
+
+const register = {
+    body: {
+        username: { type: 'string', required: true, minLength: 3, maxLength: 50 },
+        password: { type: 'string', required: true, minLength: 6, maxLength: 128 },
+        confirmPassword: { type: 'string', required: true, equals: 'password' },
+        email: { type: 'email', required: true, maxLength: 100 },
+        firstName: { type: 'string', required: true, maxLength: 50 },
+        lastName: { type: 'string', required: true, maxLength: 50 },
+        user_type: { type: 'string', required: true, enum: SELF_REGISTRATION_TYPES, ignoreCase: true },
+        phone_number: { type: 'string', maxLength: 20 },
+        address: { type: 'string', maxLength: 255 },
+        subject_specialization: { type: 'string', maxLength: 100 }
+    }
+};
+
+const login = {
+    body: {
+        username: { type: 'string', required: true },
+        password: { type: 'string', required: true }
+    }
+};
+
+const refreshToken = {
+    body: {
+        refreshToken: { type: 'string', required: true, maxLength: 128 }
+    }
+};
+
+const password = { type: 'string', required: true, minLength: 6, maxLength: 128 };
+const token = { type: 'string', required: true, maxLength: 128 };
+
+const forgotPassword = {
+    body: {
+        email: { type: 'email', required: true, maxLength: 100 }
+    }
+};
+
+const resetPassword = {
+    body: {
+        token,
+        password,
+        confirmPassword: { type: 'string', required: true, equals: 'password' }
+    }
+};
+
+const verifyEmail = {
+    body: { token }
+};
+
+const acceptInvitation = {
+    body: {
+        token,
+        username: { type: 'string', required: true, minLength: 3, maxLength: 50 },
+        password,
+        confirmPassword: { type: 'string', required: true, equals: 'password' }
+    }
+};
+
+module.exports = { register, login, refreshToken, forgotPassword, resetPassword, verifyEmail, acceptInvitation };
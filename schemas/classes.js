@@ -0,0 +1,15 @@
+const { idParam } = require('./common');
+
+const classParams = { params: idParam('class_id') };
+
+const classDetails = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+    level: { type: 'string', required: true, minLength: 1, maxLength: 20 },
+    teacher_id: { type: 'integer', min: 1 }
+};
+
+const createClass = { body: classDetails };
+
+const updateClass = { params: idParam('class_id'), body: classDetails };
+
+module.exports = { classParams, createClass, updateClass };
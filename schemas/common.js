@@ -0,0 +1,6 @@
+// Rules shared by several route schemas
+const id = { type: 'integer', required: true, min: 1 };
+
+const idParam = (name = 'id') => ({ [name]: id });
+
+module.exports = { id, idParam };
@@ -0,0 +1,34 @@
+const { id, idParam } = require('./common');
+
+const list = {
+    query: {
+        type: { type: 'string', required: true, enum: ['student', 'teacher', 'staff'] },
+        exclude: { type: 'integer', min: 1 }
+    }
+};
+
+const user = { params: idParam('user_id') };
+
+const report = {
+    params: idParam('user_id'),
+    body: {
+        reason: { type: 'string', required: true, minLength: 1, maxLength: 2000 },
+        message_id: { type: 'integer', min: 1 }
+    }
+};
+
+const reports = {
+    query: {
+        status: { type: 'string', enum: ['open', 'resolved', 'dismissed'] }
+    }
+};
+
+const review = {
+    params: { report_id: id },
+    body: {
+        status: { type: 'string', required: true, enum: ['resolved', 'dismissed'] },
+        notes: { type: 'string', maxLength: 2000 }
+    }
+};
+
+module.exports = { list, user, report, reports, review };
@@ -0,0 +1,15 @@
+const { id, idParam } = require('./common');
+
+const classParams = { params: idParam('class_id') };
+
+const upload = {
+    body: {
+        title: { type: 'string', maxLength: 255 }
+    }
+};
+
+const document = { params: idParam('document_id') };
+
+const version = { params: { document_id: id, version: id } };
+
+module.exports = { classParams, upload, document, version };
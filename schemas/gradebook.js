@@ -0,0 +1,86 @@
+const { id, idParam } = require('./common');
+
+const ASSESSMENT_TYPES = ['test', 'exam', 'assignment'];
+
+const term = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+    academic_year: { type: 'string', required: true, pattern: /^\d{4}(-\d{4})?$/ },
+    start_date: { type: 'date', required: true },
+    end_date: { type: 'date', required: true }
+};
+
+const createTerm = { body: term };
+
+const updateTerm = { params: idParam('term_id'), body: term };
+
+const removeTerm = { params: idParam('term_id') };
+
+// Weights are relative to the subject's other assessments in the term
+const assessment = {
+    term_id: id,
+    title: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    assessment_type: { type: 'string', required: true, enum: ASSESSMENT_TYPES },
+    max_score: { type: 'number', required: true, min: 1, max: 1000 },
+    weight: { type: 'number', min: 0.1, max: 100 },
+    assessment_date: { type: 'date' }
+};
+
+const classAssessments = {
+    params: idParam('class_id'),
+    query: {
+        term_id: { ...id, required: false },
+        subject_id: { ...id, required: false }
+    }
+};
+
+const createAssessment = {
+    params: idParam('class_id'),
+    body: { subject_id: id, ...assessment }
+};
+
+const updateAssessment = { params: idParam(), body: assessment };
+
+const assessmentParams = { params: idParam() };
+
+const recordMarks = {
+    params: idParam(),
+    body: {
+        marks: {
+            type: 'array',
+            required: true,
+            min: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    student_id: id,
+                    score: { type: 'number', required: true, min: 0 },
+                    remarks: { type: 'string', maxLength: 255 }
+                }
+            }
+        }
+    }
+};
+
+const classResults = {
+    params: idParam('class_id'),
+    query: { term_id: id }
+};
+
+const reportCard = {
+    params: idParam(),
+    query: { term_id: id }
+};
+
+module.exports = {
+    ASSESSMENT_TYPES,
+    createTerm,
+    updateTerm,
+    removeTerm,
+    classAssessments,
+    createAssessment,
+    updateAssessment,
+    assessmentParams,
+    recordMarks,
+    classResults,
+    reportCard
+};
@@ -0,0 +1,52 @@
+const { id, idParam } = require('./common');
+
+const name = { type: 'string', required: true, minLength: 1, maxLength: 100 };
+
+const userIds = {
+    type: 'array',
+    required: true,
+    min: 1,
+    max: 100,
+    items: { type: 'integer', min: 1 }
+};
+
+const group = { params: idParam('group_id') };
+
+const create = {
+    body: {
+        name,
+        member_ids: userIds
+    }
+};
+
+const rename = {
+    params: idParam('group_id'),
+    body: { name }
+};
+
+const addMembers = {
+    params: idParam('group_id'),
+    body: { user_ids: userIds }
+};
+
+const member = { params: { group_id: id, user_id: id } };
+
+// `before` is the next_cursor of the previous page
+const history = {
+    params: idParam('group_id'),
+    query: {
+        before: { type: 'integer', min: 1 },
+        limit: { type: 'integer', min: 1, max: 100 }
+    }
+};
+
+// The text may be left out when a file is attached (multipart field `file`)
+const send = {
+    body: {
+        message: { type: 'string', maxLength: 5000 }
+    }
+};
+
+const classChannel = { params: idParam('class_id') };
+
+module.exports = { group, create, rename, addMembers, member, history, send, classChannel };
@@ -0,0 +1,58 @@
+const { id, idParam } = require('./common');
+
+// `before` is the next_cursor of the previous page
+const conversation = {
+    query: {
+        userId: id,
+        before: { type: 'integer', min: 1 },
+        limit: { type: 'integer', min: 1, max: 100 }
+    }
+};
+
+const text = { type: 'string', required: true, minLength: 1, maxLength: 5000 };
+
+// The text may be left out when a file is attached (multipart field `file`)
+const send = {
+    body: {
+        to_user_id: id,
+        message: { type: 'string', maxLength: 5000 }
+    }
+};
+
+const edit = {
+    params: idParam('message_id'),
+    body: {
+        message: text
+    }
+};
+
+const message = { params: idParam('message_id') };
+
+const conversationRead = { params: idParam('user_id') };
+
+const messageIds = {
+    type: 'array',
+    required: true,
+    min: 1,
+    max: 500,
+    items: { type: 'integer', min: 1 }
+};
+
+const markRead = {
+    body: {
+        message_ids: messageIds
+    }
+};
+
+// Realtime events (see realtime/index.js)
+const events = {
+    typing: {
+        to_user_id: id,
+        is_typing: { type: 'boolean' }
+    },
+    read: {
+        message_ids: messageIds
+    }
+};
+
+module.exports = { conversation, send, edit, message, markRead, conversationRead, events };
@@ -0,0 +1,24 @@
+const { id, idParam } = require('./common');
+
+const markRead = { params: idParam() };
+
+const preference = {
+    params: {
+        event_type: { type: 'string', required: true, maxLength: 50 }
+    },
+    body: {
+        in_app: { type: 'boolean' },
+        email: { type: 'boolean' },
+        sms: { type: 'boolean' }
+    }
+};
+
+const deliveries = {
+    query: {
+        status: { type: 'string', enum: ['pending', 'sent', 'failed'] }
+    }
+};
+
+const delivery = { params: { delivery_id: id } };
+
+module.exports = { markRead, preference, deliveries, delivery };
@@ -0,0 +1,16 @@
+const { idParam } = require('./common');
+
+const body = {
+    first_name: { type: 'string', required: true, maxLength: 50 },
+    last_name: { type: 'string', required: true, maxLength: 50 },
+    email: { type: 'email', required: true, maxLength: 100 },
+    phone_number: { type: 'string', maxLength: 20 },
+    address: { type: 'string', maxLength: 255 }
+};
+
+const create = { body };
+const update = { params: idParam(), body };
+const remove = { params: idParam() };
+const invite = { params: idParam() };
+
+module.exports = { create, update, remove, invite };
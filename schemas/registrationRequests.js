@@ -0,0 +1,43 @@
+const { id, idParam } = require('./common');
+
+const create = {
+    body: {
+        student_name: { type: 'string', required: true, maxLength: 100 },
+        parent_name: { type: 'string', required: true, maxLength: 100 },
+        parent_email: { type: 'email', required: true, maxLength: 100 },
+        student_dob: { type: 'date' },
+        grade_level: { type: 'string', maxLength: 20 },
+        class_id: id
+    }
+};
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+
+const reason = { type: 'string', maxLength: 255 };
+
+const list = {
+    query: {
+        status: { type: 'string', enum: REQUEST_STATUSES }
+    }
+};
+
+const approve = {
+    params: idParam(),
+    body: {
+        reason,
+        allow_duplicate: { type: 'boolean' }
+    }
+};
+
+const reject = { params: idParam(), body: { reason } };
+
+const lookup = {
+    reference: { type: 'string', required: true, maxLength: 20 },
+    email: { type: 'email', required: true, maxLength: 100 }
+};
+
+const status = { query: lookup };
+
+const withdraw = { body: { ...lookup, reason } };
+
+module.exports = { REQUEST_STATUSES, create, list, approve, reject, status, withdraw };
@@ -0,0 +1,8 @@
+const search = {
+    query: {
+        q: { type: 'string', maxLength: 100 },
+        type: { type: 'string', enum: ['all', 'student', 'teacher', 'parent', 'document'] }
+    }
+};
+
+module.exports = { search };
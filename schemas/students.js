@@ -0,0 +1,109 @@
+const { id, idParam } = require('./common');
+
+const STUDENT_STATUSES = ['active', 'graduated', 'withdrawn'];
+const GUARDIAN_RELATIONSHIPS = ['mother', 'father', 'guardian', 'grandparent', 'sibling', 'other'];
+
+const details = {
+    student_name: { type: 'string', required: true, maxLength: 100 },
+    parent_id: { type: 'integer', min: 1 },
+    parent_name: { type: 'string', maxLength: 100 },
+    parent_email: { type: 'email', maxLength: 100 },
+    student_dob: { type: 'date' },
+    grade_level: { type: 'string', maxLength: 20 }
+};
+
+const list = {
+    query: {
+        status: { type: 'string', enum: [...STUDENT_STATUSES, 'all'] }
+    }
+};
+
+const create = {
+    body: {
+        ...details,
+        class_id: { type: 'integer', min: 1 }
+    }
+};
+
+const student = { params: idParam() };
+
+// parent_id is only set on creation; afterwards use the guardian endpoints
+const { parent_id, ...updatableDetails } = details;
+const update = { params: idParam(), body: updatableDetails };
+
+const transfer = {
+    params: idParam(),
+    body: {
+        class_id: id,
+        note: { type: 'string', maxLength: 255 }
+    }
+};
+
+const setStatus = {
+    params: idParam(),
+    body: {
+        status: { type: 'string', required: true, enum: STUDENT_STATUSES },
+        reason: { type: 'string', maxLength: 255 }
+    }
+};
+
+const withdraw = {
+    params: idParam(),
+    body: {
+        reason: { type: 'string', maxLength: 255 }
+    }
+};
+
+const promote = {
+    params: idParam('class_id'),
+    body: {
+        to_class_id: { type: 'integer', min: 1 }
+    }
+};
+
+const guardianParams = { id, guardian_id: id };
+
+const addGuardian = {
+    params: idParam(),
+    body: {
+        guardian_id: id,
+        relationship: { type: 'string', enum: GUARDIAN_RELATIONSHIPS },
+        is_primary: { type: 'boolean' }
+    }
+};
+
+const updateGuardian = {
+    params: guardianParams,
+    body: {
+        relationship: { type: 'string', enum: GUARDIAN_RELATIONSHIPS },
+        // Only true: the primary contact changes by making another guardian
+        // primary (see the students service)
+        is_primary: { type: 'boolean' }
+    }
+};
+
+const removeGuardian = { params: guardianParams };
+
+const createAccount = {
+    params: idParam(),
+    body: {
+        email: { type: 'email', maxLength: 100 }
+    }
+};
+
+module.exports = {
+    STUDENT_STATUSES,
+    GUARDIAN_RELATIONSHIPS,
+    list,
+    create,
+    student,
+    update,
+    transfer,
+    setStatus,
+    withdraw,
+    promote,
+    addGuardian,
+    updateGuardian,
+    removeGuardian,
+    createAccount
+};
@@ -0,0 +1,36 @@
+const { id, idParam } = require('./common');
+
+const details = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    code: { type: 'string', maxLength: 20 }
+};
+
+const create = { body: details };
+
+const update = { params: idParam(), body: details };
+
+const subject = { params: idParam() };
+
+const classSubjects = { params: idParam('class_id') };
+
+const classSubjectParams = { class_id: id, subject_id: id };
+
+const assign = {
+    params: idParam('class_id'),
+    body: {
+        subject_id: id,
+        teacher_id: { type: 'integer', min: 1 }
+    }
+};
+
+// `teacher_id: null` leaves the subject without a teacher
+const setTeacher = {
+    params: classSubjectParams,
+    body: {
+        teacher_id: { type: 'integer', min: 1 }
+    }
+};
+
+const unassign = { params: classSubjectParams };
+
+module.exports = { create, update, subject, classSubjects, assign, setTeacher, unassign };
@@ -0,0 +1,41 @@
+const { id, idParam } = require('./common');
+
+const time = { type: 'string', required: true, pattern: /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/ };
+
+const periodNumber = { type: 'integer', required: true, min: 1, max: 20 };
+
+const createPeriod = {
+    body: {
+        period: periodNumber,
+        start_time: time,
+        end_time: time
+    }
+};
+
+const updatePeriod = {
+    params: { period: periodNumber },
+    body: {
+        start_time: time,
+        end_time: time
+    }
+};
+
+const removePeriod = { params: { period: periodNumber } };
+
+// Days run from 1 (Monday) to 7 (Sunday)
+const lesson = {
+    subject_id: id,
+    day_of_week: { type: 'integer', required: true, min: 1, max: 7 },
+    period: periodNumber,
+    room: { type: 'string', maxLength: 50 }
+};
+
+const classTimetable = { params: idParam('class_id') };
+
+const createEntry = { params: idParam('class_id'), body: lesson };
+
+const updateEntry = { params: idParam('entry_id'), body: lesson };
+
+const removeEntry = { params: idParam('entry_id') };
+
+module.exports = { createPeriod, updatePeriod, removePeriod, classTimetable, createEntry, updateEntry, removeEntry };
@@ -0,0 +1,12 @@
+const { idParam } = require('./common');
+
+const body = {
+    title: { type: 'string', required: true, maxLength: 255 },
+    content: { type: 'string', maxLength: 10000 }
+};
+
+const create = { body };
+const update = { params: idParam(), body };
+const remove = { params: idParam() };
+
+module.exports = { create, update, remove };
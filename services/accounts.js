@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { ApiError } = require('../errors');
+
+const HOUR = 60 * 60 * 1000;
+
+// How long each kind of emailed link stays valid
+const TOKEN_TTL = {
+    password_reset: HOUR,
+    email_verification: 48 * HOUR,
+    invitation: 7 * 24 * HOUR
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Password reset, email verification and invitations, all driven by
+// single-use emailed tokens
+const createAccountService = (pool, { config, mailer, sessions }) => {
+    const link = (route, token) => `${config.appUrl}/${route}?token=${encodeURIComponent(token)}`;
+
+    const findUser = async (userId) => {
+        const [[user]] = await pool.query(
+            'SELECT user_id, username, email, first_name, user_type, email_verified_at FROM users WHERE user_id = ?',
+            [userId]
+        );
+        return user || null;
+    };
+
+    // Issuing a token invalidates earlier unused tokens for the same purpose
+    const issueToken = async (userId, purpose) => {
+        const token = crypto.randomBytes(32).toString('base64url');
+        await pool.query(
+            'UPDATE user_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+            [userId, purpose]
+        );
+        await pool.query(
+            'INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+            [userId, purpose, hashToken(token), new Date(Date.now() + TOKEN_TTL[purpose])]
+        );
+        return token;
+    };
+
+    // Mark a token used and return its user id, or throw if it is unknown,
+    // already used or expired. `check(userId)` may throw to reject the
+    // request without using up the token.
+    const consumeToken = async (token, purpose, check) => {
+        const [[row]] = await pool.query(
+            `SELECT token_id, user_id, used_at, expires_at <= NOW() AS expired
+             FROM user_tokens WHERE token_hash = ? AND purpose = ?`,
+            [hashToken(token), purpose]
+        );
+        if (!row || row.used_at) {
+            throw new ApiError(400, 'Invalid or already used token', { code: 'INVALID_TOKEN' });
+        }
+        if (row.expired) {
+            throw new ApiError(400, 'Token has expired', { code: 'TOKEN_EXPIRED' });
+        }
+        if (check) await check(row.user_id);
+        const [result] = await pool.query(
+            'UPDATE user_tokens SET used_at = NOW() WHERE token_id = ? AND used_at IS NULL',
+            [row.token_id]
+        );
+        if (!result.affectedRows) {
+            throw new ApiError(400, 'Invalid or already used token', { code: 'INVALID_TOKEN' });
+        }
+        return row.user_id;
+    };
+
+    const sendVerification = async (userId) => {
+        const user = await findUser(userId);
+        if (!user || user.email_verified_at) return;
+        const token = await issueToken(user.user_id, 'email_verification');
+        await mailer.send({
+            to: user.email,
+            subject: 'Confirm your MUTOVU TSS email address',
+            text: `Hello ${user.first_name},\n\nPlease confirm your email address by opening this link:\n${link('verify-email', token)}\n\nThe link is valid for 48 hours.`
+        });
+    };
+
+    const verifyEmail = async (token) => {
+        const userId = await consumeToken(token, 'email_verification');
+        await pool.query(
+            'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE user_id = ?',
+            [userId]
+        );
+    };
+
+    // Always succeeds so callers cannot probe which emails are registered
+    const requestPasswordReset = async (email) => {
+        const [[user]] = await pool.query(
+            'SELECT user_id, email, first_name FROM users WHERE email = ? AND password IS NOT NULL',
+            [email]
+        );
+        if (!user) return;
+        const token = await issueToken(user.user_id, 'password_reset');
+        await mailer.send({
+            to: user.email,
+            subject: 'Reset your MUTOVU TSS password',
+            text: `Hello ${user.first_name},\n\nYou can choose a new password here:\n${link('reset-password', token)}\n\nThe link is valid for one hour. If you did not ask for this, you can ignore this email.`
+        });
+    };
+
+    // Setting a new password signs the user out everywhere
+    const resetPassword = async (token, password) => {
+        const userId = await consumeToken(token, 'password_reset');
+        await pool.query('UPDATE users SET password = ? WHERE user_id = ?', [await bcrypt.hash(password, 10), userId]);
+        await sessions.revokeAll(userId);
+    };
+
+    // Invite an admin-created account (which has no password yet) to
+    // choose a username and password
+    const sendInvitation = async (userId, { to } = {}) => {
+        const user = await findUser(userId);
+        if (!user) throw new ApiError(404, 'User not found');
+        const token = await issueToken(user.user_id, 'invitation');
+        // `to` sends the invitation on someone's behalf, e.g. a student
+        // account set up by a guardian
+        const greeting = to && to !== user.email
+            ? `Hello,\n\nAn account has been created for ${user.first_name} on the MUTOVU TSS portal. Choose their username and password here:`
+            : `Hello ${user.first_name},\n\nAn account has been created for you on the MUTOVU TSS portal. Choose your username and password here:`;
+        await mailer.send({
+            to: to || user.email,
+            subject: 'Your MUTOVU TSS account',
+            text: `${greeting}\n${link('accept-invitation', token)}\n\nThe link is valid for 7 days.`
+        });
+    };
+
+    // The invitation was delivered to the user's inbox, which also verifies it
+    const acceptInvitation = async (token, { username, password }) => {
+        const usernameTaken = () => new ApiError(400, 'Username already exists', {
+            code: 'ALREADY_EXISTS',
+            fields: [{ location: 'body', field: 'username', message: 'is already taken' }]
+        });
+        const userId = await consumeToken(token, 'invitation', async (invitedId) => {
+            const [taken] = await pool.query(
+                'SELECT user_id FROM users WHERE username = ? AND user_id != ?',
+                [username, invitedId]
+            );
+            if (taken.length) throw usernameTaken();
+        });
+        try {
+            await pool.query(
+                `UPDATE users SET username = ?, password = ?, email_verified_at = COALESCE(email_verified_at, NOW())
+                 WHERE user_id = ?`,
+                [username, await bcrypt.hash(password, 10), userId]
+            );
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY') throw error;
+            // A concurrent request took the username after the check; the
+            // invitation stays usable, as when the check catches it
+            await pool.query(
+                'UPDATE user_tokens SET used_at = NULL WHERE token_hash = ? AND purpose = ?',
+                [hashToken(token), 'invitation']
+            );
+            throw usernameTaken();
+        }
+    };
+
+    return {
+        sendVerification,
+        verifyEmail,
+        requestPasswordReset,
+        resetPassword,
+        sendInvitation,
+        acceptInvitation
+    };
+};
+
+module.exports = { createAccountService };
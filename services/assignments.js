@@ -0,0 +1,307 @@
+const { studentScope, canAccessClass } = require('../permissions');
+const { ApiError } = require('../errors');
+const { transaction } = require('../db/transaction');
+const { toDateString } = require('./attendanceReports');
+
+// Homework set for a class and the work students hand in. Work handed in
+// after the due date is marked late, or refused when the assignment does
+// not allow late work. Students may replace their file until it is marked.
+const createAssignmentService = (pool, { notifications }) => {
+    const invalid = (field, message) => new ApiError(400, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        fields: [{ location: 'body', field, message }]
+    });
+
+    const today = () => toDateString(new Date());
+
+    // The assignment if the user may see its class
+    const findAssignment = async (user, assignmentId) => {
+        const [[assignment]] = await pool.query(
+            `SELECT a.*, s.name AS subject_name, d.title AS document_title
+             FROM assignments a
+             LEFT JOIN subjects s ON a.subject_id = s.subject_id
+             LEFT JOIN documents d ON a.document_id = d.document_id
+             WHERE a.assignment_id = ?`,
+            [assignmentId]
+        );
+        if (!assignment) throw new ApiError(404, 'Assignment not found');
+        if (!(await canAccessClass(pool, user, assignment.class_id))) {
+            throw new ApiError(403, 'Insufficient permissions');
+        }
+        return assignment;
+    };
+
+    // The subject must be taught in the class and the brief must be one of
+    // the class's documents
+    const checkDetails = async (classId, { subject_id, document_id }) => {
+        if (subject_id) {
+            const [[taught]] = await pool.query(
+                'SELECT 1 AS taught FROM class_subjects WHERE class_id = ? AND subject_id = ?',
+                [classId, subject_id]
+            );
+            if (!taught) {
+                throw new ApiError(404, 'Subject is not taught in this class', {
+                    fields: [{ location: 'body', field: 'subject_id', message: 'is not assigned to the class' }]
+                });
+            }
+        }
+        if (document_id) {
+            const [[doc]] = await pool.query(
+                'SELECT document_id FROM documents WHERE document_id = ? AND class_id = ? AND deleted_at IS NULL',
+                [document_id, classId]
+            );
+            if (!doc) {
+                throw new ApiError(404, 'Document not found', {
+                    fields: [{ location: 'body', field: 'document_id', message: 'is not a document of this class' }]
+                });
+            }
+        }
+    };
+
+    const listForClass = async (classId) => {
+        const [assignments] = await pool.query(
+            `SELECT a.*, s.name AS subject_name,
+                    (SELECT COUNT(*) FROM assignment_submissions sub WHERE sub.assignment_id = a.assignment_id) AS submission_count
+             FROM assignments a
+             LEFT JOIN subjects s ON a.subject_id = s.subject_id
+             WHERE a.class_id = ?
+             ORDER BY a.due_date DESC, a.assignment_id DESC`,
+            [classId]
+        );
+        return assignments;
+    };
+
+    const values = ({ subject_id, title, instructions, document_id, due_date, max_score, allow_late }) => [
+        subject_id || null,
+        title,
+        instructions || null,
+        document_id || null,
+        due_date,
+        max_score || null,
+        allow_late === undefined ? true : allow_late === true || allow_late === 'true'
+    ];
+
+    const create = async (user, classId, details) => {
+        await checkDetails(classId, details);
+        const [result] = await pool.query(
+            `INSERT INTO assignments
+                (subject_id, title, instructions, document_id, due_date, max_score, allow_late, class_id, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [...values(details), classId, user.user_id]
+        );
+        return result.insertId;
+    };
+
+    const update = async (user, assignmentId, details) => {
+        const assignment = await findAssignment(user, assignmentId);
+        await checkDetails(assignment.class_id, details);
+        if (details.max_score) {
+            const [[{ highest }]] = await pool.query(
+                'SELECT MAX(score) AS highest FROM assignment_submissions WHERE assignment_id = ?',
+                [assignmentId]
+            );
+            if (highest !== null && Number(highest) > Number(details.max_score)) {
+                throw invalid('max_score', `is below a mark already given (${Number(highest)})`);
+            }
+        }
+        await pool.query(
+            `UPDATE assignments
+             SET subject_id = ?, title = ?, instructions = ?, document_id = ?, due_date = ?, max_score = ?, allow_late = ?
+             WHERE assignment_id = ?`,
+            [...values(details), assignmentId]
+        );
+    };
+
+    // Assignments students have handed work in for are kept
+    const remove = async (user, assignmentId) => {
+        await findAssignment(user, assignmentId);
+        const [[{ count }]] = await pool.query(
+            'SELECT COUNT(*) AS count FROM assignment_submissions WHERE assignment_id = ?',
+            [assignmentId]
+        );
+        if (Number(count)) {
+            throw new ApiError(409, 'Students have already handed in work for this assignment', { code: 'HAS_SUBMISSIONS' });
+        }
+        await pool.query('DELETE FROM assignments WHERE assignment_id = ?', [assignmentId]);
+    };
+
+    // The signed-in student's record
+    const ownStudent = async (user) => {
+        const [[student]] = await pool.query(
+            'SELECT student_id, student_name, class_id, status FROM students WHERE user_id = ?',
+            [user.user_id]
+        );
+        if (!student) throw new ApiError(404, 'Student record not found');
+        return student;
+    };
+
+    // An assignment with, for students, their own submission
+    const detail = async (user, assignmentId) => {
+        const assignment = await findAssignment(user, assignmentId);
+        if (user.user_type !== 'student') return assignment;
+        const student = await ownStudent(user);
+        const [[submission]] = await pool.query(
+            'SELECT * FROM assignment_submissions WHERE assignment_id = ? AND student_id = ?',
+            [assignmentId, student.student_id]
+        );
+        return { ...assignment, submission: submission || null };
+    };
+
+    // Hand in (or replace) the signed-in student's work. Returns the
+    // submission and, when replacing, the file it replaced.
+    const submit = async (user, assignmentId, { file_path, original_name, comment }) => {
+        const assignment = await findAssignment(user, assignmentId);
+        const student = await ownStudent(user);
+        if (student.status !== 'active' || Number(student.class_id) !== Number(assignment.class_id)) {
+            throw new ApiError(403, 'Assignment is not set for your class');
+        }
+        const isLate = today() > toDateString(assignment.due_date);
+        if (isLate && !assignment.allow_late) {
+            throw new ApiError(409, 'The due date has passed and late work is not accepted', { code: 'PAST_DUE' });
+        }
+
+        return transaction(pool, async (conn) => {
+            const [[existing]] = await conn.query(
+                'SELECT * FROM assignment_submissions WHERE assignment_id = ? AND student_id = ? FOR UPDATE',
+                [assignmentId, student.student_id]
+            );
+            if (existing && existing.graded_at) {
+                throw new ApiError(409, 'This work has already been marked', { code: 'ALREADY_GRADED' });
+            }
+            if (existing) {
+                await conn.query(
+                    `UPDATE assignment_submissions
+                     SET file_path = ?, original_name = ?, comment = ?, submitted_at = NOW(), is_late = ?
+                     WHERE submission_id = ?`,
+                    [file_path, original_name, comment || null, isLate, existing.submission_id]
+                );
+                return { submission_id: existing.submission_id, is_late: isLate, replaced: existing.file_path };
+            }
+            const [result] = await conn.query(
+                `INSERT INTO assignment_submissions (assignment_id, student_id, file_path, original_name, comment, is_late)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [assignmentId, student.student_id, file_path, original_name, comment || null, isLate]
+            );
+            return { submission_id: result.insertId, is_late: isLate, replaced: null };
+        });
+    };
+
+    // Every active student of the class with their submission, if any
+    const submissions = async (user, assignmentId) => {
+        const assignment = await findAssignment(user, assignmentId);
+        const [rows] = await pool.query(
+            `SELECT s.student_id, s.student_name, sub.submission_id, sub.original_name, sub.comment,
+                    sub.submitted_at, sub.is_late, sub.score, sub.feedback, sub.graded_at
+             FROM students s
+             LEFT JOIN assignment_submissions sub ON sub.student_id = s.student_id AND sub.assignment_id = ?
+             WHERE s.class_id = ? AND (s.status = 'active' OR sub.submission_id IS NOT NULL)
+             ORDER BY s.student_name`,
+            [assignmentId, assignment.class_id]
+        );
+        return rows.map(row => ({
+            ...row,
+            status: !row.submission_id ? 'missing' : row.graded_at ? 'graded' : 'submitted'
+        }));
+    };
+
+    // A submission the user may see: their own, their child's, or one from
+    // a class they teach
+    const findSubmission = async (user, submissionId) => {
+        const scope = studentScope(user, 'st');
+        const [[submission]] = await pool.query(
+            `SELECT sub.*, a.title AS assignment_title, a.class_id, a.max_score, st.user_id AS student_user_id
+             FROM assignment_submissions sub
+             JOIN assignments a ON sub.assignment_id = a.assignment_id
+             JOIN students st ON sub.student_id = st.student_id
+             WHERE sub.submission_id = ? AND ${scope.clause}`,
+            [submissionId, ...scope.params]
+        );
+        if (!submission) throw new ApiError(404, 'Submission not found');
+        return submission;
+    };
+
+    // Mark a submission and tell the student and their guardians
+    const grade = async (user, submissionId, { score, feedback }) => {
+        const submission = await findSubmission(user, submissionId);
+        const hasScore = score !== undefined && score !== null && score !== '';
+        if (hasScore && submission.max_score !== null && Number(score) > Number(submission.max_score)) {
+            throw invalid('score', `must be at most ${Number(submission.max_score)}`);
+        }
+        await pool.query(
+            `UPDATE assignment_submissions SET score = ?, feedback = ?, graded_by = ?, graded_at = NOW()
+             WHERE submission_id = ?`,
+            [hasScore ? Number(score) : null, feedback || null, user.user_id, submissionId]
+        );
+
+        const [guardians] = await pool.query(
+            'SELECT guardian_id FROM student_guardians WHERE student_id = ?',
+            [submission.student_id]
+        );
+        const recipients = [submission.student_user_id, ...guardians.map(g => g.guardian_id)].filter(Boolean);
+        const outOf = submission.max_score !== null ? `/${Number(submission.max_score)}` : '';
+        await notifications.notify('assignment.marked', recipients, {
+            title: 'Work marked',
+            message: `"${submission.assignment_title}" has been marked${hasScore ? `: ${Number(score)}${outOf}` : ''}.`
+        });
+    };
+
+    // Assignments in a student's class that they have not handed in yet,
+    // soonest first
+    const pendingFor = async (student) => {
+        const [assignments] = await pool.query(
+            `SELECT a.assignment_id, a.title, a.due_date, a.max_score, a.allow_late, s.name AS subject_name
+             FROM assignments a
+             LEFT JOIN subjects s ON a.subject_id = s.subject_id
+             WHERE a.class_id = ? AND NOT EXISTS (
+                SELECT 1 FROM assignment_submissions sub
+                WHERE sub.assignment_id = a.assignment_id AND sub.student_id = ?
+             )
+             ORDER BY a.due_date, a.assignment_id`,
+            [student.class_id, student.student_id]
+        );
+        return assignments.map(a => ({ ...a, overdue: today() > toDateString(a.due_date) }));
+    };
+
+    // Pending work for a student, or for each of a parent's children
+    const pending = async (user) => {
+        let students = [];
+        if (user.user_type === 'student') {
+            [students] = await pool.query(
+                "SELECT student_id, student_name, class_id FROM students WHERE user_id = ? AND status = 'active'",
+                [user.user_id]
+            );
+        } else if (user.user_type === 'parent') {
+            [students] = await pool.query(
+                `SELECT s.student_id, s.student_name, s.class_id
+                 FROM student_guardians g
+                 JOIN students s ON g.student_id = s.student_id
+                 WHERE g.guardian_id = ? AND s.status = 'active'
+                 ORDER BY s.student_name`,
+                [user.user_id]
+            );
+        }
+        const lists = [];
+        for (const student of students) {
+            lists.push({ ...student, assignments: student.class_id ? await pendingFor(student) : [] });
+        }
+
+        if (user.user_type === 'student') return lists[0] || { assignments: [] };
+        if (user.user_type === 'parent') return { children: lists };
+        return { assignments: [] };
+    };
+
+    return {
+        listForClass,
+        create,
+        update,
+        remove,
+        detail,
+        submit,
+        submissions,
+        findSubmission,
+        grade,
+        pending
+    };
+};
+
+module.exports = { createAssignmentService };
@@ -0,0 +1,258 @@
+const { studentScope } = require('../permissions');
+const { ApiError } = require('../errors');
+const { transaction } = require('../db/transaction');
+const { summarise, addDays, toDateString } = require('./attendanceReports');
+
+// Statuses that need a reason
+const REASON_REQUIRED = ['excused'];
+
+// Attendance is kept as one record per student, class, date and period
+// (period 0 is the whole day). Recording again updates the existing record,
+// and every change is written to attendance_history. Guardians are notified
+// when a child is marked absent and when the child's attendance rate drops
+// below the chronic absence threshold.
+const createAttendanceService = (pool, { notifications, config }) => {
+    const invalid = (fields) => new ApiError(400, 'Validation failed', { code: 'VALIDATION_ERROR', fields });
+
+    const writeHistory = (conn, attendanceId, before, after, changedBy) => conn.query(
+        `INSERT INTO attendance_history (attendance_id, old_status, new_status, old_reason, new_reason, changed_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [attendanceId, before ? before.status : null, after.status, before ? before.reason : null, after.reason, changedBy]
+    );
+
+    // Check the whole submission before writing any of it: every student
+    // must be an active member of the class, listed once, and excused
+    // absences need a reason
+    const checkSubmission = async (conn, classId, period, attendance) => {
+        const [members] = await conn.query(
+            "SELECT student_id FROM students WHERE class_id = ? AND status = 'active'",
+            [classId]
+        );
+        const memberIds = new Set(members.map(m => Number(m.student_id)));
+        const seen = new Set();
+        const fields = [];
+        attendance.forEach((entry, index) => {
+            const studentId = Number(entry.student_id);
+            if (!memberIds.has(studentId)) {
+                fields.push({ location: 'body', field: `attendance[${index}].student_id`, message: 'is not a student of this class' });
+            } else if (seen.has(studentId)) {
+                fields.push({ location: 'body', field: `attendance[${index}].student_id`, message: 'is listed more than once' });
+            }
+            seen.add(studentId);
+            if (REASON_REQUIRED.includes(entry.status) && !(entry.reason && entry.reason.trim())) {
+                fields.push({ location: 'body', field: `attendance[${index}].reason`, message: `is required when ${entry.status}` });
+            }
+        });
+
+        if (period) {
+            const [[known]] = await conn.query('SELECT period FROM periods WHERE period = ?', [period]);
+            if (!known) fields.push({ location: 'body', field: 'period', message: 'is not in the bell schedule' });
+        }
+        if (fields.length) throw invalid(fields);
+    };
+
+    // Each student's attendance summary over the alert window ending on `date`
+    const windowSummaries = async (db, studentIds, date) => {
+        const [rows] = await db.query(
+            `SELECT student_id, status, COUNT(*) AS count FROM attendance
+             WHERE student_id IN (?) AND date BETWEEN ? AND ?
+             GROUP BY student_id, status`,
+            [studentIds, addDays(date, 1 - config.attendance.chronicAbsenceWindowDays), date]
+        );
+        return new Map(studentIds.map(id => [
+            Number(id),
+            summarise(rows.filter(row => Number(row.student_id) === Number(id)))
+        ]));
+    };
+
+    const isChronic = (summary) => summary.total - summary.excused >= config.attendance.chronicAbsenceMinSessions
+        && summary.attendance_rate < config.attendance.chronicAbsenceThreshold;
+
+    // Students whose summary crossed the threshold between `before` and `after`
+    const newlyChronic = (before, after) => [...after.entries()]
+        .filter(([studentId, summary]) => isChronic(summary) && !isChronic(before.get(studentId)))
+        .map(([student_id, summary]) => ({ student_id, summary }));
+
+    // absences: [{ student_id, date, period }], chronic: [{ student_id, summary }]
+    const notifyGuardians = async ({ absences = [], chronic = [] }) => {
+        const studentIds = [...absences, ...chronic].map(a => a.student_id);
+        if (!studentIds.length) return;
+        const [guardians] = await pool.query(
+            `SELECT g.guardian_id, s.student_id, s.student_name
+             FROM student_guardians g
+             JOIN students s ON g.student_id = s.student_id
+             WHERE g.student_id IN (?)`,
+            [studentIds]
+        );
+        const guardiansOf = (studentId) => guardians.filter(g => Number(g.student_id) === Number(studentId));
+
+        for (const { student_id, date, period } of absences) {
+            for (const guardian of guardiansOf(student_id)) {
+                await notifications.notify('attendance.absent', guardian.guardian_id, {
+                    title: 'Absence',
+                    message: `${guardian.student_name} was marked absent on ${date}${period ? ` (period ${period})` : ''}.`
+                });
+            }
+        }
+        const { chronicAbsenceWindowDays: days, chronicAbsenceThreshold: threshold } = config.attendance;
+        for (const { student_id, summary } of chronic) {
+            for (const guardian of guardiansOf(student_id)) {
+                await notifications.notify('attendance.concern', guardian.guardian_id, {
+                    title: 'Attendance concern',
+                    message: `${guardian.student_name}'s attendance over the last ${days} days is ${summary.attendance_rate}%, below the school's ${threshold}% threshold.`
+                });
+            }
+        }
+    };
+
+    // The attendance is saved even if a notification fails
+    const sendAlerts = (alerts) => notifyGuardians(alerts)
+        .catch(error => console.error('Attendance alert error:', error));
+
+    // attendance: [{ student_id, status, reason }]. Returns how many records
+    // were created, changed and left as they were.
+    const record = async (classId, { date, period = 0, attendance }, recordedBy) => {
+        const studentIds = attendance.map(entry => entry.student_id);
+        const alerts = { absences: [] };
+        const counts = await transaction(pool, async (conn) => {
+            await checkSubmission(conn, classId, period, attendance);
+            const before = await windowSummaries(conn, studentIds, date);
+
+            // One absence notification per child and day, however many
+            // periods they miss
+            const [absentElsewhere] = await conn.query(
+                `SELECT DISTINCT student_id FROM attendance
+                 WHERE student_id IN (?) AND date = ? AND period != ? AND status = 'absent'`,
+                [studentIds, date, period]
+            );
+            const alreadyReported = new Set(absentElsewhere.map(row => Number(row.student_id)));
+
+            const [rows] = await conn.query(
+                'SELECT * FROM attendance WHERE class_id = ? AND date = ? AND period = ? FOR UPDATE',
+                [classId, date, period]
+            );
+            const existing = new Map(rows.map(row => [Number(row.student_id), row]));
+            const counts = { created: 0, updated: 0, unchanged: 0 };
+
+            for (const entry of attendance) {
+                const after = { status: entry.status, reason: entry.reason ? entry.reason.trim() : null };
+                const before = existing.get(Number(entry.student_id));
+                if (after.status === 'absent' && (!before || before.status !== 'absent')
+                    && !alreadyReported.has(Number(entry.student_id))) {
+                    alerts.absences.push({ student_id: entry.student_id, date, period });
+                }
+                if (!before) {
+                    const [result] = await conn.query(
+                        `INSERT INTO attendance (student_id, class_id, date, period, status, reason, recorded_by)
+                         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                        [entry.student_id, classId, date, period, after.status, after.reason, recordedBy]
+                    );
+                    await writeHistory(conn, result.insertId, null, after, recordedBy);
+                    counts.created++;
+                } else if (before.status !== after.status || (before.reason || null) !== after.reason) {
+                    await conn.query(
+                        `UPDATE attendance SET status = ?, reason = ?, recorded_by = ?, updated_at = NOW()
+                         WHERE attendance_id = ?`,
+                        [after.status, after.reason, recordedBy, before.attendance_id]
+                    );
+                    await writeHistory(conn, before.attendance_id, before, after, recordedBy);
+                    counts.updated++;
+                } else {
+                    counts.unchanged++;
+                }
+            }
+
+            alerts.chronic = newlyChronic(before, await windowSummaries(conn, studentIds, date));
+            return counts;
+        });
+        await sendAlerts(alerts);
+        return counts;
+    };
+
+    // A record the user may see; 404 otherwise
+    const findRecord = async (user, attendanceId) => {
+        const scope = studentScope(user, 'a');
+        const [[row]] = await pool.query(
+            `SELECT a.* FROM attendance a WHERE a.attendance_id = ? AND ${scope.clause}`,
+            [attendanceId, ...scope.params]
+        );
+        if (!row) throw new ApiError(404, 'Attendance record not found');
+        return row;
+    };
+
+    // Correct a single record
+    const correct = async (user, attendanceId, { status, reason }) => {
+        const before = await findRecord(user, attendanceId);
+        const after = { status, reason: reason ? reason.trim() : null };
+        if (REASON_REQUIRED.includes(status) && !after.reason) {
+            throw invalid([{ location: 'body', field: 'reason', message: `is required when ${status}` }]);
+        }
+        if (before.status === after.status && (before.reason || null) === after.reason) return false;
+
+        const date = toDateString(before.date);
+        const chronic = await transaction(pool, async (conn) => {
+            const summariesBefore = await windowSummaries(conn, [before.student_id], date);
+            await conn.query(
+                'UPDATE attendance SET status = ?, reason = ?, recorded_by = ?, updated_at = NOW() WHERE attendance_id = ?',
+                [after.status, after.reason, user.user_id, attendanceId]
+            );
+            await writeHistory(conn, attendanceId, before, after, user.user_id);
+            return newlyChronic(summariesBefore, await windowSummaries(conn, [before.student_id], date));
+        });
+        await sendAlerts({
+            absences: after.status === 'absent' ? [{ student_id: before.student_id, date, period: before.period }] : [],
+            chronic
+        });
+        return true;
+    };
+
+    const history = async (user, attendanceId) => {
+        await findRecord(user, attendanceId);
+        const [changes] = await pool.query(
+            `SELECT h.*, CONCAT(u.first_name, ' ', u.last_name) AS changed_by_name
+             FROM attendance_history h
+             LEFT JOIN users u ON h.changed_by = u.user_id
+             WHERE h.attendance_id = ?
+             ORDER BY h.changed_at, h.history_id`,
+            [attendanceId]
+        );
+        return changes;
+    };
+
+    // `period` limits the result to one period (0 for whole-day records)
+    const forClass = async (user, classId, { date, period }) => {
+        const scope = studentScope(user, 'a');
+        const periodClause = period === undefined ? '' : 'AND a.period = ?';
+        const [records] = await pool.query(
+            `SELECT a.*, s.student_name FROM attendance a
+             LEFT JOIN students s ON a.student_id = s.student_id
+             WHERE a.class_id = ? AND a.date = ? ${periodClause} AND ${scope.clause}
+             ORDER BY a.period, s.student_name`,
+            period === undefined ? [classId, date, ...scope.params] : [classId, date, period, ...scope.params]
+        );
+        return records;
+    };
+
+    // All attendance for a date (for dashboard)
+    const forDate = async (user, date) => {
+        const scope = studentScope(user, 's');
+        const [records] = await pool.query(
+            `SELECT
+                a.*,
+                s.student_name,
+                c.name AS class_name,
+                c.level
+             FROM attendance a
+             LEFT JOIN students s ON a.student_id = s.student_id
+             LEFT JOIN classes c ON a.class_id = c.class_id
+             WHERE a.date = ? AND ${scope.clause}
+             ORDER BY c.name, s.student_name`,
+            [date, ...scope.params]
+        );
+        return records;
+    };
+
+    return { record, correct, history, forClass, forDate };
+};
+
+module.exports = { createAttendanceService };
@@ -0,0 +1,116 @@
+const { studentScope } = require('../permissions');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// DATE columns come back as Date objects from mysql2 and as strings from
+// other drivers; reports use YYYY-MM-DD strings throughout
+const toDateString = (value) => {
+    if (!(value instanceof Date)) return String(value).slice(0, 10);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+
+// Monday of the week a date falls in
+const weekStart = (date) => addDays(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+// Fold `{ status, count }` rows into totals and an attendance rate (%).
+// Late counts as attended; excused absences are left out of the rate.
+const summarise = (rows) => {
+    const summary = { present: 0, absent: 0, late: 0, excused: 0, total: 0 };
+    for (const { status, count } of rows) {
+        summary[status] += Number(count);
+        summary.total += Number(count);
+    }
+    const expected = summary.total - summary.excused;
+    summary.attendance_rate = expected
+        ? Math.round(((summary.present + summary.late) / expected) * 1000) / 10
+        : null;
+    return summary;
+};
+
+// Group rows by `keyOf(row)` and summarise each group, keeping the
+// descriptive columns from `detailsOf(row)`
+const summariseBy = (rows, keyOf, detailsOf) => {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = keyOf(row);
+        if (!groups.has(key)) groups.set(key, { details: detailsOf(row), rows: [] });
+        groups.get(key).rows.push(row);
+    }
+    return [...groups.values()].map(group => ({ ...group.details, ...summarise(group.rows) }));
+};
+
+// Aggregated attendance over a date range. Every report is limited to the
+// students the user may see and defaults to the last 30 days.
+const createAttendanceReportService = (pool, { config }) => {
+    const range = ({ from, to } = {}) => {
+        const end = to || toDateString(new Date());
+        return { from: from || addDays(end, -29), to: end };
+    };
+
+    // Attendance counts by status plus `groupBy` columns
+    const counts = async (user, { from, to, class_id }, groupBy) => {
+        const scope = studentScope(user, 'a');
+        const classClause = class_id ? 'AND a.class_id = ?' : '';
+        const [rows] = await pool.query(
+            `SELECT ${groupBy.map(column => `${column}, `).join('')}a.status, COUNT(*) AS count
+             FROM attendance a
+             JOIN students s ON a.student_id = s.student_id
+             JOIN classes c ON a.class_id = c.class_id
+             WHERE a.date BETWEEN ? AND ? ${classClause} AND ${scope.clause}
+             GROUP BY ${groupBy.map(column => `${column}, `).join('')}a.status`,
+            [from, to, ...(class_id ? [class_id] : []), ...scope.params]
+        );
+        return rows;
+    };
+
+    const students = async (user, query = {}) => {
+        const period = range(query);
+        const rows = await counts(user, { ...query, ...period }, ['a.student_id', 's.student_name', 's.class_id']);
+        const report = summariseBy(rows, row => row.student_id, ({ student_id, student_name, class_id }) => ({
+            student_id, student_name, class_id
+        }));
+        return { ...period, students: report.sort((a, b) => a.student_name.localeCompare(b.student_name)) };
+    };
+
+    const classes = async (user, query = {}) => {
+        const period = range(query);
+        const rows = await counts(user, { ...query, ...period }, ['a.class_id', 'c.name', 'c.level']);
+        const report = summariseBy(rows, row => row.class_id, ({ class_id, name, level }) => ({
+            class_id, class_name: name, class_level: level
+        }));
+        return { ...period, classes: report.sort((a, b) => `${a.class_name} ${a.class_level}`.localeCompare(`${b.class_name} ${b.class_level}`)) };
+    };
+
+    const school = async (user, query = {}) => {
+        const period = range(query);
+        return { ...period, ...summarise(await counts(user, { ...query, ...period }, [])) };
+    };
+
+    // Week-by-week rates (weeks start on Monday)
+    const trends = async (user, query = {}) => {
+        const period = range(query);
+        const rows = await counts(user, { ...query, ...period }, ['a.date']);
+        const weeks = summariseBy(rows, row => weekStart(toDateString(row.date)), row => ({
+            week_start: weekStart(toDateString(row.date))
+        }));
+        return { ...period, weeks: weeks.sort((a, b) => a.week_start.localeCompare(b.week_start)) };
+    };
+
+    // Students whose rate is below `threshold` (default from config), once
+    // they have enough records for the rate to mean something
+    const chronic = async (user, query = {}) => {
+        const threshold = query.threshold !== undefined ? Number(query.threshold) : config.attendance.chronicAbsenceThreshold;
+        const report = await students(user, query);
+        const below = report.students
+            .filter(s => s.total - s.excused >= config.attendance.chronicAbsenceMinSessions && s.attendance_rate < threshold)
+            .sort((a, b) => a.attendance_rate - b.attendance_rate);
+        return { from: report.from, to: report.to, threshold, students: below };
+    };
+
+    return { students, classes, school, trends, chronic };
+};
+
+module.exports = { createAttendanceReportService, summarise, addDays, toDateString };
@@ -0,0 +1,117 @@
+const { studentScope, classScope } = require('../permissions');
+const { ApiError } = require('../errors');
+
+// Throws a 404 on `field` unless `teacherId` is a teacher
+const assertTeacher = async (db, teacherId, field = 'teacher_id') => {
+    const [[teacher]] = await db.query('SELECT teacher_id FROM teachers WHERE teacher_id = ?', [teacherId]);
+    if (!teacher) {
+        throw new ApiError(404, 'Teacher not found', {
+            fields: [{ location: 'body', field, message: 'is not a teacher' }]
+        });
+    }
+};
+
+const createClassService = (pool) => {
+    const list = async (user) => {
+        const scope = classScope(user);
+        const [classes] = await pool.query(
+            `SELECT * FROM classes c WHERE ${scope.clause} ORDER BY name, level`,
+            scope.params
+        );
+        return classes;
+    };
+
+    // One class with its class teacher; access is checked by the route
+    const findById = async (classId) => {
+        const [[cls]] = await pool.query(
+            `SELECT c.*, CONCAT(u.first_name, ' ', u.last_name) AS teacher_name
+             FROM classes c
+             LEFT JOIN users u ON c.teacher_id = u.user_id
+             WHERE c.class_id = ?`,
+            [classId]
+        );
+        if (!cls) throw new ApiError(404, 'Class not found');
+        return cls;
+    };
+
+    const duplicateClass = () => new ApiError(409, 'A class with this name and level already exists', {
+        code: 'ALREADY_EXISTS',
+        fields: [{ location: 'body', field: 'name', message: 'is already used at this level' }]
+    });
+
+    const create = async ({ name, level, teacher_id }) => {
+        if (teacher_id) await assertTeacher(pool, teacher_id);
+        try {
+            const [result] = await pool.query(
+                'INSERT INTO classes (name, level, teacher_id) VALUES (?, ?, ?)',
+                [name, level, teacher_id || null]
+            );
+            return result.insertId;
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') throw duplicateClass();
+            throw error;
+        }
+    };
+
+    // `teacher_id: null` removes the class teacher
+    const update = async (classId, { name, level, teacher_id }) => {
+        if (teacher_id) await assertTeacher(pool, teacher_id);
+        let result;
+        try {
+            [result] = await pool.query(
+                'UPDATE classes SET name = ?, level = ?, teacher_id = ? WHERE class_id = ?',
+                [name, level, teacher_id || null, classId]
+            );
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') throw duplicateClass();
+            throw error;
+        }
+        if (!result.affectedRows) throw new ApiError(404, 'Class not found');
+    };
+
+    // Deleting a class would cascade to its attendance and documents, and
+    // its assessments hold students' marks, so only classes that were never
+    // used can be deleted
+    const remove = async (classId) => {
+        await findById(classId);
+        const [[usage]] = await pool.query(
+            `SELECT
+                (SELECT COUNT(*) FROM students WHERE class_id = ?) AS students,
+                (SELECT COUNT(*) FROM attendance WHERE class_id = ?) AS attendance,
+                (SELECT COUNT(*) FROM documents WHERE class_id = ?) AS documents,
+                (SELECT COUNT(*) FROM assessments a
+                 JOIN class_subjects cs ON a.class_subject_id = cs.class_subject_id
+                 WHERE cs.class_id = ?) AS assessments`,
+            [classId, classId, classId, classId]
+        );
+        if (Number(usage.assessments)) {
+            throw new ApiError(409, 'Class has assessments and cannot be deleted', { code: 'HAS_ASSESSMENTS' });
+        }
+        if (Number(usage.students) || Number(usage.attendance) || Number(usage.documents)) {
+            throw new ApiError(409, 'Class has students, attendance or documents and cannot be deleted', { code: 'CLASS_IN_USE' });
+        }
+        await pool.query('DELETE FROM classes WHERE class_id = ?', [classId]);
+    };
+
+    const listStudents = async (user, classId) => {
+        const scope = studentScope(user);
+        const [students] = await pool.query(
+            `SELECT * FROM students s
+             WHERE s.class_id = ? AND s.status = 'active' AND ${scope.clause}
+             ORDER BY student_name`,
+            [classId, ...scope.params]
+        );
+        return students;
+    };
+
+    return {
+        list,
+        findById,
+        create,
+        update,
+        remove,
+        listStudents
+    };
+};
+
+module.exports = { createClassService, assertTeacher };
@@ -0,0 +1,169 @@
+const { contactScope, reverseContactScope } = require('../permissions');
+const { ApiError } = require('../errors');
+
+// User types listed for each contact list type
+const CONTACT_TYPES = {
+    student: ['student'],
+    teacher: ['teacher'],
+    staff: ['parent', 'teacher', 'admin']
+};
+
+// Users either of whom has blocked the other
+const BLOCKED = `
+    SELECT blocked_id FROM user_blocks WHERE blocker_id = ?
+    UNION SELECT blocker_id FROM user_blocks WHERE blocked_id = ?`;
+
+// Who a user may message (see contactScope in permissions.js), blocking,
+// and reports of users for admins to review
+const createContactService = (pool, { notifications }) => {
+    // Chat contacts by type: students, teachers, or staff (parents,
+    // teachers and admins)
+    const list = async (user, { type, exclude }) => {
+        const scope = contactScope(user, 'u');
+        const [users] = await pool.query(
+            `SELECT u.user_id, u.first_name, u.last_name, u.email, u.user_type
+             FROM users u
+             WHERE u.user_type IN (?) AND u.user_id NOT IN (?, ?)
+               AND ${scope.clause}
+               AND u.user_id NOT IN (${BLOCKED})
+             ORDER BY u.last_name, u.first_name`,
+            [CONTACT_TYPES[type], user.user_id, exclude || user.user_id, ...scope.params, user.user_id, user.user_id]
+        );
+        return users;
+    };
+
+    // Throw unless `user` may message the user with id `otherUserId`;
+    // `field` names the request field the id came from
+    const check = async (user, otherUserId, field = 'to_user_id') => {
+        const scope = contactScope(user, 'u');
+        const [[other]] = await pool.query(
+            `SELECT u.user_id,
+                    CASE WHEN ${scope.clause} THEN 1 ELSE 0 END AS allowed,
+                    CASE WHEN u.user_id IN (${BLOCKED}) THEN 1 ELSE 0 END AS blocked
+             FROM users u WHERE u.user_id = ?`,
+            [...scope.params, user.user_id, user.user_id, otherUserId]
+        );
+        if (!other || other.user_id === user.user_id) {
+            throw new ApiError(404, 'Recipient not found', {
+                fields: [{ location: 'body', field, message: 'is not a user you can message' }]
+            });
+        }
+        if (Number(other.blocked) || !Number(other.allowed)) {
+            throw new ApiError(403, 'You cannot message this user', { code: 'CONTACT_NOT_ALLOWED' });
+        }
+    };
+
+    // The users among `userIds` within `scope` and not blocked either way
+    const within = async (user, scope, userIds) => {
+        const ids = userIds.map(Number).filter(id => id !== user.user_id);
+        if (!ids.length) return [];
+        const [rows] = await pool.query(
+            `SELECT u.user_id FROM users u
+             WHERE u.user_id IN (?) AND ${scope.clause}
+               AND u.user_id NOT IN (${BLOCKED})`,
+            [ids, ...scope.params, user.user_id, user.user_id]
+        );
+        return rows.map(row => row.user_id);
+    };
+
+    // The users among `userIds` that `user` may message
+    const reachable = (user, userIds) => within(user, contactScope(user, 'u'), userIds);
+
+    // The users among `userIds` who may message `user`
+    const reachableBy = (user, userIds) => within(user, reverseContactScope(user, 'u'), userIds);
+
+    const listBlocked = async (userId) => {
+        const [rows] = await pool.query(
+            `SELECT u.user_id, u.first_name, u.last_name, u.user_type, b.created_at AS blocked_at
+             FROM user_blocks b
+             JOIN users u ON u.user_id = b.blocked_id
+             WHERE b.blocker_id = ?
+             ORDER BY b.created_at DESC`,
+            [userId]
+        );
+        return rows;
+    };
+
+    const findUser = async (userId) => {
+        const [[user]] = await pool.query('SELECT user_id, user_type FROM users WHERE user_id = ?', [userId]);
+        if (!user) throw new ApiError(404, 'User not found');
+        return user;
+    };
+
+    // Blocking works both ways: neither user can message the other
+    const block = async (userId, blockedId) => {
+        if (userId === blockedId) throw new ApiError(400, 'You cannot block yourself', { code: 'VALIDATION_ERROR' });
+        await findUser(blockedId);
+        try {
+            await pool.query('INSERT INTO user_blocks (blocker_id, blocked_id) VALUES (?, ?)', [userId, blockedId]);
+        } catch (error) {
+            // Already blocked
+            if (error.code !== 'ER_DUP_ENTRY') throw error;
+        }
+    };
+
+    const unblock = async (userId, blockedId) => {
+        await pool.query('DELETE FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?', [userId, blockedId]);
+    };
+
+    // Report a user, optionally pointing at one of the messages they sent
+    // the reporter; every admin is notified
+    const report = async (userId, reportedId, { reason, message_id }) => {
+        if (userId === reportedId) throw new ApiError(400, 'You cannot report yourself', { code: 'VALIDATION_ERROR' });
+        await findUser(reportedId);
+        if (message_id) {
+            const [[message]] = await pool.query(
+                `SELECT message_id FROM messages
+                 WHERE message_id = ? AND from_user_id = ?
+                   AND (to_user_id = ? OR group_id IN (SELECT group_id FROM message_group_members WHERE user_id = ?))`,
+                [message_id, reportedId, userId, userId]
+            );
+            if (!message) {
+                throw new ApiError(404, 'Message not found', {
+                    fields: [{ location: 'body', field: 'message_id', message: 'is not a message this user sent you' }]
+                });
+            }
+        }
+        const [result] = await pool.query(
+            'INSERT INTO user_reports (reporter_id, reported_id, message_id, reason) VALUES (?, ?, ?, ?)',
+            [userId, reportedId, message_id || null, reason]
+        );
+        const [admins] = await pool.query("SELECT user_id FROM users WHERE user_type = 'admin'");
+        await notifications.notify('user.reported', admins.map(admin => admin.user_id), {
+            title: 'User reported',
+            message: `A user was reported for review (report #${result.insertId})`
+        });
+        return { report_id: result.insertId };
+    };
+
+    const listReports = async ({ status } = {}) => {
+        const [rows] = await pool.query(
+            `SELECT r.*, m.message AS message_text,
+                    reporter.first_name AS reporter_first_name, reporter.last_name AS reporter_last_name,
+                    reported.first_name AS reported_first_name, reported.last_name AS reported_last_name,
+                    reported.user_type AS reported_user_type
+             FROM user_reports r
+             JOIN users reported ON reported.user_id = r.reported_id
+             LEFT JOIN users reporter ON reporter.user_id = r.reporter_id
+             LEFT JOIN messages m ON m.message_id = r.message_id
+             ${status ? 'WHERE r.status = ?' : ''}
+             ORDER BY r.created_at DESC, r.report_id DESC`,
+            status ? [status] : []
+        );
+        return rows;
+    };
+
+    // Close a report as resolved or dismissed
+    const review = async (reportId, { status, notes }, reviewerId) => {
+        const [result] = await pool.query(
+            `UPDATE user_reports SET status = ?, review_notes = ?, reviewed_by = ?, reviewed_at = NOW()
+             WHERE report_id = ?`,
+            [status, notes || null, reviewerId, reportId]
+        );
+        if (!result.affectedRows) throw new ApiError(404, 'Report not found');
+    };
+
+    return { list, check, reachable, reachableBy, listBlocked, block, unblock, report, listReports, review };
+};
+
+module.exports = { createContactService };
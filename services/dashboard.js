@@ -0,0 +1,15 @@
+const createDashboardService = (pool) => {
+    const stats = async () => {
+        const [[{ students }]] = await pool.query("SELECT COUNT(*) AS students FROM students WHERE status = 'active'");
+        const [[{ parents }]] = await pool.query("SELECT COUNT(*) AS parents FROM users WHERE user_type = 'parent'");
+        const [[{ teachers }]] = await pool.query("SELECT COUNT(*) AS teachers FROM users WHERE user_type = 'teacher'");
+        const [[{ requests }]] = await pool.query("SELECT COUNT(*) AS requests FROM registration_requests");
+        const [[{ users }]] = await pool.query("SELECT COUNT(*) AS users FROM users");
+        const [[{ updates }]] = await pool.query("SELECT COUNT(*) AS updates FROM school_updates");
+        return { students, parents, teachers, requests, users, updates };
+    };
+
+    return { stats };
+};
+
+module.exports = { createDashboardService };
@@ -0,0 +1,114 @@
+const { ApiError } = require('../errors');
+
+const SECOND_MS = 1000;
+
+// The queue of email and text message notifications. processDue sends
+// whatever is due; a delivery that fails is tried again after
+// config.notifications.retryBaseSeconds, twice as long after each further
+// failure, and marked failed once maxAttempts have failed. Admins can put
+// a failed delivery back in the queue with retry.
+const createDeliveryService = (pool, { config, mailer, sms }) => {
+    const { maxAttempts, retryBaseSeconds, pollMs } = config.notifications;
+
+    const enqueue = async ({ user_id, event_type, channel, recipient, subject, body }) => {
+        const [result] = await pool.query(
+            `INSERT INTO notification_deliveries (user_id, event_type, channel, recipient, subject, body, next_attempt_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [user_id, event_type, channel, recipient, subject, body, new Date()]
+        );
+        return result.insertId;
+    };
+
+    const send = (delivery) => (delivery.channel === 'sms'
+        ? sms.send({ to: delivery.recipient, text: delivery.body })
+        : mailer.send({ to: delivery.recipient, subject: delivery.subject, text: delivery.body }));
+
+    // Try each pending delivery that is due, oldest first. Runs one at a
+    // time: a call made while another is still going returns at once.
+    let running = false;
+    const processDue = async ({ now = new Date(), limit = 50 } = {}) => {
+        const counts = { sent: 0, retrying: 0, failed: 0 };
+        if (running) return counts;
+        running = true;
+        try {
+            const [due] = await pool.query(
+                `SELECT * FROM notification_deliveries
+                 WHERE status = 'pending' AND next_attempt_at <= ?
+                 ORDER BY next_attempt_at, delivery_id
+                 LIMIT ?`,
+                [now, limit]
+            );
+            for (const delivery of due) {
+                const attempts = delivery.attempts + 1;
+                try {
+                    await send(delivery);
+                    await pool.query(
+                        `UPDATE notification_deliveries SET status = 'sent', attempts = ?, last_error = NULL, sent_at = ?
+                         WHERE delivery_id = ?`,
+                        [attempts, now, delivery.delivery_id]
+                    );
+                    counts.sent++;
+                } catch (error) {
+                    const failed = attempts >= maxAttempts;
+                    const retryAt = new Date(now.getTime() + retryBaseSeconds * SECOND_MS * 2 ** (attempts - 1));
+                    await pool.query(
+                        `UPDATE notification_deliveries SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?
+                         WHERE delivery_id = ?`,
+                        [failed ? 'failed' : 'pending', attempts, String(error.message).slice(0, 500), retryAt, delivery.delivery_id]
+                    );
+                    counts[failed ? 'failed' : 'retrying']++;
+                }
+            }
+        } finally {
+            running = false;
+        }
+        return counts;
+    };
+
+    // Poll the queue every config.notifications.pollMs until stop is called.
+    // The timer does not keep the process alive on its own.
+    let timer = null;
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(() => {
+            processDue().catch(error => console.error('Notification delivery error:', error));
+        }, pollMs);
+        timer.unref();
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    const list = async ({ status } = {}) => {
+        const [rows] = await pool.query(
+            `SELECT d.*, u.first_name, u.last_name, u.user_type
+             FROM notification_deliveries d
+             JOIN users u ON u.user_id = d.user_id
+             ${status ? 'WHERE d.status = ?' : ''}
+             ORDER BY d.created_at DESC, d.delivery_id DESC
+             LIMIT 200`,
+            status ? [status] : []
+        );
+        return rows;
+    };
+
+    // Queue a failed delivery again, with a fresh set of attempts
+    const retry = async (deliveryId) => {
+        const [[delivery]] = await pool.query('SELECT status FROM notification_deliveries WHERE delivery_id = ?', [deliveryId]);
+        if (!delivery) throw new ApiError(404, 'Delivery not found');
+        if (delivery.status !== 'failed') {
+            throw new ApiError(409, 'Only failed deliveries can be retried', { code: 'DELIVERY_NOT_FAILED' });
+        }
+        await pool.query(
+            `UPDATE notification_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?
+             WHERE delivery_id = ?`,
+            [new Date(), deliveryId]
+        );
+    };
+
+    return { enqueue, processDue, start, stop, list, retry };
+};
+
+module.exports = { createDeliveryService };
@@ -0,0 +1,163 @@
+const { ApiError } = require('../errors');
+const { transaction } = require('../db/transaction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Class documents with their version history. Deleting a document moves it
+// to the trash, where it can be restored until it is purged; purging
+// removes the files of every version.
+const createDocumentService = (pool, { config, files }) => {
+    const listForClass = async (classId) => {
+        const [docs] = await pool.query(
+            `SELECT d.*, u.first_name AS uploaded_by_name, f.content_type, f.size
+             FROM documents d
+             LEFT JOIN users u ON d.uploaded_by = u.user_id
+             LEFT JOIN uploaded_files f ON f.folder = 'documents' AND f.file_name = d.file_path
+             WHERE d.class_id = ? AND d.deleted_at IS NULL
+             ORDER BY d.uploaded_at DESC`,
+            [classId]
+        );
+        return docs;
+    };
+
+    const findById = async (documentId) => {
+        const [[doc]] = await pool.query(
+            `SELECT document_id, file_path, title, class_id, version
+             FROM documents WHERE document_id = ? AND deleted_at IS NULL`,
+            [documentId]
+        );
+        return doc || null;
+    };
+
+    const create = async ({ title, file_path, class_id, uploaded_by }) => transaction(pool, async (conn) => {
+        const [result] = await conn.query(
+            `INSERT INTO documents (title, file_path, class_id, uploaded_by, uploaded_at)
+             VALUES (?, ?, ?, ?, NOW())`,
+            [title, file_path, class_id, uploaded_by]
+        );
+        await conn.query(
+            'INSERT INTO document_versions (document_id, version, file_path, uploaded_by) VALUES (?, 1, ?, ?)',
+            [result.insertId, file_path, uploaded_by]
+        );
+        return { document_id: result.insertId, version: 1 };
+    });
+
+    // Upload a new version; it becomes the document's current file
+    const addVersion = async (documentId, { file_path, uploaded_by }) => transaction(pool, async (conn) => {
+        const [[doc]] = await conn.query(
+            'SELECT version FROM documents WHERE document_id = ? AND deleted_at IS NULL FOR UPDATE',
+            [documentId]
+        );
+        if (!doc) throw new ApiError(404, 'Document not found');
+        const version = doc.version + 1;
+        await conn.query(
+            'INSERT INTO document_versions (document_id, version, file_path, uploaded_by) VALUES (?, ?, ?, ?)',
+            [documentId, version, file_path, uploaded_by]
+        );
+        await conn.query(
+            'UPDATE documents SET file_path = ?, version = ?, uploaded_by = ?, uploaded_at = NOW() WHERE document_id = ?',
+            [file_path, version, uploaded_by, documentId]
+        );
+        return { document_id: Number(documentId), version };
+    });
+
+    // Every version, newest first
+    const versions = async (documentId) => {
+        const [rows] = await pool.query(
+            `SELECT v.version, v.file_path, v.uploaded_by, u.first_name AS uploaded_by_name, v.uploaded_at
+             FROM document_versions v
+             LEFT JOIN users u ON v.uploaded_by = u.user_id
+             WHERE v.document_id = ?
+             ORDER BY v.version DESC`,
+            [documentId]
+        );
+        return rows;
+    };
+
+    const findVersion = async (documentId, version) => {
+        const [[row]] = await pool.query(
+            'SELECT version, file_path FROM document_versions WHERE document_id = ? AND version = ?',
+            [documentId, version]
+        );
+        return row || null;
+    };
+
+    // When a trashed document is purged automatically
+    const purgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + config.documents.trashRetentionDays * DAY_MS);
+
+    const listTrash = async (classId) => {
+        const [docs] = await pool.query(
+            `SELECT d.document_id, d.title, d.class_id, d.version, d.deleted_at, d.deleted_by,
+                    u.first_name AS deleted_by_name
+             FROM documents d
+             LEFT JOIN users u ON d.deleted_by = u.user_id
+             WHERE d.class_id = ? AND d.deleted_at IS NOT NULL
+             ORDER BY d.deleted_at DESC`,
+            [classId]
+        );
+        return docs.map(doc => ({ ...doc, purge_after: purgeDate(doc.deleted_at) }));
+    };
+
+    const findTrashed = async (documentId) => {
+        const [[doc]] = await pool.query(
+            'SELECT document_id, title, class_id FROM documents WHERE document_id = ? AND deleted_at IS NOT NULL',
+            [documentId]
+        );
+        return doc || null;
+    };
+
+    const trash = async (documentId, userId) => {
+        await pool.query(
+            'UPDATE documents SET deleted_at = NOW(), deleted_by = ? WHERE document_id = ? AND deleted_at IS NULL',
+            [userId, documentId]
+        );
+    };
+
+    const restore = async (documentId) => {
+        await pool.query(
+            'UPDATE documents SET deleted_at = NULL, deleted_by = NULL WHERE document_id = ?',
+            [documentId]
+        );
+    };
+
+    // Delete a trashed document and the files of all its versions
+    const purge = async (documentId) => {
+        const [rows] = await pool.query('SELECT file_path FROM document_versions WHERE document_id = ?', [documentId]);
+        const [result] = await pool.query('DELETE FROM documents WHERE document_id = ? AND deleted_at IS NOT NULL', [documentId]);
+        if (!result.affectedRows) return;
+        for (const { file_path } of rows) {
+            await files.remove('documents', file_path);
+        }
+    };
+
+    // Purge every document that has been in the trash for longer than the
+    // retention period; returns how many were purged
+    const purgeExpired = async (now = new Date()) => {
+        const cutoff = new Date(now.getTime() - config.documents.trashRetentionDays * DAY_MS);
+        const [rows] = await pool.query(
+            'SELECT document_id FROM documents WHERE deleted_at IS NOT NULL AND deleted_at < ?',
+            [cutoff]
+        );
+        for (const { document_id } of rows) {
+            await purge(document_id);
+        }
+        return rows.length;
+    };
+
+    return {
+        listForClass,
+        findById,
+        create,
+        addVersion,
+        versions,
+        findVersion,
+        listTrash,
+        findTrashed,
+        trash,
+        restore,
+        purge,
+        purgeExpired
+    };
+};
+
+module.exports = { createDocumentService };
@@ -0,0 +1,104 @@
+const { SNIFF_LENGTH, sniffContentType } = require('../middleware/fileTypes');
+
+// Storage folders with the tables that refer to their files, and the
+// folder of cached thumbnails of their files
+const FOLDERS = ['documents', 'submissions', 'updates', 'attachments'];
+const THUMBNAILS = 'thumbnails';
+
+// Files stored within this long are left alone by reconcile: an upload is
+// stored a moment before the row that refers to it is inserted
+const GRACE_MS = 60 * 60 * 1000;
+
+const UPDATE_IMAGE_PREFIX = '/uploads/updates/';
+
+const thumbnailKey = (fileName) => `${THUMBNAILS}/${fileName}.webp`;
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+const createFileService = (pool, { storage }) => {
+    // Delete a stored file and its thumbnail, and release its quota
+    const remove = async (folder, fileName) => {
+        await storage.remove(`${folder}/${fileName}`);
+        await storage.remove(thumbnailKey(fileName));
+        await pool.query('DELETE FROM uploaded_files WHERE folder = ? AND file_name = ?', [folder, fileName]);
+    };
+
+    // A stored file's content type: as recorded at upload, or sniffed from
+    // its first bytes for files uploaded before uploads were recorded.
+    // Null when there is no such file.
+    const contentType = async (folder, fileName) => {
+        const [[row]] = await pool.query(
+            'SELECT content_type FROM uploaded_files WHERE folder = ? AND file_name = ?',
+            [folder, fileName]
+        );
+        if (row) return row.content_type;
+        const object = await storage.get(`${folder}/${fileName}`, { start: 0, end: SNIFF_LENGTH - 1 });
+        return object && sniffContentType(await readStream(object.stream), fileName);
+    };
+
+    // Every stored file some row refers to, keyed by storage key
+    const referenced = async () => {
+        const files = new Map();
+        const [versions] = await pool.query('SELECT document_id, file_path FROM document_versions');
+        for (const row of versions) files.set(`documents/${row.file_path}`, { table: 'documents', id: row.document_id });
+        const [submissions] = await pool.query(
+            'SELECT submission_id, file_path FROM assignment_submissions WHERE file_path IS NOT NULL'
+        );
+        for (const row of submissions) files.set(`submissions/${row.file_path}`, { table: 'assignment_submissions', id: row.submission_id });
+        const [updates] = await pool.query('SELECT id, image_url FROM school_updates WHERE image_url LIKE ?', [`${UPDATE_IMAGE_PREFIX}%`]);
+        for (const row of updates) {
+            files.set(`updates/${row.image_url.slice(UPDATE_IMAGE_PREFIX.length)}`, { table: 'school_updates', id: row.id });
+        }
+        const [attachments] = await pool.query('SELECT message_id, attachment_path FROM messages WHERE attachment_path IS NOT NULL');
+        for (const row of attachments) files.set(`attachments/${row.attachment_path}`, { table: 'messages', id: row.message_id });
+        return files;
+    };
+
+    // Compare storage with the database. Reports files no row refers to
+    // (`orphaned`), rows whose file is gone (`missing`) and quota entries for
+    // files that are gone (`stale_quota`); with `apply` the orphaned files
+    // are deleted and the stale quota entries released.
+    const reconcile = async ({ apply = false, now = new Date() } = {}) => {
+        const cutoff = now.getTime() - GRACE_MS;
+        const files = await referenced();
+
+        // Thumbnails are kept while any row refers to their file
+        const thumbnails = new Set([...files.keys()].map(key => thumbnailKey(key.split('/')[1])));
+
+        const stored = new Set();
+        const orphaned = [];
+        for (const folder of [...FOLDERS, THUMBNAILS]) {
+            for (const object of await storage.list(folder)) {
+                stored.add(object.key);
+                const used = files.has(object.key) || thumbnails.has(object.key);
+                if (!used && object.modified.getTime() < cutoff) orphaned.push(object.key);
+            }
+        }
+
+        const missing = [...files]
+            .filter(([key]) => !stored.has(key))
+            .map(([key, row]) => ({ key, ...row }));
+
+        const [ledger] = await pool.query('SELECT folder, file_name, created_at FROM uploaded_files');
+        const staleQuota = ledger
+            .filter(row => !stored.has(`${row.folder}/${row.file_name}`) && new Date(row.created_at).getTime() < cutoff)
+            .map(row => `${row.folder}/${row.file_name}`);
+
+        if (apply) {
+            for (const key of [...orphaned, ...staleQuota]) {
+                const [folder, fileName] = key.split('/');
+                await remove(folder, fileName);
+            }
+        }
+
+        return { applied: apply, orphaned, missing, stale_quota: staleQuota };
+    };
+
+    return { remove, contentType, reconcile };
+};
+
+module.exports = { createFileService, thumbnailKey, readStream, UPDATE_IMAGE_PREFIX };
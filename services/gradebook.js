@@ -0,0 +1,437 @@
+const { studentScope } = require('../permissions');
+const { ApiError } = require('../errors');
+const { transaction } = require('../db/transaction');
+const { summarise, toDateString } = require('./attendanceReports');
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Competition ranking ("1, 2, 2, 4") on `key`, highest first
+const rankBy = (items, key) => {
+    const ranked = [...items].sort((a, b) => b[key] - a[key]);
+    ranked.forEach((item, index) => {
+        const previous = ranked[index - 1];
+        item.rank = previous && previous[key] === item[key] ? previous.rank : index + 1;
+    });
+    return ranked;
+};
+
+// Terms, assessments and marks. A subject's term average weighs each marked
+// assessment's percentage by its weight; the overall average is the mean of
+// the subject averages, and both are ranked within the class.
+const createGradebookService = (pool) => {
+    const invalid = (field, message) => new ApiError(400, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        fields: [{ location: 'body', field, message }]
+    });
+
+    const listTerms = async () => {
+        const [terms] = await pool.query('SELECT * FROM terms ORDER BY start_date');
+        return terms;
+    };
+
+    const findTerm = async (termId, location = 'query') => {
+        const [[term]] = await pool.query('SELECT * FROM terms WHERE term_id = ?', [termId]);
+        if (!term) {
+            throw new ApiError(404, 'Term not found', {
+                fields: [{ location, field: 'term_id', message: 'does not exist' }]
+            });
+        }
+        return term;
+    };
+
+    const saveTerm = async (sql, params, { start_date, end_date }) => {
+        if (start_date >= end_date) throw invalid('end_date', 'must be after start_date');
+        try {
+            const [result] = await pool.query(sql, params);
+            return result;
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY') throw error;
+            throw new ApiError(409, 'A term with this name already exists for the academic year', { code: 'ALREADY_EXISTS' });
+        }
+    };
+
+    const createTerm = async (term) => {
+        const { name, academic_year, start_date, end_date } = term;
+        const result = await saveTerm(
+            'INSERT INTO terms (name, academic_year, start_date, end_date) VALUES (?, ?, ?, ?)',
+            [name, academic_year, start_date, end_date],
+            term
+        );
+        return result.insertId;
+    };
+
+    const updateTerm = async (termId, term) => {
+        const { name, academic_year, start_date, end_date } = term;
+        const result = await saveTerm(
+            'UPDATE terms SET name = ?, academic_year = ?, start_date = ?, end_date = ? WHERE term_id = ?',
+            [name, academic_year, start_date, end_date, termId],
+            term
+        );
+        if (!result.affectedRows) throw new ApiError(404, 'Term not found');
+    };
+
+    const removeTerm = async (termId) => {
+        const [[{ count }]] = await pool.query('SELECT COUNT(*) AS count FROM assessments WHERE term_id = ?', [termId]);
+        if (Number(count)) throw new ApiError(409, 'Term has assessments', { code: 'TERM_IN_USE' });
+        const [result] = await pool.query('DELETE FROM terms WHERE term_id = ?', [termId]);
+        if (!result.affectedRows) throw new ApiError(404, 'Term not found');
+    };
+
+    // Admins may grade any subject, teachers only the subjects they teach
+    const assertTeaches = (user, classSubject) => {
+        if (user.user_type !== 'admin' && Number(classSubject.teacher_id) !== Number(user.user_id)) {
+            throw new ApiError(403, 'You do not teach this subject in this class');
+        }
+    };
+
+    const findClassSubject = async (classId, subjectId) => {
+        const [[classSubject]] = await pool.query(
+            'SELECT class_subject_id, class_id, teacher_id FROM class_subjects WHERE class_id = ? AND subject_id = ?',
+            [classId, subjectId]
+        );
+        if (!classSubject) {
+            throw new ApiError(404, 'Subject is not taught in this class', {
+                fields: [{ location: 'body', field: 'subject_id', message: 'is not assigned to the class' }]
+            });
+        }
+        return classSubject;
+    };
+
+    const findAssessment = async (assessmentId) => {
+        const [[assessment]] = await pool.query(
+            `SELECT a.*, cs.class_id, cs.subject_id, cs.teacher_id
+             FROM assessments a
+             JOIN class_subjects cs ON a.class_subject_id = cs.class_subject_id
+             WHERE a.assessment_id = ?`,
+            [assessmentId]
+        );
+        if (!assessment) throw new ApiError(404, 'Assessment not found');
+        return assessment;
+    };
+
+    // The assessment must fall inside its term
+    const checkDate = async (termId, assessmentDate) => {
+        const term = await findTerm(termId, 'body');
+        if (assessmentDate && (assessmentDate < toDateString(term.start_date) || assessmentDate > toDateString(term.end_date))) {
+            throw invalid('assessment_date', 'must be within the term');
+        }
+    };
+
+    const listForClass = async (classId, { term_id, subject_id }) => {
+        const filters = ['cs.class_id = ?'];
+        const params = [classId];
+        if (term_id) {
+            filters.push('a.term_id = ?');
+            params.push(term_id);
+        }
+        if (subject_id) {
+            filters.push('cs.subject_id = ?');
+            params.push(subject_id);
+        }
+        const [assessments] = await pool.query(
+            `SELECT a.*, cs.subject_id, s.name AS subject_name,
+                    (SELECT COUNT(*) FROM marks m WHERE m.assessment_id = a.assessment_id) AS marks_entered
+             FROM assessments a
+             JOIN class_subjects cs ON a.class_subject_id = cs.class_subject_id
+             JOIN subjects s ON cs.subject_id = s.subject_id
+             WHERE ${filters.join(' AND ')}
+             ORDER BY a.term_id, s.name, a.assessment_date, a.assessment_id`,
+            params
+        );
+        return assessments;
+    };
+
+    const createAssessment = async (user, classId, assessment) => {
+        const classSubject = await findClassSubject(classId, assessment.subject_id);
+        assertTeaches(user, classSubject);
+        await checkDate(assessment.term_id, assessment.assessment_date);
+        const [result] = await pool.query(
+            `INSERT INTO assessments
+                (class_subject_id, term_id, title, assessment_type, max_score, weight, assessment_date, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                classSubject.class_subject_id,
+                assessment.term_id,
+                assessment.title,
+                assessment.assessment_type,
+                assessment.max_score,
+                assessment.weight || 1,
+                assessment.assessment_date || null,
+                user.user_id
+            ]
+        );
+        return result.insertId;
+    };
+
+    const updateAssessment = async (user, assessmentId, changes) => {
+        const assessment = await findAssessment(assessmentId);
+        assertTeaches(user, assessment);
+        await checkDate(changes.term_id, changes.assessment_date);
+        const [[{ highest }]] = await pool.query(
+            'SELECT MAX(score) AS highest FROM marks WHERE assessment_id = ?',
+            [assessmentId]
+        );
+        if (highest !== null && Number(highest) > Number(changes.max_score)) {
+            throw invalid('max_score', `is below a mark already entered (${Number(highest)})`);
+        }
+        await pool.query(
+            `UPDATE assessments
+             SET term_id = ?, title = ?, assessment_type = ?, max_score = ?, weight = ?, assessment_date = ?
+             WHERE assessment_id = ?`,
+            [
+                changes.term_id,
+                changes.title,
+                changes.assessment_type,
+                changes.max_score,
+                changes.weight || 1,
+                changes.assessment_date || null,
+                assessmentId
+            ]
+        );
+    };
+
+    // Also deletes the assessment's marks
+    const removeAssessment = async (user, assessmentId) => {
+        assertTeaches(user, await findAssessment(assessmentId));
+        await pool.query('DELETE FROM assessments WHERE assessment_id = ?', [assessmentId]);
+    };
+
+    // Mark sheet: every active student of the class with their mark, if any
+    const marksFor = async (user, assessmentId) => {
+        const assessment = await findAssessment(assessmentId);
+        assertTeaches(user, assessment);
+        const [marks] = await pool.query(
+            `SELECT s.student_id, s.student_name, m.score, m.remarks, m.updated_at
+             FROM students s
+             LEFT JOIN marks m ON m.student_id = s.student_id AND m.assessment_id = ?
+             WHERE s.class_id = ? AND (s.status = 'active' OR m.score IS NOT NULL)
+             ORDER BY s.student_name`,
+            [assessmentId, assessment.class_id]
+        );
+        return { assessment, marks };
+    };
+
+    // marks: [{ student_id, score, remarks }]. Entering a mark again replaces
+    // it. Returns how many marks were created, changed and left as they were.
+    const recordMarks = async (user, assessmentId, { marks }) => {
+        const assessment = await findAssessment(assessmentId);
+        assertTeaches(user, assessment);
+
+        return transaction(pool, async (conn) => {
+            const [members] = await conn.query(
+                "SELECT student_id FROM students WHERE class_id = ? AND status = 'active'",
+                [assessment.class_id]
+            );
+            const memberIds = new Set(members.map(m => Number(m.student_id)));
+            const seen = new Set();
+            const fields = [];
+            marks.forEach((entry, index) => {
+                const studentId = Number(entry.student_id);
+                if (!memberIds.has(studentId)) {
+                    fields.push({ location: 'body', field: `marks[${index}].student_id`, message: 'is not a student of this class' });
+                } else if (seen.has(studentId)) {
+                    fields.push({ location: 'body', field: `marks[${index}].student_id`, message: 'is listed more than once' });
+                }
+                seen.add(studentId);
+                if (Number(entry.score) > Number(assessment.max_score)) {
+                    fields.push({ location: 'body', field: `marks[${index}].score`, message: `must be at most ${Number(assessment.max_score)}` });
+                }
+            });
+            if (fields.length) throw new ApiError(400, 'Validation failed', { code: 'VALIDATION_ERROR', fields });
+
+            const [rows] = await conn.query('SELECT * FROM marks WHERE assessment_id = ? FOR UPDATE', [assessmentId]);
+            const existing = new Map(rows.map(row => [Number(row.student_id), row]));
+            const counts = { created: 0, updated: 0, unchanged: 0 };
+            for (const entry of marks) {
+                const score = Number(entry.score);
+                const remarks = entry.remarks && entry.remarks.trim() ? entry.remarks.trim() : null;
+                const before = existing.get(Number(entry.student_id));
+                if (!before) {
+                    await conn.query(
+                        'INSERT INTO marks (assessment_id, student_id, score, remarks, recorded_by) VALUES (?, ?, ?, ?, ?)',
+                        [assessmentId, entry.student_id, score, remarks, user.user_id]
+                    );
+                    counts.created++;
+                } else if (Number(before.score) !== score || (before.remarks || null) !== remarks) {
+                    await conn.query(
+                        `UPDATE marks SET score = ?, remarks = ?, recorded_by = ?, updated_at = NOW()
+                         WHERE assessment_id = ? AND student_id = ?`,
+                        [score, remarks, user.user_id, assessmentId, entry.student_id]
+                    );
+                    counts.updated++;
+                } else {
+                    counts.unchanged++;
+                }
+            }
+            return counts;
+        });
+    };
+
+    // Averages and ranks of every student with marks in the class for the term
+    const computeResults = async (classId, termId) => {
+        const [rows] = await pool.query(
+            `SELECT m.student_id, st.student_name, cs.subject_id, sub.name AS subject_name,
+                    m.score, a.max_score, a.weight
+             FROM marks m
+             JOIN assessments a ON m.assessment_id = a.assessment_id
+             JOIN class_subjects cs ON a.class_subject_id = cs.class_subject_id
+             JOIN subjects sub ON cs.subject_id = sub.subject_id
+             JOIN students st ON m.student_id = st.student_id
+             WHERE cs.class_id = ? AND a.term_id = ?`,
+            [classId, termId]
+        );
+
+        const students = new Map();
+        for (const row of rows) {
+            if (!students.has(row.student_id)) {
+                students.set(row.student_id, { student_id: row.student_id, student_name: row.student_name, subjects: new Map() });
+            }
+            const { subjects } = students.get(row.student_id);
+            if (!subjects.has(row.subject_id)) {
+                subjects.set(row.subject_id, { subject_id: row.subject_id, subject_name: row.subject_name, weighted: 0, weights: 0 });
+            }
+            const subject = subjects.get(row.subject_id);
+            subject.weighted += (Number(row.score) / Number(row.max_score)) * Number(row.weight);
+            subject.weights += Number(row.weight);
+        }
+
+        const results = [...students.values()].map(student => {
+            const subjects = [...student.subjects.values()].map(({ subject_id, subject_name, weighted, weights }) => ({
+                subject_id,
+                subject_name,
+                average: round((weighted / weights) * 100)
+            }));
+            const average = round(subjects.reduce((sum, s) => sum + s.average, 0) / subjects.length);
+            return { student_id: student.student_id, student_name: student.student_name, average, subjects };
+        });
+
+        // Subject ranks are set on each student's subject entries in place
+        const bySubject = new Map();
+        for (const student of results) {
+            for (const subject of student.subjects) {
+                if (!bySubject.has(subject.subject_id)) bySubject.set(subject.subject_id, []);
+                bySubject.get(subject.subject_id).push(subject);
+            }
+        }
+        bySubject.forEach(entries => rankBy(entries, 'average'));
+        return rankBy(results, 'average');
+    };
+
+    const classResults = async (classId, termId) => {
+        const term = await findTerm(termId);
+        return { term, class_id: Number(classId), students: await computeResults(classId, term.term_id) };
+    };
+
+    // The class a student was marked in during a term (the one with most of
+    // their marks, should they have moved mid-term), or their current class
+    // for a term they have no marks in yet
+    const termClassId = async (student, termId) => {
+        const [[marked]] = await pool.query(
+            `SELECT cs.class_id, COUNT(*) AS marks
+             FROM marks m
+             JOIN assessments a ON m.assessment_id = a.assessment_id
+             JOIN class_subjects cs ON a.class_subject_id = cs.class_subject_id
+             WHERE m.student_id = ? AND a.term_id = ?
+             GROUP BY cs.class_id
+             ORDER BY marks DESC, cs.class_id DESC
+             LIMIT 1`,
+            [student.student_id, termId]
+        );
+        return marked ? marked.class_id : student.class_id;
+    };
+
+    // A student's report card for a term: every subject of the class they
+    // were in that term with its marks, average and rank, the overall
+    // average and rank, and attendance over the term
+    const reportCard = async (user, studentId, termId) => {
+        const scope = studentScope(user, 's');
+        const [[found]] = await pool.query(
+            `SELECT s.student_id, s.student_name, s.class_id FROM students s
+             WHERE s.student_id = ? AND ${scope.clause}`,
+            [studentId, ...scope.params]
+        );
+        if (!found) throw new ApiError(404, 'Student not found');
+        const term = await findTerm(termId);
+
+        const classId = await termClassId(found, term.term_id);
+        const [[cls]] = await pool.query(
+            `SELECT c.name AS class_name, c.level AS class_level, CONCAT(u.first_name, ' ', u.last_name) AS class_teacher
+             FROM classes c
+             LEFT JOIN users u ON c.teacher_id = u.user_id
+             WHERE c.class_id = ?`,
+            [classId]
+        );
+        const student = { ...found, class_id: classId, class_name: null, class_level: null, class_teacher: null, ...cls };
+
+        const results = student.class_id ? await computeResults(student.class_id, term.term_id) : [];
+        const own = results.find(r => Number(r.student_id) === Number(student.student_id));
+
+        const [subjects] = await pool.query(
+            `SELECT cs.subject_id, s.name AS subject_name, CONCAT(u.first_name, ' ', u.last_name) AS teacher_name
+             FROM class_subjects cs
+             JOIN subjects s ON cs.subject_id = s.subject_id
+             LEFT JOIN users u ON cs.teacher_id = u.user_id
+             WHERE cs.class_id = ?
+             ORDER BY s.name`,
+            [student.class_id]
+        );
+        const [assessments] = await pool.query(
+            `SELECT a.assessment_id, cs.subject_id, a.title, a.assessment_type, a.assessment_date,
+                    a.max_score, a.weight, m.score, m.remarks
+             FROM assessments a
+             JOIN class_subjects cs ON a.class_subject_id = cs.class_subject_id
+             LEFT JOIN marks m ON m.assessment_id = a.assessment_id AND m.student_id = ?
+             WHERE cs.class_id = ? AND a.term_id = ?
+             ORDER BY a.assessment_date, a.assessment_id`,
+            [student.student_id, student.class_id, term.term_id]
+        );
+        const [attendance] = await pool.query(
+            `SELECT status, COUNT(*) AS count FROM attendance
+             WHERE student_id = ? AND date BETWEEN ? AND ?
+             GROUP BY status`,
+            [student.student_id, toDateString(term.start_date), toDateString(term.end_date)]
+        );
+
+        return {
+            student,
+            term,
+            subjects: subjects.map(subject => {
+                const result = own && own.subjects.find(s => Number(s.subject_id) === Number(subject.subject_id));
+                return {
+                    ...subject,
+                    average: result ? result.average : null,
+                    rank: result ? result.rank : null,
+                    assessments: assessments
+                        .filter(a => Number(a.subject_id) === Number(subject.subject_id))
+                        .map(({ subject_id, max_score, weight, score, ...a }) => ({
+                            ...a,
+                            max_score: Number(max_score),
+                            weight: Number(weight),
+                            score: score === null ? null : Number(score)
+                        }))
+                };
+            }),
+            average: own ? own.average : null,
+            rank: own ? own.rank : null,
+            class_size: results.length,
+            attendance: summarise(attendance)
+        };
+    };
+
+    return {
+        listTerms,
+        createTerm,
+        updateTerm,
+        removeTerm,
+        listForClass,
+        createAssessment,
+        updateAssessment,
+        removeAssessment,
+        marksFor,
+        recordMarks,
+        classResults,
+        reportCard
+    };
+};
+
+module.exports = { createGradebookService };
@@ -0,0 +1,309 @@
+const { ApiError } = require('../errors');
+const { transaction } = require('../db/transaction');
+const { PAGE_SIZE } = require('./messages');
+
+// Classes whose channel a user belongs to: those they teach and those of
+// the children they are a guardian of
+const MEMBER_CLASSES = `
+    SELECT class_id FROM classes WHERE teacher_id = ?
+    UNION SELECT class_id FROM class_subjects WHERE teacher_id = ?
+    UNION SELECT s.class_id FROM students s
+          JOIN student_guardians g ON s.student_id = g.student_id
+          WHERE g.guardian_id = ? AND s.status = 'active'`;
+
+// Group conversations and class channels. The members of a `group` are
+// managed by its owner; the members of a class channel are worked out from
+// the class each time, so they follow enrolment and guardian changes. Only
+// a class's teachers post in its channel, which makes it a way to message
+// every parent of the class at once.
+const createGroupService = (pool, { realtime, files, contacts }) => {
+    // Teachers and guardians of a class, with their role in its channel
+    const classMembers = async (classId) => {
+        const [rows] = await pool.query(
+            `SELECT u.user_id, u.first_name, u.last_name, u.user_type,
+                    CASE WHEN u.user_type = 'teacher' THEN 'teacher' ELSE 'parent' END AS role
+             FROM users u
+             WHERE u.user_id IN (
+                 SELECT teacher_id FROM classes WHERE class_id = ?
+                 UNION SELECT teacher_id FROM class_subjects WHERE class_id = ?
+                 UNION SELECT g.guardian_id FROM student_guardians g
+                       JOIN students s ON s.student_id = g.student_id
+                       WHERE s.class_id = ? AND s.status = 'active'
+             )
+             ORDER BY role DESC, u.last_name, u.first_name`,
+            [classId, classId, classId]
+        );
+        return rows;
+    };
+
+    const members = async (group) => {
+        if (group.group_type === 'class') return classMembers(group.class_id);
+        const [rows] = await pool.query(
+            `SELECT u.user_id, u.first_name, u.last_name, u.user_type, m.role
+             FROM message_group_members m
+             JOIN users u ON u.user_id = m.user_id
+             WHERE m.group_id = ?
+             ORDER BY m.added_at, m.user_id`,
+            [group.group_id]
+        );
+        return rows;
+    };
+
+    const memberIds = async (groupId) => {
+        const [[group]] = await pool.query('SELECT * FROM message_groups WHERE group_id = ?', [groupId]);
+        return group ? (await members(group)).map(member => member.user_id) : [];
+    };
+
+    // The group and the user's membership of it; groups the user is not in
+    // are not found
+    const findForMember = async (userId, groupId) => {
+        const [[group]] = await pool.query(
+            `SELECT g.*, c.name AS class_name, c.level AS class_level
+             FROM message_groups g
+             LEFT JOIN classes c ON g.class_id = c.class_id
+             WHERE g.group_id = ?`,
+            [groupId]
+        );
+        const member = group && (await members(group)).find(m => m.user_id === userId);
+        if (!member) throw new ApiError(404, 'Group not found');
+        return { group, member };
+    };
+
+    const describe = (group) => ({
+        group_id: group.group_id,
+        group_type: group.group_type,
+        name: group.group_type === 'class' ? `${group.class_name} ${group.class_level}` : group.name,
+        class_id: group.class_id,
+        created_at: group.created_at
+    });
+
+    const details = async (userId, groupId) => {
+        const { group } = await findForMember(userId, groupId);
+        return { ...describe(group), members: await members(group) };
+    };
+
+    const requireOwner = ({ group, member }) => {
+        if (group.group_type === 'class') {
+            throw new ApiError(409, 'Class channel members follow the class', { code: 'CLASS_CHANNEL' });
+        }
+        if (member.role !== 'owner') throw new ApiError(403, 'Only the group owner can change the group');
+    };
+
+    // Members must be users the adding user may message
+    const checkMembers = async (user, userIds, field) => {
+        for (const memberId of userIds) await contacts.check(user, memberId, field);
+    };
+
+    const create = async (user, { name, member_ids }) => {
+        const userId = user.user_id;
+        const memberIds = [...new Set(member_ids.map(Number))].filter(id => id !== userId);
+        await checkMembers(user, memberIds, 'member_ids');
+        const groupId = await transaction(pool, async (conn) => {
+            const [result] = await conn.query(
+                "INSERT INTO message_groups (group_type, name, created_by) VALUES ('group', ?, ?)",
+                [name, userId]
+            );
+            await conn.query(
+                "INSERT INTO message_group_members (group_id, user_id, role) VALUES (?, ?, 'owner')",
+                [result.insertId, userId]
+            );
+            for (const memberId of memberIds) {
+                await conn.query('INSERT INTO message_group_members (group_id, user_id) VALUES (?, ?)', [result.insertId, memberId]);
+            }
+            return result.insertId;
+        });
+        return details(userId, groupId);
+    };
+
+    const rename = async (userId, groupId, { name }) => {
+        requireOwner(await findForMember(userId, groupId));
+        await pool.query('UPDATE message_groups SET name = ? WHERE group_id = ?', [name, groupId]);
+        return details(userId, groupId);
+    };
+
+    const addMembers = async (user, groupId, { user_ids }) => {
+        const userId = user.user_id;
+        requireOwner(await findForMember(userId, groupId));
+        const [existing] = await pool.query('SELECT user_id FROM message_group_members WHERE group_id = ?', [groupId]);
+        const current = new Set(existing.map(row => row.user_id));
+        const added = [...new Set(user_ids.map(Number))].filter(id => !current.has(id));
+        await checkMembers(user, added, 'user_ids');
+        for (const memberId of added) {
+            await pool.query('INSERT INTO message_group_members (group_id, user_id) VALUES (?, ?)', [groupId, memberId]);
+        }
+        return details(userId, groupId);
+    };
+
+    // Delete a group with its messages and their attachments
+    const destroy = async (groupId) => {
+        const [attachments] = await pool.query(
+            'SELECT attachment_path FROM messages WHERE group_id = ? AND attachment_path IS NOT NULL',
+            [groupId]
+        );
+        await pool.query('DELETE FROM message_groups WHERE group_id = ?', [groupId]);
+        for (const { attachment_path } of attachments) await files.remove('attachments', attachment_path);
+    };
+
+    // The owner removes members; anyone may leave. When the owner leaves,
+    // the longest-standing member takes over, and a group nobody is left in
+    // is deleted.
+    const removeMember = async (userId, groupId, memberId) => {
+        const found = await findForMember(userId, groupId);
+        if (found.group.group_type === 'class' || memberId !== userId) requireOwner(found);
+
+        const [[removed]] = await pool.query(
+            'SELECT role FROM message_group_members WHERE group_id = ? AND user_id = ?',
+            [groupId, memberId]
+        );
+        if (!removed) throw new ApiError(404, 'User is not a member of this group');
+        await pool.query('DELETE FROM message_group_members WHERE group_id = ? AND user_id = ?', [groupId, memberId]);
+        await pool.query('DELETE FROM message_group_reads WHERE group_id = ? AND user_id = ?', [groupId, memberId]);
+
+        const [[next]] = await pool.query(
+            'SELECT user_id FROM message_group_members WHERE group_id = ? ORDER BY added_at, user_id LIMIT 1',
+            [groupId]
+        );
+        if (!next) return destroy(groupId);
+        if (removed.role === 'owner') {
+            await pool.query("UPDATE message_group_members SET role = 'owner' WHERE group_id = ? AND user_id = ?", [groupId, next.user_id]);
+        }
+    };
+
+    // The channel of a class the user teaches or has a child in, opened on
+    // first use
+    const classChannel = async (userId, classId) => {
+        if (!(await classMembers(classId)).some(member => member.user_id === userId)) {
+            throw new ApiError(403, 'Only teachers and parents of the class can use its channel');
+        }
+        const [[existing]] = await pool.query('SELECT group_id FROM message_groups WHERE class_id = ?', [classId]);
+        if (existing) return details(userId, existing.group_id);
+        try {
+            const [result] = await pool.query(
+                "INSERT INTO message_groups (group_type, class_id, created_by) VALUES ('class', ?, ?)",
+                [classId, userId]
+            );
+            return details(userId, result.insertId);
+        } catch (error) {
+            // Opened at the same moment by someone else
+            if (error.code !== 'ER_DUP_ENTRY') throw error;
+            const [[group]] = await pool.query('SELECT group_id FROM message_groups WHERE class_id = ?', [classId]);
+            return details(userId, group.group_id);
+        }
+    };
+
+    // One page of a group's messages, oldest first, as for direct messages
+    const history = async (userId, groupId, { before, limit = PAGE_SIZE } = {}) => {
+        await findForMember(userId, groupId);
+        const [rows] = await pool.query(
+            `SELECT m.*, u.first_name, u.last_name
+             FROM messages m
+             LEFT JOIN users u ON u.user_id = m.from_user_id
+             WHERE m.group_id = ? ${before ? 'AND m.message_id < ?' : ''}
+             ORDER BY m.message_id DESC
+             LIMIT ?`,
+            [groupId, ...(before ? [before] : []), limit + 1]
+        );
+        const page = rows.slice(0, limit).reverse();
+        return { messages: page, next_cursor: rows.length > limit ? page[0].message_id : null };
+    };
+
+    // Post to a group and push the message to every member
+    const send = async (userId, groupId, { message }, attachment) => {
+        const { group, member } = await findForMember(userId, groupId);
+        if (group.group_type === 'class' && member.role !== 'teacher') {
+            throw new ApiError(403, 'Only teachers can post in a class channel');
+        }
+        const [result] = await pool.query(
+            `INSERT INTO messages (from_user_id, group_id, message, attachment_path, attachment_name, created_at)
+             VALUES (?, ?, ?, ?, ?, NOW())`,
+            [userId, groupId, message || '', attachment ? attachment.file_path : null, attachment ? attachment.name : null]
+        );
+        await setRead(groupId, userId, result.insertId);
+        const [[row]] = await pool.query('SELECT * FROM messages WHERE message_id = ?', [result.insertId]);
+        realtime.publish(await memberIds(groupId), 'message', { message: row });
+        return row;
+    };
+
+    const setRead = async (groupId, userId, messageId) => {
+        const [updated] = await pool.query(
+            'UPDATE message_group_reads SET last_read_message_id = ? WHERE group_id = ? AND user_id = ? AND last_read_message_id < ?',
+            [messageId, groupId, userId, messageId]
+        );
+        if (updated.affectedRows) return;
+        try {
+            await pool.query(
+                'INSERT INTO message_group_reads (group_id, user_id, last_read_message_id) VALUES (?, ?, ?)',
+                [groupId, userId, messageId]
+            );
+        } catch (error) {
+            // Already read further
+            if (error.code !== 'ER_DUP_ENTRY') throw error;
+        }
+    };
+
+    // Mark everything in a group as read; returns how many messages were unread
+    const markRead = async (userId, groupId) => {
+        await findForMember(userId, groupId);
+        const [[{ unread, last }]] = await pool.query(
+            `SELECT COUNT(CASE WHEN m.from_user_id != ? AND m.deleted_at IS NULL
+                               AND m.message_id > COALESCE(r.last_read_message_id, 0) THEN 1 END) AS unread,
+                    MAX(m.message_id) AS last
+             FROM messages m
+             LEFT JOIN message_group_reads r ON r.group_id = m.group_id AND r.user_id = ?
+             WHERE m.group_id = ?`,
+            [userId, userId, groupId]
+        );
+        if (last) await setRead(groupId, userId, last);
+        return Number(unread);
+    };
+
+    // The user's groups and class channels for their conversation list,
+    // each with its last message and unread count
+    const summaries = async (userId) => {
+        const [groups] = await pool.query(
+            `SELECT g.*, c.name AS class_name, c.level AS class_level,
+                    (SELECT MAX(message_id) FROM messages WHERE group_id = g.group_id) AS last_message_id,
+                    (SELECT COUNT(*) FROM messages m
+                     WHERE m.group_id = g.group_id AND m.from_user_id != ? AND m.deleted_at IS NULL
+                       AND m.message_id > COALESCE(
+                           (SELECT last_read_message_id FROM message_group_reads r WHERE r.group_id = g.group_id AND r.user_id = ?),
+                           0)) AS unread_count
+             FROM message_groups g
+             LEFT JOIN classes c ON g.class_id = c.class_id
+             WHERE g.group_id IN (SELECT group_id FROM message_group_members WHERE user_id = ?)
+                OR g.class_id IN (${MEMBER_CLASSES})`,
+            [userId, userId, userId, userId, userId, userId]
+        );
+        const lastIds = groups.map(group => group.last_message_id).filter(Boolean);
+        const [last] = lastIds.length
+            ? await pool.query('SELECT * FROM messages WHERE message_id IN (?)', [lastIds])
+            : [[]];
+        const byId = new Map(last.map(row => [row.message_id, row]));
+        return groups.map(group => ({
+            type: group.group_type,
+            group: describe(group),
+            last_message: byId.get(group.last_message_id) || null,
+            unread_count: Number(group.unread_count)
+        }));
+    };
+
+    // Whether a user can see a group's messages
+    const isMember = async (userId, groupId) => (await memberIds(groupId)).includes(userId);
+
+    return {
+        details,
+        create,
+        rename,
+        addMembers,
+        removeMember,
+        classChannel,
+        history,
+        send,
+        markRead,
+        summaries,
+        memberIds,
+        isMember
+    };
+};
+
+module.exports = { createGroupService };
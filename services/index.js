@@ -0,0 +1,66 @@
+const { createUserService } = require('./users');
+const { createNotificationService } = require('./notifications');
+const { createDeliveryService } = require('./deliveries');
+const { createRegistrationRequestService } = require('./registrationRequests');
+const { createUpdateService } = require('./updates');
+const { createDashboardService } = require('./dashboard');
+const { createStudentService } = require('./students');
+const { createParentService } = require('./parents');
+const { createMessageService } = require('./messages');
+const { createGroupService } = require('./groups');
+const { createContactService } = require('./contacts');
+const { createClassService } = require('./classes');
+const { createAttendanceService } = require('./attendance');
+const { createAttendanceReportService } = require('./attendanceReports');
+const { createSubjectService } = require('./subjects');
+const { createTimetableService } = require('./timetable');
+const { createGradebookService } = require('./gradebook');
+const { createAssignmentService } = require('./assignments');
+const { createDocumentService } = require('./documents');
+const { createFileService } = require('./files');
+const { createPreviewService } = require('./previews');
+const { createSearchService } = require('./search');
+const { createSessionService } = require('./sessions');
+const { createAccountService } = require('./accounts');
+const { createLoginGuardService } = require('./loginGuard');
+
+// Build every service against one database pool
+const createServices = (pool, config, { mailer, sms, storage, realtime }) => {
+    const deliveries = createDeliveryService(pool, { config, mailer, sms });
+    const notifications = createNotificationService(pool, { config, realtime, deliveries });
+    const files = createFileService(pool, { storage });
+    const sessions = createSessionService(pool, { config });
+    const students = createStudentService(pool, { config });
+    const accounts = createAccountService(pool, { config, mailer, sessions });
+    const contacts = createContactService(pool, { notifications });
+    const groups = createGroupService(pool, { realtime, files, contacts });
+    return {
+        users: createUserService(pool),
+        notifications,
+        deliveries,
+        registrationRequests: createRegistrationRequestService(pool, { notifications, students, accounts, mailer }),
+        updates: createUpdateService(pool, { files }),
+        dashboard: createDashboardService(pool),
+        students,
+        parents: createParentService(pool),
+        contacts,
+        messages: createMessageService(pool, { config, realtime, files, groups, contacts }),
+        groups,
+        classes: createClassService(pool),
+        attendance: createAttendanceService(pool, { notifications, config }),
+        attendanceReports: createAttendanceReportService(pool, { config }),
+        subjects: createSubjectService(pool),
+        timetable: createTimetableService(pool),
+        gradebook: createGradebookService(pool),
+        assignments: createAssignmentService(pool, { notifications }),
+        documents: createDocumentService(pool, { config, files }),
+        files,
+        previews: createPreviewService({ config, storage, files }),
+        search: createSearchService(pool),
+        sessions,
+        accounts,
+        loginGuard: createLoginGuardService(pool, { config })
+    };
+};
+
+module.exports = { createServices };
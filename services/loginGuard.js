@@ -0,0 +1,92 @@
+const { ApiError } = require('../errors');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Account lockout, progressive delays and the login_attempts audit trail
+const createLoginGuardService = (pool, { config }) => {
+    const { maxFailedLogins, lockoutMinutes, loginDelayBaseMs, loginDelayMaxMs } = config.security;
+
+    const record = async ({ username, user_id = null, ip, succeeded, reason }) => {
+        await pool.query(
+            'INSERT INTO login_attempts (username, user_id, ip_address, succeeded, reason) VALUES (?, ?, ?, ?, ?)',
+            [(username || '').slice(0, 50), user_id, ip || null, succeeded, reason]
+        );
+    };
+
+    // Throws 423 while the account is locked
+    const assertNotLocked = async (user, ip) => {
+        const [[lock]] = await pool.query(
+            'SELECT locked_until FROM users WHERE user_id = ? AND locked_until > NOW()',
+            [user.user_id]
+        );
+        if (lock) {
+            await record({ username: user.username, user_id: user.user_id, ip, succeeded: false, reason: 'locked' });
+            throw new ApiError(423, 'Account is temporarily locked after repeated failed logins', { code: 'ACCOUNT_LOCKED' });
+        }
+    };
+
+    // Wait longer after each consecutive failure: base, 2x base, 4x base ...
+    const delay = async (user) => {
+        const failures = user ? user.failed_login_count : 0;
+        if (!failures || !loginDelayBaseMs) return;
+        await sleep(Math.min(loginDelayBaseMs * 2 ** (failures - 1), loginDelayMaxMs));
+    };
+
+    // Audit a failure; wrong passwords also count towards the lockout limit.
+    // The count is raised and checked in one statement against the stored
+    // value, so parallel failures cannot slip past the limit. locked_until
+    // is assigned first so both columns are worked out from the old count.
+    const recordFailure = async ({ user, username, ip, reason }) => {
+        await record({ username, user_id: user ? user.user_id : null, ip, succeeded: false, reason });
+        if (!user || reason !== 'invalid_password') return;
+
+        await pool.query(
+            `UPDATE users
+             SET locked_until = CASE WHEN failed_login_count + 1 >= ? THEN ? ELSE locked_until END,
+                 failed_login_count = CASE WHEN failed_login_count + 1 >= ? THEN 0 ELSE failed_login_count + 1 END
+             WHERE user_id = ?`,
+            [maxFailedLogins, new Date(Date.now() + lockoutMinutes * 60 * 1000), maxFailedLogins, user.user_id]
+        );
+    };
+
+    const recordSuccess = async ({ user, ip }) => {
+        await record({ username: user.username, user_id: user.user_id, ip, succeeded: true, reason: 'success' });
+        await pool.query(
+            'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE user_id = ?',
+            [user.user_id]
+        );
+    };
+
+    const unlock = async (userId) => {
+        const [result] = await pool.query(
+            'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE user_id = ?',
+            [userId]
+        );
+        if (!result.affectedRows) throw new ApiError(404, 'User not found');
+    };
+
+    const listAttempts = async ({ username, ip, limit = 100 }) => {
+        const conditions = [];
+        const params = [];
+        if (username) {
+            conditions.push('username = ?');
+            params.push(username);
+        }
+        if (ip) {
+            conditions.push('ip_address = ?');
+            params.push(ip);
+        }
+        const [attempts] = await pool.query(
+            `SELECT * FROM login_attempts
+             ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY attempt_id DESC
+             LIMIT ?`,
+            [...params, Number(limit)]
+        );
+        return attempts;
+    };
+
+    return { assertNotLocked, delay, recordFailure, recordSuccess, unlock, listAttempts };
+};
+
+module.exports = { createLoginGuardService };
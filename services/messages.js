@@ -0,0 +1,224 @@
+const { ApiError } = require('../errors');
+
+// Messages per page of a conversation
+const PAGE_SIZE = 50;
+const MINUTE_MS = 60 * 1000;
+
+const createMessageService = (pool, { config, realtime, files, groups, contacts }) => {
+    // Direct conversations of a user with the other person, the last
+    // message and how many of their messages are still unread
+    const directConversations = async (userId) => {
+        const [rows] = await pool.query(
+            `SELECT t.unread_count, m.*, u.first_name, u.last_name, u.user_type
+             FROM (
+                 SELECT CASE WHEN from_user_id = ? THEN to_user_id ELSE from_user_id END AS other_user_id,
+                        MAX(message_id) AS last_message_id,
+                        SUM(CASE WHEN to_user_id = ? AND read_at IS NULL AND deleted_at IS NULL THEN 1 ELSE 0 END) AS unread_count
+                 FROM messages
+                 WHERE (from_user_id = ? OR to_user_id = ?) AND group_id IS NULL
+                 GROUP BY other_user_id
+             ) t
+             JOIN messages m ON m.message_id = t.last_message_id
+             JOIN users u ON u.user_id = t.other_user_id
+             ORDER BY t.last_message_id DESC`,
+            [userId, userId, userId, userId]
+        );
+        return rows.map(({ unread_count, first_name, last_name, user_type, ...message }) => {
+            const otherUserId = message.from_user_id === userId ? message.to_user_id : message.from_user_id;
+            return {
+                type: 'direct',
+                user: { user_id: otherUserId, first_name, last_name, user_type, online: realtime.isOnline(otherUserId) },
+                last_message: message,
+                unread_count: Number(unread_count)
+            };
+        });
+    };
+
+    // Every conversation of a user, direct ones and groups, the most
+    // recently active first
+    const conversations = async (userId) => {
+        const all = [...await directConversations(userId), ...await groups.summaries(userId)];
+        const lastId = (conversation) => (conversation.last_message ? conversation.last_message.message_id : 0);
+        return all.sort((a, b) => lastId(b) - lastId(a));
+    };
+
+    // One page of the messages between two users, oldest first. Pages go
+    // back in time: pass the returned next_cursor as `before` to get the
+    // messages preceding this page; it is null on the first message.
+    const conversation = async (userId, otherUserId, { before, limit = PAGE_SIZE } = {}) => {
+        const [rows] = await pool.query(
+            `SELECT * FROM messages
+             WHERE ((from_user_id = ? AND to_user_id = ?)
+                OR (from_user_id = ? AND to_user_id = ?))
+               ${before ? 'AND message_id < ?' : ''}
+             ORDER BY message_id DESC
+             LIMIT ?`,
+            [userId, otherUserId, otherUserId, userId, ...(before ? [before] : []), limit + 1]
+        );
+        const page = rows.slice(0, limit).reverse();
+        return { messages: page, next_cursor: rows.length > limit ? page[0].message_id : null };
+    };
+
+    // Tell each sender which of their messages were delivered or read
+    const sendReceipts = (rows, status, at) => {
+        const bySender = new Map();
+        for (const row of rows) {
+            if (!bySender.has(row.from_user_id)) bySender.set(row.from_user_id, []);
+            bySender.get(row.from_user_id).push(row.message_id);
+        }
+        for (const [senderId, messageIds] of bySender) {
+            realtime.publish(senderId, 'receipt', { status, message_ids: messageIds, at });
+        }
+    };
+
+    // Store a message, with an optional uploaded `attachment` ({ file_path,
+    // name }), and push it to both users' connections; it counts as
+    // delivered straight away when the recipient is online. The sender must
+    // be allowed to message the recipient.
+    const send = async (user, { to_user_id, message }, attachment) => {
+        await contacts.check(user, to_user_id);
+        const fromUserId = user.user_id;
+        const delivered = realtime.isOnline(to_user_id);
+        const [result] = await pool.query(
+            `INSERT INTO messages (from_user_id, to_user_id, message, attachment_path, attachment_name, created_at, delivered_at)
+             VALUES (?, ?, ?, ?, ?, NOW(), ${delivered ? 'NOW()' : 'NULL'})`,
+            [fromUserId, to_user_id, message || '', attachment ? attachment.file_path : null, attachment ? attachment.name : null]
+        );
+        const [[row]] = await pool.query('SELECT * FROM messages WHERE message_id = ?', [result.insertId]);
+        realtime.publish([to_user_id, fromUserId], 'message', { message: row });
+        if (delivered) sendReceipts([row], 'delivered', row.delivered_at);
+        return row;
+    };
+
+    // Mark everything sent to a user while they were offline as delivered
+    const markDelivered = async (userId) => {
+        const [rows] = await pool.query(
+            'SELECT message_id, from_user_id FROM messages WHERE to_user_id = ? AND delivered_at IS NULL',
+            [userId]
+        );
+        if (!rows.length) return;
+        const at = new Date();
+        await pool.query(
+            'UPDATE messages SET delivered_at = ? WHERE message_id IN (?)',
+            [at, rows.map(row => row.message_id)]
+        );
+        sendReceipts(rows, 'delivered', at);
+    };
+
+    const setRead = async (rows) => {
+        if (!rows.length) return 0;
+        const at = new Date();
+        await pool.query(
+            'UPDATE messages SET read_at = ?, delivered_at = COALESCE(delivered_at, ?) WHERE message_id IN (?)',
+            [at, at, rows.map(row => row.message_id)]
+        );
+        sendReceipts(rows, 'read', at);
+        return rows.length;
+    };
+
+    // Mark messages sent to a user as read; returns how many were unread
+    const markRead = async (userId, messageIds) => {
+        const [rows] = await pool.query(
+            'SELECT message_id, from_user_id FROM messages WHERE to_user_id = ? AND message_id IN (?) AND read_at IS NULL',
+            [userId, messageIds]
+        );
+        return setRead(rows);
+    };
+
+    // Mark everything another user has sent a user as read
+    const markConversationRead = async (userId, otherUserId) => {
+        const [rows] = await pool.query(
+            'SELECT message_id, from_user_id FROM messages WHERE to_user_id = ? AND from_user_id = ? AND read_at IS NULL',
+            [userId, otherUserId]
+        );
+        return setRead(rows);
+    };
+
+    // A message its sender may still change: not deleted, and sent within
+    // the edit window
+    const findEditable = async (userId, messageId) => {
+        const cutoff = new Date(Date.now() - config.messages.editWindowMinutes * MINUTE_MS);
+        const [[row]] = await pool.query(
+            'SELECT *, created_at >= ? AS editable FROM messages WHERE message_id = ? AND deleted_at IS NULL',
+            [cutoff, messageId]
+        );
+        const visible = row && (row.group_id
+            ? await groups.isMember(userId, row.group_id)
+            : row.from_user_id === userId || row.to_user_id === userId);
+        if (!visible) throw new ApiError(404, 'Message not found');
+        if (row.from_user_id !== userId) {
+            throw new ApiError(403, 'Only the sender can change a message');
+        }
+        if (!Number(row.editable)) {
+            throw new ApiError(409, `Messages can only be changed within ${config.messages.editWindowMinutes} minutes of sending`, {
+                code: 'EDIT_WINDOW_CLOSED'
+            });
+        }
+        return row;
+    };
+
+    // Everyone who receives a message
+    const recipients = async (row) => (row.group_id ? groups.memberIds(row.group_id) : [row.to_user_id, row.from_user_id]);
+
+    // Push a changed message to everyone who received it
+    const changed = async (messageId) => {
+        const [[row]] = await pool.query('SELECT * FROM messages WHERE message_id = ?', [messageId]);
+        realtime.publish(await recipients(row), 'message_updated', { message: row });
+        return row;
+    };
+
+    const edit = async (userId, messageId, { message }) => {
+        await findEditable(userId, messageId);
+        await pool.query('UPDATE messages SET message = ?, edited_at = NOW() WHERE message_id = ?', [message, messageId]);
+        return changed(messageId);
+    };
+
+    // Deleting removes the text and attachment but keeps the message's
+    // place in the conversation
+    const remove = async (userId, messageId) => {
+        const row = await findEditable(userId, messageId);
+        await pool.query(
+            "UPDATE messages SET message = '', attachment_path = NULL, attachment_name = NULL, deleted_at = NOW() WHERE message_id = ?",
+            [messageId]
+        );
+        if (row.attachment_path) await files.remove('attachments', row.attachment_path);
+        return changed(messageId);
+    };
+
+    // A message with an attachment the user sent or received
+    const findAttachment = async (userId, messageId) => {
+        const [[row]] = await pool.query(
+            'SELECT * FROM messages WHERE message_id = ? AND attachment_path IS NOT NULL',
+            [messageId]
+        );
+        if (!row) return null;
+        const visible = row.group_id
+            ? await groups.isMember(userId, row.group_id)
+            : row.from_user_id === userId || row.to_user_id === userId;
+        return visible ? row : null;
+    };
+
+    const typing = async (user, { to_user_id, is_typing = true }) => {
+        await contacts.check(user, to_user_id);
+        realtime.publish(to_user_id, 'typing', { from_user_id: user.user_id, is_typing: is_typing === true || is_typing === 'true' });
+    };
+
+    // Connected users whose presence `user` may see
+    const activeUsers = async (user) => (await realtime.onlineFor(user)).map(user_id => ({ user_id }));
+
+    return {
+        conversations,
+        conversation,
+        send,
+        markDelivered,
+        markRead,
+        markConversationRead,
+        edit,
+        remove,
+        findAttachment,
+        typing,
+        activeUsers
+    };
+};
+
+module.exports = { createMessageService, PAGE_SIZE };
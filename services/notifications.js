@@ -0,0 +1,183 @@
+const { ApiError } = require('../errors');
+
+const CHANNELS = ['in_app', 'email', 'sms'];
+
+// Events other services notify users of. `type` is the notification_type
+// clients see, `user_types` who can receive the event, and `channels` the
+// channels users are told on until they choose otherwise.
+const EVENTS = {
+    'attendance.absent': {
+        type: 'attendance',
+        user_types: ['parent'],
+        description: 'Your child is marked absent',
+        channels: ['in_app', 'email', 'sms']
+    },
+    'attendance.concern': {
+        type: 'attendance',
+        user_types: ['parent'],
+        description: "Your child's attendance drops below the school's threshold",
+        channels: ['in_app', 'email']
+    },
+    'assignment.marked': {
+        type: 'assignment',
+        user_types: ['student', 'parent'],
+        description: 'Handed-in work is marked',
+        channels: ['in_app']
+    },
+    'registration.reviewed': {
+        type: 'request',
+        user_types: ['parent'],
+        description: 'A registration request is approved or rejected',
+        channels: ['in_app', 'email']
+    },
+    'user.reported': {
+        type: 'report',
+        user_types: ['admin'],
+        description: 'A user is reported for review',
+        channels: ['in_app', 'email']
+    }
+};
+
+// Notifications: other services call notify with an event type, and each
+// recipient is told on the channels they chose for it. In-app
+// notifications are stored (and pushed live to online users); email and
+// text messages go through the delivery queue.
+const createNotificationService = (pool, { config, realtime, deliveries }) => {
+    const listForUser = async (userId) => {
+        const [notifications] = await pool.query(
+            'SELECT * FROM notifications WHERE user_id = ? ORDER BY created_at DESC, notification_id DESC',
+            [userId]
+        );
+        return notifications;
+    };
+
+    const unreadCount = async (userId) => {
+        const [[row]] = await pool.query(
+            'SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND is_read = FALSE',
+            [userId]
+        );
+        return Number(row.count);
+    };
+
+    const markRead = async (notificationId, userId) => {
+        await pool.query(
+            'UPDATE notifications SET is_read = TRUE WHERE notification_id = ? AND user_id = ?',
+            [notificationId, userId]
+        );
+    };
+
+    // Returns how many notifications were unread
+    const markAllRead = async (userId) => {
+        const [result] = await pool.query(
+            'UPDATE notifications SET is_read = TRUE WHERE user_id = ? AND is_read = FALSE',
+            [userId]
+        );
+        return result.affectedRows;
+    };
+
+    const findEvent = (eventType) => {
+        const event = EVENTS[eventType];
+        if (!event) throw new Error(`Unknown notification event: ${eventType}`);
+        return event;
+    };
+
+    // A user's channels for an event: their saved choice, or the event's
+    // defaults
+    const channelsFor = (event, saved) => Object.fromEntries(CHANNELS.map(channel => [
+        channel,
+        saved ? Boolean(Number(saved[channel])) : event.channels.includes(channel)
+    ]));
+
+    // Student accounts made without an email get an address on
+    // config.studentEmailDomain, which does not receive mail
+    const emailAddress = (email) => (email && !email.endsWith(`@${config.studentEmailDomain}`) ? email : null);
+
+    const store = async (userId, eventType, event, { title, message }) => {
+        const [result] = await pool.query(
+            'INSERT INTO notifications (user_id, title, message, notification_type, event_type) VALUES (?, ?, ?, ?, ?)',
+            [userId, title, message, event.type, eventType]
+        );
+        if (realtime.isOnline(userId)) {
+            const [[notification]] = await pool.query('SELECT * FROM notifications WHERE notification_id = ?', [result.insertId]);
+            realtime.publish(userId, 'notification', { notification });
+        }
+    };
+
+    // Tell one user or several (`userIds`) about an event of `eventType`
+    const notify = async (eventType, userIds, { title, message }) => {
+        const event = findEvent(eventType);
+        const ids = [].concat(userIds);
+        if (!ids.length) return;
+        const [recipients] = await pool.query(
+            `SELECT u.user_id, u.email, p.phone_number, np.in_app, np.email AS email_channel, np.sms
+             FROM users u
+             LEFT JOIN parents p ON p.parent_id = u.user_id
+             LEFT JOIN notification_preferences np ON np.user_id = u.user_id AND np.event_type = ?
+             WHERE u.user_id IN (?)`,
+            [eventType, ids]
+        );
+        for (const recipient of recipients) {
+            const saved = recipient.in_app === null ? null : { in_app: recipient.in_app, email: recipient.email_channel, sms: recipient.sms };
+            const channels = channelsFor(event, saved);
+            const delivery = { user_id: recipient.user_id, event_type: eventType, subject: title };
+            if (channels.in_app) await store(recipient.user_id, eventType, event, { title, message });
+            const email = emailAddress(recipient.email);
+            if (channels.email && email) {
+                await deliveries.enqueue({ ...delivery, channel: 'email', recipient: email, body: message });
+            }
+            if (channels.sms && recipient.phone_number) {
+                await deliveries.enqueue({ ...delivery, channel: 'sms', recipient: recipient.phone_number, body: `${title}: ${message}` });
+            }
+        }
+    };
+
+    // The events a user can receive, with the channels they are told on
+    const preferences = async (user) => {
+        const [rows] = await pool.query('SELECT * FROM notification_preferences WHERE user_id = ?', [user.user_id]);
+        const saved = new Map(rows.map(row => [row.event_type, row]));
+        return Object.entries(EVENTS)
+            .filter(([, event]) => event.user_types.includes(user.user_type))
+            .map(([eventType, event]) => ({
+                event_type: eventType,
+                description: event.description,
+                ...channelsFor(event, saved.get(eventType))
+            }));
+    };
+
+    // Choose the channels for one event; channels left out keep their
+    // current setting
+    const setPreference = async (user, eventType, changes) => {
+        const current = (await preferences(user)).find(preference => preference.event_type === eventType);
+        if (!current) throw new ApiError(404, 'Notification event not found');
+        const channels = Object.fromEntries(CHANNELS.map(channel => [
+            channel,
+            changes[channel] === undefined ? current[channel] : changes[channel] === true || changes[channel] === 'true'
+        ]));
+        const values = CHANNELS.map(channel => channels[channel]);
+        const update = async () => {
+            const [result] = await pool.query(
+                `UPDATE notification_preferences SET in_app = ?, email = ?, sms = ?, updated_at = NOW()
+                 WHERE user_id = ? AND event_type = ?`,
+                [...values, user.user_id, eventType]
+            );
+            return result.affectedRows;
+        };
+        if (!await update()) {
+            try {
+                await pool.query(
+                    'INSERT INTO notification_preferences (user_id, event_type, in_app, email, sms) VALUES (?, ?, ?, ?, ?)',
+                    [user.user_id, eventType, ...values]
+                );
+            } catch (error) {
+                // A concurrent request saved the row first
+                if (error.code !== 'ER_DUP_ENTRY') throw error;
+                await update();
+            }
+        }
+        return { ...current, ...channels };
+    };
+
+    return { listForUser, unreadCount, markRead, markAllRead, notify, preferences, setPreference };
+};
+
+module.exports = { createNotificationService, EVENTS, CHANNELS };
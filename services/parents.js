@@ -0,0 +1,45 @@
+const createParentService = (pool) => {
+    const list = async () => {
+        const [parents] = await pool.query(
+            `SELECT u.user_id AS parent_id, u.first_name, u.last_name, u.email, p.phone_number, p.address
+             FROM users u
+             JOIN parents p ON u.user_id = p.parent_id
+             WHERE u.user_type = 'parent'
+             ORDER BY u.created_at DESC`
+        );
+        return parents;
+    };
+
+    const create = async ({ first_name, last_name, email, phone_number, address }) => {
+        const [userResult] = await pool.query(
+            `INSERT INTO users (first_name, last_name, email, user_type) VALUES (?, ?, ?, 'parent')`,
+            [first_name, last_name, email]
+        );
+        const parent_id = userResult.insertId;
+        await pool.query(
+            `INSERT INTO parents (parent_id, phone_number, address) VALUES (?, ?, ?)`,
+            [parent_id, phone_number, address]
+        );
+        return parent_id;
+    };
+
+    const update = async (id, { first_name, last_name, email, phone_number, address }) => {
+        await pool.query(
+            `UPDATE users SET first_name=?, last_name=?, email=? WHERE user_id=? AND user_type='parent'`,
+            [first_name, last_name, email, id]
+        );
+        await pool.query(
+            `UPDATE parents SET phone_number=?, address=? WHERE parent_id=?`,
+            [phone_number, address, id]
+        );
+    };
+
+    const remove = async (id) => {
+        await pool.query('DELETE FROM parents WHERE parent_id=?', [id]);
+        await pool.query("DELETE FROM users WHERE user_id=? AND user_type='parent'", [id]);
+    };
+
+    return { list, create, update, remove };
+};
+
+module.exports = { createParentService };
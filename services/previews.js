@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { thumbnailKey, readStream } = require('./files');
+
+// Thumbnails fit in a square of this many pixels
+const THUMBNAIL_SIZE = 320;
+
+// Content types a thumbnail can be made of; for PDFs it shows the first page
+const PREVIEWABLE = ['application/pdf', 'image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const PDFJS_DIR = path.dirname(require.resolve('pdfjs-dist/package.json'));
+
+// First page of a PDF as a PNG, rendered about twice the thumbnail size so
+// it stays sharp after resizing. pdf.js is an ES module, so it is loaded
+// on first use.
+const renderFirstPage = async (data) => {
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const doc = await pdfjs.getDocument({
+        data: new Uint8Array(data),
+        standardFontDataUrl: `${PDFJS_DIR}/standard_fonts/`,
+        cMapUrl: `${PDFJS_DIR}/cmaps/`,
+        isEvalSupported: false,
+        verbosity: 0
+    }).promise;
+    try {
+        const page = await doc.getPage(1);
+        const { width, height } = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: (THUMBNAIL_SIZE * 2) / Math.max(width, height) });
+        const { canvas, context } = doc.canvasFactory.create(viewport.width, viewport.height);
+        await page.render({ canvasContext: context, canvas, viewport }).promise;
+        return canvas.toBuffer('image/png');
+    } finally {
+        await doc.destroy();
+    }
+};
+
+// Thumbnails of stored PDFs and images, made on first request and cached
+// in storage next to the originals (see thumbnailKey)
+const createPreviewService = ({ config, storage, files }) => {
+    // Requests for a thumbnail that is still being made share the work
+    const pending = new Map();
+
+    const canPreview = (contentType) => PREVIEWABLE.includes(contentType);
+
+    const generate = async (folder, fileName, contentType) => {
+        const object = await storage.get(`${folder}/${fileName}`);
+        if (!object) return null;
+        const original = await readStream(object.stream);
+        let thumbnail;
+        try {
+            const image = contentType === 'application/pdf' ? await renderFirstPage(original) : original;
+            thumbnail = await sharp(image)
+                .rotate()
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .flatten({ background: '#ffffff' })
+                .webp()
+                .toBuffer();
+        } catch (error) {
+            // A damaged or unusual file simply has no preview
+            console.error(`Could not make a thumbnail of ${folder}/${fileName}: ${error.message}`);
+            return null;
+        }
+
+        const tmpFile = path.join(config.uploadsDir, 'tmp', `${crypto.randomBytes(8).toString('hex')}.thumbnail`);
+        await fs.promises.mkdir(path.dirname(tmpFile), { recursive: true });
+        await fs.promises.writeFile(tmpFile, thumbnail);
+        try {
+            await storage.put(thumbnailKey(fileName), tmpFile, { contentType: 'image/webp' });
+        } catch (error) {
+            await fs.promises.unlink(tmpFile).catch(() => {});
+            throw error;
+        }
+        return thumbnailKey(fileName);
+    };
+
+    // Storage key of the thumbnail of a stored file, or null when it has
+    // none (not a PDF or image, missing, or unreadable)
+    const thumbnail = async (folder, fileName) => {
+        const key = thumbnailKey(fileName);
+        if (await storage.head(key)) return key;
+        const contentType = await files.contentType(folder, fileName);
+        if (!canPreview(contentType)) return null;
+
+        if (!pending.has(key)) {
+            pending.set(key, generate(folder, fileName, contentType).finally(() => pending.delete(key)));
+        }
+        return pending.get(key);
+    };
+
+    return { canPreview, thumbnail };
+};
+
+module.exports = { createPreviewService };
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const { ApiError } = require('../errors');
+const { transaction } = require('../db/transaction');
+
+// Unambiguous characters for references parents read out or type in
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const newReference = () => 'REG-' + Array.from(crypto.randomBytes(8), b => REFERENCE_ALPHABET[b % REFERENCE_ALPHABET.length]).join('');
+
+// Registration requests move from `pending` to exactly one of `approved`,
+// `rejected` (by an admin) or `withdrawn` (by the parent). Repeating the
+// transition a request is already in succeeds without doing anything, so
+// clients can safely retry.
+const createRegistrationRequestService = (pool, { notifications, students, accounts, mailer }) => {
+    const findPending = async (student_name, parent_email) => {
+        const [[existing]] = await pool.query(
+            `SELECT reference FROM registration_requests
+             WHERE status = 'pending' AND LOWER(student_name) = LOWER(?) AND LOWER(parent_email) = LOWER(?)`,
+            [student_name.trim(), parent_email]
+        );
+        return existing;
+    };
+
+    // Requests and reviews are saved before anyone is told about them, so a
+    // failed email or notification is logged rather than failing the
+    // request; the parent still gets their reference, and an invitation can
+    // be resent with POST /api/students/:id/account/invite
+    const afterSaving = async (work) => {
+        try {
+            await work();
+        } catch (error) {
+            console.error('Registration request notification error:', error);
+        }
+    };
+
+    // Submitting the same child twice returns the pending request's reference
+    const create = async ({ student_name, parent_name, parent_email, student_dob, grade_level, class_id }) => {
+        const existing = await findPending(student_name, parent_email);
+        if (existing) return { reference: existing.reference, created: false };
+
+        const reference = newReference();
+        await pool.query(
+            `INSERT INTO registration_requests
+            (reference, student_name, parent_name, parent_email, student_dob, grade_level, class_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [reference, student_name.trim(), parent_name, parent_email, student_dob, grade_level, class_id]
+        );
+        await afterSaving(() => mailer.send({
+            to: parent_email,
+            subject: 'Registration request received',
+            text: `Hello ${parent_name},\n\nWe have received your registration request for ${student_name.trim()}. Your reference number is ${reference}; use it with this email address to check the status of the request.`
+        }));
+        return { reference, created: true };
+    };
+
+    const list = async ({ status } = {}) => {
+        const [requests] = await pool.query(
+            `SELECT * FROM registration_requests
+             ${status ? 'WHERE status = ?' : ''}
+             ORDER BY requested_at DESC`,
+            status ? [status] : []
+        );
+        return requests;
+    };
+
+    // Parents look up their own request with the reference and the email
+    // they submitted it with; a mismatch looks the same as a missing request
+    const findForParent = async (conn, { reference, email }) => {
+        const [[request]] = await conn.query(
+            'SELECT * FROM registration_requests WHERE reference = ? AND LOWER(parent_email) = LOWER(?)',
+            [reference.trim().toUpperCase(), email]
+        );
+        if (!request) throw new ApiError(404, 'Registration request not found');
+        return request;
+    };
+
+    const status = async (lookup) => {
+        const request = await findForParent(pool, lookup);
+        return {
+            reference: request.reference,
+            student_name: request.student_name,
+            status: request.status,
+            requested_at: request.requested_at,
+            processed_at: request.processed_at,
+            review_reason: request.status === 'rejected' ? request.review_reason : null
+        };
+    };
+
+    const lockRequest = async (conn, requestId) => {
+        const [[request]] = await conn.query(
+            'SELECT * FROM registration_requests WHERE request_id = ? FOR UPDATE',
+            [requestId]
+        );
+        if (!request) throw new ApiError(404, 'Registration request not found');
+        return request;
+    };
+
+    const assertPending = (request) => {
+        if (request.status !== 'pending') {
+            throw new ApiError(409, `Registration request is already ${request.status}`, { code: 'INVALID_STATUS' });
+        }
+    };
+
+    const recordReview = (conn, requestId, { status, reviewed_by, reason, student_id }) => conn.query(
+        `UPDATE registration_requests
+         SET status = ?, reviewed_by = ?, review_reason = ?, student_id = ?, processed_at = NOW()
+         WHERE request_id = ?`,
+        [status, reviewed_by || null, reason || null, student_id || null, requestId]
+    );
+
+    // Students with the same name and date of birth, or the same name and
+    // parent email when the request has no date of birth
+    const findDuplicate = async (conn, request) => {
+        const [[duplicate]] = await conn.query(
+            `SELECT student_id FROM students
+             WHERE LOWER(student_name) = LOWER(?)
+               AND ((? IS NOT NULL AND student_dob = ?) OR (? IS NULL AND LOWER(parent_email) = LOWER(?)))`,
+            [request.student_name, request.student_dob, request.student_dob, request.student_dob, request.parent_email]
+        );
+        return duplicate;
+    };
+
+    const findParentByEmail = async (db, email) => {
+        const [[parent]] = await db.query(
+            "SELECT user_id FROM users WHERE email = ? AND user_type = 'parent'",
+            [email]
+        );
+        return parent;
+    };
+
+    const notifyParent = async (request, title, message) => {
+        const parent = await findParentByEmail(pool, request.parent_email);
+        if (parent) {
+            await notifications.notify('registration.reviewed', parent.user_id, { title, message });
+        }
+    };
+
+    // Approve: add the student (linked to the parent's account as primary
+    // guardian if they have one) and create the student's login in one
+    // transaction, then invite the parent to set up the login and notify
+    // them. A likely duplicate of an existing student is refused unless
+    // `allow_duplicate` is set.
+    const approve = async (requestId, reviewerId, { reason, allow_duplicate = false } = {}) => {
+        const result = await transaction(pool, async (conn) => {
+            const request = await lockRequest(conn, requestId);
+            if (request.status === 'approved') return { request, student_id: request.student_id, changed: false };
+            assertPending(request);
+
+            if (!(allow_duplicate === true || allow_duplicate === 'true')) {
+                const duplicate = await findDuplicate(conn, request);
+                if (duplicate) {
+                    throw new ApiError(409, 'A student with the same details already exists', {
+                        code: 'DUPLICATE_STUDENT',
+                        fields: [{ location: 'body', field: 'allow_duplicate', message: `matches student ${duplicate.student_id}` }]
+                    });
+                }
+            }
+
+            const parent = await findParentByEmail(conn, request.parent_email);
+            const studentId = await students.create({
+                student_name: request.student_name,
+                parent_id: parent ? parent.user_id : null,
+                parent_name: request.parent_name,
+                parent_email: request.parent_email,
+                student_dob: request.student_dob,
+                grade_level: request.grade_level,
+                class_id: request.class_id
+            }, reviewerId, conn);
+            const account = await students.createAccount(studentId, {}, conn);
+            await recordReview(conn, requestId, { status: 'approved', reviewed_by: reviewerId, reason, student_id: studentId });
+            return { request, student_id: studentId, account, changed: true };
+        });
+
+        if (result.changed) {
+            const { request, account } = result;
+            if (account.invite_to) await afterSaving(() => accounts.sendInvitation(account.user_id, { to: account.invite_to }));
+            await afterSaving(() => notifyParent(request, 'Registration Approved',
+                `Your registration request for ${request.student_name} has been approved.`));
+        }
+        return { student_id: result.student_id, changed: result.changed };
+    };
+
+    const reject = async (requestId, reviewerId, { reason } = {}) => {
+        const result = await transaction(pool, async (conn) => {
+            const request = await lockRequest(conn, requestId);
+            if (request.status === 'rejected') return { request, changed: false };
+            assertPending(request);
+            await recordReview(conn, requestId, { status: 'rejected', reviewed_by: reviewerId, reason });
+            return { request, changed: true };
+        });
+
+        if (result.changed) {
+            const { request } = result;
+            await afterSaving(() => notifyParent(request, 'Registration Rejected',
+                `Your registration request for ${request.student_name} has been rejected.${reason ? ` Reason: ${reason}` : ''}`));
+        }
+        return { changed: result.changed };
+    };
+
+    // The parent takes back a request that has not been reviewed yet
+    const withdraw = async ({ reference, email, reason }) => {
+        return transaction(pool, async (conn) => {
+            const found = await findForParent(conn, { reference, email });
+            const request = await lockRequest(conn, found.request_id);
+            if (request.status === 'withdrawn') return { changed: false };
+            assertPending(request);
+            await recordReview(conn, request.request_id, { status: 'withdrawn', reason });
+            return { changed: true };
+        });
+    };
+
+    return { create, list, status, approve, reject, withdraw };
+};
+
+module.exports = { createRegistrationRequestService };
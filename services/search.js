@@ -0,0 +1,63 @@
+const { studentScope, classScope } = require('../permissions');
+
+const createSearchService = (pool) => {
+    // Search students, teachers, parents and documents by name or title,
+    // restricted to what the user may see
+    const search = async (user, q, type = 'all') => {
+        const results = [];
+        const like = `%${q}%`;
+
+        // Students (with class info)
+        if (type === 'all' || type === 'student') {
+            const scope = studentScope(user, 's');
+            const [students] = await pool.query(
+                `SELECT s.student_id, s.student_name as name, c.name as class_name, c.level, s.parent_name
+                 FROM students s
+                 LEFT JOIN classes c ON s.class_id = c.class_id
+                 WHERE s.student_name LIKE ? AND ${scope.clause}`,
+                [like, ...scope.params]
+            );
+            results.push(...students.map(s => ({ ...s, type: 'student' })));
+        }
+        // Teachers
+        if (type === 'all' || type === 'teacher') {
+            const [teachers] = await pool.query(
+                `SELECT t.teacher_id, CONCAT(u.first_name, ' ', u.last_name) as name, u.email, t.subject_specialization as subject
+                 FROM users u
+                 JOIN teachers t ON u.user_id = t.teacher_id
+                 WHERE (u.first_name LIKE ? OR u.last_name LIKE ?)`,
+                [like, like]
+            );
+            results.push(...teachers.map(t => ({ ...t, type: 'teacher' })));
+        }
+        // Parents
+        if (type === 'all' || type === 'parent') {
+            const [parents] = await pool.query(
+                `SELECT p.parent_id, CONCAT(u.first_name, ' ', u.last_name) as name, u.email, p.phone_number as phone
+                 FROM users u
+                 JOIN parents p ON u.user_id = p.parent_id
+                 WHERE (u.first_name LIKE ? OR u.last_name LIKE ? OR p.parent_id LIKE ?)`,
+                [like, like, like]
+            );
+            results.push(...parents.map(p => ({ ...p, type: 'parent' })));
+        }
+        // Documents
+        if (type === 'all' || type === 'document') {
+            const scope = classScope(user, 'c');
+            const [documents] = await pool.query(
+                `SELECT d.document_id, d.title, d.uploaded_by
+                 FROM documents d
+                 JOIN classes c ON d.class_id = c.class_id
+                 WHERE d.title LIKE ? AND d.deleted_at IS NULL AND ${scope.clause}`,
+                [like, ...scope.params]
+            );
+            results.push(...documents.map(d => ({ ...d, type: 'document' })));
+        }
+
+        return results;
+    };
+
+    return { search };
+};
+
+module.exports = { createSearchService };
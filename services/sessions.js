@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ApiError } = require('../errors');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Login sessions: short-lived JWT access tokens bound to a session row,
+// plus an opaque refresh token that rotates on every use
+const createSessionService = (pool, { config }) => {
+    const expiresAt = () => new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+    const accessTokenFor = (userId, sessionId) => jwt.sign(
+        { userId, sessionId },
+        config.jwtSecret,
+        { expiresIn: config.accessTokenTtl }
+    );
+
+    const create = async (userId, { userAgent, ip } = {}) => {
+        const refreshToken = newRefreshToken();
+        const [result] = await pool.query(
+            `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+             VALUES (?, ?, ?, ?, ?)`,
+            [userId, hashToken(refreshToken), (userAgent || '').slice(0, 255) || null, ip || null, expiresAt()]
+        );
+        return {
+            sessionId: result.insertId,
+            token: accessTokenFor(userId, result.insertId),
+            refreshToken
+        };
+    };
+
+    // Exchange a refresh token for a new access/refresh token pair. Presenting
+    // an already-rotated token means it leaked, so the session is revoked.
+    const refresh = async (refreshToken) => {
+        const hash = hashToken(refreshToken);
+        const [[session]] = await pool.query(
+            `SELECT session_id, user_id, revoked_at, expires_at <= NOW() AS expired
+             FROM sessions WHERE refresh_token_hash = ?`,
+            [hash]
+        );
+
+        if (!session) {
+            const [reused] = await pool.query(
+                'UPDATE sessions SET revoked_at = NOW() WHERE previous_token_hash = ? AND revoked_at IS NULL',
+                [hash]
+            );
+            if (reused.affectedRows) {
+                throw new ApiError(401, 'Refresh token reuse detected; session revoked', { code: 'TOKEN_REUSED' });
+            }
+            throw new ApiError(401, 'Invalid refresh token', { code: 'INVALID_TOKEN' });
+        }
+        if (session.revoked_at) {
+            throw new ApiError(401, 'Session has been revoked', { code: 'SESSION_REVOKED' });
+        }
+        if (session.expired) {
+            throw new ApiError(401, 'Refresh token has expired', { code: 'TOKEN_EXPIRED' });
+        }
+
+        // Rotate only if the token is still current: of two requests
+        // presenting the same token, the second finds it already rotated,
+        // which is reuse like any other
+        const nextToken = newRefreshToken();
+        const [rotated] = await pool.query(
+            `UPDATE sessions
+             SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = NOW(), expires_at = ?
+             WHERE session_id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+            [hashToken(nextToken), hash, expiresAt(), session.session_id, hash]
+        );
+        if (!rotated.affectedRows) {
+            await pool.query('UPDATE sessions SET revoked_at = NOW() WHERE session_id = ? AND revoked_at IS NULL', [session.session_id]);
+            throw new ApiError(401, 'Refresh token reuse detected; session revoked', { code: 'TOKEN_REUSED' });
+        }
+        return {
+            token: accessTokenFor(session.user_id, session.session_id),
+            refreshToken: nextToken
+        };
+    };
+
+    const revokeByRefreshToken = async (refreshToken) => {
+        await pool.query(
+            'UPDATE sessions SET revoked_at = NOW() WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+            [hashToken(refreshToken)]
+        );
+    };
+
+    const revokeAll = async (userId) => {
+        const [result] = await pool.query(
+            'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+            [userId]
+        );
+        return result.affectedRows;
+    };
+
+    const listActive = async (userId) => {
+        const [sessions] = await pool.query(
+            `SELECT session_id, user_agent, ip_address, created_at, last_used_at, expires_at
+             FROM sessions
+             WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+             ORDER BY created_at DESC`,
+            [userId]
+        );
+        return sessions;
+    };
+
+    return { accessTokenFor, create, refresh, revokeByRefreshToken, revokeAll, listActive };
+};
+
+module.exports = { createSessionService };
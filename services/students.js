@@ -0,0 +1,415 @@
+const { studentScope } = require('../permissions');
+const { ApiError } = require('../errors');
+const { transaction } = require('../db/transaction');
+
+// Student details PUT /api/students/:id may change
+const UPDATABLE_DETAILS = ['student_name', 'parent_name', 'parent_email', 'student_dob', 'grade_level'];
+
+// Next level for promotion: the trailing number goes up by one (L3 -> L4)
+const nextLevel = (level) => {
+    const match = /^(.*?)(\d+)$/.exec(level || '');
+    return match ? `${match[1]}${Number(match[2]) + 1}` : null;
+};
+
+// Split a full name into users.first_name / last_name
+const splitName = (name) => {
+    const [first, ...rest] = name.trim().split(/\s+/);
+    return { first_name: first, last_name: rest.join(' ') };
+};
+
+const createStudentService = (pool, { config }) => {
+    const findClass = async (conn, classId) => {
+        const [[cls]] = await conn.query('SELECT * FROM classes WHERE class_id = ?', [classId]);
+        if (!cls) {
+            throw new ApiError(404, 'Class not found', {
+                fields: [{ location: 'body', field: 'class_id', message: 'does not exist' }]
+            });
+        }
+        return cls;
+    };
+
+    const recordClassChange = (conn, { student_id, from_class_id, to_class_id, reason, note, changed_by }) => conn.query(
+        `INSERT INTO student_class_history (student_id, from_class_id, to_class_id, reason, note, changed_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [student_id, from_class_id, to_class_id, reason, note || null, changed_by || null]
+    );
+
+    const findGuardian = async (conn, guardianId) => {
+        const [[guardian]] = await conn.query(
+            "SELECT user_id, email FROM users WHERE user_id = ? AND user_type = 'parent'",
+            [guardianId]
+        );
+        if (!guardian) {
+            throw new ApiError(404, 'Guardian not found', {
+                fields: [{ location: 'body', field: 'guardian_id', message: 'is not a parent account' }]
+            });
+        }
+        return guardian;
+    };
+
+    // Make one guardian the primary contact; students.parent_id mirrors it
+    // for clients that only know about a single parent
+    const setPrimaryGuardian = async (conn, studentId, guardianId) => {
+        await conn.query(
+            'UPDATE student_guardians SET is_primary = (guardian_id = ?) WHERE student_id = ?',
+            [guardianId, studentId]
+        );
+        await conn.query('UPDATE students SET parent_id = ? WHERE student_id = ?', [guardianId, studentId]);
+    };
+
+    // `status` filters by lifecycle status ('all' for every student)
+    const list = async (user, { status = 'active' } = {}) => {
+        const scope = studentScope(user);
+        const statusClause = status === 'all' ? '' : 'AND s.status = ?';
+        const [students] = await pool.query(
+            `SELECT s.*, c.name AS class_name, c.level AS class_level
+             FROM students s
+             LEFT JOIN classes c ON s.class_id = c.class_id
+             WHERE ${scope.clause} ${statusClause}
+             ORDER BY s.created_at DESC`,
+            status === 'all' ? scope.params : [...scope.params, status]
+        );
+        return students;
+    };
+
+    // Throws 404 both for missing students and ones outside the user's scope
+    const findById = async (user, studentId) => {
+        const scope = studentScope(user);
+        const [[student]] = await pool.query(
+            `SELECT s.*, c.name AS class_name, c.level AS class_level
+             FROM students s
+             LEFT JOIN classes c ON s.class_id = c.class_id
+             WHERE s.student_id = ? AND ${scope.clause}`,
+            [studentId, ...scope.params]
+        );
+        if (!student) throw new ApiError(404, 'Student not found');
+        return student;
+    };
+
+    // Pass a connection as `db` to run inside the caller's transaction
+    const create = async ({ student_name, parent_id, parent_name, parent_email, student_dob, grade_level, class_id }, changedBy, db) => {
+        return transaction(pool, async (conn) => {
+            if (class_id) await findClass(conn, class_id);
+            const [result] = await conn.query(
+                `INSERT INTO students (student_name, parent_id, parent_name, parent_email, student_dob, grade_level, class_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [student_name, parent_id, parent_name, parent_email, student_dob, grade_level, class_id || null]
+            );
+            if (class_id) {
+                await recordClassChange(conn, {
+                    student_id: result.insertId, to_class_id: class_id, reason: 'enrollment', changed_by: changedBy
+                });
+            }
+            if (parent_id) {
+                await findGuardian(conn, parent_id);
+                await conn.query(
+                    'INSERT INTO student_guardians (student_id, guardian_id, is_primary) VALUES (?, ?, TRUE)',
+                    [result.insertId, parent_id]
+                );
+            }
+            return result.insertId;
+        }, db);
+    };
+
+    // Update personal details; class, status and guardians have their own
+    // operations
+    // Only the details in `changes` are written; the others keep their values
+    const update = async (studentId, changes) => {
+        const fields = UPDATABLE_DETAILS.filter(field => changes[field] !== undefined);
+        const [result] = await pool.query(
+            `UPDATE students SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE student_id = ?`,
+            [...fields.map(field => changes[field]), studentId]
+        );
+        if (!result.affectedRows) throw new ApiError(404, 'Student not found');
+    };
+
+    const transfer = async (studentId, { class_id, note }, changedBy) => {
+        await transaction(pool, async (conn) => {
+            const [[student]] = await conn.query(
+                'SELECT student_id, class_id, status FROM students WHERE student_id = ? FOR UPDATE',
+                [studentId]
+            );
+            if (!student) throw new ApiError(404, 'Student not found');
+            if (student.status !== 'active') {
+                throw new ApiError(409, `Cannot transfer a ${student.status} student`, { code: 'INVALID_STATUS' });
+            }
+            if (Number(student.class_id) === Number(class_id)) {
+                throw new ApiError(409, 'Student is already in this class', { code: 'ALREADY_IN_CLASS' });
+            }
+            const cls = await findClass(conn, class_id);
+
+            await conn.query(
+                'UPDATE students SET class_id = ?, grade_level = ? WHERE student_id = ?',
+                [class_id, cls.level, studentId]
+            );
+            await recordClassChange(conn, {
+                student_id: studentId, from_class_id: student.class_id, to_class_id: class_id, reason: 'transfer', note, changed_by: changedBy
+            });
+        });
+    };
+
+    // Graduate, withdraw or re-activate a student. Leaving students keep
+    // their records; only the status changes.
+    const setStatus = async (studentId, { status, reason }) => {
+        const [result] = await pool.query(
+            `UPDATE students SET status = ?, status_reason = ?, status_changed_at = NOW()
+             WHERE student_id = ?`,
+            [status, reason || null, studentId]
+        );
+        if (!result.affectedRows) throw new ApiError(404, 'Student not found');
+    };
+
+    // Move every active student of a class to the next level's class (same
+    // name, level + 1) or to an explicit target class
+    const promoteClass = async (classId, { to_class_id } = {}, changedBy) => {
+        return transaction(pool, async (conn) => {
+            const from = await findClass(conn, classId);
+            let to;
+            if (to_class_id) {
+                to = await findClass(conn, to_class_id);
+            } else {
+                const [[next]] = await conn.query(
+                    'SELECT * FROM classes WHERE name = ? AND level = ?',
+                    [from.name, nextLevel(from.level)]
+                );
+                if (!next) {
+                    throw new ApiError(404, `No ${from.name} class at the next level; create it or graduate the students instead`, {
+                        code: 'NO_NEXT_CLASS'
+                    });
+                }
+                to = next;
+            }
+            if (to.class_id === from.class_id) {
+                throw new ApiError(400, 'Target class must differ from the current class', {
+                    code: 'VALIDATION_ERROR',
+                    fields: [{ location: 'body', field: 'to_class_id', message: 'must differ from the current class' }]
+                });
+            }
+
+            const [students] = await conn.query(
+                "SELECT student_id FROM students WHERE class_id = ? AND status = 'active' FOR UPDATE",
+                [from.class_id]
+            );
+            if (students.length) {
+                await conn.query(
+                    'UPDATE students SET class_id = ?, grade_level = ? WHERE student_id IN (?)',
+                    [to.class_id, to.level, students.map(s => s.student_id)]
+                );
+                for (const { student_id } of students) {
+                    await recordClassChange(conn, {
+                        student_id, from_class_id: from.class_id, to_class_id: to.class_id, reason: 'promotion', changed_by: changedBy
+                    });
+                }
+            }
+            return { from_class_id: from.class_id, to_class_id: to.class_id, promoted: students.length };
+        });
+    };
+
+    const guardiansOf = async (studentId) => {
+        const [guardians] = await pool.query(
+            `SELECT g.guardian_id, g.relationship, g.is_primary,
+                    u.first_name, u.last_name, u.email, p.phone_number, p.address
+             FROM student_guardians g
+             JOIN users u ON g.guardian_id = u.user_id
+             LEFT JOIN parents p ON u.user_id = p.parent_id
+             WHERE g.student_id = ?
+             ORDER BY g.is_primary DESC, g.created_at`,
+            [studentId]
+        );
+        return guardians.map(g => ({ ...g, is_primary: Boolean(g.is_primary) }));
+    };
+
+    const listGuardians = async (user, studentId) => {
+        await findById(user, studentId);
+        return guardiansOf(studentId);
+    };
+
+    // The first guardian linked to a student becomes the primary contact
+    const addGuardian = async (studentId, { guardian_id, relationship = 'guardian', is_primary = false }) => {
+        await transaction(pool, async (conn) => {
+            const [[student]] = await conn.query('SELECT student_id FROM students WHERE student_id = ?', [studentId]);
+            if (!student) throw new ApiError(404, 'Student not found');
+            await findGuardian(conn, guardian_id);
+
+            const [existing] = await conn.query(
+                'SELECT guardian_id FROM student_guardians WHERE student_id = ?',
+                [studentId]
+            );
+            if (existing.some(g => Number(g.guardian_id) === Number(guardian_id))) {
+                throw new ApiError(409, 'Guardian is already linked to this student', { code: 'ALREADY_LINKED' });
+            }
+            await conn.query(
+                'INSERT INTO student_guardians (student_id, guardian_id, relationship) VALUES (?, ?, ?)',
+                [studentId, guardian_id, relationship]
+            );
+            const primary = is_primary === true || is_primary === 'true';
+            if (primary || !existing.length) await setPrimaryGuardian(conn, studentId, guardian_id);
+        });
+    };
+
+    // A guardian can be made primary but not unmade; making another
+    // guardian primary moves the role
+    const updateGuardian = async (studentId, guardianId, { relationship, is_primary }) => {
+        const primary = is_primary === true || is_primary === 'true';
+        if (is_primary !== undefined && !primary) {
+            throw new ApiError(400, 'Validation failed', {
+                code: 'VALIDATION_ERROR',
+                fields: [{ location: 'body', field: 'is_primary', message: 'must be true; make another guardian primary instead' }]
+            });
+        }
+        await transaction(pool, async (conn) => {
+            const [[link]] = await conn.query(
+                'SELECT * FROM student_guardians WHERE student_id = ? AND guardian_id = ?',
+                [studentId, guardianId]
+            );
+            if (!link) throw new ApiError(404, 'Guardian is not linked to this student');
+            if (relationship) {
+                await conn.query(
+                    'UPDATE student_guardians SET relationship = ? WHERE student_id = ? AND guardian_id = ?',
+                    [relationship, studentId, guardianId]
+                );
+            }
+            if (primary) await setPrimaryGuardian(conn, studentId, guardianId);
+        });
+    };
+
+    // Removing the primary contact hands the role to the longest-linked
+    // remaining guardian
+    const removeGuardian = async (studentId, guardianId) => {
+        await transaction(pool, async (conn) => {
+            const [[link]] = await conn.query(
+                'SELECT * FROM student_guardians WHERE student_id = ? AND guardian_id = ?',
+                [studentId, guardianId]
+            );
+            if (!link) throw new ApiError(404, 'Guardian is not linked to this student');
+            await conn.query(
+                'DELETE FROM student_guardians WHERE student_id = ? AND guardian_id = ?',
+                [studentId, guardianId]
+            );
+            if (link.is_primary) {
+                const [[next]] = await conn.query(
+                    'SELECT guardian_id FROM student_guardians WHERE student_id = ? ORDER BY created_at LIMIT 1',
+                    [studentId]
+                );
+                if (next) {
+                    await setPrimaryGuardian(conn, studentId, next.guardian_id);
+                } else {
+                    await conn.query('UPDATE students SET parent_id = NULL WHERE student_id = ?', [studentId]);
+                }
+            }
+        });
+    };
+
+    // Where a student's account invitation goes: the student's own address
+    // if the account has one, otherwise the primary guardian
+    const invitationRecipient = async (db, student, account) => {
+        if (!account.email.endsWith(`@${config.studentEmailDomain}`)) return account.email;
+        const [[guardian]] = await db.query(
+            `SELECT u.email FROM student_guardians g JOIN users u ON g.guardian_id = u.user_id
+             WHERE g.student_id = ? AND g.is_primary = TRUE`,
+            [student.student_id]
+        );
+        return guardian ? guardian.email : student.parent_email;
+    };
+
+    // Create the login for a student. Without an email of their own the
+    // account gets a school address and its invitation goes to a guardian.
+    // Returns the new user and the address to send the invitation to. Pass
+    // a connection as `db` to run inside the caller's transaction.
+    const createAccount = async (studentId, { email } = {}, db = pool) => {
+        const [[student]] = await db.query('SELECT * FROM students WHERE student_id = ?', [studentId]);
+        if (!student) throw new ApiError(404, 'Student not found');
+        if (student.user_id) {
+            throw new ApiError(409, 'Student already has an account', { code: 'ACCOUNT_EXISTS' });
+        }
+
+        const { first_name, last_name } = splitName(student.student_name);
+        const account = { email: email || `student${student.student_id}@${config.studentEmailDomain}` };
+        try {
+            const [result] = await db.query(
+                "INSERT INTO users (email, first_name, last_name, user_type) VALUES (?, ?, ?, 'student')",
+                [account.email, first_name, last_name]
+            );
+            account.user_id = result.insertId;
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY') throw error;
+            throw new ApiError(409, 'Email already in use', {
+                code: 'ALREADY_EXISTS',
+                fields: [{ location: 'body', field: 'email', message: 'is already in use' }]
+            });
+        }
+        await db.query('UPDATE students SET user_id = ? WHERE student_id = ?', [account.user_id, studentId]);
+
+        return { user_id: account.user_id, invite_to: await invitationRecipient(db, student, account) };
+    };
+
+    // Recipient for re-sending a student's account invitation
+    const accountInvitation = async (studentId) => {
+        const [[student]] = await pool.query('SELECT * FROM students WHERE student_id = ?', [studentId]);
+        if (!student) throw new ApiError(404, 'Student not found');
+        if (!student.user_id) throw new ApiError(404, 'Student has no account', { code: 'NO_ACCOUNT' });
+        const [[account]] = await pool.query('SELECT user_id, email FROM users WHERE user_id = ?', [student.user_id]);
+        return { user_id: account.user_id, invite_to: await invitationRecipient(pool, student, account) };
+    };
+
+    // Everything about one student: class, guardians, class history,
+    // attendance summary and class documents
+    const profile = async (user, studentId) => {
+        const student = await findById(user, studentId);
+        const guardians = await guardiansOf(student.student_id);
+
+        const [history] = await pool.query(
+            `SELECT h.*, fc.name AS from_class_name, fc.level AS from_class_level,
+                    tc.name AS to_class_name, tc.level AS to_class_level
+             FROM student_class_history h
+             LEFT JOIN classes fc ON h.from_class_id = fc.class_id
+             LEFT JOIN classes tc ON h.to_class_id = tc.class_id
+             WHERE h.student_id = ?
+             ORDER BY h.changed_at, h.history_id`,
+            [student.student_id]
+        );
+
+        const [counts] = await pool.query(
+            'SELECT status, COUNT(*) AS count FROM attendance WHERE student_id = ? GROUP BY status',
+            [student.student_id]
+        );
+        const attendance = { present: 0, absent: 0, late: 0, excused: 0, total: 0 };
+        for (const { status, count } of counts) {
+            attendance[status] = Number(count);
+            attendance.total += Number(count);
+        }
+        // Excused absences don't count against the rate
+        const expected = attendance.total - attendance.excused;
+        attendance.attendance_rate = expected
+            ? Math.round(((attendance.present + attendance.late) / expected) * 1000) / 10
+            : null;
+
+        const [documents] = await pool.query(
+            `SELECT document_id, title, uploaded_at FROM documents
+             WHERE class_id = ? AND deleted_at IS NULL
+             ORDER BY uploaded_at DESC`,
+            [student.class_id]
+        );
+
+        return { ...student, guardians, class_history: history, attendance, documents };
+    };
+
+    return {
+        list,
+        findById,
+        create,
+        update,
+        transfer,
+        setStatus,
+        promoteClass,
+        listGuardians,
+        addGuardian,
+        updateGuardian,
+        removeGuardian,
+        createAccount,
+        accountInvitation,
+        profile
+    };
+};
+
+module.exports = { createStudentService };
@@ -0,0 +1,144 @@
+const { ApiError } = require('../errors');
+const { assertTeacher } = require('./classes');
+
+// Subjects, and which subjects each class takes and who teaches them
+const createSubjectService = (pool) => {
+    const list = async () => {
+        const [subjects] = await pool.query('SELECT * FROM subjects ORDER BY name');
+        return subjects;
+    };
+
+    const duplicateSubject = () => new ApiError(409, 'A subject with this name or code already exists', {
+        code: 'ALREADY_EXISTS'
+    });
+
+    const create = async ({ name, code }) => {
+        try {
+            const [result] = await pool.query('INSERT INTO subjects (name, code) VALUES (?, ?)', [name, code || null]);
+            return result.insertId;
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') throw duplicateSubject();
+            throw error;
+        }
+    };
+
+    const update = async (subjectId, { name, code }) => {
+        let result;
+        try {
+            [result] = await pool.query(
+                'UPDATE subjects SET name = ?, code = ? WHERE subject_id = ?',
+                [name, code || null, subjectId]
+            );
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') throw duplicateSubject();
+            throw error;
+        }
+        if (!result.affectedRows) throw new ApiError(404, 'Subject not found');
+    };
+
+    // Subjects still taught in a class are kept so timetables stay intact
+    const remove = async (subjectId) => {
+        const [[{ count }]] = await pool.query(
+            'SELECT COUNT(*) AS count FROM class_subjects WHERE subject_id = ?',
+            [subjectId]
+        );
+        if (Number(count)) {
+            throw new ApiError(409, 'Subject is taught in a class; remove it from its classes first', { code: 'SUBJECT_IN_USE' });
+        }
+        const [result] = await pool.query('DELETE FROM subjects WHERE subject_id = ?', [subjectId]);
+        if (!result.affectedRows) throw new ApiError(404, 'Subject not found');
+    };
+
+    const listForClass = async (classId) => {
+        const [subjects] = await pool.query(
+            `SELECT cs.class_subject_id, s.subject_id, s.name, s.code, cs.teacher_id,
+                    CONCAT(u.first_name, ' ', u.last_name) AS teacher_name
+             FROM class_subjects cs
+             JOIN subjects s ON cs.subject_id = s.subject_id
+             LEFT JOIN users u ON cs.teacher_id = u.user_id
+             WHERE cs.class_id = ?
+             ORDER BY s.name`,
+            [classId]
+        );
+        return subjects;
+    };
+
+    const assign = async (classId, { subject_id, teacher_id }) => {
+        const [[cls]] = await pool.query('SELECT class_id FROM classes WHERE class_id = ?', [classId]);
+        if (!cls) throw new ApiError(404, 'Class not found');
+        const [[subject]] = await pool.query('SELECT subject_id FROM subjects WHERE subject_id = ?', [subject_id]);
+        if (!subject) {
+            throw new ApiError(404, 'Subject not found', {
+                fields: [{ location: 'body', field: 'subject_id', message: 'does not exist' }]
+            });
+        }
+        if (teacher_id) await assertTeacher(pool, teacher_id);
+
+        try {
+            const [result] = await pool.query(
+                'INSERT INTO class_subjects (class_id, subject_id, teacher_id) VALUES (?, ?, ?)',
+                [classId, subject_id, teacher_id || null]
+            );
+            return result.insertId;
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY') throw error;
+            throw new ApiError(409, 'Subject is already taught in this class', { code: 'ALREADY_ASSIGNED' });
+        }
+    };
+
+    // Change (or with `null`, clear) the teacher of a class subject. The new
+    // teacher must be free for every period the subject is timetabled.
+    const setTeacher = async (classId, subjectId, { teacher_id }) => {
+        const [[classSubject]] = await pool.query(
+            'SELECT class_subject_id FROM class_subjects WHERE class_id = ? AND subject_id = ?',
+            [classId, subjectId]
+        );
+        if (!classSubject) throw new ApiError(404, 'Subject is not taught in this class');
+
+        if (teacher_id) {
+            await assertTeacher(pool, teacher_id);
+            const [[clash]] = await pool.query(
+                `SELECT o.day_of_week, o.period, c.name AS class_name, c.level AS class_level
+                 FROM timetable_entries e
+                 JOIN timetable_entries o ON o.day_of_week = e.day_of_week AND o.period = e.period AND o.entry_id != e.entry_id
+                 JOIN class_subjects ocs ON o.class_subject_id = ocs.class_subject_id
+                 JOIN classes c ON o.class_id = c.class_id
+                 WHERE e.class_subject_id = ? AND ocs.teacher_id = ?
+                 LIMIT 1`,
+                [classSubject.class_subject_id, teacher_id]
+            );
+            if (clash) {
+                throw new ApiError(409, `Teacher already teaches ${clash.class_name} ${clash.class_level} on day ${clash.day_of_week}, period ${clash.period}`, {
+                    code: 'TEACHER_CLASH'
+                });
+            }
+        }
+        await pool.query(
+            'UPDATE class_subjects SET teacher_id = ? WHERE class_subject_id = ?',
+            [teacher_id || null, classSubject.class_subject_id]
+        );
+    };
+
+    // Also removes the subject's lessons from the class timetable. A subject
+    // that has assessments in the class keeps its marks and stays.
+    const unassign = async (classId, subjectId) => {
+        const [[{ count }]] = await pool.query(
+            `SELECT COUNT(*) AS count FROM assessments a
+             JOIN class_subjects cs ON a.class_subject_id = cs.class_subject_id
+             WHERE cs.class_id = ? AND cs.subject_id = ?`,
+            [classId, subjectId]
+        );
+        if (Number(count)) {
+            throw new ApiError(409, 'Subject has assessments in this class and cannot be removed', { code: 'HAS_ASSESSMENTS' });
+        }
+        const [result] = await pool.query(
+            'DELETE FROM class_subjects WHERE class_id = ? AND subject_id = ?',
+            [classId, subjectId]
+        );
+        if (!result.affectedRows) throw new ApiError(404, 'Subject is not taught in this class');
+    };
+
+    return { list, create, update, remove, listForClass, assign, setTeacher, unassign };
+};
+
+module.exports = { createSubjectService };
@@ -0,0 +1,207 @@
+const { ApiError } = require('../errors');
+const { transaction } = require('../db/transaction');
+
+// Timetable rows with their subject, teacher, class and period times
+const ENTRY_SELECT = `
+    SELECT e.entry_id, e.class_id, c.name AS class_name, c.level AS class_level,
+           e.day_of_week, e.period, p.start_time, p.end_time, e.room,
+           s.subject_id, s.name AS subject_name, s.code AS subject_code,
+           cs.teacher_id, CONCAT(u.first_name, ' ', u.last_name) AS teacher_name
+    FROM timetable_entries e
+    JOIN class_subjects cs ON e.class_subject_id = cs.class_subject_id
+    JOIN subjects s ON cs.subject_id = s.subject_id
+    JOIN classes c ON e.class_id = c.class_id
+    JOIN periods p ON e.period = p.period
+    LEFT JOIN users u ON cs.teacher_id = u.user_id`;
+
+const ENTRY_ORDER = 'ORDER BY e.day_of_week, e.period, c.name, c.level';
+
+// Times arrive as HH:MM or HH:MM:SS; store and compare them as HH:MM:SS
+const toTime = (time) => (time.length === 5 ? `${time}:00` : time);
+
+// Weekly timetable: the bell schedule (`periods`) and one lesson per class
+// and period, with clash detection for classes, teachers and rooms
+const createTimetableService = (pool) => {
+    const listPeriods = async () => {
+        const [periods] = await pool.query('SELECT * FROM periods ORDER BY period');
+        return periods;
+    };
+
+    const assertTimes = (start_time, end_time) => {
+        if (toTime(start_time) >= toTime(end_time)) {
+            throw new ApiError(400, 'Period must end after it starts', {
+                code: 'VALIDATION_ERROR',
+                fields: [{ location: 'body', field: 'end_time', message: 'must be after start_time' }]
+            });
+        }
+    };
+
+    const createPeriod = async ({ period, start_time, end_time }) => {
+        assertTimes(start_time, end_time);
+        try {
+            await pool.query(
+                'INSERT INTO periods (period, start_time, end_time) VALUES (?, ?, ?)',
+                [period, toTime(start_time), toTime(end_time)]
+            );
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY') throw error;
+            throw new ApiError(409, `Period ${period} already exists`, { code: 'ALREADY_EXISTS' });
+        }
+    };
+
+    const updatePeriod = async (period, { start_time, end_time }) => {
+        assertTimes(start_time, end_time);
+        const [result] = await pool.query(
+            'UPDATE periods SET start_time = ?, end_time = ? WHERE period = ?',
+            [toTime(start_time), toTime(end_time), period]
+        );
+        if (!result.affectedRows) throw new ApiError(404, 'Period not found');
+    };
+
+    const removePeriod = async (period) => {
+        const [[{ count }]] = await pool.query(
+            'SELECT COUNT(*) AS count FROM timetable_entries WHERE period = ?',
+            [period]
+        );
+        if (Number(count)) {
+            throw new ApiError(409, 'Period has lessons timetabled', { code: 'PERIOD_IN_USE' });
+        }
+        const [result] = await pool.query('DELETE FROM periods WHERE period = ?', [period]);
+        if (!result.affectedRows) throw new ApiError(404, 'Period not found');
+    };
+
+    const forClass = async (classId) => {
+        const [entries] = await pool.query(`${ENTRY_SELECT} WHERE e.class_id = ? ${ENTRY_ORDER}`, [classId]);
+        return entries;
+    };
+
+    const normaliseRoom = (room) => (room && room.trim() ? room.trim() : null);
+
+    // Resolve the lesson's class subject and refuse a slot that is taken by
+    // the class itself, the subject's teacher or the room. `entryId` is the
+    // entry being moved, which never clashes with itself.
+    const checkSlot = async (conn, classId, { subject_id, day_of_week, period, room }, entryId = null) => {
+        const [[classSubject]] = await conn.query(
+            'SELECT class_subject_id, teacher_id FROM class_subjects WHERE class_id = ? AND subject_id = ?',
+            [classId, subject_id]
+        );
+        if (!classSubject) {
+            throw new ApiError(404, 'Subject is not taught in this class', {
+                fields: [{ location: 'body', field: 'subject_id', message: 'is not assigned to the class' }]
+            });
+        }
+        const [[knownPeriod]] = await conn.query('SELECT period FROM periods WHERE period = ?', [period]);
+        if (!knownPeriod) {
+            throw new ApiError(404, 'Period not found', {
+                fields: [{ location: 'body', field: 'period', message: 'is not in the bell schedule' }]
+            });
+        }
+
+        const [taken] = await conn.query(
+            `SELECT e.entry_id, e.class_id, e.room, cs.teacher_id, c.name AS class_name, c.level AS class_level
+             FROM timetable_entries e
+             JOIN class_subjects cs ON e.class_subject_id = cs.class_subject_id
+             JOIN classes c ON e.class_id = c.class_id
+             WHERE e.day_of_week = ? AND e.period = ? AND e.entry_id != ?
+             FOR UPDATE`,
+            [day_of_week, period, entryId || 0]
+        );
+        for (const other of taken) {
+            const where = `on day ${day_of_week}, period ${period}`;
+            if (Number(other.class_id) === Number(classId)) {
+                throw new ApiError(409, `The class already has a lesson ${where}`, { code: 'CLASS_CLASH' });
+            }
+            if (classSubject.teacher_id && Number(other.teacher_id) === Number(classSubject.teacher_id)) {
+                throw new ApiError(409, `The teacher already teaches ${other.class_name} ${other.class_level} ${where}`, {
+                    code: 'TEACHER_CLASH'
+                });
+            }
+            if (room && other.room && other.room.toLowerCase() === room.toLowerCase()) {
+                throw new ApiError(409, `Room ${room} is already used by ${other.class_name} ${other.class_level} ${where}`, {
+                    code: 'ROOM_CLASH'
+                });
+            }
+        }
+        return classSubject;
+    };
+
+    const createEntry = async (classId, lesson) => {
+        const room = normaliseRoom(lesson.room);
+        return transaction(pool, async (conn) => {
+            const classSubject = await checkSlot(conn, classId, { ...lesson, room });
+            const [result] = await conn.query(
+                `INSERT INTO timetable_entries (class_id, class_subject_id, day_of_week, period, room)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [classId, classSubject.class_subject_id, lesson.day_of_week, lesson.period, room]
+            );
+            return result.insertId;
+        });
+    };
+
+    const updateEntry = async (entryId, lesson) => {
+        const room = normaliseRoom(lesson.room);
+        await transaction(pool, async (conn) => {
+            const [[entry]] = await conn.query('SELECT * FROM timetable_entries WHERE entry_id = ? FOR UPDATE', [entryId]);
+            if (!entry) throw new ApiError(404, 'Timetable entry not found');
+            const classSubject = await checkSlot(conn, entry.class_id, { ...lesson, room }, entryId);
+            await conn.query(
+                `UPDATE timetable_entries SET class_subject_id = ?, day_of_week = ?, period = ?, room = ?
+                 WHERE entry_id = ?`,
+                [classSubject.class_subject_id, lesson.day_of_week, lesson.period, room, entryId]
+            );
+        });
+    };
+
+    const removeEntry = async (entryId) => {
+        const [result] = await pool.query('DELETE FROM timetable_entries WHERE entry_id = ?', [entryId]);
+        if (!result.affectedRows) throw new ApiError(404, 'Timetable entry not found');
+    };
+
+    // The signed-in user's week: a teacher's lessons, a student's class
+    // timetable, or the class timetable of each of a parent's children
+    const forUser = async (user) => {
+        if (user.user_type === 'teacher') {
+            const [entries] = await pool.query(`${ENTRY_SELECT} WHERE cs.teacher_id = ? ${ENTRY_ORDER}`, [user.user_id]);
+            return { entries };
+        }
+
+        let students = [];
+        if (user.user_type === 'student') {
+            [students] = await pool.query(
+                'SELECT student_id, student_name, class_id FROM students WHERE user_id = ?',
+                [user.user_id]
+            );
+        } else if (user.user_type === 'parent') {
+            [students] = await pool.query(
+                `SELECT s.student_id, s.student_name, s.class_id
+                 FROM student_guardians g
+                 JOIN students s ON g.student_id = s.student_id
+                 WHERE g.guardian_id = ? AND s.status = 'active'
+                 ORDER BY s.student_name`,
+                [user.user_id]
+            );
+        }
+        const timetables = [];
+        for (const student of students) {
+            timetables.push({ ...student, entries: student.class_id ? await forClass(student.class_id) : [] });
+        }
+
+        if (user.user_type === 'student') return timetables[0] || { entries: [] };
+        if (user.user_type === 'parent') return { children: timetables };
+        return { entries: [] };
+    };
+
+    return {
+        listPeriods,
+        createPeriod,
+        updatePeriod,
+        removePeriod,
+        forClass,
+        createEntry,
+        updateEntry,
+        removeEntry,
+        forUser
+    };
+};
+
+module.exports = { createTimetableService };
@@ -0,0 +1,56 @@
+const { ApiError } = require('../errors');
+const { UPDATE_IMAGE_PREFIX } = require('./files');
+
+const createUpdateService = (pool, { files }) => {
+    const list = async () => {
+        const [updates] = await pool.query('SELECT * FROM school_updates ORDER BY created_at DESC');
+        return updates;
+    };
+
+    const create = async ({ title, content, image_url }) => {
+        await pool.query(
+            'INSERT INTO school_updates (title, content, image_url) VALUES (?, ?, ?)',
+            [title, content, image_url]
+        );
+    };
+
+    const findImage = async (id) => {
+        const [[update]] = await pool.query('SELECT image_url FROM school_updates WHERE id=?', [id]);
+        if (!update) throw new ApiError(404, 'Update not found');
+        return update.image_url;
+    };
+
+    // Images uploaded here are stored; older rows may link elsewhere
+    const removeImage = async (imageUrl) => {
+        if (imageUrl && imageUrl.startsWith(UPDATE_IMAGE_PREFIX)) {
+            await files.remove('updates', imageUrl.slice(UPDATE_IMAGE_PREFIX.length));
+        }
+    };
+
+    // Only replace the image when a new one was uploaded; the old one is deleted
+    const update = async (id, { title, content, image_url }) => {
+        const previous = await findImage(id);
+        if (image_url) {
+            await pool.query(
+                'UPDATE school_updates SET title=?, content=?, image_url=? WHERE id=?',
+                [title, content, image_url, id]
+            );
+            await removeImage(previous);
+        } else {
+            await pool.query(
+                'UPDATE school_updates SET title=?, content=? WHERE id=?',
+                [title, content, id]
+            );
+        }
+    };
+
+    const remove = async (id) => {
+        const image = await findImage(id);
+        await pool.query('DELETE FROM school_updates WHERE id=?', [id]);
+        await removeImage(image);
+    };
+
+    return { list, create, update, remove };
+};
+
+module.exports = { createUpdateService };
@@ -0,0 +1,123 @@
+const bcrypt = require('bcrypt');
+const { ApiError } = require('../errors');
+const { transaction } = require('../db/transaction');
+
+const createUserService = (pool) => {
+    const findByUsername = async (username) => {
+        const [[user]] = await pool.query('SELECT * FROM users WHERE username = ?', [username]);
+        return user || null;
+    };
+
+    const usernameOrEmailExists = async (username, email) => {
+        const [existing] = await pool.query(
+            'SELECT * FROM users WHERE username = ? OR email = ?',
+            [username, email]
+        );
+        return existing.length > 0;
+    };
+
+    // Create the user and its role-specific record in one transaction
+    const register = async ({ username, password, email, firstName, lastName, user_type, phone_number, address, subject_specialization }) => {
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        const conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        try {
+            const [result] = await conn.query(
+                'INSERT INTO users (username, password, email, first_name, last_name, user_type) VALUES (?, ?, ?, ?, ?, ?)',
+                [username, hashedPassword, email, firstName, lastName, user_type]
+            );
+            const userId = result.insertId;
+
+            if (user_type === 'parent') {
+                await conn.query(
+                    'INSERT INTO parents (parent_id, phone_number, address) VALUES (?, ?, ?)',
+                    [userId, phone_number, address]
+                );
+            } else if (user_type === 'teacher') {
+                await conn.query(
+                    'INSERT INTO teachers (teacher_id, subject_specialization, hire_date) VALUES (?, ?, ?)',
+                    [userId, subject_specialization, new Date()]
+                );
+            }
+
+            await conn.commit();
+            return userId;
+        } catch (error) {
+            await conn.rollback();
+            throw error;
+        } finally {
+            conn.release();
+        }
+    };
+
+    // A teacher or admin account without a password, for the invitation to
+    // complete
+    const createStaff = async ({ first_name, last_name, email, user_type, subject_specialization }) => {
+        const [taken] = await pool.query('SELECT user_id FROM users WHERE email = ?', [email]);
+        if (taken.length) {
+            throw new ApiError(400, 'Email already exists', {
+                code: 'ALREADY_EXISTS',
+                fields: [{ location: 'body', field: 'email', message: 'is already registered' }]
+            });
+        }
+        return transaction(pool, async (conn) => {
+            const [result] = await conn.query(
+                'INSERT INTO users (first_name, last_name, email, user_type) VALUES (?, ?, ?, ?)',
+                [first_name, last_name, email, user_type]
+            );
+            if (user_type === 'teacher') {
+                await conn.query(
+                    'INSERT INTO teachers (teacher_id, subject_specialization, hire_date) VALUES (?, ?, ?)',
+                    [result.insertId, subject_specialization || null, new Date()]
+                );
+            }
+            return result.insertId;
+        });
+    };
+
+    const verifyPassword = (user, password) => bcrypt.compare(password, user.password);
+
+    const touchLastLogin = async (userId) => {
+        await pool.query('UPDATE users SET last_login = NOW() WHERE user_id = ?', [userId]);
+    };
+
+    // Public user details merged with the role-specific record
+    const getProfile = async (user) => {
+        let userDetails = {
+            id: user.user_id,
+            username: user.username,
+            email: user.email,
+            user_type: user.user_type,
+            firstName: user.first_name,
+            lastName: user.last_name
+        };
+
+        if (user.user_type === 'parent') {
+            const [parents] = await pool.query('SELECT * FROM parents WHERE parent_id = ?', [user.user_id]);
+            if (parents.length) userDetails = { ...userDetails, ...parents[0] };
+            const [children] = await pool.query(
+                `SELECT s.student_id, s.student_name, s.class_id, s.status, g.relationship, g.is_primary
+                 FROM student_guardians g
+                 JOIN students s ON g.student_id = s.student_id
+                 WHERE g.guardian_id = ?
+                 ORDER BY s.student_name`,
+                [user.user_id]
+            );
+            userDetails.children = children.map(c => ({ ...c, is_primary: Boolean(c.is_primary) }));
+        } else if (user.user_type === 'teacher') {
+            const [teachers] = await pool.query('SELECT * FROM teachers WHERE teacher_id = ?', [user.user_id]);
+            if (teachers.length) userDetails = { ...userDetails, ...teachers[0] };
+        } else if (user.user_type === 'student') {
+            const [students] = await pool.query('SELECT * FROM students WHERE user_id = ?', [user.user_id]);
+            if (students.length) userDetails = { ...userDetails, ...students[0] };
+        }
+
+        return userDetails;
+    };
+
+    return { findByUsername, usernameOrEmailExists, register, createStaff, verifyPassword, touchLastLogin, getProfile };
+};
+
+module.exports = { createUserService };
@@ -0,0 +1,23 @@
+const { consoleTransport, fileTransport, memoryTransport, twilioTransport } = require('./transports');
+
+const TRANSPORTS = {
+    console: consoleTransport,
+    file: fileTransport,
+    memory: memoryTransport,
+    twilio: twilioTransport
+};
+
+// Build a text message sender from config.sms; `transport` picks one of
+// TRANSPORTS
+const createSms = (smsConfig = {}) => {
+    const name = smsConfig.transport || 'console';
+    const factory = TRANSPORTS[name];
+    if (!factory) throw new Error(`Unknown SMS transport: ${name}`);
+    const transport = factory(smsConfig);
+
+    const send = ({ to, text }) => transport.send({ from: smsConfig.from, to, text });
+
+    return { transport, send };
+};
+
+module.exports = { createSms };
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// A transport takes { from, to, text } and delivers it
+
+// Development: print to the server log
+const consoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`[sms] To: ${message.to}\n${message.text}\n`);
+    }
+});
+
+// Development: write each message to a .txt file in `dir`
+const fileTransport = ({ dir }) => ({
+    name: 'file',
+    send: async (message) => {
+        fs.mkdirSync(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${Math.round(Math.random() * 1E9)}.txt`);
+        await fs.promises.writeFile(file, `From: ${message.from}\nTo: ${message.to}\n\n${message.text}\n`);
+    }
+});
+
+// Tests: keep messages in memory
+const memoryTransport = () => {
+    const sent = [];
+    return {
+        name: 'memory',
+        sent,
+        send: async (message) => {
+            sent.push(message);
+        }
+    };
+};
+
+// Production: Twilio's Messages API
+const twilioTransport = ({ accountSid, authToken }) => ({
+    name: 'twilio',
+    send: async (message) => {
+        const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+            method: 'POST',
+            headers: {
+                Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({ From: message.from, To: message.to, Body: message.text })
+        });
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(`Twilio responded ${response.status}: ${body.message || response.statusText}`);
+        }
+    }
+});
+
+module.exports = { consoleTransport, fileTransport, memoryTransport, twilioTransport };
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// A driver stores objects under keys such as `documents/<file name>`:
+//   put(key, sourcePath, { contentType })  move a local file into storage
+//   get(key, { start, end })  { stream, size, contentType } or null when there
+//     is no such object; with `start` (and `end`, inclusive) the stream holds
+//     only those bytes, `size` is always the whole object's
+//   head(key)  { size, contentType } or null
+//   remove(key)  delete the object if it exists
+//   list(folder)  [{ key, size, modified }] for every object in a folder
+
+// Local disk under `dir`, laid out exactly like the keys
+const localDriver = ({ dir }) => {
+    const root = path.resolve(dir);
+    const resolve = (key) => {
+        const file = path.resolve(root, key);
+        return file.startsWith(root + path.sep) ? file : null;
+    };
+
+    return {
+        name: 'local',
+        put: async (key, sourcePath) => {
+            const target = resolve(key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            try {
+                await fs.promises.rename(sourcePath, target);
+            } catch (error) {
+                // Temporary files on another device cannot be renamed into place
+                if (error.code !== 'EXDEV') throw error;
+                await fs.promises.copyFile(sourcePath, target);
+                await fs.promises.unlink(sourcePath);
+            }
+        },
+        get: async (key, { start, end } = {}) => {
+            const file = resolve(key);
+            const stat = file && await fs.promises.stat(file).catch(() => null);
+            if (!stat || !stat.isFile()) return null;
+            return { stream: fs.createReadStream(file, { start, end }), size: stat.size, contentType: null };
+        },
+        head: async (key) => {
+            const file = resolve(key);
+            const stat = file && await fs.promises.stat(file).catch(() => null);
+            return stat && stat.isFile() ? { size: stat.size, contentType: null } : null;
+        },
+        remove: async (key) => {
+            const file = resolve(key);
+            if (file) await fs.promises.unlink(file).catch(() => {});
+        },
+        list: async (folder) => {
+            const dir = resolve(folder);
+            const names = dir ? await fs.promises.readdir(dir).catch(() => []) : [];
+            const objects = [];
+            for (const name of names) {
+                const stat = await fs.promises.stat(path.join(dir, name));
+                if (stat.isFile()) objects.push({ key: `${folder}/${name}`, size: stat.size, modified: stat.mtime });
+            }
+            return objects;
+        }
+    };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// AWS Signature Version 4 headers for a request. Exported so the test
+// stand-in can check signatures the way S3 does.
+const signV4 = ({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) => {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const { host, pathname, searchParams } = new URL(url);
+
+    const signed = { ...headers, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    const canonical = { ...signed, host };
+    const names = Object.keys(canonical).map(name => name.toLowerCase()).sort();
+    const lowered = Object.fromEntries(Object.entries(canonical).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalQuery = [...searchParams.entries()]
+        .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+        .sort()
+        .join('&');
+    const canonicalRequest = [
+        method,
+        pathname,
+        canonicalQuery,
+        names.map(name => `${name}:${String(lowered[name]).trim()}\n`).join(''),
+        names.join(';'),
+        payloadHash
+    ].join('\n');
+
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), 's3'), 'aws4_request');
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    return {
+        ...signed,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+};
+
+// S3 or an S3-compatible service (MinIO and the like), addressed path-style
+// as <endpoint>/<bucket>/<key>
+const s3Driver = ({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey }) => {
+    if (!endpoint || !bucket) throw new Error('The s3 storage driver needs an endpoint and a bucket');
+    const base = endpoint.replace(/\/+$/, '');
+
+    const send = async (method, key, { body, headers = {}, query } = {}) => {
+        const objectPath = key ? `/${key.split('/').map(encodeURIComponent).join('/')}` : '';
+        const url = `${base}/${bucket}${objectPath}${query ? `?${query}` : ''}`;
+        const signedHeaders = signV4({
+            method,
+            url,
+            headers,
+            payloadHash: sha256(body || ''),
+            region,
+            accessKeyId,
+            secretAccessKey
+        });
+        return fetch(url, { method, headers: signedHeaders, body });
+    };
+
+    const fail = async (response, action) => {
+        throw new Error(`S3 ${action} failed with ${response.status}: ${await response.text()}`);
+    };
+
+    return {
+        name: 's3',
+        put: async (key, sourcePath, { contentType } = {}) => {
+            const body = await fs.promises.readFile(sourcePath);
+            const response = await send('PUT', key, {
+                body,
+                headers: { 'content-type': contentType || 'application/octet-stream' }
+            });
+            if (!response.ok) await fail(response, `upload of ${key}`);
+            await fs.promises.unlink(sourcePath);
+        },
+        get: async (key, { start, end } = {}) => {
+            const headers = start === undefined ? {} : { range: `bytes=${start}-${end === undefined ? '' : end}` };
+            const response = await send('GET', key, { headers });
+            if (response.status === 404) return null;
+            if (!response.ok) await fail(response, `download of ${key}`);
+            // A partial response gives the whole size after the slash: bytes 0-99/1234
+            const range = /\/(\d+)$/.exec(response.headers.get('content-range') || '');
+            return {
+                stream: Readable.fromWeb(response.body),
+                size: Number(range ? range[1] : response.headers.get('content-length')),
+                contentType: response.headers.get('content-type')
+            };
+        },
+        head: async (key) => {
+            const response = await send('HEAD', key);
+            if (response.status === 404) return null;
+            if (!response.ok) await fail(response, `lookup of ${key}`);
+            return {
+                size: Number(response.headers.get('content-length')),
+                contentType: response.headers.get('content-type')
+            };
+        },
+        remove: async (key) => {
+            const response = await send('DELETE', key);
+            if (!response.ok && response.status !== 404) await fail(response, `delete of ${key}`);
+        },
+        // ListObjectsV2, a page of up to 1000 keys at a time
+        list: async (folder) => {
+            const objects = [];
+            let token = null;
+            do {
+                const params = [['list-type', '2'], ['prefix', `${folder}/`]];
+                if (token) params.push(['continuation-token', token]);
+                const query = params.map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&');
+                const response = await send('GET', '', { query });
+                if (!response.ok) await fail(response, `listing of ${folder}`);
+                const xml = await response.text();
+                for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                    const field = (name) => (entry.match(new RegExp(`<${name}>([^<]*)</${name}>`)) || [])[1];
+                    objects.push({ key: field('Key'), size: Number(field('Size')), modified: new Date(field('LastModified')) });
+                }
+                token = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+                    ? (xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/) || [])[1]
+                    : null;
+            } while (token);
+            return objects;
+        }
+    };
+};
+
+module.exports = { localDriver, s3Driver, signV4 };
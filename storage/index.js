@@ -0,0 +1,121 @@
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { localDriver, s3Driver } = require('./drivers');
+const { CONTENT_TYPES } = require('../middleware/fileTypes');
+const { sendError } = require('../errors');
+
+const DRIVERS = {
+    local: localDriver,
+    s3: s3Driver
+};
+
+// Keys are `<folder>/<file name>`. Uploads get sanitized names, but files
+// stored before that keep whatever their original name held, so any single
+// path segment is a name except `.` and `..`.
+const KEY = /^[a-z]+\/(?!\.\.?$)[^/\\\0]+$/;
+
+// The byte range a Range header asks for within a file of `size` bytes:
+// { start, end } (inclusive), 'unsatisfiable', or null to send the whole
+// file. Only single ranges are served; anything else gets the whole file,
+// as RFC 9110 allows.
+const parseRange = (header, size) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+    if (!match || (!match[1] && !match[2])) return null;
+    if (!match[1]) {
+        const length = Number(match[2]);
+        return length && size ? { start: Math.max(size - length, 0), end: size - 1 } : 'unsatisfiable';
+    }
+    const start = Number(match[1]);
+    const end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    if (match[2] && Number(match[2]) < start) return null;
+    return start < size ? { start, end } : 'unsatisfiable';
+};
+
+// Build file storage from config.storage; `driver` picks one of DRIVERS.
+// Besides the driver's put/get/remove it streams files into responses and
+// issues and checks signed, time-limited download links.
+const createStorage = (config) => {
+    const storageConfig = config.storage || {};
+    const name = storageConfig.driver || 'local';
+    const factory = DRIVERS[name];
+    if (!factory) throw new Error(`Unknown storage driver: ${name}`);
+    const driver = factory(name === 'local' ? { dir: config.uploadsDir } : storageConfig[name]);
+
+    const secret = storageConfig.signingSecret || config.jwtSecret;
+    const signature = (key, expires, fileName) => crypto
+        .createHmac('sha256', secret)
+        .update(`${key}\n${expires}\n${fileName}`)
+        .digest('base64url');
+
+    // Stream a stored file as an attachment (or `inline`) named `fileName`,
+    // or the part of it the request's Range header asks for
+    const send = async (res, key, { fileName, disposition = 'attachment', contentType } = {}) => {
+        if (!KEY.test(key)) return sendError(res, 404, 'File not found');
+        let range = null;
+        if (res.req && res.req.headers.range) {
+            const stat = await driver.head(key);
+            if (!stat) return sendError(res, 404, 'File not found');
+            range = parseRange(res.req.headers.range, stat.size);
+            if (range === 'unsatisfiable') {
+                res.setHeader('Content-Range', `bytes */${stat.size}`);
+                return sendError(res, 416, 'Requested range is not satisfiable');
+            }
+        }
+        const object = await driver.get(key, range || {});
+        if (!object) return sendError(res, 404, 'File not found');
+
+        res.attachment(fileName || path.basename(key));
+        if (disposition === 'inline') {
+            res.setHeader('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+        }
+        res.setHeader('Content-Type', contentType || object.contentType || CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Accept-Ranges', 'bytes');
+        if (range) {
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${object.size}`);
+            res.setHeader('Content-Length', range.end - range.start + 1);
+        } else if (object.size) {
+            res.setHeader('Content-Length', object.size);
+        }
+        try {
+            await pipeline(object.stream, res);
+        } catch (error) {
+            // The client went away or the driver failed mid-stream; the
+            // status line is already sent, so just drop the connection
+            res.destroy(error);
+        }
+    };
+
+    // A link anyone holding it can download the file from until it expires
+    const signedUrl = (key, { fileName = path.basename(key), expiresIn = storageConfig.signedUrlTtlSeconds || 300 } = {}) => {
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const query = new URLSearchParams({ name: fileName, expires, signature: signature(key, expires, fileName) });
+        return {
+            url: `/api/files/${key.split('/').map(encodeURIComponent).join('/')}?${query}`,
+            expires_at: new Date(expires * 1000).toISOString()
+        };
+    };
+
+    const verify = (key, { name: fileName = '', expires, signature: given = '' }) => {
+        if (!KEY.test(key) || !/^\d+$/.test(String(expires)) || Number(expires) < Date.now() / 1000) return false;
+        const expected = Buffer.from(signature(key, expires, fileName));
+        const actual = Buffer.from(String(given));
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    };
+
+    return {
+        driver,
+        put: driver.put,
+        get: driver.get,
+        head: driver.head,
+        remove: driver.remove,
+        list: driver.list,
+        send,
+        signedUrl,
+        verify
+    };
+};
+
+module.exports = { createStorage };
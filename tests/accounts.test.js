@@ -0,0 +1,177 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { PASSWORD, setupApp, createUser, bearer } = require('./helpers/app');
+
+// Pull the token out of the link in the last email sent
+const tokenFromLastEmail = (ctx) => {
+    const { text } = ctx.mailer.transport.sent.at(-1);
+    return new URL(text.match(/http:\/\/app\.test\/\S+/)[0]).searchParams.get('token');
+};
+
+describe('account emails', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    describe('email verification', () => {
+        const register = () => request(ctx.app).post('/api/register').send({
+            username: 'newparent',
+            password: 'pass1234',
+            confirmPassword: 'pass1234',
+            email: 'parent@example.com',
+            firstName: 'New',
+            lastName: 'Parent',
+            user_type: 'parent'
+        });
+        const login = () => request(ctx.app).post('/api/login').send({ username: 'newparent', password: 'pass1234' });
+
+        it('blocks login until the emailed link is used', async () => {
+            assert.equal((await register()).status, 201);
+            assert.equal(ctx.mailer.transport.sent.at(-1).to, 'parent@example.com');
+
+            const blocked = await login();
+            assert.equal(blocked.status, 403);
+            assert.equal(blocked.body.error.code, 'EMAIL_NOT_VERIFIED');
+
+            const token = tokenFromLastEmail(ctx);
+            assert.equal((await request(ctx.app).post('/api/auth/verify-email').send({ token })).status, 200);
+            assert.equal((await login()).status, 200);
+
+            const again = await request(ctx.app).post('/api/auth/verify-email').send({ token });
+            assert.equal(again.status, 400);
+            assert.equal(again.body.error.code, 'INVALID_TOKEN');
+        });
+
+        it('resends the link and invalidates the previous one', async () => {
+            await register();
+            const first = tokenFromLastEmail(ctx);
+            const res = await request(ctx.app).post('/api/auth/resend-verification').send({ username: 'newparent', password: 'pass1234' });
+            assert.equal(res.status, 200);
+
+            assert.equal((await request(ctx.app).post('/api/auth/verify-email').send({ token: first })).status, 400);
+            const second = tokenFromLastEmail(ctx);
+            assert.equal((await request(ctx.app).post('/api/auth/verify-email').send({ token: second })).status, 200);
+        });
+    });
+
+    describe('password reset', () => {
+        it('resets the password and signs out existing sessions', async () => {
+            const user = await createUser(ctx.pool, 'parent', { email: 'mum@example.com' });
+            const res = await request(ctx.app).post('/api/auth/forgot-password').send({ email: 'mum@example.com' });
+            assert.equal(res.status, 200);
+
+            const reset = await request(ctx.app).post('/api/auth/reset-password').send({
+                token: tokenFromLastEmail(ctx),
+                password: 'newpass99',
+                confirmPassword: 'newpass99'
+            });
+            assert.equal(reset.status, 200);
+
+            const stale = await request(ctx.app).get('/api/notifications').set('Authorization', bearer(ctx.config, user));
+            assert.equal(stale.status, 401);
+            assert.equal((await request(ctx.app).post('/api/login').send({ username: user.username, password: PASSWORD })).status, 401);
+            assert.equal((await request(ctx.app).post('/api/login').send({ username: user.username, password: 'newpass99' })).status, 200);
+        });
+
+        it('answers the same for unknown emails without sending anything', async () => {
+            const res = await request(ctx.app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+            assert.equal(res.status, 200);
+            assert.equal(ctx.mailer.transport.sent.length, 0);
+        });
+
+        it('rejects an invalid token', async () => {
+            const res = await request(ctx.app).post('/api/auth/reset-password').send({
+                token: 'bogus',
+                password: 'newpass99',
+                confirmPassword: 'newpass99'
+            });
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('parent invitations', () => {
+        it('lets an admin-created parent choose a username and password', async () => {
+            const admin = await createUser(ctx.pool, 'admin');
+            const created = await request(ctx.app)
+                .post('/api/parents')
+                .set('Authorization', bearer(ctx.config, admin))
+                .send({ first_name: 'Alice', last_name: 'Uwase', email: 'alice@example.com' });
+            assert.equal(created.status, 201);
+            assert.equal(ctx.mailer.transport.sent.at(-1).to, 'alice@example.com');
+
+            const accepted = await request(ctx.app).post('/api/auth/accept-invitation').send({
+                token: tokenFromLastEmail(ctx),
+                username: 'alice',
+                password: 'alicepass',
+                confirmPassword: 'alicepass'
+            });
+            assert.equal(accepted.status, 200);
+
+            const login = await request(ctx.app).post('/api/login').send({ username: 'alice', password: 'alicepass' });
+            assert.equal(login.status, 200);
+            assert.equal(login.body.user.user_type, 'parent');
+        });
+
+        it('keeps the invitation usable when the username is taken', async () => {
+            const admin = await createUser(ctx.pool, 'admin', { username: 'takenname' });
+            await request(ctx.app)
+                .post('/api/parents')
+                .set('Authorization', bearer(ctx.config, admin))
+                .send({ first_name: 'Alice', last_name: 'Uwase', email: 'alice@example.com' });
+            const token = tokenFromLastEmail(ctx);
+
+            const taken = await request(ctx.app).post('/api/auth/accept-invitation').send({
+                token, username: 'takenname', password: 'alicepass', confirmPassword: 'alicepass'
+            });
+            assert.equal(taken.status, 400);
+            assert.equal(taken.body.error.fields[0].field, 'username');
+
+            const ok = await request(ctx.app).post('/api/auth/accept-invitation').send({
+                token, username: 'alice', password: 'alicepass', confirmPassword: 'alicepass'
+            });
+            assert.equal(ok.status, 200);
+        });
+
+        it('refuses a username taken by a concurrent acceptance', async () => {
+            const admin = await createUser(ctx.pool, 'admin');
+            const tokens = [];
+            for (const email of ['alice@example.com', 'bob@example.com']) {
+                await request(ctx.app)
+                    .post('/api/parents')
+                    .set('Authorization', bearer(ctx.config, admin))
+                    .send({ first_name: 'Parent', last_name: 'Uwase', email });
+                tokens.push(tokenFromLastEmail(ctx));
+            }
+
+            const accept = (token, username) => request(ctx.app).post('/api/auth/accept-invitation').send({
+                token, username, password: 'parentpass', confirmPassword: 'parentpass'
+            });
+            const results = await Promise.all(tokens.map(token => accept(token, 'sameparent')));
+            assert.deepEqual(results.map(res => res.status).sort(), [200, 400]);
+            const refused = results.findIndex(res => res.status === 400);
+            assert.equal(results[refused].body.error.code, 'ALREADY_EXISTS');
+            assert.equal((await accept(tokens[refused], 'otherparent')).status, 200);
+        });
+
+        it('adds the parent even when the invitation cannot be sent', async () => {
+            const admin = await createUser(ctx.pool, 'admin');
+            ctx.mailer.transport.send = async () => {
+                throw new Error('Connection refused');
+            };
+            const created = await request(ctx.app)
+                .post('/api/parents')
+                .set('Authorization', bearer(ctx.config, admin))
+                .send({ first_name: 'Alice', last_name: 'Uwase', email: 'alice@example.com' });
+            assert.equal(created.status, 201);
+            const [[parent]] = await ctx.pool.query("SELECT user_id FROM users WHERE email = 'alice@example.com'");
+            assert.equal(created.body.parent_id, parent.user_id);
+        });
+    });
+});
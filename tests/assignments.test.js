@@ -0,0 +1,140 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+describe('assignments', () => {
+    let ctx;
+    let teacher;
+    let parent;
+    let studentUser;
+    let classId;
+    let alice;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        teacher = await createUser(ctx.pool, 'teacher');
+        parent = await createUser(ctx.pool, 'parent');
+        studentUser = await createUser(ctx.pool, 'student');
+        classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        alice = await createStudent(ctx.pool, { student_name: 'Alice', parent_id: parent.user_id, class_id: classId });
+        await createStudent(ctx.pool, { student_name: 'Bob', class_id: classId });
+        await ctx.pool.query('UPDATE students SET user_id = ? WHERE student_id = ?', [studentUser.user_id, alice]);
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const as = (user) => ({
+        get: (url) => request(ctx.app).get(url).set('Authorization', bearer(ctx.config, user)),
+        post: (url, body) => request(ctx.app).post(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        put: (url, body) => request(ctx.app).put(url).set('Authorization', bearer(ctx.config, user)).send(body)
+    });
+
+    const setAssignment = async (body = {}) => (await as(teacher).post(`/api/classes/${classId}/assignments`, {
+        title: 'Essay', due_date: '2099-12-31', max_score: 20, ...body
+    })).body.assignment_id;
+
+    const handIn = (user, assignmentId, content = 'my essay') => request(ctx.app)
+        .post(`/api/assignments/${assignmentId}/submissions`)
+        .set('Authorization', bearer(ctx.config, user))
+        .field('comment', 'Done')
+        .attach('file', Buffer.from(content), 'essay.txt');
+
+    const submittedFiles = () => {
+        const dir = path.join(ctx.config.uploadsDir, 'submissions');
+        return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+    };
+
+    it('takes work from students and lets the teacher mark it', async () => {
+        const id = await setAssignment();
+
+        const first = await handIn(studentUser, id, 'draft');
+        assert.equal(first.status, 201);
+        assert.equal(first.body.is_late, false);
+        const again = await handIn(studentUser, id, 'final');
+        assert.equal(again.status, 200);
+        assert.equal(again.body.submission_id, first.body.submission_id);
+        assert.equal(submittedFiles().length, 1);
+
+        const longComment = await request(ctx.app)
+            .post(`/api/assignments/${id}/submissions`)
+            .set('Authorization', bearer(ctx.config, studentUser))
+            .field('comment', 'x'.repeat(2001))
+            .attach('file', Buffer.from('extra'), 'essay.txt');
+        assert.equal(longComment.status, 400);
+        assert.equal(submittedFiles().length, 1);
+
+        const roster = await as(teacher).get(`/api/assignments/${id}/submissions`);
+        assert.deepEqual(roster.body.map(r => [r.student_name, r.status]), [['Alice', 'submitted'], ['Bob', 'missing']]);
+
+        const download = await as(parent).get(`/api/submissions/${first.body.submission_id}/download`);
+        assert.equal(download.status, 200);
+        assert.equal(download.text || download.body.toString(), 'final');
+
+        const tooHigh = await as(teacher).put(`/api/submissions/${first.body.submission_id}/grade`, { score: 25 });
+        assert.equal(tooHigh.body.error.fields[0].field, 'score');
+        const marked = await as(teacher).put(`/api/submissions/${first.body.submission_id}/grade`, { score: 17, feedback: 'Well argued' });
+        assert.equal(marked.status, 200);
+
+        for (const user of [studentUser, parent]) {
+            const notifications = (await as(user).get('/api/notifications')).body;
+            assert.match(notifications[0].message, /"Essay" has been marked: 17\/20/);
+        }
+        const own = await as(studentUser).get(`/api/assignments/${id}`);
+        assert.equal(own.body.submission.feedback, 'Well argued');
+
+        assert.equal((await handIn(studentUser, id)).body.error.code, 'ALREADY_GRADED');
+        assert.equal(submittedFiles().length, 1);
+    });
+
+    it('marks late work and refuses it when late work is not allowed', async () => {
+        const lenient = await setAssignment({ due_date: '2020-01-01' });
+        const late = await handIn(studentUser, lenient);
+        assert.equal(late.status, 201);
+        assert.equal(late.body.is_late, true);
+
+        const strict = await setAssignment({ due_date: '2020-01-01', allow_late: false });
+        const refused = await handIn(studentUser, strict);
+        assert.equal(refused.status, 409);
+        assert.equal(refused.body.error.code, 'PAST_DUE');
+        assert.equal(submittedFiles().length, 1);
+    });
+
+    it('lists pending work for students and parents', async () => {
+        const overdue = await setAssignment({ title: 'Lab report', due_date: '2020-01-01' });
+        const upcoming = await setAssignment({ title: 'Essay' });
+
+        const mine = await as(studentUser).get('/api/assignments/pending');
+        assert.deepEqual(mine.body.assignments.map(a => [a.assignment_id, a.overdue]), [[overdue, true], [upcoming, false]]);
+
+        await handIn(studentUser, overdue);
+        const children = await as(parent).get('/api/assignments/pending');
+        assert.equal(children.body.children[0].student_id, alice);
+        assert.deepEqual(children.body.children[0].assignments.map(a => a.title), ['Essay']);
+    });
+
+    it('keeps assignments and submissions within their class', async () => {
+        const id = await setAssignment();
+        const otherClass = await createClass(ctx.pool, { name: 'NET' });
+        const outsider = await createUser(ctx.pool, 'student');
+        const outsiderId = await createStudent(ctx.pool, { class_id: otherClass });
+        await ctx.pool.query('UPDATE students SET user_id = ? WHERE student_id = ?', [outsider.user_id, outsiderId]);
+
+        assert.equal((await handIn(outsider, id)).status, 403);
+        assert.equal(submittedFiles().length, 0);
+
+        const submission = (await handIn(studentUser, id)).body.submission_id;
+        const otherParent = await createUser(ctx.pool, 'parent');
+        assert.equal((await as(otherParent).get(`/api/submissions/${submission}/download`)).status, 404);
+
+        const otherTeacher = await createUser(ctx.pool, 'teacher');
+        const notTheirs = await as(otherTeacher).post(`/api/classes/${classId}/assignments`, { title: 'Quiz', due_date: '2099-12-31' });
+        assert.equal(notTheirs.status, 403);
+        const unknownBrief = await as(teacher).post(`/api/classes/${classId}/assignments`, { title: 'Quiz', due_date: '2099-12-31', document_id: 999 });
+        assert.equal(unknownBrief.body.error.fields[0].field, 'document_id');
+    });
+});
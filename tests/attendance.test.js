@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+describe('attendance', () => {
+    let ctx;
+    let teacher;
+    let parent;
+    let classId;
+    let studentId;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        teacher = await createUser(ctx.pool, 'teacher');
+        parent = await createUser(ctx.pool, 'parent');
+        classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        studentId = await createStudent(ctx.pool, { parent_id: parent.user_id, class_id: classId });
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const submit = (user, body) => request(ctx.app)
+        .post(`/api/classes/${classId}/attendance`)
+        .set('Authorization', bearer(ctx.config, user))
+        .send(body);
+
+    it('records attendance for the class teacher', async () => {
+        const res = await submit(teacher, { date: '2025-06-02', attendance: [{ student_id: studentId, status: 'present' }] });
+        assert.equal(res.status, 201);
+
+        const records = await request(ctx.app)
+            .get(`/api/classes/${classId}/attendance?date=2025-06-02`)
+            .set('Authorization', bearer(ctx.config, parent));
+        assert.equal(records.status, 200);
+        assert.equal(records.body.length, 1);
+        assert.equal(records.body[0].status, 'present');
+    });
+
+    it('requires a date and attendance list', async () => {
+        const res = await submit(teacher, { attendance: [] });
+        assert.equal(res.status, 400);
+    });
+
+    it('forbids parents and teachers of other classes', async () => {
+        const body = { date: '2025-06-02', attendance: [{ student_id: studentId, status: 'present' }] };
+        assert.equal((await submit(parent, body)).status, 403);
+
+        const otherTeacher = await createUser(ctx.pool, 'teacher');
+        assert.equal((await submit(otherTeacher, body)).status, 403);
+    });
+
+    it('requires a date for the attendance report', async () => {
+        const res = await request(ctx.app)
+            .get('/api/attendance')
+            .set('Authorization', bearer(ctx.config, teacher));
+        assert.equal(res.status, 400);
+    });
+
+    const as = (user) => ({
+        get: (url) => request(ctx.app).get(url).set('Authorization', bearer(ctx.config, user)),
+        patch: (url, body) => request(ctx.app).patch(url).set('Authorization', bearer(ctx.config, user)).send(body)
+    });
+
+    it('updates the existing record when attendance is submitted again', async () => {
+        const date = '2025-06-02';
+        await submit(teacher, { date, attendance: [{ student_id: studentId, status: 'present' }] });
+        const again = await submit(teacher, { date, attendance: [{ student_id: studentId, status: 'late', reason: 'Bus' }] });
+        assert.equal(again.status, 200);
+        assert.deepEqual([again.body.created, again.body.updated, again.body.unchanged], [0, 1, 0]);
+
+        const records = (await as(parent).get(`/api/classes/${classId}/attendance?date=${date}`)).body;
+        assert.equal(records.length, 1);
+        assert.equal(records[0].status, 'late');
+        assert.equal(records[0].reason, 'Bus');
+
+        const history = await as(parent).get(`/api/attendance/${records[0].attendance_id}/history`);
+        assert.deepEqual(history.body.map(h => [h.old_status, h.new_status, h.changed_by]), [
+            [null, 'present', teacher.user_id],
+            ['present', 'late', teacher.user_id]
+        ]);
+    });
+
+    it('keeps separate records per period', async () => {
+        await ctx.pool.query("INSERT INTO periods (period, start_time, end_time) VALUES (1, '08:00:00', '08:40:00'), (2, '08:40:00', '09:20:00')");
+        const date = '2025-06-02';
+        await submit(teacher, { date, period: 1, attendance: [{ student_id: studentId, status: 'present' }] });
+        await submit(teacher, { date, period: 2, attendance: [{ student_id: studentId, status: 'absent' }] });
+
+        const all = (await as(teacher).get(`/api/classes/${classId}/attendance?date=${date}`)).body;
+        assert.deepEqual(all.map(r => [r.period, r.status]), [[1, 'present'], [2, 'absent']]);
+        const second = (await as(teacher).get(`/api/classes/${classId}/attendance?date=${date}&period=2`)).body;
+        assert.deepEqual(second.map(r => r.status), ['absent']);
+
+        const unknown = await submit(teacher, { date, period: 7, attendance: [{ student_id: studentId, status: 'present' }] });
+        assert.equal(unknown.body.error.fields[0].field, 'period');
+    });
+
+    it('only accepts students of the class and reasons for excused absences', async () => {
+        const otherClass = await createClass(ctx.pool, { name: 'NET' });
+        const outsider = await createStudent(ctx.pool, { class_id: otherClass });
+        const res = await submit(teacher, {
+            date: '2025-06-02',
+            attendance: [
+                { student_id: studentId, status: 'excused' },
+                { student_id: outsider, status: 'present' }
+            ]
+        });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.error.fields.map(f => f.field), ['attendance[0].reason', 'attendance[1].student_id']);
+        const [rows] = await ctx.pool.query('SELECT * FROM attendance');
+        assert.equal(rows.length, 0);
+    });
+
+    it('lets staff correct a record within their scope', async () => {
+        await submit(teacher, { date: '2025-06-02', attendance: [{ student_id: studentId, status: 'absent' }] });
+        const [[record]] = await ctx.pool.query('SELECT attendance_id FROM attendance');
+
+        assert.equal((await as(parent).patch(`/api/attendance/${record.attendance_id}`, { status: 'present' })).status, 403);
+        const otherTeacher = await createUser(ctx.pool, 'teacher');
+        assert.equal((await as(otherTeacher).patch(`/api/attendance/${record.attendance_id}`, { status: 'present' })).status, 404);
+
+        const admin = await createUser(ctx.pool, 'admin');
+        const fixed = await as(admin).patch(`/api/attendance/${record.attendance_id}`, { status: 'excused', reason: 'Medical note' });
+        assert.equal(fixed.status, 200);
+        const history = (await as(admin).get(`/api/attendance/${record.attendance_id}/history`)).body;
+        assert.equal(history.at(-1).changed_by, admin.user_id);
+        assert.equal(history.at(-1).new_reason, 'Medical note');
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+describe('attendance reports and alerts', () => {
+    let ctx;
+    let admin;
+    let teacher;
+    let parent;
+    let classId;
+    let studentId;
+    let otherId;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        admin = await createUser(ctx.pool, 'admin');
+        teacher = await createUser(ctx.pool, 'teacher');
+        parent = await createUser(ctx.pool, 'parent');
+        classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        studentId = await createStudent(ctx.pool, { student_name: 'Alice', parent_id: parent.user_id, class_id: classId });
+        otherId = await createStudent(ctx.pool, { student_name: 'Bob', class_id: classId });
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const get = (user, url) => request(ctx.app).get(url).set('Authorization', bearer(ctx.config, user));
+
+    const submit = (date, status, extra = {}) => request(ctx.app)
+        .post(`/api/classes/${classId}/attendance`)
+        .set('Authorization', bearer(ctx.config, teacher))
+        .send({ date, ...extra, attendance: [{ student_id: studentId, status }, { student_id: otherId, status: 'present' }] });
+
+    const notificationsOf = async (user) => (await get(user, '/api/notifications')).body;
+
+    // Monday 2 June to Friday 6 June 2025, then Monday 9 June
+    const week = ['2025-06-02', '2025-06-03', '2025-06-04', '2025-06-05', '2025-06-06', '2025-06-09'];
+
+    it('tells guardians about an absence once per day', async () => {
+        await submit(week[0], 'present');
+        assert.equal((await notificationsOf(parent)).length, 0);
+
+        await ctx.pool.query("INSERT INTO periods (period, start_time, end_time) VALUES (1, '08:00:00', '08:40:00'), (2, '08:40:00', '09:20:00')");
+        await submit(week[1], 'absent', { period: 1 });
+        await submit(week[1], 'absent', { period: 2 });
+        await submit(week[1], 'absent', { period: 1 });
+
+        const notifications = await notificationsOf(parent);
+        assert.equal(notifications.length, 1);
+        assert.equal(notifications[0].notification_type, 'attendance');
+        assert.match(notifications[0].message, /Alice was marked absent on 2025-06-03 \(period 1\)/);
+    });
+
+    it('alerts guardians when a child falls below the chronic absence threshold', async () => {
+        for (const date of week.slice(0, 4)) await submit(date, 'present');
+        await submit(week[4], 'absent');
+
+        let alerts = (await notificationsOf(parent)).filter(n => n.title === 'Attendance concern');
+        assert.equal(alerts.length, 1);
+        assert.match(alerts[0].message, /80%, below the school's 90% threshold/);
+
+        // Already below the threshold: no second alert
+        await submit(week[5], 'absent');
+        alerts = (await notificationsOf(parent)).filter(n => n.title === 'Attendance concern');
+        assert.equal(alerts.length, 1);
+    });
+
+    it('reports rates per student, class, school and week', async () => {
+        for (const date of week.slice(0, 4)) await submit(date, 'present');
+        await submit(week[4], 'absent');
+        await submit(week[5], 'late');
+        const range = `from=${week[0]}&to=${week[5]}`;
+
+        const students = await get(admin, `/api/attendance/reports/students?${range}`);
+        assert.equal(students.status, 200);
+        assert.deepEqual(students.body.students.map(s => [s.student_name, s.attendance_rate]), [['Alice', 83.3], ['Bob', 100]]);
+
+        const classes = await get(admin, `/api/attendance/reports/classes?${range}`);
+        assert.equal(classes.body.classes[0].class_id, classId);
+        assert.equal(classes.body.classes[0].total, 12);
+
+        const school = await get(admin, `/api/attendance/reports/school?${range}`);
+        assert.equal(school.body.absent, 1);
+        assert.equal(school.body.attendance_rate, 91.7);
+
+        // class_id narrows every report to one class
+        const otherClassId = await createClass(ctx.pool, { name: 'NET' });
+        const otherClass = `${range}&class_id=${otherClassId}`;
+        assert.deepEqual((await get(admin, `/api/attendance/reports/classes?${otherClass}`)).body.classes, []);
+        assert.equal((await get(admin, `/api/attendance/reports/school?${otherClass}`)).body.total, 0);
+        assert.equal((await get(admin, `/api/attendance/reports/school?${range}&class_id=${classId}`)).body.total, 12);
+
+        const trends = await get(admin, `/api/attendance/reports/trends?${range}`);
+        assert.deepEqual(trends.body.weeks.map(w => [w.week_start, w.total]), [['2025-06-02', 10], ['2025-06-09', 2]]);
+
+        const chronic = await get(admin, `/api/attendance/reports/chronic?${range}&threshold=85`);
+        assert.deepEqual(chronic.body.students.map(s => s.student_id), [studentId]);
+        assert.equal(chronic.body.threshold, 85);
+    });
+
+    it('limits reports to what the user may see', async () => {
+        await submit(week[0], 'present');
+
+        const mine = await get(parent, `/api/attendance/reports/students?from=${week[0]}&to=${week[0]}`);
+        assert.equal(mine.status, 200);
+        assert.deepEqual(mine.body.students.map(s => s.student_id), [studentId]);
+
+        assert.equal((await get(parent, '/api/attendance/reports/school')).status, 403);
+        const badThreshold = await get(admin, '/api/attendance/reports/chronic?threshold=150');
+        assert.equal(badThreshold.status, 400);
+    });
+});
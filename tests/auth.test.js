@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { PASSWORD, setupApp, createUser, bearer } = require('./helpers/app');
+
+describe('auth', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const registration = (overrides = {}) => ({
+        username: 'newparent',
+        password: 'pass1234',
+        confirmPassword: 'pass1234',
+        email: 'newparent@example.com',
+        firstName: 'New',
+        lastName: 'Parent',
+        user_type: 'Parent',
+        phone_number: '0788000000',
+        address: 'Mutovu',
+        ...overrides
+    });
+
+    describe('POST /api/register', () => {
+        it('creates the user and its role record', async () => {
+            const res = await request(ctx.app).post('/api/register').send(registration());
+            assert.equal(res.status, 201);
+
+            const [[user]] = await ctx.pool.query("SELECT * FROM users WHERE username = 'newparent'");
+            assert.equal(user.user_type, 'parent');
+            assert.notEqual(user.password, 'pass1234');
+            const [parents] = await ctx.pool.query('SELECT * FROM parents WHERE parent_id = ?', [user.user_id]);
+            assert.equal(parents.length, 1);
+        });
+
+        it('rejects an unknown user type', async () => {
+            const res = await request(ctx.app).post('/api/register').send(registration({ user_type: 'janitor' }));
+            assert.equal(res.status, 400);
+        });
+
+        it('does not let anyone sign up as staff', async () => {
+            for (const user_type of ['admin', 'teacher', 'student']) {
+                const res = await request(ctx.app).post('/api/register').send(registration({ user_type }));
+                assert.equal(res.status, 400);
+            }
+            const [users] = await ctx.pool.query('SELECT * FROM users');
+            assert.equal(users.length, 0);
+        });
+
+        it('rejects missing fields', async () => {
+            const res = await request(ctx.app).post('/api/register').send(registration({ email: '' }));
+            assert.equal(res.status, 400);
+        });
+
+        it('rejects mismatched passwords', async () => {
+            const res = await request(ctx.app).post('/api/register').send(registration({ confirmPassword: 'other' }));
+            assert.equal(res.status, 400);
+        });
+
+        it('rejects a duplicate username or email', async () => {
+            await createUser(ctx.pool, 'parent', { username: 'newparent' });
+            const res = await request(ctx.app).post('/api/register').send(registration());
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('POST /api/staff', () => {
+        const staff = { first_name: 'New', last_name: 'Teacher', email: 'teacher@example.com', user_type: 'teacher' };
+
+        it('lets admins create teacher accounts and invites them', async () => {
+            const admin = await createUser(ctx.pool, 'admin');
+            const res = await request(ctx.app).post('/api/staff').set('Authorization', bearer(ctx.config, admin)).send(staff);
+            assert.equal(res.status, 201);
+            const [[teacher]] = await ctx.pool.query('SELECT * FROM teachers WHERE teacher_id = ?', [res.body.user_id]);
+            assert.ok(teacher);
+            const [invitation] = ctx.mailer.transport.sent;
+            assert.equal(invitation.to, 'teacher@example.com');
+            assert.match(invitation.text, /accept-invitation\?token=/);
+
+            const again = await request(ctx.app).post('/api/staff').set('Authorization', bearer(ctx.config, admin)).send(staff);
+            assert.equal(again.status, 400);
+        });
+
+        it('is refused to everyone else', async () => {
+            const teacher = await createUser(ctx.pool, 'teacher');
+            const res = await request(ctx.app)
+                .post('/api/staff')
+                .set('Authorization', bearer(ctx.config, teacher))
+                .send({ ...staff, user_type: 'admin' });
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('POST /api/login', () => {
+        it('returns a token that authenticates later requests', async () => {
+            const user = await createUser(ctx.pool, 'teacher');
+            const res = await request(ctx.app).post('/api/login').send({ username: user.username, password: PASSWORD });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.user.user_type, 'teacher');
+
+            const notifications = await request(ctx.app)
+                .get('/api/notifications')
+                .set('Authorization', `Bearer ${res.body.token}`);
+            assert.equal(notifications.status, 200);
+        });
+
+        it('rejects a wrong password', async () => {
+            const user = await createUser(ctx.pool, 'teacher');
+            const res = await request(ctx.app).post('/api/login').send({ username: user.username, password: 'wrong' });
+            assert.equal(res.status, 401);
+        });
+
+        it('rejects an unknown username', async () => {
+            const res = await request(ctx.app).post('/api/login').send({ username: 'nobody', password: PASSWORD });
+            assert.equal(res.status, 401);
+        });
+
+        it('rejects requests with a missing or invalid token', async () => {
+            assert.equal((await request(ctx.app).get('/api/notifications')).status, 401);
+            const res = await request(ctx.app).get('/api/notifications').set('Authorization', 'Bearer nope');
+            assert.equal(res.status, 401);
+        });
+    });
+});
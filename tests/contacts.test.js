@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+describe('contact policy', () => {
+    let ctx;
+    let teacher;
+    let otherTeacher;
+    let parent;
+    let otherParent;
+    let admin;
+    let student;
+    let otherStudent;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        teacher = await createUser(ctx.pool, 'teacher');
+        otherTeacher = await createUser(ctx.pool, 'teacher');
+        parent = await createUser(ctx.pool, 'parent');
+        otherParent = await createUser(ctx.pool, 'parent');
+        admin = await createUser(ctx.pool, 'admin');
+        student = await createUser(ctx.pool, 'student');
+        otherStudent = await createUser(ctx.pool, 'student');
+
+        const classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        const otherClassId = await createClass(ctx.pool, { name: 'NET', teacher_id: otherTeacher.user_id });
+        const studentId = await createStudent(ctx.pool, { parent_id: parent.user_id, class_id: classId });
+        await ctx.pool.query('UPDATE students SET user_id = ? WHERE student_id = ?', [student.user_id, studentId]);
+        const otherStudentId = await createStudent(ctx.pool, { parent_id: otherParent.user_id, class_id: otherClassId });
+        await ctx.pool.query('UPDATE students SET user_id = ? WHERE student_id = ?', [otherStudent.user_id, otherStudentId]);
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const contacts = async (user, type) => (await request(ctx.app)
+        .get(`/api/users?type=${type}`)
+        .set('Authorization', bearer(ctx.config, user))).body.map(u => u.user_id).sort();
+
+    const send = (from, toUserId) => request(ctx.app)
+        .post('/api/messages')
+        .set('Authorization', bearer(ctx.config, from))
+        .send({ to_user_id: toUserId, message: 'Hello' });
+
+    const ids = (...users) => users.map(u => u.user_id).sort();
+
+    it('lists only the users each user may message', async () => {
+        assert.deepEqual(await contacts(parent, 'staff'), ids(teacher, admin));
+        assert.deepEqual(await contacts(parent, 'student'), []);
+        assert.deepEqual(await contacts(student, 'teacher'), ids(teacher));
+        assert.deepEqual(await contacts(student, 'student'), []);
+        assert.deepEqual(await contacts(teacher, 'student'), ids(student));
+        assert.deepEqual(await contacts(teacher, 'staff'), ids(otherTeacher, parent, admin));
+        assert.deepEqual(await contacts(admin, 'student'), ids(student, otherStudent));
+    });
+
+    it('enforces the policy when sending', async () => {
+        assert.equal((await send(parent, teacher.user_id)).status, 201);
+        assert.equal((await send(parent, admin.user_id)).status, 201);
+        assert.equal((await send(student, teacher.user_id)).status, 201);
+
+        const notAllowed = await send(parent, otherTeacher.user_id);
+        assert.equal(notAllowed.status, 403);
+        assert.equal(notAllowed.body.error.code, 'CONTACT_NOT_ALLOWED');
+        assert.equal((await send(student, otherStudent.user_id)).status, 403);
+        assert.equal((await send(parent, otherParent.user_id)).status, 403);
+
+        const missing = await send(admin, 99999);
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.error.fields[0].field, 'to_user_id');
+
+        // Anyone may reply to a user who has messaged them
+        assert.equal((await send(admin, otherStudent.user_id)).status, 201);
+        assert.equal((await send(otherStudent, admin.user_id)).status, 201);
+        assert.deepEqual(await contacts(otherStudent, 'staff'), ids(otherTeacher, admin));
+
+        const group = await request(ctx.app)
+            .post('/api/groups')
+            .set('Authorization', bearer(ctx.config, parent))
+            .send({ name: 'Parents', member_ids: [otherParent.user_id] });
+        assert.equal(group.status, 403);
+    });
+
+    it('blocks users both ways', async () => {
+        const block = await request(ctx.app)
+            .post(`/api/users/${teacher.user_id}/block`)
+            .set('Authorization', bearer(ctx.config, parent));
+        assert.equal(block.status, 200);
+
+        assert.equal((await send(parent, teacher.user_id)).status, 403);
+        assert.equal((await send(teacher, parent.user_id)).status, 403);
+        assert.deepEqual(await contacts(teacher, 'staff'), ids(otherTeacher, admin));
+        const blocked = await request(ctx.app).get('/api/blocks').set('Authorization', bearer(ctx.config, parent));
+        assert.deepEqual(blocked.body.map(u => u.user_id), [teacher.user_id]);
+
+        await request(ctx.app).delete(`/api/users/${teacher.user_id}/block`).set('Authorization', bearer(ctx.config, parent));
+        assert.equal((await send(teacher, parent.user_id)).status, 201);
+    });
+
+    it('lets users report others for admins to review', async () => {
+        const messageId = (await send(teacher, parent.user_id)).body.message_id;
+        const report = (user, body) => request(ctx.app)
+            .post(`/api/users/${teacher.user_id}/report`)
+            .set('Authorization', bearer(ctx.config, user))
+            .send(body);
+
+        assert.equal((await report(otherParent, { reason: 'Spam', message_id: messageId })).status, 404);
+        const created = await report(parent, { reason: 'Rude message', message_id: messageId });
+        assert.equal(created.status, 201);
+
+        const [notification] = (await request(ctx.app).get('/api/notifications').set('Authorization', bearer(ctx.config, admin))).body;
+        assert.equal(notification.notification_type, 'report');
+
+        assert.equal((await request(ctx.app).get('/api/user-reports').set('Authorization', bearer(ctx.config, parent))).status, 403);
+        const [open] = (await request(ctx.app).get('/api/user-reports?status=open').set('Authorization', bearer(ctx.config, admin))).body;
+        assert.equal(open.report_id, created.body.report_id);
+        assert.equal(open.message_text, 'Hello');
+        assert.equal(open.reported_id, teacher.user_id);
+
+        const reviewed = await request(ctx.app)
+            .patch(`/api/user-reports/${open.report_id}`)
+            .set('Authorization', bearer(ctx.config, admin))
+            .send({ status: 'resolved', notes: 'Spoke to the teacher' });
+        assert.equal(reviewed.status, 200);
+        const remaining = await request(ctx.app).get('/api/user-reports?status=open').set('Authorization', bearer(ctx.config, admin));
+        assert.equal(remaining.body.length, 0);
+    });
+});
@@ -0,0 +1,175 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+const { createStorage } = require('../storage');
+const { createFileService } = require('../services/files');
+const { createDocumentService } = require('../services/documents');
+
+describe('documents', () => {
+    let ctx;
+    let teacher;
+    let parent;
+    let classId;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        teacher = await createUser(ctx.pool, 'teacher');
+        parent = await createUser(ctx.pool, 'parent');
+        classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        await createStudent(ctx.pool, { parent_id: parent.user_id, class_id: classId });
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const upload = () => request(ctx.app)
+        .post(`/api/classes/${classId}/documents`)
+        .set('Authorization', bearer(ctx.config, teacher))
+        .field('title', 'Week 1 notes')
+        .attach('file', Buffer.from('hello class'), 'notes week1.txt');
+
+    const as = (user) => ({
+        get: (url) => request(ctx.app).get(url).set('Authorization', bearer(ctx.config, user)),
+        post: (url) => request(ctx.app).post(url).set('Authorization', bearer(ctx.config, user)),
+        delete: (url) => request(ctx.app).delete(url).set('Authorization', bearer(ctx.config, user))
+    });
+
+    const stored = (folder = 'documents') => {
+        const dir = path.join(ctx.config.uploadsDir, folder);
+        return fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+    };
+
+    // The services behind the maintenance command
+    const maintenance = () => {
+        const files = createFileService(ctx.pool, { storage: createStorage(ctx.config) });
+        return { files, documents: createDocumentService(ctx.pool, { config: ctx.config, files }) };
+    };
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    it('uploads a document and lets class parents download it', async () => {
+        assert.equal((await upload()).status, 201);
+
+        const list = await request(ctx.app)
+            .get(`/api/classes/${classId}/documents`)
+            .set('Authorization', bearer(ctx.config, parent));
+        assert.equal(list.status, 200);
+        assert.equal(list.body.length, 1);
+
+        const res = await request(ctx.app)
+            .get(`/api/documents/${list.body[0].document_id}/download`)
+            .set('Authorization', bearer(ctx.config, parent));
+        assert.equal(res.status, 200);
+        assert.equal(res.text, 'hello class');
+    });
+
+    it('requires a file', async () => {
+        const res = await request(ctx.app)
+            .post(`/api/classes/${classId}/documents`)
+            .set('Authorization', bearer(ctx.config, teacher))
+            .field('title', 'No file');
+        assert.equal(res.status, 400);
+    });
+
+    it('returns 404 for an unknown document', async () => {
+        const res = await request(ctx.app)
+            .get('/api/documents/999/download')
+            .set('Authorization', bearer(ctx.config, teacher));
+        assert.equal(res.status, 404);
+    });
+
+    it('forbids downloads outside the user\'s classes', async () => {
+        await upload();
+        const outsider = await createUser(ctx.pool, 'parent');
+        const res = await request(ctx.app)
+            .get('/api/documents/1/download')
+            .set('Authorization', bearer(ctx.config, outsider));
+        assert.equal(res.status, 403);
+    });
+
+    it('requires authentication', async () => {
+        const res = await request(ctx.app).get(`/api/classes/${classId}/documents`);
+        assert.equal(res.status, 401);
+    });
+
+    it('keeps earlier versions when a document is uploaded again', async () => {
+        const { document_id: id } = (await upload()).body;
+        const second = await as(teacher).post(`/api/documents/${id}/versions`)
+            .attach('file', Buffer.from('corrected notes'), 'notes week1.txt');
+        assert.equal(second.status, 201);
+        assert.equal(second.body.version, 2);
+
+        assert.equal((await as(parent).get(`/api/documents/${id}/download`)).text, 'corrected notes');
+        const history = await as(parent).get(`/api/documents/${id}/versions`);
+        assert.deepEqual(history.body.map(v => v.version), [2, 1]);
+        assert.equal((await as(parent).get(`/api/documents/${id}/versions/1/download`)).text, 'hello class');
+        assert.equal((await as(parent).get(`/api/documents/${id}/versions/3/download`)).status, 404);
+        assert.equal(stored().length, 2);
+
+        const outsider = await createUser(ctx.pool, 'teacher');
+        const refused = await as(outsider).post(`/api/documents/${id}/versions`)
+            .attach('file', Buffer.from('not mine'), 'notes.txt');
+        assert.equal(refused.status, 403);
+        assert.equal(stored().length, 2);
+    });
+
+    it('moves deleted documents to the trash until they are restored or purged', async () => {
+        const { document_id: id } = (await upload()).body;
+        await as(teacher).post(`/api/documents/${id}/versions`).attach('file', Buffer.from('v2'), 'notes.txt');
+
+        assert.equal((await as(teacher).delete(`/api/documents/${id}`)).status, 200);
+        assert.deepEqual((await as(parent).get(`/api/classes/${classId}/documents`)).body, []);
+        assert.equal((await as(parent).get(`/api/documents/${id}/download`)).status, 404);
+        assert.equal((await as(parent).get(`/api/classes/${classId}/documents/trash`)).status, 403);
+        const trash = await as(teacher).get(`/api/classes/${classId}/documents/trash`);
+        assert.deepEqual(trash.body.map(d => [d.document_id, d.deleted_by]), [[id, teacher.user_id]]);
+        assert.equal(stored().length, 2);
+
+        assert.equal((await as(teacher).post(`/api/documents/${id}/restore`)).status, 200);
+        assert.equal((await as(parent).get(`/api/documents/${id}/download`)).text, 'v2');
+        assert.equal((await as(teacher).delete(`/api/documents/${id}/purge`)).status, 404);
+
+        await as(teacher).delete(`/api/documents/${id}`);
+        assert.equal((await as(teacher).delete(`/api/documents/${id}/purge`)).status, 200);
+        assert.deepEqual(stored(), []);
+        const [[{ count }]] = await ctx.pool.query('SELECT COUNT(*) AS count FROM uploaded_files');
+        assert.equal(Number(count), 0);
+    });
+
+    it('purges documents that have been in the trash past the retention period', async () => {
+        const { document_id: kept } = (await upload()).body;
+        const { document_id: expired } = (await upload()).body;
+        await as(teacher).delete(`/api/documents/${kept}`);
+        await as(teacher).delete(`/api/documents/${expired}`);
+        await ctx.pool.query('UPDATE documents SET deleted_at = ? WHERE document_id = ?', [new Date(Date.now() - 31 * DAY_MS), expired]);
+
+        assert.equal(await maintenance().documents.purgeExpired(), 1);
+        const [rows] = await ctx.pool.query('SELECT document_id FROM documents');
+        assert.deepEqual(rows.map(r => r.document_id), [kept]);
+        assert.equal(stored().length, 1);
+    });
+
+    it('reconciles stored files with the database', async () => {
+        await upload();
+        const [[doc]] = await ctx.pool.query('SELECT file_path FROM documents');
+        fs.writeFileSync(path.join(ctx.config.uploadsDir, 'documents', 'stray.txt'), 'left behind');
+        fs.writeFileSync(path.join(ctx.config.uploadsDir, 'documents', 'fresh.txt'), 'being uploaded');
+        const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+        fs.utimesSync(path.join(ctx.config.uploadsDir, 'documents', 'stray.txt'), old, old);
+        await ctx.pool.query("INSERT INTO school_updates (title, image_url) VALUES ('Gone', '/uploads/updates/gone.png')");
+
+        const { files } = maintenance();
+        const report = await files.reconcile();
+        assert.equal(report.applied, false);
+        assert.deepEqual(report.orphaned, ['documents/stray.txt']);
+        assert.deepEqual(report.missing.map(m => [m.key, m.table]), [['updates/gone.png', 'school_updates']]);
+        assert.equal(stored().length, 3);
+
+        await files.reconcile({ apply: true });
+        assert.deepEqual(stored(), [doc.file_path, 'fresh.txt'].sort());
+    });
+});
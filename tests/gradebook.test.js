@@ -0,0 +1,182 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+describe('gradebook', () => {
+    let ctx;
+    let admin;
+    let teacher;
+    let otherTeacher;
+    let parent;
+    let classId;
+    let students;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        admin = await createUser(ctx.pool, 'admin');
+        teacher = await createUser(ctx.pool, 'teacher');
+        otherTeacher = await createUser(ctx.pool, 'teacher');
+        parent = await createUser(ctx.pool, 'parent');
+        classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        students = {
+            alice: await createStudent(ctx.pool, { student_name: 'Alice', parent_id: parent.user_id, class_id: classId }),
+            bob: await createStudent(ctx.pool, { student_name: 'Bob', class_id: classId }),
+            carol: await createStudent(ctx.pool, { student_name: 'Carol', class_id: classId })
+        };
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const as = (user) => ({
+        get: (url) => request(ctx.app).get(url).set('Authorization', bearer(ctx.config, user)),
+        post: (url, body) => request(ctx.app).post(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        put: (url, body) => request(ctx.app).put(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        delete: (url) => request(ctx.app).delete(url).set('Authorization', bearer(ctx.config, user))
+    });
+
+    // Maths taught by `teacher`, English by `otherTeacher`, and one term
+    const setupTerm = async () => {
+        const maths = (await as(admin).post('/api/subjects', { name: 'Mathematics' })).body.subject_id;
+        const english = (await as(admin).post('/api/subjects', { name: 'English' })).body.subject_id;
+        await as(admin).post(`/api/classes/${classId}/subjects`, { subject_id: maths, teacher_id: teacher.user_id });
+        await as(admin).post(`/api/classes/${classId}/subjects`, { subject_id: english, teacher_id: otherTeacher.user_id });
+        const term = (await as(admin).post('/api/terms', {
+            name: 'Term 1', academic_year: '2025', start_date: '2025-01-06', end_date: '2025-04-04'
+        })).body.term_id;
+        return { maths, english, term };
+    };
+
+    const marks = (user, assessmentId, scores) => as(user).put(`/api/assessments/${assessmentId}/marks`, {
+        marks: Object.entries(scores).map(([name, score]) => ({ student_id: students[name], score }))
+    });
+
+    it('manages terms', async () => {
+        const { maths, term } = await setupTerm();
+        const duplicate = await as(admin).post('/api/terms', {
+            name: 'Term 1', academic_year: '2025', start_date: '2025-04-28', end_date: '2025-08-01'
+        });
+        assert.equal(duplicate.body.error.code, 'ALREADY_EXISTS');
+        const backwards = await as(admin).post('/api/terms', {
+            name: 'Term 2', academic_year: '2025', start_date: '2025-08-01', end_date: '2025-04-28'
+        });
+        assert.equal(backwards.body.error.fields[0].field, 'end_date');
+
+        await as(teacher).post(`/api/classes/${classId}/assessments`, {
+            subject_id: maths, term_id: term, title: 'Quiz', assessment_type: 'test', max_score: 10
+        });
+        assert.equal((await as(admin).delete(`/api/terms/${term}`)).body.error.code, 'TERM_IN_USE');
+        assert.equal((await as(teacher).post('/api/terms', {})).status, 403);
+    });
+
+    it('lets teachers grade only the subjects they teach', async () => {
+        const { maths, english, term } = await setupTerm();
+        const assessment = { term_id: term, title: 'Algebra test', assessment_type: 'test', max_score: 50 };
+
+        const notTheirs = await as(teacher).post(`/api/classes/${classId}/assessments`, { ...assessment, subject_id: english });
+        assert.equal(notTheirs.status, 403);
+        const outsideTerm = await as(teacher).post(`/api/classes/${classId}/assessments`, {
+            ...assessment, subject_id: maths, assessment_date: '2025-05-01'
+        });
+        assert.equal(outsideTerm.body.error.fields[0].field, 'assessment_date');
+
+        const created = await as(teacher).post(`/api/classes/${classId}/assessments`, { ...assessment, subject_id: maths });
+        assert.equal(created.status, 201);
+        const id = created.body.assessment_id;
+
+        const tooHigh = await marks(teacher, id, { alice: 51 });
+        assert.equal(tooHigh.body.error.fields[0].field, 'marks[0].score');
+        const outsider = await createStudent(ctx.pool, { class_id: await createClass(ctx.pool, { name: 'NET' }) });
+        const stranger = await as(teacher).put(`/api/assessments/${id}/marks`, { marks: [{ student_id: outsider, score: 10 }] });
+        assert.equal(stranger.body.error.fields[0].message, 'is not a student of this class');
+        assert.equal((await marks(otherTeacher, id, { alice: 40 })).status, 403);
+
+        assert.deepEqual((await marks(teacher, id, { alice: 40, bob: 30 })).body, { message: 'Marks saved', created: 2, updated: 0, unchanged: 0 });
+        const again = await marks(teacher, id, { alice: 42, bob: 30, carol: 25 });
+        assert.deepEqual([again.body.created, again.body.updated, again.body.unchanged], [1, 1, 1]);
+
+        const sheet = await as(teacher).get(`/api/assessments/${id}/marks`);
+        assert.deepEqual(sheet.body.marks.map(m => [m.student_name, Number(m.score)]), [['Alice', 42], ['Bob', 30], ['Carol', 25]]);
+
+        const shrink = await as(teacher).put(`/api/assessments/${id}`, { ...assessment, max_score: 40 });
+        assert.equal(shrink.body.error.fields[0].field, 'max_score');
+
+        // Recorded marks are never removed along with a subject or class
+        const unassign = await as(admin).delete(`/api/classes/${classId}/subjects/${maths}`);
+        assert.equal(unassign.status, 409);
+        assert.equal(unassign.body.error.code, 'HAS_ASSESSMENTS');
+        assert.equal((await as(admin).delete(`/api/classes/${classId}/subjects/${english}`)).status, 200);
+        assert.equal((await as(admin).delete(`/api/classes/${classId}`)).body.error.code, 'HAS_ASSESSMENTS');
+        const [kept] = await ctx.pool.query('SELECT * FROM marks WHERE assessment_id = ?', [id]);
+        assert.equal(kept.length, 3);
+    });
+
+    it('computes weighted averages, ranks and report cards', async () => {
+        const { maths, english, term } = await setupTerm();
+        const set = async (user, body) => (await as(user).post(`/api/classes/${classId}/assessments`, { term_id: term, ...body })).body.assessment_id;
+        const test = await set(teacher, { subject_id: maths, title: 'Test', assessment_type: 'test', max_score: 50 });
+        const exam = await set(teacher, { subject_id: maths, title: 'Exam', assessment_type: 'exam', max_score: 100, weight: 3 });
+        const essay = await set(otherTeacher, { subject_id: english, title: 'Essay', assessment_type: 'assignment', max_score: 20 });
+        await marks(teacher, test, { alice: 40, bob: 30, carol: 40 });
+        await marks(teacher, exam, { alice: 90, bob: 70, carol: 90 });
+        await marks(otherTeacher, essay, { alice: 10, bob: 20, carol: 15 });
+
+        const results = await as(teacher).get(`/api/classes/${classId}/results?term_id=${term}`);
+        assert.equal(results.status, 200);
+        assert.deepEqual(results.body.students.map(s => [s.student_name, s.average, s.rank]), [
+            ['Bob', 83.8, 1], ['Carol', 81.3, 2], ['Alice', 68.8, 3]
+        ]);
+
+        const card = await as(parent).get(`/api/students/${students.alice}/report-card?term_id=${term}`);
+        assert.equal(card.status, 200);
+        assert.equal(card.body.term.name, 'Term 1');
+        assert.deepEqual([card.body.average, card.body.rank, card.body.class_size], [68.8, 3, 3]);
+        const [englishResult, mathsResult] = card.body.subjects;
+        assert.deepEqual([mathsResult.subject_name, mathsResult.average, mathsResult.rank], ['Mathematics', 87.5, 1]);
+        assert.deepEqual(mathsResult.assessments.map(a => [a.title, a.score, a.weight]), [['Test', 40, 1], ['Exam', 90, 3]]);
+        assert.deepEqual([englishResult.average, englishResult.rank], [50, 3]);
+        assert.equal(card.body.attendance.total, 0);
+    });
+
+    it('keeps earlier report cards on the class the student was in', async () => {
+        const { maths, term } = await setupTerm();
+        const test = (await as(teacher).post(`/api/classes/${classId}/assessments`, {
+            term_id: term, subject_id: maths, title: 'Test', assessment_type: 'test', max_score: 50
+        })).body.assessment_id;
+        await marks(teacher, test, { alice: 40, bob: 30 });
+
+        const netId = await createClass(ctx.pool, { name: 'NET', teacher_id: otherTeacher.user_id });
+        const moved = await as(admin).post(`/api/students/${students.alice}/transfer`, { class_id: netId });
+        assert.equal(moved.status, 200);
+
+        const card = (await as(parent).get(`/api/students/${students.alice}/report-card?term_id=${term}`)).body;
+        assert.deepEqual([card.student.class_id, card.student.class_name], [classId, 'SOD']);
+        assert.deepEqual(card.subjects.map(s => s.subject_name), ['English', 'Mathematics']);
+        assert.deepEqual(card.subjects[1].assessments.map(a => a.score), [40]);
+        assert.deepEqual([card.average, card.rank, card.class_size], [80, 1, 2]);
+
+        // A term without marks yet follows the current class
+        const next = (await as(admin).post('/api/terms', {
+            name: 'Term 2', academic_year: '2025', start_date: '2025-04-28', end_date: '2025-08-01'
+        })).body.term_id;
+        const nextCard = (await as(parent).get(`/api/students/${students.alice}/report-card?term_id=${next}`)).body;
+        assert.equal(nextCard.student.class_id, netId);
+        assert.deepEqual(nextCard.subjects, []);
+    });
+
+    it('shows report cards only to those who may see the student', async () => {
+        const { term } = await setupTerm();
+        const studentUser = await createUser(ctx.pool, 'student');
+        await ctx.pool.query('UPDATE students SET user_id = ? WHERE student_id = ?', [studentUser.user_id, students.bob]);
+
+        const own = await as(studentUser).get(`/api/students/${students.bob}/report-card?term_id=${term}`);
+        assert.equal(own.status, 200);
+        assert.equal(own.body.average, null);
+
+        assert.equal((await as(parent).get(`/api/students/${students.bob}/report-card?term_id=${term}`)).status, 404);
+        assert.equal((await as(studentUser).get(`/api/classes/${classId}/results?term_id=${term}`)).status, 403);
+        assert.equal((await as(parent).get(`/api/students/${students.alice}/report-card`)).status, 400);
+    });
+});
@@ -0,0 +1,149 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+describe('group conversations', () => {
+    let ctx;
+    let teacher;
+    let parent;
+    let otherParent;
+    let classId;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        teacher = await createUser(ctx.pool, 'teacher');
+        parent = await createUser(ctx.pool, 'parent');
+        otherParent = await createUser(ctx.pool, 'parent');
+        classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        await createStudent(ctx.pool, { parent_id: parent.user_id, class_id: classId });
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const as = (user) => ({
+        get: (url) => request(ctx.app).get(url).set('Authorization', bearer(ctx.config, user)),
+        post: (url, body) => request(ctx.app).post(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        patch: (url, body) => request(ctx.app).patch(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        delete: (url) => request(ctx.app).delete(url).set('Authorization', bearer(ctx.config, user))
+    });
+
+    const attachments = () => {
+        const dir = path.join(ctx.config.uploadsDir, 'attachments');
+        return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+    };
+
+    it('lets the owner manage members and members talk', async () => {
+        const otherClassId = await createClass(ctx.pool, { name: 'NET', teacher_id: teacher.user_id });
+        await createStudent(ctx.pool, { parent_id: otherParent.user_id, class_id: otherClassId });
+        const created = await as(teacher).post('/api/groups', { name: 'Trip helpers', member_ids: [parent.user_id] });
+        assert.equal(created.status, 201);
+        const groupId = created.body.group_id;
+        assert.deepEqual(created.body.members.map(m => [m.user_id, m.role]), [[teacher.user_id, 'owner'], [parent.user_id, 'member']]);
+
+        assert.equal((await as(parent).post(`/api/groups/${groupId}/members`, { user_ids: [otherParent.user_id] })).status, 403);
+        assert.equal((await as(teacher).post(`/api/groups/${groupId}/members`, { user_ids: [99999] })).status, 404);
+        const added = await as(teacher).post(`/api/groups/${groupId}/members`, { user_ids: [otherParent.user_id, parent.user_id] });
+        assert.equal(added.body.members.length, 3);
+        assert.equal((await as(teacher).patch(`/api/groups/${groupId}`, { name: 'Trip team' })).body.name, 'Trip team');
+
+        await as(teacher).post(`/api/groups/${groupId}/messages`, { message: 'Meet at 8' });
+        await as(parent).post(`/api/groups/${groupId}/messages`, { message: 'I can drive' });
+        const history = (await as(otherParent).get(`/api/groups/${groupId}/messages`)).body;
+        assert.deepEqual(history.messages.map(m => m.message), ['Meet at 8', 'I can drive']);
+        // Members see each other's messages but only change their own
+        const meet = history.messages[0].message_id;
+        assert.equal((await as(otherParent).patch(`/api/messages/${meet}`, { message: 'Meet at 9' })).status, 403);
+        assert.equal((await as(otherParent).delete(`/api/messages/${meet}`)).status, 403);
+        const stranger = await createUser(ctx.pool, 'parent');
+        assert.equal((await as(stranger).patch(`/api/messages/${meet}`, { message: 'Meet at 9' })).status, 404);
+
+        const list = (await as(otherParent).get('/api/conversations')).body;
+        assert.equal(list[0].type, 'group');
+        assert.equal(list[0].group.name, 'Trip team');
+        assert.equal(list[0].last_message.message, 'I can drive');
+        assert.equal(list[0].unread_count, 2);
+        assert.equal((await as(otherParent).post(`/api/groups/${groupId}/read`)).body.updated, 2);
+        assert.equal((await as(otherParent).get('/api/conversations')).body[0].unread_count, 0);
+        assert.equal((await as(teacher).get('/api/conversations')).body[0].unread_count, 1);
+
+        // Removed members lose access; an owner who leaves hands over the group
+        assert.equal((await as(teacher).delete(`/api/groups/${groupId}/members/${otherParent.user_id}`)).status, 200);
+        assert.equal((await as(otherParent).get(`/api/groups/${groupId}/messages`)).status, 404);
+        await as(teacher).delete(`/api/groups/${groupId}/members/${teacher.user_id}`);
+        assert.deepEqual((await as(parent).get(`/api/groups/${groupId}`)).body.members.map(m => m.role), ['owner']);
+        await as(parent).delete(`/api/groups/${groupId}/members/${parent.user_id}`);
+        const [rows] = await ctx.pool.query('SELECT * FROM message_groups WHERE group_id = ?', [groupId]);
+        assert.equal(rows.length, 0);
+    });
+
+    it('opens a class channel for the teacher and parents of the class', async () => {
+        const outsider = await createUser(ctx.pool, 'parent');
+
+        assert.equal((await as(outsider).get(`/api/classes/${classId}/channel`)).status, 403);
+        const channel = (await as(teacher).get(`/api/classes/${classId}/channel`)).body;
+        assert.equal(channel.group_type, 'class');
+        assert.equal(channel.name, 'SOD L3');
+        assert.deepEqual(channel.members.map(m => [m.user_id, m.role]), [[teacher.user_id, 'teacher'], [parent.user_id, 'parent']]);
+        assert.equal((await as(parent).get(`/api/classes/${classId}/channel`)).body.group_id, channel.group_id);
+
+        assert.equal((await as(teacher).post(`/api/groups/${channel.group_id}/messages`, { message: 'Sports day on Monday' })).status, 201);
+        assert.equal((await as(parent).post(`/api/groups/${channel.group_id}/messages`, { message: 'Reply all' })).status, 403);
+        const add = await as(teacher).post(`/api/groups/${channel.group_id}/members`, { user_ids: [outsider.user_id] });
+        assert.equal(add.body.error.code, 'CLASS_CHANNEL');
+
+        // Members follow enrolment
+        await createStudent(ctx.pool, { parent_id: otherParent.user_id, class_id: classId });
+        const [conversation] = (await as(otherParent).get('/api/conversations')).body;
+        assert.equal(conversation.type, 'class');
+        assert.equal(conversation.last_message.message, 'Sports day on Monday');
+        assert.equal(conversation.unread_count, 1);
+    });
+
+    it('attaches files to messages through the upload pipeline', async () => {
+        const groupId = (await as(teacher).post('/api/groups', { name: 'Parents', member_ids: [parent.user_id] })).body.group_id;
+
+        const sent = await request(ctx.app)
+            .post(`/api/groups/${groupId}/messages`)
+            .set('Authorization', bearer(ctx.config, teacher))
+            .attach('file', Buffer.from('Packing list'), 'packing list.txt');
+        assert.equal(sent.status, 201);
+        const [message] = (await as(parent).get(`/api/groups/${groupId}/messages`)).body.messages;
+        assert.equal(message.attachment_name, 'packing_list.txt');
+        const download = await as(parent).get(`/api/messages/${message.message_id}/attachment`);
+        assert.equal(download.text, 'Packing list');
+        assert.equal((await as(otherParent).get(`/api/messages/${message.message_id}/attachment`)).status, 404);
+
+        const direct = await request(ctx.app)
+            .post('/api/messages')
+            .set('Authorization', bearer(ctx.config, teacher))
+            .field('to_user_id', String(otherParent.user_id))
+            .field('message', 'Form attached')
+            .attach('file', Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00, 0x00, 0x00]), 'form.pdf');
+        assert.equal(direct.status, 415);
+        assert.equal((await as(teacher).post('/api/messages', { to_user_id: parent.user_id })).status, 400);
+        const noRecipient = await request(ctx.app)
+            .post('/api/messages')
+            .set('Authorization', bearer(ctx.config, teacher))
+            .field('message', 'Form attached')
+            .attach('file', Buffer.from('Form'), 'form.txt');
+        assert.equal(noRecipient.status, 400);
+        const tooLong = await request(ctx.app)
+            .post(`/api/groups/${groupId}/messages`)
+            .set('Authorization', bearer(ctx.config, teacher))
+            .field('message', 'x'.repeat(5001))
+            .attach('file', Buffer.from('Form'), 'form.txt');
+        assert.equal(tooLong.status, 400);
+        assert.equal(attachments().length, 1);
+        const [[{ count }]] = await ctx.pool.query("SELECT COUNT(*) AS count FROM uploaded_files WHERE folder = 'attachments'");
+        assert.equal(Number(count), 1);
+
+        await as(teacher).delete(`/api/messages/${message.message_id}`);
+        assert.equal(attachments().length, 0);
+        assert.equal((await as(parent).get(`/api/messages/${message.message_id}/attachment`)).status, 404);
+    });
+});
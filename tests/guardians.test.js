@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+const tokenFromLastEmail = (ctx) => {
+    const { text } = ctx.mailer.transport.sent.at(-1);
+    return new URL(text.match(/http:\/\/app\.test\/\S+/)[0]).searchParams.get('token');
+};
+
+describe('student accounts and guardians', () => {
+    let ctx;
+    let admin;
+    let mother;
+    let father;
+    let classId;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        admin = await createUser(ctx.pool, 'admin');
+        mother = await createUser(ctx.pool, 'parent', { email: 'mum@example.com' });
+        father = await createUser(ctx.pool, 'parent', { email: 'dad@example.com' });
+        classId = await createClass(ctx.pool);
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const as = (user) => ({
+        get: (url) => request(ctx.app).get(url).set('Authorization', bearer(ctx.config, user)),
+        post: (url, body) => request(ctx.app).post(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        patch: (url, body) => request(ctx.app).patch(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        delete: (url) => request(ctx.app).delete(url).set('Authorization', bearer(ctx.config, user))
+    });
+
+    it('approving a registration creates a student login the parent can set up', async () => {
+        await request(ctx.app).post('/api/registration-request').send({
+            student_name: 'Eric Uwase', parent_name: 'Alice Uwase', parent_email: 'mum@example.com', class_id: classId
+        });
+        assert.equal((await as(admin).patch('/api/registration-requests/1/approve')).status, 200);
+
+        const [[student]] = await ctx.pool.query('SELECT * FROM students');
+        assert.ok(student.user_id);
+        assert.equal(ctx.mailer.transport.sent.at(-1).to, 'mum@example.com');
+
+        const accepted = await request(ctx.app).post('/api/auth/accept-invitation').send({
+            token: tokenFromLastEmail(ctx), username: 'eric', password: 'ericpass', confirmPassword: 'ericpass'
+        });
+        assert.equal(accepted.status, 200);
+
+        const login = await request(ctx.app).post('/api/login').send({ username: 'eric', password: 'ericpass' });
+        assert.equal(login.status, 200);
+        assert.equal(login.body.user.user_type, 'student');
+        assert.equal(login.body.user.student_id, student.student_id);
+        assert.equal(login.body.user.class_id, classId);
+    });
+
+    it('lets a student see only their own record', async () => {
+        const own = await createStudent(ctx.pool, { class_id: classId });
+        await createStudent(ctx.pool, { class_id: classId });
+        const account = await as(admin).post(`/api/students/${own}/account`, { email: 'eric@example.com' });
+        assert.equal(account.status, 201);
+        assert.equal(ctx.mailer.transport.sent.at(-1).to, 'eric@example.com');
+
+        await request(ctx.app).post('/api/auth/accept-invitation').send({
+            token: tokenFromLastEmail(ctx), username: 'eric', password: 'ericpass', confirmPassword: 'ericpass'
+        });
+        const login = await request(ctx.app).post('/api/login').send({ username: 'eric', password: 'ericpass' });
+
+        const list = await request(ctx.app).get('/api/students').set('Authorization', `Bearer ${login.body.token}`);
+        assert.deepEqual(list.body.map(s => s.student_id), [own]);
+
+        const again = await as(admin).post(`/api/students/${own}/account`, {});
+        assert.equal(again.status, 409);
+        assert.equal(again.body.error.code, 'ACCOUNT_EXISTS');
+    });
+
+    it('gives every linked guardian access and keeps one primary contact', async () => {
+        const id = await createStudent(ctx.pool, { parent_id: mother.user_id, class_id: classId });
+        assert.equal((await as(father).get(`/api/students/${id}`)).status, 404);
+
+        // Form-style "false" leaves the primary contact alone
+        const added = await as(admin).post(`/api/students/${id}/guardians`, { guardian_id: father.user_id, relationship: 'father', is_primary: 'false' });
+        assert.equal(added.status, 201);
+        assert.equal((await as(father).get(`/api/students/${id}`)).status, 200);
+
+        const duplicate = await as(admin).post(`/api/students/${id}/guardians`, { guardian_id: father.user_id });
+        assert.equal(duplicate.body.error.code, 'ALREADY_LINKED');
+
+        let guardians = (await as(mother).get(`/api/students/${id}/guardians`)).body;
+        assert.deepEqual(guardians.map(g => [g.guardian_id, g.is_primary]), [[mother.user_id, true], [father.user_id, false]]);
+
+        const unmade = await as(admin).patch(`/api/students/${id}/guardians/${mother.user_id}`, { is_primary: 'false' });
+        assert.equal(unmade.status, 400);
+        assert.equal(unmade.body.error.fields[0].field, 'is_primary');
+        assert.equal((await as(admin).patch(`/api/students/${id}/guardians/${father.user_id}`, { is_primary: 'true' })).status, 200);
+        guardians = (await as(admin).get(`/api/students/${id}/guardians`)).body;
+        assert.equal(guardians[0].guardian_id, father.user_id);
+        assert.equal((await as(admin).get(`/api/students/${id}`)).body.parent_id, father.user_id);
+
+        // Removing the primary contact promotes the remaining guardian
+        await as(admin).delete(`/api/students/${id}/guardians/${father.user_id}`);
+        assert.equal((await as(father).get(`/api/students/${id}`)).status, 404);
+        assert.equal((await as(admin).get(`/api/students/${id}`)).body.parent_id, mother.user_id);
+    });
+
+    it('rejects guardians that are not parent accounts', async () => {
+        const id = await createStudent(ctx.pool);
+        const res = await as(admin).post(`/api/students/${id}/guardians`, { guardian_id: admin.user_id });
+        assert.equal(res.status, 404);
+        assert.equal(res.body.error.fields[0].field, 'guardian_id');
+    });
+
+    it('lists a parent\'s children on login', async () => {
+        const id = await createStudent(ctx.pool, { student_name: 'Eric Uwase', parent_id: mother.user_id });
+        await as(admin).post(`/api/students/${id}/guardians`, { guardian_id: father.user_id, relationship: 'father' });
+
+        const login = await request(ctx.app).post('/api/login').send({ username: father.username, password: 'secret123' });
+        assert.equal(login.status, 200);
+        assert.deepEqual(login.body.user.children.map(c => [c.student_name, c.relationship, c.is_primary]), [['Eric Uwase', 'father', false]]);
+    });
+});
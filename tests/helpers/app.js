@@ -0,0 +1,117 @@
+// Test app factory and fixtures
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { createApp } = require('../../app');
+const { createTestPool } = require('./db');
+const { createMailer } = require('../../mail');
+const { createSms } = require('../../sms');
+
+const PASSWORD = 'secret123';
+
+// A fresh app on an empty in-memory database and a temporary uploads folder.
+// `security`, `uploads` and `storage` override individual config.security,
+// config.uploads and config.storage settings.
+const setupApp = async ({ security = {}, uploads = {}, storage = {} } = {}) => {
+    const pool = await createTestPool();
+    const config = {
+        env: 'test',
+        jwtSecret: 'test-secret',
+        appUrl: 'http://app.test',
+        accessTokenTtl: '15m',
+        refreshTokenTtlDays: 30,
+        trustProxy: false,
+        studentEmailDomain: 'students.test',
+        attendance: { chronicAbsenceThreshold: 90, chronicAbsenceWindowDays: 30, chronicAbsenceMinSessions: 5 },
+        security: {
+            maxFailedLogins: 5,
+            lockoutMinutes: 15,
+            loginDelayBaseMs: 0,
+            loginDelayMaxMs: 0,
+            loginRateLimit: { windowMs: 60 * 1000, maxPerIp: 1000, maxPerUsername: 1000 },
+            registrationRequestRateLimit: { windowMs: 60 * 1000, max: 1000 },
+            registrationLookupRateLimit: { windowMs: 60 * 1000, max: 1000 },
+            ...security
+        },
+        uploadsDir: fs.mkdtempSync(path.join(os.tmpdir(), 'mutovutss-uploads-')),
+        uploads: { maxFileSize: 64 * 1024, maxImageSize: 16 * 1024, quotaPerUser: 256 * 1024, ...uploads },
+        storage: { driver: 'local', signedUrlTtlSeconds: 300, ...storage },
+        documents: { trashRetentionDays: 30 },
+        messages: { editWindowMinutes: 15 },
+        realtime: { heartbeatMs: 30000 },
+        notifications: { pollMs: 10000, retryBaseSeconds: 60, maxAttempts: 3 }
+    };
+    const mailer = createMailer({ transport: 'memory', from: 'test@mutovutss.local' });
+    const sms = createSms({ transport: 'memory', from: '+10000000000' });
+    const app = createApp({ pool, config, mailer, sms });
+
+    const cleanup = async () => {
+        await pool.end();
+        fs.rmSync(config.uploadsDir, { recursive: true, force: true });
+    };
+
+    return { app, pool, config, mailer, sms, cleanup };
+};
+
+// Fixtures insert rows directly so each test only exercises the API under test
+
+const createUser = async (pool, user_type, overrides = {}) => {
+    const username = overrides.username || `${user_type}${Math.round(Math.random() * 1E9)}`;
+    const [result] = await pool.query(
+        `INSERT INTO users (username, password, email, first_name, last_name, user_type, email_verified_at)
+         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [
+            username,
+            await bcrypt.hash(overrides.password || PASSWORD, 4),
+            overrides.email || `${username}@example.com`,
+            overrides.first_name || 'Test',
+            overrides.last_name || user_type,
+            user_type
+        ]
+    );
+    const user = { user_id: result.insertId, username, user_type };
+
+    // Every user gets a live session so tokenFor() can sign a valid access token
+    const [session] = await pool.query(
+        'INSERT INTO sessions (user_id, refresh_token_hash, expires_at) VALUES (?, ?, ?)',
+        [user.user_id, crypto.randomBytes(32).toString('hex'), new Date(Date.now() + 24 * 60 * 60 * 1000)]
+    );
+    user.session_id = session.insertId;
+    if (user_type === 'parent') {
+        await pool.query('INSERT INTO parents (parent_id) VALUES (?)', [user.user_id]);
+    } else if (user_type === 'teacher') {
+        await pool.query('INSERT INTO teachers (teacher_id) VALUES (?)', [user.user_id]);
+    }
+    return user;
+};
+
+const createClass = async (pool, { name = 'SOD', level = 'L3', teacher_id = null } = {}) => {
+    const [result] = await pool.query(
+        'INSERT INTO classes (name, level, teacher_id) VALUES (?, ?, ?)',
+        [name, level, teacher_id]
+    );
+    return result.insertId;
+};
+
+const createStudent = async (pool, { student_name = 'Test Student', parent_id = null, class_id = null } = {}) => {
+    const [result] = await pool.query(
+        'INSERT INTO students (student_name, parent_id, class_id) VALUES (?, ?, ?)',
+        [student_name, parent_id, class_id]
+    );
+    if (parent_id) {
+        await pool.query(
+            'INSERT INTO student_guardians (student_id, guardian_id, is_primary) VALUES (?, ?, TRUE)',
+            [result.insertId, parent_id]
+        );
+    }
+    return result.insertId;
+};
+
+const tokenFor = (config, user) => jwt.sign({ userId: user.user_id, sessionId: user.session_id }, config.jwtSecret);
+
+const bearer = (config, user) => `Bearer ${tokenFor(config, user)}`;
+
+module.exports = { PASSWORD, setupApp, createUser, createClass, createStudent, tokenFor, bearer };
@@ -0,0 +1,191 @@
+// In-memory MySQL stand-in for the integration tests
+//
+// Wraps an sql.js (SQLite) database in the subset of the mysql2/promise
+// pool API the services use: `query`, `getConnection` and transactions.
+// The schema comes from the real migrations in db/migrations, translated
+// from MySQL DDL, so the tests run against the same tables as production.
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'db', 'migrations');
+
+const toSqlDate = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// Split a function's argument list on top-level commas
+const splitArgs = (args) => {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (const ch of args) {
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === "'" || ch === '"') {
+            quote = ch;
+        } else if (ch === '(') {
+            depth++;
+        } else if (ch === ')') {
+            depth--;
+        } else if (ch === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    parts.push(current.trim());
+    return parts;
+};
+
+// Rewrite a call `NAME(...)` using `replace(args)`, innermost calls first
+const rewriteCalls = (sql, name, replace) => {
+    const pattern = new RegExp(`\\b${name}\\(`, 'i');
+    let match;
+    while ((match = pattern.exec(sql))) {
+        let depth = 1;
+        let end = match.index + match[0].length;
+        while (depth && end < sql.length) {
+            if (sql[end] === '(') depth++;
+            if (sql[end] === ')') depth--;
+            end++;
+        }
+        const args = splitArgs(sql.slice(match.index + match[0].length, end - 1));
+        sql = sql.slice(0, match.index) + replace(args) + sql.slice(end);
+    }
+    return sql;
+};
+
+const translateDdl = (sql) => sql
+    .replace(/\bINT AUTO_INCREMENT PRIMARY KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/(\w+) ENUM\(([^)]*)\)/gi, '$1 TEXT CHECK ($1 IN ($2))')
+    .replace(/,\s*(INDEX|KEY)\s+\w+\s*\([^)]*\)/gi, '')
+    .replace(/\bUNIQUE KEY\s+\w+\s*\(/gi, 'UNIQUE (')
+    // SQLite cannot add constraints later, so fold a foreign key added
+    // alongside its column into the column definition
+    .replace(/,\s*ADD CONSTRAINT \w+ FOREIGN KEY \(\w+\) (REFERENCES [\s\S]+)$/i, ' $1')
+    .replace(/\bON UPDATE CURRENT_TIMESTAMP\b/gi, '');
+
+const translateQuery = (sql) => {
+    sql = sql
+        .replace(/\bINSERT IGNORE\b/gi, 'INSERT OR IGNORE')
+        .replace(/\bFOR UPDATE\b/gi, '')
+        .replace(/\(\s*NOW\(\)\s*([-+])\s*INTERVAL\s+(\d+)\s+(\w+?)S?\s*\)/gi,
+            (m, sign, n, unit) => `datetime('now', '${sign}${n} ${unit.toLowerCase()}s')`)
+        .replace(/\bNOW\(\)/gi, "datetime('now')")
+        .replace(/\bCURDATE\(\)/gi, "date('now')");
+    return rewriteCalls(sql, 'CONCAT', args => `(${args.join(' || ')})`);
+};
+
+const toParam = (value) => {
+    if (value === undefined) return null;
+    if (value instanceof Date) return toSqlDate(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+};
+
+// Expand array params the way mysql2 does: [a, b] becomes `?, ?` and
+// [[a, b], [c, d]] becomes `(?, ?), (?, ?)`
+const expandParams = (sql, params = []) => {
+    const flat = [];
+    let index = 0;
+    let quote = null;
+    let out = '';
+    for (const ch of sql) {
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === "'" || ch === '"') {
+            quote = ch;
+        } else if (ch === '?') {
+            const value = params[index++];
+            if (Array.isArray(value) && Array.isArray(value[0])) {
+                out += value.map(row => `(${row.map(() => '?').join(', ')})`).join(', ');
+                value.forEach(row => flat.push(...row.map(toParam)));
+            } else if (Array.isArray(value)) {
+                out += value.map(() => '?').join(', ');
+                flat.push(...value.map(toParam));
+            } else {
+                out += '?';
+                flat.push(toParam(value));
+            }
+            continue;
+        }
+        out += ch;
+    }
+    return { sql: out, params: flat };
+};
+
+const createTestPool = async () => {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    db.run('PRAGMA foreign_keys = ON');
+
+    const run = (rawSql, rawParams) => {
+        const { sql, params } = expandParams(translateQuery(rawSql), rawParams);
+        const stmt = db.prepare(sql);
+        try {
+            stmt.bind(params);
+            if (stmt.getColumnNames().length) {
+                const rows = [];
+                while (stmt.step()) rows.push(stmt.getAsObject());
+                return [rows, []];
+            }
+            stmt.step();
+        } catch (error) {
+            // Match the mysql2 error code services check for
+            if (/UNIQUE constraint failed/.test(error.message)) error.code = 'ER_DUP_ENTRY';
+            throw error;
+        } finally {
+            stmt.free();
+        }
+        const [[insertId]] = db.exec('SELECT last_insert_rowid()')[0].values;
+        return [{ insertId, affectedRows: db.getRowsModified() }, undefined];
+    };
+
+    const query = async (sql, params) => run(sql, params);
+
+    const connection = {
+        query,
+        beginTransaction: async () => db.run('BEGIN'),
+        commit: async () => db.run('COMMIT'),
+        rollback: async () => db.run('ROLLBACK'),
+        release: () => {}
+    };
+
+    // SQLite has no ALTER TABLE ... MODIFY, so rebuild the table with the
+    // new column definition (https://www.sqlite.org/lang_altertable.html)
+    const modifyColumn = (table, column, definition) => {
+        const [[createSql]] = db.exec(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = '${table}'`)[0].values;
+        const indexes = db.exec(`SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = '${table}' AND sql IS NOT NULL`);
+        const columns = splitArgs(createSql.slice(createSql.indexOf('(') + 1, createSql.lastIndexOf(')')))
+            .map(part => (part.split(/\s+/)[0] === column ? translateDdl(`${column} ${definition}`) : part));
+
+        db.run('PRAGMA foreign_keys = OFF');
+        db.run(`CREATE TABLE ${table}__new (${columns.join(', ')})`);
+        db.run(`INSERT INTO ${table}__new SELECT * FROM ${table}`);
+        db.run(`DROP TABLE ${table}`);
+        db.run(`ALTER TABLE ${table}__new RENAME TO ${table}`);
+        for (const [sql] of indexes.length ? indexes[0].values : []) db.run(sql);
+        db.run('PRAGMA foreign_keys = ON');
+    };
+
+    for (const file of fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.js')).sort()) {
+        const migration = require(path.join(MIGRATIONS_DIR, file));
+        for (const statement of [].concat(migration.up)) {
+            const modify = /^\s*ALTER TABLE (\w+) MODIFY (?:COLUMN )?(\w+) ([\s\S]+)$/i.exec(statement);
+            if (modify) {
+                modifyColumn(modify[1], modify[2], modify[3]);
+            } else {
+                db.run(translateDdl(statement));
+            }
+        }
+    }
+
+    return {
+        query,
+        getConnection: async () => connection,
+        end: async () => db.close()
+    };
+};
+
+module.exports = { createTestPool };
@@ -0,0 +1,99 @@
+// In-memory S3 stand-in for the storage tests
+//
+// Serves path-style PUT, GET (with a single Range), HEAD and DELETE object
+// requests and ListObjectsV2 for one bucket on a local port, keeping
+// objects in a Map, and rejects requests whose Signature Version 4 does not
+// match the configured credentials, as MinIO or S3 would.
+const http = require('http');
+const crypto = require('crypto');
+const { signV4 } = require('../../storage/drivers');
+
+const createS3StandIn = async ({ bucket = 'school', region = 'us-east-1', accessKeyId = 'test-key', secretAccessKey = 'test-secret' } = {}) => {
+    const objects = new Map();
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const url = `http://${req.headers.host}${req.url}`;
+            const amzDate = req.headers['x-amz-date'] || '';
+            const date = new Date(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+            const signedNames = ((req.headers.authorization || '').match(/SignedHeaders=([^,]+)/) || [])[1] || '';
+            const headers = {};
+            for (const name of signedNames.split(';')) {
+                if (!['host', 'x-amz-date', 'x-amz-content-sha256'].includes(name)) headers[name] = req.headers[name];
+            }
+            const expected = Number.isNaN(date.getTime()) ? null : signV4({
+                method: req.method,
+                url,
+                headers,
+                payloadHash: crypto.createHash('sha256').update(body).digest('hex'),
+                region,
+                accessKeyId,
+                secretAccessKey,
+                date
+            });
+            if (!expected || expected.authorization !== req.headers.authorization) {
+                res.writeHead(403, { 'Content-Type': 'application/xml' });
+                return res.end('<Error><Code>SignatureDoesNotMatch</Code></Error>');
+            }
+
+            const { pathname, searchParams } = new URL(url);
+            if (pathname === `/${bucket}` && searchParams.get('list-type') === '2') {
+                const contents = [...objects]
+                    .filter(([key]) => key.startsWith(searchParams.get('prefix') || ''))
+                    .map(([key, object]) => `<Contents><Key>${key}</Key><Size>${object.body.length}</Size>`
+                        + `<LastModified>${object.modified.toISOString()}</LastModified></Contents>`);
+                res.writeHead(200, { 'Content-Type': 'application/xml' });
+                return res.end(`<ListBucketResult><IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+            }
+
+            const prefix = `/${bucket}/`;
+            if (!req.url.startsWith(prefix)) {
+                res.writeHead(404, { 'Content-Type': 'application/xml' });
+                return res.end('<Error><Code>NoSuchBucket</Code></Error>');
+            }
+            const key = decodeURIComponent(req.url.slice(prefix.length));
+            if (req.method === 'PUT') {
+                objects.set(key, { body, contentType: req.headers['content-type'], modified: new Date() });
+                res.writeHead(200);
+                return res.end();
+            }
+            if (req.method === 'DELETE') {
+                objects.delete(key);
+                res.writeHead(204);
+                return res.end();
+            }
+            const object = objects.get(key);
+            if (!object) {
+                res.writeHead(404, { 'Content-Type': 'application/xml' });
+                return res.end('<Error><Code>NoSuchKey</Code></Error>');
+            }
+            const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+            if (range) {
+                const start = Number(range[1]);
+                const end = Math.min(range[2] ? Number(range[2]) : Infinity, object.body.length - 1);
+                res.writeHead(206, {
+                    'Content-Type': object.contentType,
+                    'Content-Length': end - start + 1,
+                    'Content-Range': `bytes ${start}-${end}/${object.body.length}`
+                });
+                return res.end(object.body.subarray(start, end + 1));
+            }
+            res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+            res.end(req.method === 'HEAD' ? undefined : object.body);
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const endpoint = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        objects,
+        config: { endpoint, bucket, region, accessKeyId, secretAccessKey },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+module.exports = { createS3StandIn };
@@ -0,0 +1,90 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { PASSWORD, setupApp, createUser, bearer } = require('./helpers/app');
+
+describe('login protection', () => {
+    let ctx;
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const login = (username, password) => request(ctx.app).post('/api/login').send({ username, password });
+
+    it('locks the account after repeated wrong passwords until an admin unlocks it', async () => {
+        ctx = await setupApp({ security: { maxFailedLogins: 3 } });
+        const user = await createUser(ctx.pool, 'parent');
+        const admin = await createUser(ctx.pool, 'admin');
+
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await login(user.username, 'wrong')).status, 401);
+        }
+        const locked = await login(user.username, PASSWORD);
+        assert.equal(locked.status, 423);
+        assert.equal(locked.body.error.code, 'ACCOUNT_LOCKED');
+
+        const unlock = await request(ctx.app)
+            .post(`/api/users/${user.user_id}/unlock`)
+            .set('Authorization', bearer(ctx.config, admin));
+        assert.equal(unlock.status, 200);
+        assert.equal((await login(user.username, PASSWORD)).status, 200);
+    });
+
+    it('locks the account when wrong passwords arrive in parallel', async () => {
+        ctx = await setupApp({ security: { maxFailedLogins: 3 } });
+        const user = await createUser(ctx.pool, 'parent');
+
+        await Promise.all([1, 2, 3].map(() => login(user.username, 'wrong')));
+        assert.equal((await login(user.username, PASSWORD)).status, 423);
+    });
+
+    it('resets the failure count after a successful login', async () => {
+        ctx = await setupApp({ security: { maxFailedLogins: 3 } });
+        const user = await createUser(ctx.pool, 'parent');
+
+        await login(user.username, 'wrong');
+        await login(user.username, 'wrong');
+        assert.equal((await login(user.username, PASSWORD)).status, 200);
+        await login(user.username, 'wrong');
+        assert.equal((await login(user.username, PASSWORD)).status, 200);
+    });
+
+    it('records every attempt in the audit log', async () => {
+        ctx = await setupApp();
+        const user = await createUser(ctx.pool, 'parent');
+        const admin = await createUser(ctx.pool, 'admin');
+        await login('ghost', 'whatever');
+        await login(user.username, 'wrong');
+        await login(user.username, PASSWORD);
+
+        const res = await request(ctx.app)
+            .get('/api/login-attempts')
+            .set('Authorization', bearer(ctx.config, admin));
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(a => a.reason), ['success', 'invalid_password', 'unknown_user']);
+
+        const forbidden = await request(ctx.app)
+            .get('/api/login-attempts')
+            .set('Authorization', bearer(ctx.config, user));
+        assert.equal(forbidden.status, 403);
+    });
+
+    it('rate limits attempts per username', async () => {
+        ctx = await setupApp({ security: { loginRateLimit: { windowMs: 60 * 1000, maxPerIp: 100, maxPerUsername: 2 } } });
+        await login('someone', 'a');
+        await login('Someone', 'b');
+        const limited = await login('someone', 'c');
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers['retry-after']) > 0);
+
+        assert.equal((await login('someone-else', 'a')).status, 401);
+    });
+
+    it('rate limits anonymous registration requests per IP', async () => {
+        ctx = await setupApp({ security: { registrationRequestRateLimit: { windowMs: 60 * 1000, max: 1 } } });
+        const submit = () => request(ctx.app).post('/api/registration-request').send({});
+        assert.equal((await submit()).status, 400);
+        assert.equal((await submit()).status, 429);
+    });
+});
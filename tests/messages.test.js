@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+describe('conversations', () => {
+    let ctx;
+    let teacher;
+    let parent;
+    let admin;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        teacher = await createUser(ctx.pool, 'teacher');
+        parent = await createUser(ctx.pool, 'parent');
+        admin = await createUser(ctx.pool, 'admin');
+        const classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        await createStudent(ctx.pool, { parent_id: parent.user_id, class_id: classId });
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const send = async (from, to, text) => (await request(ctx.app)
+        .post('/api/messages')
+        .set('Authorization', bearer(ctx.config, from))
+        .send({ to_user_id: to.user_id, message: text })).body.message_id;
+
+    const get = (url, user) => request(ctx.app).get(url).set('Authorization', bearer(ctx.config, user));
+
+    it('lists conversations with the last message and unread count', async () => {
+        await send(teacher, parent, 'Reminder: trip on Friday');
+        await send(teacher, parent, 'Bring a packed lunch');
+        await send(admin, parent, 'Fees are due');
+        await send(parent, admin, 'Paid today');
+
+        const list = (await get('/api/conversations', parent)).body;
+        assert.deepEqual(list.map(c => c.user.user_id), [admin.user_id, teacher.user_id]);
+        assert.equal(list[0].last_message.message, 'Paid today');
+        assert.equal(list[0].unread_count, 1);
+        assert.equal(list[1].last_message.message, 'Bring a packed lunch');
+        assert.equal(list[1].unread_count, 2);
+        assert.equal(list[1].user.user_type, 'teacher');
+        assert.equal(list[1].user.online, false);
+
+        const read = await request(ctx.app)
+            .post(`/api/conversations/${teacher.user_id}/read`)
+            .set('Authorization', bearer(ctx.config, parent));
+        assert.equal(read.body.updated, 2);
+        const after = (await get('/api/conversations', parent)).body;
+        assert.deepEqual(after.map(c => c.unread_count), [1, 0]);
+        assert.equal((await get('/api/conversations', teacher)).body[0].unread_count, 0);
+    });
+
+    it('pages through message history with a cursor', async () => {
+        const ids = [];
+        for (let i = 1; i <= 5; i++) ids.push(await send(i % 2 ? teacher : parent, i % 2 ? parent : teacher, `Message ${i}`));
+
+        const first = (await get(`/api/messages?userId=${teacher.user_id}&limit=2`, parent)).body;
+        assert.deepEqual(first.messages.map(m => m.message), ['Message 4', 'Message 5']);
+        assert.equal(first.next_cursor, ids[3]);
+
+        const second = (await get(`/api/messages?userId=${teacher.user_id}&limit=2&before=${first.next_cursor}`, parent)).body;
+        assert.deepEqual(second.messages.map(m => m.message), ['Message 2', 'Message 3']);
+
+        const last = (await get(`/api/messages?userId=${teacher.user_id}&limit=2&before=${second.next_cursor}`, parent)).body;
+        assert.deepEqual(last.messages.map(m => m.message), ['Message 1']);
+        assert.equal(last.next_cursor, null);
+
+        const all = (await get(`/api/messages?userId=${teacher.user_id}`, parent)).body;
+        assert.equal(all.messages.length, 5);
+        assert.equal((await get(`/api/messages?userId=${teacher.user_id}&limit=500`, parent)).status, 400);
+    });
+
+    it('lets senders edit and delete messages within the time window', async () => {
+        const id = await send(teacher, parent, 'Trip on Firday');
+        const patch = (user, body) => request(ctx.app)
+            .patch(`/api/messages/${id}`)
+            .set('Authorization', bearer(ctx.config, user))
+            .send(body);
+
+        assert.equal((await patch(parent, { message: 'Changed' })).status, 403);
+        assert.equal((await patch(admin, { message: 'Changed' })).status, 404);
+        const edited = await patch(teacher, { message: 'Trip on Friday' });
+        assert.equal(edited.status, 200);
+        assert.equal(edited.body.message, 'Trip on Friday');
+        assert.ok(edited.body.edited_at);
+
+        const removed = await request(ctx.app).delete(`/api/messages/${id}`).set('Authorization', bearer(ctx.config, teacher));
+        assert.equal(removed.status, 200);
+        const [shown] = (await get(`/api/messages?userId=${teacher.user_id}`, parent)).body.messages;
+        assert.equal(shown.message, '');
+        assert.ok(shown.deleted_at);
+        assert.equal((await patch(teacher, { message: 'Back' })).status, 404);
+        assert.equal((await get('/api/conversations', parent)).body[0].unread_count, 0);
+
+        const old = await send(teacher, parent, 'Sent a while ago');
+        await ctx.pool.query('UPDATE messages SET created_at = ? WHERE message_id = ?', [new Date(Date.now() - 16 * 60 * 1000), old]);
+        const late = await request(ctx.app).delete(`/api/messages/${old}`).set('Authorization', bearer(ctx.config, teacher));
+        assert.equal(late.status, 409);
+        assert.equal(late.body.error.code, 'EDIT_WINDOW_CLOSED');
+    });
+});
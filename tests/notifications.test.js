@@ -0,0 +1,131 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+describe('notification center', () => {
+    let ctx;
+    let admin;
+    let teacher;
+    let parent;
+    let classId;
+    let studentId;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        admin = await createUser(ctx.pool, 'admin');
+        teacher = await createUser(ctx.pool, 'teacher');
+        parent = await createUser(ctx.pool, 'parent');
+        await ctx.pool.query("UPDATE parents SET phone_number = '+256700000001' WHERE parent_id = ?", [parent.user_id]);
+        classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        studentId = await createStudent(ctx.pool, { student_name: 'Alice', parent_id: parent.user_id, class_id: classId });
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const as = (user) => ({
+        get: (url) => request(ctx.app).get(url).set('Authorization', bearer(ctx.config, user)),
+        post: (url, body) => request(ctx.app).post(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        put: (url, body) => request(ctx.app).put(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        patch: (url, body) => request(ctx.app).patch(url).set('Authorization', bearer(ctx.config, user)).send(body)
+    });
+
+    const absent = (date) => as(teacher).post(`/api/classes/${classId}/attendance`, {
+        date,
+        attendance: [{ student_id: studentId, status: 'absent' }]
+    });
+
+    const unreadCount = async (user) => (await as(user).get('/api/notifications/unread-count')).body.count;
+
+    const secondsFromNow = (seconds) => new Date(Date.now() + seconds * 1000);
+
+    it('counts unread notifications and marks them all read', async () => {
+        await absent('2025-06-02');
+        await absent('2025-06-03');
+        await absent('2025-06-04');
+        assert.equal(await unreadCount(parent), 3);
+
+        const [latest] = (await as(parent).get('/api/notifications')).body;
+        assert.equal(latest.event_type, 'attendance.absent');
+        await as(parent).patch(`/api/notifications/${latest.notification_id}/read`);
+        assert.equal(await unreadCount(parent), 2);
+
+        const readAll = await as(parent).post('/api/notifications/read-all');
+        assert.equal(readAll.body.updated, 2);
+        assert.equal(await unreadCount(parent), 0);
+        assert.equal(await unreadCount(teacher), 0);
+    });
+
+    it('notifies users on the channels they choose', async () => {
+        const defaults = (await as(parent).get('/api/notification-preferences')).body;
+        assert.deepEqual(defaults.map(p => p.event_type), ['attendance.absent', 'attendance.concern', 'assignment.marked', 'registration.reviewed']);
+        assert.deepEqual(defaults[0], {
+            event_type: 'attendance.absent',
+            description: 'Your child is marked absent',
+            in_app: true,
+            email: true,
+            sms: true
+        });
+        assert.deepEqual((await as(admin).get('/api/notification-preferences')).body.map(p => p.event_type), ['user.reported']);
+
+        const changed = await as(parent).put('/api/notification-preferences/attendance.absent', { email: false });
+        assert.equal(changed.status, 200);
+        assert.deepEqual([changed.body.in_app, changed.body.email, changed.body.sms], [true, false, true]);
+        assert.equal((await as(parent).put('/api/notification-preferences/user.reported', { email: false })).status, 404);
+        assert.equal((await as(parent).put('/api/notification-preferences/attendance.absent', { sms: 'no' })).status, 400);
+        const form = await as(parent).put('/api/notification-preferences/attendance.absent', { email: 'false', sms: 'true' });
+        assert.deepEqual([form.body.in_app, form.body.email, form.body.sms], [true, false, true]);
+        assert.deepEqual((await as(parent).get('/api/notification-preferences')).body[0].email, false);
+
+        // Email and SMS wait in the queue until it is processed
+        await absent('2025-06-02');
+        assert.equal(await unreadCount(parent), 1);
+        assert.equal(ctx.sms.transport.sent.length, 0);
+        const processed = await ctx.app.locals.deliveries.processDue();
+        assert.deepEqual(processed, { sent: 1, retrying: 0, failed: 0 });
+        assert.equal(ctx.mailer.transport.sent.length, 0);
+        const [text] = ctx.sms.transport.sent;
+        assert.equal(text.to, '+256700000001');
+        assert.match(text.text, /^Absence: Alice was marked absent on 2025-06-02/);
+
+        await as(parent).put('/api/notification-preferences/attendance.absent', { in_app: false, sms: false, email: true });
+        await absent('2025-06-03');
+        assert.equal(await unreadCount(parent), 1);
+        await ctx.app.locals.deliveries.processDue();
+        assert.equal(ctx.sms.transport.sent.length, 1);
+        assert.equal(ctx.mailer.transport.sent[0].subject, 'Absence');
+    });
+
+    it('retries failed deliveries with backoff until they give up', async () => {
+        const { deliveries } = ctx.app.locals;
+        const { transport } = ctx.mailer;
+        const send = transport.send;
+        transport.send = async () => {
+            throw new Error('Connection refused');
+        };
+
+        await as(parent).post(`/api/users/${teacher.user_id}/report`, { reason: 'Spam' });
+        assert.deepEqual(await deliveries.processDue(), { sent: 0, retrying: 1, failed: 0 });
+        // Not due again for retryBaseSeconds, then twice that
+        assert.deepEqual(await deliveries.processDue(), { sent: 0, retrying: 0, failed: 0 });
+        assert.deepEqual(await deliveries.processDue({ now: secondsFromNow(61) }), { sent: 0, retrying: 1, failed: 0 });
+        assert.deepEqual(await deliveries.processDue({ now: secondsFromNow(150) }), { sent: 0, retrying: 0, failed: 0 });
+        assert.deepEqual(await deliveries.processDue({ now: secondsFromNow(190) }), { sent: 0, retrying: 0, failed: 1 });
+
+        assert.equal((await as(parent).get('/api/notification-deliveries')).status, 403);
+        const [failed] = (await as(admin).get('/api/notification-deliveries?status=failed')).body;
+        assert.equal(failed.channel, 'email');
+        assert.equal(failed.attempts, 3);
+        assert.equal(failed.last_error, 'Connection refused');
+
+        transport.send = send;
+        assert.equal((await as(admin).post(`/api/notification-deliveries/${failed.delivery_id}/retry`)).status, 200);
+        const again = await as(admin).post(`/api/notification-deliveries/${failed.delivery_id}/retry`);
+        assert.equal(again.body.error.code, 'DELIVERY_NOT_FAILED');
+        assert.deepEqual(await deliveries.processDue(), { sent: 1, retrying: 0, failed: 0 });
+        assert.equal(transport.sent[0].subject, 'User reported');
+        assert.equal(transport.sent[0].to, `${admin.username}@example.com`);
+    });
+});
@@ -0,0 +1,149 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+// A one-page PDF with a red square
+const makePdf = () => {
+    const content = '1 0 0 rg 20 20 100 100 re f';
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 300] /Contents 4 0 R >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+};
+
+describe('document previews', () => {
+    let ctx;
+    let teacher;
+    let parent;
+    let classId;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        teacher = await createUser(ctx.pool, 'teacher');
+        parent = await createUser(ctx.pool, 'parent');
+        classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        await createStudent(ctx.pool, { parent_id: parent.user_id, class_id: classId });
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const upload = async (content, name) => (await request(ctx.app)
+        .post(`/api/classes/${classId}/documents`)
+        .set('Authorization', bearer(ctx.config, teacher))
+        .field('title', name)
+        .attach('file', content, name)).body.document_id;
+
+    const get = (url, user = parent) => request(ctx.app).get(url).set('Authorization', bearer(ctx.config, user));
+
+    const thumbnails = () => {
+        const dir = path.join(ctx.config.uploadsDir, 'thumbnails');
+        return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+    };
+
+    it('only shows documents to signed-in members of the class', async () => {
+        const id = await upload(makePdf(), 'handout.pdf');
+        assert.equal((await request(ctx.app).get(`/api/documents/${id}/view`)).status, 401);
+        const outsider = await createUser(ctx.pool, 'parent');
+        assert.equal((await get(`/api/documents/${id}/view`, outsider)).status, 403);
+        assert.equal((await get(`/api/documents/${id}/thumbnail`, outsider)).status, 403);
+
+        const view = await get(`/api/documents/${id}/view`);
+        assert.equal(view.status, 200);
+        assert.equal(view.headers['content-type'], 'application/pdf');
+        assert.match(view.headers['content-disposition'], /^inline/);
+        assert.equal(view.headers['x-content-type-options'], 'nosniff');
+    });
+
+    it('detects the type of files uploaded before types were recorded', async () => {
+        const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#000000' } }).png().toBuffer();
+        fs.mkdirSync(path.join(ctx.config.uploadsDir, 'documents'), { recursive: true });
+        fs.writeFileSync(path.join(ctx.config.uploadsDir, 'documents', 'old-scan.dat'), png);
+        const [result] = await ctx.pool.query(
+            "INSERT INTO documents (title, file_path, class_id) VALUES ('Scan', 'old-scan.dat', ?)",
+            [classId]
+        );
+        await ctx.pool.query(
+            "INSERT INTO document_versions (document_id, version, file_path) VALUES (?, 1, 'old-scan.dat')",
+            [result.insertId]
+        );
+
+        const view = await get(`/api/documents/${result.insertId}/view`);
+        assert.equal(view.headers['content-type'], 'image/png');
+    });
+
+    it('serves byte ranges', async () => {
+        const id = await upload(Buffer.from('0123456789'), 'digits.txt');
+
+        const part = await get(`/api/documents/${id}/view`).set('Range', 'bytes=2-5');
+        assert.equal(part.status, 206);
+        assert.equal(part.text, '2345');
+        assert.equal(part.headers['content-range'], 'bytes 2-5/10');
+        assert.equal(part.headers['accept-ranges'], 'bytes');
+
+        const tail = await get(`/api/documents/${id}/view`).set('Range', 'bytes=-3');
+        assert.equal(tail.text, '789');
+
+        const beyond = await get(`/api/documents/${id}/view`).set('Range', 'bytes=10-');
+        assert.equal(beyond.status, 416);
+        assert.equal(beyond.headers['content-range'], 'bytes */10');
+
+        const several = await get(`/api/documents/${id}/download`).set('Range', 'bytes=0-1,4-5');
+        assert.equal(several.status, 200);
+        assert.equal(several.text, '0123456789');
+    });
+
+    it('makes and caches thumbnails of PDFs and images', async () => {
+        const photo = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#3366cc' } }).png().toBuffer();
+        const pdfId = await upload(makePdf(), 'handout.pdf');
+        const photoId = await upload(photo, 'photo.png');
+        const textId = await upload(Buffer.from('plain notes'), 'notes.txt');
+
+        const list = (await get(`/api/classes/${classId}/documents`)).body;
+        const byId = Object.fromEntries(list.map(doc => [doc.document_id, doc]));
+        assert.equal(byId[pdfId].thumbnail_url, `/api/documents/${pdfId}/thumbnail`);
+        assert.equal(byId[photoId].content_type, 'image/png');
+        assert.equal(byId[textId].thumbnail_url, null);
+        assert.equal(byId[textId].preview_url, `/api/documents/${textId}/view`);
+
+        for (const id of [pdfId, photoId]) {
+            const res = await get(`/api/documents/${id}/thumbnail`).buffer(true).parse((stream, done) => {
+                const chunks = [];
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('end', () => done(null, Buffer.concat(chunks)));
+            });
+            assert.equal(res.status, 200);
+            assert.equal(res.headers['content-type'], 'image/webp');
+            const { width, height, format } = await sharp(res.body).metadata();
+            assert.equal(format, 'webp');
+            assert.ok(Math.max(width, height) <= 320);
+
+            const cached = await get(`/api/documents/${id}/thumbnail`).set('If-None-Match', res.headers.etag);
+            assert.equal(cached.status, 304);
+        }
+        assert.equal(thumbnails().length, 2);
+        assert.equal((await get(`/api/documents/${textId}/thumbnail`)).status, 404);
+
+        await request(ctx.app).delete(`/api/documents/${photoId}`).set('Authorization', bearer(ctx.config, teacher));
+        await request(ctx.app).delete(`/api/documents/${photoId}/purge`).set('Authorization', bearer(ctx.config, teacher));
+        assert.equal(thumbnails().length, 1);
+    });
+});
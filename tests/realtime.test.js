@@ -0,0 +1,210 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const request = require('supertest');
+const WebSocket = require('ws');
+const { setupApp, createUser, createClass, createStudent, tokenFor, bearer } = require('./helpers/app');
+
+describe('realtime messaging', () => {
+    let ctx;
+    let server;
+    let url;
+    let teacher;
+    let parent;
+    let classId;
+    let studentId;
+    const sockets = [];
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        teacher = await createUser(ctx.pool, 'teacher');
+        parent = await createUser(ctx.pool, 'parent');
+        classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        studentId = await createStudent(ctx.pool, { parent_id: parent.user_id, class_id: classId });
+        server = http.createServer(ctx.app);
+        ctx.app.locals.realtime.attach(server);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `ws://127.0.0.1:${server.address().port}/ws`;
+    });
+
+    afterEach(async () => {
+        for (const socket of sockets.splice(0)) socket.terminate();
+        await new Promise(resolve => server.close(resolve));
+        // Let the server finish announcing the disconnections
+        const { realtime } = ctx.app.locals;
+        while (realtime.online().length) await new Promise(resolve => setTimeout(resolve, 5));
+        await realtime.settled();
+        await ctx.cleanup();
+    });
+
+    // A connected client collecting the events it receives
+    const connect = (user) => new Promise((resolve, reject) => {
+        const socket = new WebSocket(`${url}?token=${tokenFor(ctx.config, user)}`);
+        sockets.push(socket);
+        const events = [];
+        const waiting = [];
+        socket.on('message', (raw) => {
+            const event = JSON.parse(raw);
+            const index = waiting.findIndex(w => w.type === event.type);
+            if (index >= 0) waiting.splice(index, 1)[0].resolve(event);
+            else events.push(event);
+        });
+        const client = {
+            socket,
+            emit: (event) => socket.send(JSON.stringify(event)),
+            // The next event of a type, whether already received or not
+            next: (type) => {
+                const index = events.findIndex(e => e.type === type);
+                if (index >= 0) return Promise.resolve(events.splice(index, 1)[0]);
+                return new Promise(done => waiting.push({ type, resolve: done }));
+            },
+            close: () => new Promise(done => {
+                socket.once('close', done);
+                socket.close();
+            })
+        };
+        socket.once('open', () => client.next('ready').then(ready => resolve(Object.assign(client, { ready }))));
+        socket.once('error', reject);
+    });
+
+    const sendMessage = (from, to, text = 'Hello') => request(ctx.app)
+        .post('/api/messages')
+        .set('Authorization', bearer(ctx.config, from))
+        .send({ to_user_id: to.user_id, message: text });
+
+    const messageRow = async (id) => (await ctx.pool.query('SELECT * FROM messages WHERE message_id = ?', [id]))[0][0];
+
+    it('refuses connections without a valid token', async () => {
+        const status = await new Promise(resolve => {
+            const socket = new WebSocket(`${url}?token=nonsense`);
+            socket.on('unexpected-response', (req, res) => resolve(res.statusCode));
+            socket.on('error', () => {});
+        });
+        assert.equal(status, 401);
+    });
+
+    it('pushes messages and records delivered and read receipts', async () => {
+        const teacherClient = await connect(teacher);
+        const parentClient = await connect(parent);
+
+        const sent = await sendMessage(teacher, parent, 'Trip on Friday');
+        assert.equal(sent.status, 201);
+        const pushed = await parentClient.next('message');
+        assert.equal(pushed.message.message, 'Trip on Friday');
+        assert.equal((await teacherClient.next('message')).message.message_id, sent.body.message_id);
+
+        const delivered = await teacherClient.next('receipt');
+        assert.deepEqual([delivered.status, delivered.message_ids], ['delivered', [sent.body.message_id]]);
+        assert.ok((await messageRow(sent.body.message_id)).delivered_at);
+
+        parentClient.emit({ type: 'read', message_ids: [sent.body.message_id] });
+        const read = await teacherClient.next('receipt');
+        assert.deepEqual([read.status, read.message_ids], ['read', [sent.body.message_id]]);
+        assert.ok((await messageRow(sent.body.message_id)).read_at);
+
+        parentClient.emit({ type: 'read', message_ids: 'all' });
+        const invalid = await parentClient.next('error');
+        assert.equal(invalid.code, 'VALIDATION_ERROR');
+        assert.equal(invalid.fields[0].field, 'message_ids');
+    });
+
+    it('delivers messages sent while the recipient was offline when they connect', async () => {
+        const teacherClient = await connect(teacher);
+        const sent = await sendMessage(teacher, parent);
+        assert.equal((await messageRow(sent.body.message_id)).delivered_at, null);
+
+        await connect(parent);
+        const receipt = await teacherClient.next('receipt');
+        assert.deepEqual([receipt.status, receipt.message_ids], ['delivered', [sent.body.message_id]]);
+
+        const read = await request(ctx.app)
+            .post('/api/messages/read')
+            .set('Authorization', bearer(ctx.config, parent))
+            .send({ message_ids: [sent.body.message_id] });
+        assert.equal(read.body.updated, 1);
+        assert.equal((await teacherClient.next('receipt')).status, 'read');
+    });
+
+    it('tracks presence and relays typing indicators', async () => {
+        const teacherClient = await connect(teacher);
+        const parentClient = await connect(parent);
+        assert.deepEqual(await teacherClient.next('presence'), { type: 'presence', user_id: parent.user_id, online: true });
+        assert.deepEqual(parentClient.ready.online.sort(), [teacher.user_id, parent.user_id].sort());
+
+        // Nobody sees the presence of users they cannot message
+        const stranger = await createUser(ctx.pool, 'parent');
+        const strangerClient = await connect(stranger);
+        assert.deepEqual(strangerClient.ready.online, [stranger.user_id]);
+
+        const active = await request(ctx.app).get('/api/active-users').set('Authorization', bearer(ctx.config, teacher));
+        assert.deepEqual(active.body.map(u => u.user_id).sort(), [teacher.user_id, parent.user_id].sort());
+
+        parentClient.emit({ type: 'typing', to_user_id: teacher.user_id, is_typing: true });
+        assert.deepEqual(await teacherClient.next('typing'), { type: 'typing', from_user_id: parent.user_id, is_typing: true });
+        parentClient.emit({ type: 'typing', to_user_id: teacher.user_id, is_typing: 'false' });
+        assert.deepEqual(await teacherClient.next('typing'), { type: 'typing', from_user_id: parent.user_id, is_typing: false });
+
+        await parentClient.close();
+        assert.deepEqual(await teacherClient.next('presence'), { type: 'presence', user_id: parent.user_id, online: false });
+    });
+
+    it('shows presence to the users who may message each user', async () => {
+        const admin = await createUser(ctx.pool, 'admin');
+        const student = await createUser(ctx.pool, 'student');
+        const studentClient = await connect(student);
+        const adminClient = await connect(admin);
+        assert.deepEqual(adminClient.ready.online.sort(), [student.user_id, admin.user_id].sort());
+        assert.deepEqual(studentClient.ready.online, [student.user_id]);
+
+        // Admins may message students, but not the other way round
+        await studentClient.close();
+        assert.deepEqual(await adminClient.next('presence'), { type: 'presence', user_id: student.user_id, online: false });
+        const again = await connect(student);
+        assert.deepEqual(await adminClient.next('presence'), { type: 'presence', user_id: student.user_id, online: true });
+        assert.deepEqual(again.ready.online, [student.user_id]);
+
+        await request(ctx.app).post(`/api/users/${admin.user_id}/block`).set('Authorization', bearer(ctx.config, parent)).send();
+        const parentClient = await connect(parent);
+        assert.deepEqual(parentClient.ready.online, [parent.user_id]);
+    });
+
+    it('shows presence only to its audience', async () => {
+        const stranger = await createUser(ctx.pool, 'parent');
+        const hidden = (user, id) => [user.user_id, id].includes(stranger.user_id) && user.user_id !== id;
+        const lookups = [];
+        ctx.app.locals.realtime.audience({
+            visible: async (user, userIds) => userIds.filter(id => !hidden(user, id)),
+            watchers: async (user, userIds) => {
+                lookups.push(user.user_id);
+                return userIds.filter(id => !hidden(user, id));
+            }
+        });
+        const teacherClient = await connect(teacher);
+        const strangerClient = await connect(stranger);
+        assert.deepEqual(strangerClient.ready.online, [stranger.user_id]);
+        const parentClient = await connect(parent);
+        assert.deepEqual(parentClient.ready.online.sort(), [teacher.user_id, parent.user_id].sort());
+
+        // One lookup per change, whoever is online
+        assert.deepEqual(await teacherClient.next('presence'), { type: 'presence', user_id: parent.user_id, online: true });
+        assert.deepEqual(lookups, [stranger.user_id, parent.user_id]);
+        await parentClient.close();
+        assert.deepEqual(await teacherClient.next('presence'), { type: 'presence', user_id: parent.user_id, online: false });
+
+        const active = await request(ctx.app).get('/api/active-users').set('Authorization', bearer(ctx.config, stranger));
+        assert.deepEqual(active.body, [{ user_id: stranger.user_id }]);
+    });
+
+    it('pushes notifications live', async () => {
+        const parentClient = await connect(parent);
+
+        await request(ctx.app)
+            .post(`/api/classes/${classId}/attendance`)
+            .set('Authorization', bearer(ctx.config, teacher))
+            .send({ date: '2026-03-02', attendance: [{ student_id: studentId, status: 'absent' }] });
+
+        const { notification } = await parentClient.next('notification');
+        assert.equal(notification.user_id, parent.user_id);
+        assert.equal(notification.notification_type, 'attendance');
+    });
+});
@@ -0,0 +1,208 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupApp, createUser, createClass, bearer } = require('./helpers/app');
+
+describe('registration requests', () => {
+    let ctx;
+    let admin;
+    let parent;
+    let classId;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        admin = await createUser(ctx.pool, 'admin');
+        parent = await createUser(ctx.pool, 'parent', { email: 'mum@example.com' });
+        classId = await createClass(ctx.pool);
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const submit = () => request(ctx.app).post('/api/registration-request').send({
+        student_name: 'Eric Uwase',
+        parent_name: 'Alice Uwase',
+        parent_email: 'mum@example.com',
+        student_dob: '2008-03-14',
+        grade_level: 'L3',
+        class_id: classId
+    });
+
+    it('accepts a submission and lists it for admins', async () => {
+        assert.equal((await submit()).status, 201);
+
+        const res = await request(ctx.app)
+            .get('/api/registration-requests')
+            .set('Authorization', bearer(ctx.config, admin));
+        assert.equal(res.status, 200);
+        assert.equal(res.body.length, 1);
+        assert.equal(res.body[0].status, 'pending');
+    });
+
+    it('rejects a submission with missing fields', async () => {
+        const res = await request(ctx.app).post('/api/registration-request').send({ student_name: 'Eric' });
+        assert.equal(res.status, 400);
+    });
+
+    it('requires an admin to list and review requests', async () => {
+        assert.equal((await request(ctx.app).get('/api/registration-requests')).status, 401);
+
+        const res = await request(ctx.app)
+            .patch('/api/registration-requests/1/approve')
+            .set('Authorization', bearer(ctx.config, parent));
+        assert.equal(res.status, 403);
+    });
+
+    it('approving adds the student and notifies the parent', async () => {
+        await submit();
+        const res = await request(ctx.app)
+            .patch('/api/registration-requests/1/approve')
+            .set('Authorization', bearer(ctx.config, admin));
+        assert.equal(res.status, 200);
+
+        const [[student]] = await ctx.pool.query('SELECT * FROM students');
+        assert.equal(student.student_name, 'Eric Uwase');
+        assert.equal(student.parent_id, parent.user_id);
+        assert.equal(student.class_id, classId);
+        const [[notification]] = await ctx.pool.query('SELECT * FROM notifications WHERE user_id = ?', [parent.user_id]);
+        assert.equal(notification.title, 'Registration Approved');
+    });
+
+    it('rejecting notifies the parent without adding a student', async () => {
+        await submit();
+        const res = await request(ctx.app)
+            .patch('/api/registration-requests/1/reject')
+            .set('Authorization', bearer(ctx.config, admin));
+        assert.equal(res.status, 200);
+
+        const [students] = await ctx.pool.query('SELECT * FROM students');
+        assert.equal(students.length, 0);
+        const [[req]] = await ctx.pool.query('SELECT status FROM registration_requests');
+        assert.equal(req.status, 'rejected');
+        const [[notification]] = await ctx.pool.query('SELECT * FROM notifications WHERE user_id = ?', [parent.user_id]);
+        assert.equal(notification.title, 'Registration Rejected');
+    });
+
+    const approve = (id = 1, body = {}) => request(ctx.app)
+        .patch(`/api/registration-requests/${id}/approve`)
+        .set('Authorization', bearer(ctx.config, admin))
+        .send(body);
+
+    it('emails the parent a reference and returns it again for a repeated submission', async () => {
+        const first = await submit();
+        assert.match(first.body.reference, /^REG-[A-Z2-9]{8}$/);
+        assert.match(ctx.mailer.transport.sent.at(-1).text, new RegExp(first.body.reference));
+
+        const again = await submit();
+        assert.equal(again.status, 200);
+        assert.equal(again.body.reference, first.body.reference);
+        const [requests] = await ctx.pool.query('SELECT * FROM registration_requests');
+        assert.equal(requests.length, 1);
+    });
+
+    it('records the reviewer and is safe to retry', async () => {
+        await submit();
+        const first = await approve(1, { reason: 'Documents checked' });
+        assert.equal(first.status, 200);
+        const again = await approve();
+        assert.equal(again.status, 200);
+        assert.equal(again.body.student_id, first.body.student_id);
+
+        const [students] = await ctx.pool.query('SELECT * FROM students');
+        assert.equal(students.length, 1);
+        const [[req]] = await ctx.pool.query('SELECT * FROM registration_requests');
+        assert.equal(req.reviewed_by, admin.user_id);
+        assert.equal(req.review_reason, 'Documents checked');
+        assert.equal(req.student_id, first.body.student_id);
+    });
+
+    it('only reviews pending requests that exist', async () => {
+        assert.equal((await approve(99)).status, 404);
+
+        await submit();
+        await request(ctx.app)
+            .patch('/api/registration-requests/1/reject')
+            .set('Authorization', bearer(ctx.config, admin));
+        const res = await approve();
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error.code, 'INVALID_STATUS');
+    });
+
+    it('refuses likely duplicates unless told otherwise', async () => {
+        await ctx.pool.query(
+            "INSERT INTO students (student_name, student_dob) VALUES ('eric uwase', '2008-03-14')"
+        );
+        await submit();
+        const res = await approve();
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error.code, 'DUPLICATE_STUDENT');
+        assert.equal((await approve(1, { allow_duplicate: 'false' })).status, 409);
+
+        assert.equal((await approve(1, { allow_duplicate: true })).status, 200);
+    });
+
+    it('keeps a submission and returns its reference when the confirmation email fails', async () => {
+        ctx.mailer.transport.send = async () => {
+            throw new Error('Connection refused');
+        };
+        const res = await submit();
+        assert.equal(res.status, 201);
+        assert.match(res.body.reference, /^REG-/);
+        const [[saved]] = await ctx.pool.query('SELECT reference FROM registration_requests');
+        assert.equal(saved.reference, res.body.reference);
+    });
+
+    it('keeps the review when telling the parent fails', async () => {
+        await submit();
+        ctx.mailer.transport.send = async () => {
+            throw new Error('Connection refused');
+        };
+        const res = await approve();
+        assert.equal(res.status, 200);
+        const [[student]] = await ctx.pool.query('SELECT * FROM students');
+        assert.equal(student.student_id, res.body.student_id);
+        const [[notification]] = await ctx.pool.query('SELECT * FROM notifications WHERE user_id = ?', [parent.user_id]);
+        assert.equal(notification.title, 'Registration Approved');
+
+        await submit();
+        const [[second]] = await ctx.pool.query("SELECT request_id FROM registration_requests WHERE status = 'pending'");
+        // Makes the in-app notification fail
+        await ctx.pool.query('DROP TABLE notifications');
+        const rejected = await request(ctx.app)
+            .patch(`/api/registration-requests/${second.request_id}/reject`)
+            .set('Authorization', bearer(ctx.config, admin));
+        assert.equal(rejected.status, 200);
+    });
+
+    it('leaves the request pending when approval fails part way', async () => {
+        await submit();
+        // Takes the address the new student account would get
+        await createUser(ctx.pool, 'admin', { email: 'student1@students.test' });
+
+        const res = await approve();
+        assert.equal(res.status, 409);
+        const [students] = await ctx.pool.query('SELECT * FROM students');
+        assert.equal(students.length, 0);
+        const [[req]] = await ctx.pool.query('SELECT status FROM registration_requests');
+        assert.equal(req.status, 'pending');
+    });
+
+    it('lets the parent check and withdraw a request with its reference', async () => {
+        const { reference } = (await submit()).body;
+        const lookup = { reference, email: 'MUM@example.com' };
+
+        const status = await request(ctx.app).get('/api/registration-request/status').query(lookup);
+        assert.equal(status.status, 200);
+        assert.equal(status.body.status, 'pending');
+
+        const wrong = await request(ctx.app).get('/api/registration-request/status').query({ reference, email: 'other@example.com' });
+        assert.equal(wrong.status, 404);
+
+        assert.equal((await request(ctx.app).post('/api/registration-request/withdraw').send(lookup)).status, 200);
+        assert.equal((await request(ctx.app).post('/api/registration-request/withdraw').send(lookup)).status, 200);
+        const after = await request(ctx.app).get('/api/registration-request/status').query(lookup);
+        assert.equal(after.body.status, 'withdrawn');
+        assert.equal((await approve()).status, 409);
+    });
+});
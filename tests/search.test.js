@@ -0,0 +1,54 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+describe('search', () => {
+    let ctx;
+    let admin;
+    let teacher;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        admin = await createUser(ctx.pool, 'admin');
+        teacher = await createUser(ctx.pool, 'teacher', { first_name: 'Jean', last_name: 'Mugisha' });
+        const ownClass = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        const otherClass = await createClass(ctx.pool, { level: 'L4' });
+        await createStudent(ctx.pool, { student_name: 'Eric Uwase', class_id: ownClass });
+        await createStudent(ctx.pool, { student_name: 'Eric Habimana', class_id: otherClass });
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const search = (user, query) => request(ctx.app)
+        .get('/api/search')
+        .query(query)
+        .set('Authorization', bearer(ctx.config, user));
+
+    it('finds students and teachers by name', async () => {
+        const students = await search(admin, { q: 'eric' });
+        assert.equal(students.status, 200);
+        assert.equal(students.body.results.filter(r => r.type === 'student').length, 2);
+
+        const teachers = await search(admin, { q: 'Mugisha', type: 'teacher' });
+        assert.deepEqual(teachers.body.results.map(r => r.name), ['Jean Mugisha']);
+    });
+
+    it('limits teachers to students in their own classes', async () => {
+        const res = await search(teacher, { q: 'eric', type: 'student' });
+        assert.deepEqual(res.body.results.map(r => r.name), ['Eric Uwase']);
+    });
+
+    it('returns nothing for queries shorter than two characters', async () => {
+        const res = await search(admin, { q: 'e' });
+        assert.deepEqual(res.body, { results: [] });
+    });
+
+    it('is not available to parents or anonymous users', async () => {
+        const parent = await createUser(ctx.pool, 'parent');
+        assert.equal((await search(parent, { q: 'eric' })).status, 403);
+        assert.equal((await request(ctx.app).get('/api/search?q=eric')).status, 401);
+    });
+});
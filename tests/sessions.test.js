@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { loadConfig } = require('../config');
+const { createSessionService } = require('../services/sessions');
+const { PASSWORD, setupApp, createUser } = require('./helpers/app');
+
+describe('sessions', () => {
+    let ctx;
+    let user;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        user = await createUser(ctx.pool, 'parent');
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const login = async () => {
+        const res = await request(ctx.app).post('/api/login').send({ username: user.username, password: PASSWORD });
+        assert.equal(res.status, 200);
+        return res.body;
+    };
+
+    const notifications = (token) => request(ctx.app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${token}`);
+
+    it('rotates the refresh token on every refresh', async () => {
+        const { refreshToken } = await login();
+
+        const first = await request(ctx.app).post('/api/auth/refresh').send({ refreshToken });
+        assert.equal(first.status, 200);
+        assert.notEqual(first.body.refreshToken, refreshToken);
+        assert.equal((await notifications(first.body.token)).status, 200);
+
+        const second = await request(ctx.app).post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken });
+        assert.equal(second.status, 200);
+    });
+
+    it('revokes the session when a rotated refresh token is reused', async () => {
+        const { refreshToken } = await login();
+        const rotated = await request(ctx.app).post('/api/auth/refresh').send({ refreshToken });
+
+        const reuse = await request(ctx.app).post('/api/auth/refresh').send({ refreshToken });
+        assert.equal(reuse.status, 401);
+        assert.equal(reuse.body.error.code, 'TOKEN_REUSED');
+
+        assert.equal((await notifications(rotated.body.token)).status, 401);
+        const next = await request(ctx.app).post('/api/auth/refresh').send({ refreshToken: rotated.body.refreshToken });
+        assert.equal(next.status, 401);
+    });
+
+    it('treats two refreshes with the same token at once as reuse', async () => {
+        const { refreshToken } = await login();
+        const sessions = createSessionService(ctx.pool, { config: ctx.config });
+        const [rotated, reused] = await Promise.allSettled([sessions.refresh(refreshToken), sessions.refresh(refreshToken)]);
+
+        assert.equal(rotated.status, 'fulfilled');
+        assert.equal(reused.reason.code, 'TOKEN_REUSED');
+        const next = await request(ctx.app).post('/api/auth/refresh').send({ refreshToken: rotated.value.refreshToken });
+        assert.equal(next.status, 401);
+    });
+
+    it('rejects unknown refresh tokens', async () => {
+        const res = await request(ctx.app).post('/api/auth/refresh').send({ refreshToken: 'made-up' });
+        assert.equal(res.status, 401);
+        assert.equal(res.body.error.code, 'INVALID_TOKEN');
+    });
+
+    it('logout revokes the session and its access token', async () => {
+        const { token, refreshToken } = await login();
+        assert.equal((await request(ctx.app).post('/api/auth/logout').send({ refreshToken })).status, 200);
+
+        assert.equal((await notifications(token)).status, 401);
+        assert.equal((await request(ctx.app).post('/api/auth/refresh').send({ refreshToken })).status, 401);
+    });
+
+    it('logout-all ends every session of the user', async () => {
+        const phone = await login();
+        const laptop = await login();
+
+        const sessions = await request(ctx.app)
+            .get('/api/auth/sessions')
+            .set('Authorization', `Bearer ${laptop.token}`);
+        assert.equal(sessions.body.filter(s => s.current).length, 1);
+
+        const res = await request(ctx.app)
+            .post('/api/auth/logout-all')
+            .set('Authorization', `Bearer ${laptop.token}`);
+        assert.equal(res.status, 200);
+
+        assert.equal((await notifications(phone.token)).status, 401);
+        assert.equal((await notifications(laptop.token)).status, 401);
+    });
+
+    it('refuses to load production config without JWT_SECRET', () => {
+        assert.throws(() => loadConfig({ NODE_ENV: 'production' }), /JWT_SECRET/);
+        assert.equal(loadConfig({ NODE_ENV: 'production', JWT_SECRET: 's3cret' }).jwtSecret, 's3cret');
+    });
+});
@@ -0,0 +1,178 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+const { createS3StandIn } = require('./helpers/s3');
+const { createStorage } = require('../storage');
+const { createFileService } = require('../services/files');
+
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'), Buffer.alloc(16)]);
+
+describe('file storage', () => {
+    let ctx;
+    let s3;
+    let teacher;
+    let parent;
+    let classId;
+
+    const setup = async (storage) => {
+        ctx = await setupApp({ storage });
+        teacher = await createUser(ctx.pool, 'teacher');
+        parent = await createUser(ctx.pool, 'parent');
+        classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        await createStudent(ctx.pool, { parent_id: parent.user_id, class_id: classId });
+    };
+
+    afterEach(async () => {
+        await ctx.cleanup();
+        if (s3) await s3.close();
+        s3 = null;
+    });
+
+    const upload = (content = 'hello class', name = 'notes.txt') => request(ctx.app)
+        .post(`/api/classes/${classId}/documents`)
+        .set('Authorization', bearer(ctx.config, teacher))
+        .field('title', 'notes.txt')
+        .attach('file', Buffer.from(content), name);
+
+    const onlyDocument = async () => (await ctx.pool.query('SELECT * FROM documents'))[0][0];
+
+    it('no longer serves documents without authentication', async () => {
+        await setup();
+        await upload();
+        const doc = await onlyDocument();
+
+        assert.equal((await request(ctx.app).get(`/uploads/documents/${doc.file_path}`)).status, 404);
+        assert.equal((await request(ctx.app).get(`/api/documents/${doc.document_id}/download`)).status, 401);
+    });
+
+    it('downloads through signed links until they expire', async () => {
+        await setup();
+        await upload();
+        const doc = await onlyDocument();
+
+        const link = await request(ctx.app)
+            .get(`/api/documents/${doc.document_id}/link`)
+            .set('Authorization', bearer(ctx.config, parent));
+        assert.equal(link.status, 200);
+        assert.ok(new Date(link.body.expires_at) > new Date());
+
+        const file = await request(ctx.app).get(link.body.url);
+        assert.equal(file.status, 200);
+        assert.equal(file.text, 'hello class');
+        assert.match(file.headers['content-disposition'], /attachment; filename="notes.txt"/);
+
+        const tampered = await request(ctx.app).get(link.body.url.replace('name=notes.txt', 'name=other.txt'));
+        assert.equal(tampered.status, 403);
+        assert.equal(tampered.body.error.code, 'INVALID_LINK');
+
+        const expired = createStorage(ctx.config).signedUrl(`documents/${doc.file_path}`, { expiresIn: -1 });
+        assert.equal((await request(ctx.app).get(expired.url)).status, 403);
+
+        const outsider = await createUser(ctx.pool, 'parent');
+        const refused = await request(ctx.app)
+            .get(`/api/documents/${doc.document_id}/link`)
+            .set('Authorization', bearer(ctx.config, outsider));
+        assert.equal(refused.status, 403);
+    });
+
+    it('keeps update images public', async () => {
+        await setup();
+        const admin = await createUser(ctx.pool, 'admin');
+        await request(ctx.app)
+            .post('/api/updates')
+            .set('Authorization', bearer(ctx.config, admin))
+            .field('title', 'Sports day')
+            .field('content', 'See you there')
+            .attach('image', PNG, 'poster.png');
+
+        const [[update]] = await ctx.pool.query('SELECT image_url FROM school_updates');
+        const image = await request(ctx.app).get(update.image_url);
+        assert.equal(image.status, 200);
+        assert.equal(image.headers['content-type'], 'image/png');
+        assert.equal((await request(ctx.app).get('/uploads/updates/..')).status, 404);
+    });
+
+    it('serves files stored under their original names before uploads were sanitized', async () => {
+        await setup();
+        const legacy = ['1700000000000-123456789-Report_(final).pdf', '1700000000000-987654321-Élève_&_co.png'];
+        for (const [folder, name] of [['documents', legacy[0]], ['updates', legacy[1]]]) {
+            fs.mkdirSync(path.join(ctx.config.uploadsDir, folder), { recursive: true });
+            fs.writeFileSync(path.join(ctx.config.uploadsDir, folder, name), name.endsWith('.png') ? PNG : 'old report');
+        }
+        const [created] = await ctx.pool.query(
+            'INSERT INTO documents (title, file_path, class_id, uploaded_by) VALUES (?, ?, ?, ?)',
+            ['Report', legacy[0], classId, teacher.user_id]
+        );
+        await ctx.pool.query(
+            'INSERT INTO document_versions (document_id, version, file_path, uploaded_by) VALUES (?, 1, ?, ?)',
+            [created.insertId, legacy[0], teacher.user_id]
+        );
+
+        const file = await request(ctx.app)
+            .get(`/api/documents/${created.insertId}/download`)
+            .set('Authorization', bearer(ctx.config, parent));
+        assert.equal(file.status, 200);
+        assert.equal(file.body.toString(), 'old report');
+        const link = await request(ctx.app)
+            .get(`/api/documents/${created.insertId}/link`)
+            .set('Authorization', bearer(ctx.config, parent));
+        assert.equal((await request(ctx.app).get(link.body.url)).status, 200);
+
+        const image = await request(ctx.app).get(`/uploads/updates/${encodeURIComponent(legacy[1])}`);
+        assert.equal(image.status, 200);
+        assert.equal(image.headers['content-type'], 'image/png');
+    });
+
+    it('stores files in an S3-compatible bucket', async () => {
+        s3 = await createS3StandIn();
+        await setup({ driver: 's3', s3: s3.config });
+
+        assert.equal((await upload('stored remotely')).status, 201);
+        const doc = await onlyDocument();
+        const key = `documents/${doc.file_path}`;
+        assert.equal(s3.objects.get(key).body.toString(), 'stored remotely');
+        assert.equal(s3.objects.get(key).contentType, 'text/plain');
+
+        const file = await request(ctx.app)
+            .get(`/api/documents/${doc.document_id}/download`)
+            .set('Authorization', bearer(ctx.config, parent));
+        assert.equal(file.status, 200);
+        assert.equal(file.text, 'stored remotely');
+        const part = await request(ctx.app)
+            .get(`/api/documents/${doc.document_id}/view`)
+            .set('Authorization', bearer(ctx.config, parent))
+            .set('Range', 'bytes=7-');
+        assert.equal(part.status, 206);
+        assert.equal(part.text, 'remotely');
+        assert.equal(part.headers['content-range'], 'bytes 7-14/15');
+
+        s3.objects.set('documents/stray.txt', { body: Buffer.from('x'), contentType: 'text/plain', modified: new Date(0) });
+        const files = createFileService(ctx.pool, { storage: createStorage(ctx.config) });
+        assert.deepEqual((await files.reconcile({ apply: true })).orphaned, ['documents/stray.txt']);
+        assert.deepEqual([...s3.objects.keys()], [key]);
+
+        for (const url of [`/api/documents/${doc.document_id}`, `/api/documents/${doc.document_id}/purge`]) {
+            await request(ctx.app).delete(url).set('Authorization', bearer(ctx.config, teacher));
+        }
+        assert.equal(s3.objects.size, 0);
+    });
+
+    it('does not keep uploads the bucket refuses', async () => {
+        s3 = await createS3StandIn();
+        await setup({ driver: 's3', s3: { ...s3.config, secretAccessKey: 'wrong' } });
+
+        const original = console.error;
+        console.error = () => {};
+        try {
+            assert.equal((await upload()).status, 500);
+        } finally {
+            console.error = original;
+        }
+        assert.equal(s3.objects.size, 0);
+        const [[{ count }]] = await ctx.pool.query('SELECT COUNT(*) AS count FROM uploaded_files');
+        assert.equal(Number(count), 0);
+    });
+});
@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+describe('student lifecycle', () => {
+    let ctx;
+    let admin;
+    let parent;
+    let l3;
+    let l4;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        admin = await createUser(ctx.pool, 'admin');
+        parent = await createUser(ctx.pool, 'parent');
+        l3 = await createClass(ctx.pool, { name: 'SOD', level: 'L3' });
+        l4 = await createClass(ctx.pool, { name: 'SOD', level: 'L4' });
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const as = (user) => ({
+        get: (url) => request(ctx.app).get(url).set('Authorization', bearer(ctx.config, user)),
+        post: (url, body) => request(ctx.app).post(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        put: (url, body) => request(ctx.app).put(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        patch: (url, body) => request(ctx.app).patch(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        delete: (url) => request(ctx.app).delete(url).set('Authorization', bearer(ctx.config, user))
+    });
+
+    it('creates a student in the given class and records the enrollment', async () => {
+        const res = await as(admin).post('/api/students', { student_name: 'Eric Uwase', parent_id: parent.user_id, class_id: l3 });
+        assert.equal(res.status, 201);
+
+        const student = await as(parent).get(`/api/students/${res.body.student_id}`);
+        assert.equal(student.status, 200);
+        assert.equal(student.body.class_id, l3);
+        assert.equal(student.body.status, 'active');
+
+        const profile = await as(parent).get(`/api/students/${res.body.student_id}/profile`);
+        assert.deepEqual(profile.body.class_history.map(h => h.reason), ['enrollment']);
+    });
+
+    it('rejects an unknown class', async () => {
+        const res = await as(admin).post('/api/students', { student_name: 'Eric Uwase', class_id: 999 });
+        assert.equal(res.status, 404);
+    });
+
+    it('updates student details', async () => {
+        const id = await createStudent(ctx.pool, { class_id: l3 });
+        const res = await as(admin).put(`/api/students/${id}`, { student_name: 'Renamed', student_dob: '2008-01-01' });
+        assert.equal(res.status, 200);
+        assert.equal((await as(admin).get(`/api/students/${id}`)).body.student_name, 'Renamed');
+
+        // Details left out keep their values
+        await as(admin).put(`/api/students/${id}`, { student_name: 'Renamed', grade_level: 'L3', parent_name: 'Alice' });
+        assert.equal((await as(admin).put(`/api/students/${id}`, { student_name: 'Again' })).status, 200);
+        const [[row]] = await ctx.pool.query('SELECT * FROM students WHERE student_id = ?', [id]);
+        assert.deepEqual([row.student_name, row.grade_level, row.parent_name], ['Again', 'L3', 'Alice']);
+        assert.ok(row.student_dob);
+
+        assert.equal((await as(admin).put('/api/students/999', { student_name: 'Nobody' })).status, 404);
+    });
+
+    it('transfers a student and keeps the history', async () => {
+        const id = await createStudent(ctx.pool, { class_id: l3, parent_id: parent.user_id });
+        const res = await as(admin).post(`/api/students/${id}/transfer`, { class_id: l4, note: 'Parent request' });
+        assert.equal(res.status, 200);
+
+        const profile = await as(parent).get(`/api/students/${id}/profile`);
+        assert.equal(profile.body.class_id, l4);
+        assert.equal(profile.body.grade_level, 'L4');
+        const [transfer] = profile.body.class_history;
+        assert.equal(transfer.reason, 'transfer');
+        assert.equal(transfer.from_class_id, l3);
+        assert.equal(transfer.note, 'Parent request');
+
+        const again = await as(admin).post(`/api/students/${id}/transfer`, { class_id: l4 });
+        assert.equal(again.status, 409);
+    });
+
+    it('promotes the active students of a class to the next level', async () => {
+        const a = await createStudent(ctx.pool, { class_id: l3 });
+        const b = await createStudent(ctx.pool, { class_id: l3 });
+        const gone = await createStudent(ctx.pool, { class_id: l3 });
+        await as(admin).delete(`/api/students/${gone}`);
+
+        const res = await as(admin).post(`/api/classes/${l3}/promote`, {});
+        assert.equal(res.status, 200);
+        assert.equal(res.body.promoted, 2);
+        assert.equal(res.body.to_class_id, l4);
+
+        const [rows] = await ctx.pool.query('SELECT student_id, class_id FROM students ORDER BY student_id');
+        assert.deepEqual(rows.map(r => r.class_id), [l4, l4, l3]);
+        assert.ok([a, b].every(id => rows.find(r => r.student_id === id).class_id === l4));
+
+        const final = await as(admin).post(`/api/classes/${l4}/promote`, {});
+        assert.equal(final.status, 404);
+        assert.equal(final.body.error.code, 'NO_NEXT_CLASS');
+    });
+
+    it('graduates and withdraws without deleting records', async () => {
+        const graduate = await createStudent(ctx.pool, { class_id: l4 });
+        const leaver = await createStudent(ctx.pool, { class_id: l4 });
+
+        assert.equal((await as(admin).patch(`/api/students/${graduate}/status`, { status: 'graduated' })).status, 200);
+        assert.equal((await as(admin).delete(`/api/students/${leaver}`)).status, 200);
+
+        assert.equal((await as(admin).get('/api/students')).body.length, 0);
+        const all = await as(admin).get('/api/students?status=all');
+        assert.deepEqual(all.body.map(s => s.status).sort(), ['graduated', 'withdrawn']);
+    });
+
+    it('keeps other families\' students out of reach', async () => {
+        const id = await createStudent(ctx.pool, { class_id: l3, parent_id: parent.user_id });
+        const stranger = await createUser(ctx.pool, 'parent');
+        assert.equal((await as(stranger).get(`/api/students/${id}/profile`)).status, 404);
+        assert.equal((await as(parent).put(`/api/students/${id}`, { student_name: 'Hacked' })).status, 403);
+    });
+
+    it('summarises attendance in the profile', async () => {
+        const id = await createStudent(ctx.pool, { class_id: l3 });
+        await ctx.pool.query(
+            'INSERT INTO attendance (student_id, class_id, date, status) VALUES ?',
+            [[[id, l3, '2025-06-02', 'present'], [id, l3, '2025-06-03', 'absent'], [id, l3, '2025-06-04', 'late'], [id, l3, '2025-06-05', 'present']]]
+        );
+        const profile = await as(admin).get(`/api/students/${id}/profile`);
+        assert.deepEqual(profile.body.attendance, { present: 2, absent: 1, late: 1, excused: 0, total: 4, attendance_rate: 75 });
+    });
+});
@@ -0,0 +1,136 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+describe('classes, subjects and timetable', () => {
+    let ctx;
+    let admin;
+    let teacher;
+    let otherTeacher;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+        admin = await createUser(ctx.pool, 'admin');
+        teacher = await createUser(ctx.pool, 'teacher');
+        otherTeacher = await createUser(ctx.pool, 'teacher');
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const as = (user) => ({
+        get: (url) => request(ctx.app).get(url).set('Authorization', bearer(ctx.config, user)),
+        post: (url, body) => request(ctx.app).post(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        put: (url, body) => request(ctx.app).put(url).set('Authorization', bearer(ctx.config, user)).send(body),
+        delete: (url) => request(ctx.app).delete(url).set('Authorization', bearer(ctx.config, user))
+    });
+
+    // Two classes sharing Maths (taught by `teacher`) and periods 1-2
+    const setupSchool = async () => {
+        const sod = (await as(admin).post('/api/classes', { name: 'SOD', level: 'L3' })).body.class_id;
+        const net = (await as(admin).post('/api/classes', { name: 'NET', level: 'L3' })).body.class_id;
+        const maths = (await as(admin).post('/api/subjects', { name: 'Mathematics', code: 'MATH' })).body.subject_id;
+        const english = (await as(admin).post('/api/subjects', { name: 'English' })).body.subject_id;
+        await as(admin).post(`/api/classes/${sod}/subjects`, { subject_id: maths, teacher_id: teacher.user_id });
+        await as(admin).post(`/api/classes/${sod}/subjects`, { subject_id: english, teacher_id: otherTeacher.user_id });
+        await as(admin).post(`/api/classes/${net}/subjects`, { subject_id: maths, teacher_id: teacher.user_id });
+        await as(admin).post(`/api/classes/${net}/subjects`, { subject_id: english });
+        await as(admin).post('/api/timetable/periods', { period: 1, start_time: '08:00', end_time: '08:40' });
+        await as(admin).post('/api/timetable/periods', { period: 2, start_time: '08:40', end_time: '09:20' });
+        return { sod, net, maths, english };
+    };
+
+    it('manages classes and their class teacher', async () => {
+        const created = await as(admin).post('/api/classes', { name: 'SOD', level: 'L3', teacher_id: teacher.user_id });
+        assert.equal(created.status, 201);
+        const id = created.body.class_id;
+
+        const duplicate = await as(admin).post('/api/classes', { name: 'SOD', level: 'L3' });
+        assert.equal(duplicate.status, 409);
+        const notTeacher = await as(admin).post('/api/classes', { name: 'NET', level: 'L3', teacher_id: admin.user_id });
+        assert.equal(notTeacher.body.error.fields[0].field, 'teacher_id');
+
+        const cls = await as(teacher).get(`/api/classes/${id}`);
+        assert.equal(cls.status, 200);
+        assert.equal(cls.body.teacher_id, teacher.user_id);
+
+        await as(admin).put(`/api/classes/${id}`, { name: 'SOD', level: 'L3', teacher_id: otherTeacher.user_id });
+        assert.equal((await as(teacher).get(`/api/classes/${id}`)).status, 403);
+
+        await createStudent(ctx.pool, { class_id: id });
+        const inUse = await as(admin).delete(`/api/classes/${id}`);
+        assert.equal(inUse.body.error.code, 'CLASS_IN_USE');
+
+        const empty = await createClass(ctx.pool, { name: 'ELT', level: 'L5' });
+        assert.equal((await as(admin).delete(`/api/classes/${empty}`)).status, 200);
+    });
+
+    it('gives subject teachers access to the classes they teach', async () => {
+        const { sod, english } = await setupSchool();
+        assert.equal((await as(otherTeacher).get(`/api/classes/${sod}/students`)).status, 200);
+
+        const subjects = await as(otherTeacher).get(`/api/classes/${sod}/subjects`);
+        assert.deepEqual(subjects.body.map(s => s.name), ['English', 'Mathematics']);
+
+        await as(admin).delete(`/api/classes/${sod}/subjects/${english}`);
+        assert.equal((await as(otherTeacher).get(`/api/classes/${sod}/students`)).status, 403);
+    });
+
+    it('refuses lessons that clash for the class, the teacher or the room', async () => {
+        const { sod, net, maths, english } = await setupSchool();
+        const lesson = (classId, body) => as(admin).post(`/api/classes/${classId}/timetable`, { day_of_week: 1, period: 1, ...body });
+
+        assert.equal((await lesson(sod, { subject_id: maths, room: 'B12' })).status, 201);
+
+        const classClash = await lesson(sod, { subject_id: english });
+        assert.equal(classClash.body.error.code, 'CLASS_CLASH');
+        const teacherClash = await lesson(net, { subject_id: maths });
+        assert.equal(teacherClash.body.error.code, 'TEACHER_CLASH');
+        const roomClash = await lesson(net, { subject_id: english, room: 'b12' });
+        assert.equal(roomClash.body.error.code, 'ROOM_CLASH');
+
+        const other = await lesson(net, { subject_id: english, room: 'B14' });
+        assert.equal(other.status, 201);
+        const unknownPeriod = await lesson(net, { subject_id: english, period: 9 });
+        assert.equal(unknownPeriod.body.error.fields[0].field, 'period');
+
+        // Moving a lesson checks the new slot but not against itself
+        const moved = await as(admin).put(`/api/timetable/entries/${other.body.entry_id}`, { subject_id: english, day_of_week: 1, period: 1, room: 'B14' });
+        assert.equal(moved.status, 200);
+
+        // Giving NET English to Maths' teacher would double-book them
+        const reassign = await as(admin).put(`/api/classes/${net}/subjects/${english}`, { teacher_id: teacher.user_id });
+        assert.equal(reassign.body.error.code, 'TEACHER_CLASH');
+    });
+
+    it('shows each user their own week', async () => {
+        const { sod, net, maths, english } = await setupSchool();
+        await as(admin).post(`/api/classes/${sod}/timetable`, { subject_id: maths, day_of_week: 1, period: 1 });
+        await as(admin).post(`/api/classes/${sod}/timetable`, { subject_id: english, day_of_week: 1, period: 2 });
+        await as(admin).post(`/api/classes/${net}/timetable`, { subject_id: maths, day_of_week: 2, period: 1 });
+
+        const mine = await as(teacher).get('/api/timetable/me');
+        assert.deepEqual(mine.body.entries.map(e => [e.class_name, e.day_of_week, e.period]), [['SOD', 1, 1], ['NET', 2, 1]]);
+        assert.equal(mine.body.entries[0].start_time, '08:00:00');
+
+        const parent = await createUser(ctx.pool, 'parent');
+        const studentId = await createStudent(ctx.pool, { student_name: 'Eric', parent_id: parent.user_id, class_id: sod });
+        const children = await as(parent).get('/api/timetable/me');
+        assert.equal(children.body.children[0].student_id, studentId);
+        assert.deepEqual(children.body.children[0].entries.map(e => e.subject_name), ['Mathematics', 'English']);
+
+        assert.equal((await as(parent).get(`/api/classes/${net}/timetable`)).status, 403);
+    });
+
+    it('keeps subjects and periods that are in use', async () => {
+        const { sod, maths } = await setupSchool();
+        await as(admin).post(`/api/classes/${sod}/timetable`, { subject_id: maths, day_of_week: 1, period: 1 });
+
+        assert.equal((await as(admin).delete(`/api/subjects/${maths}`)).body.error.code, 'SUBJECT_IN_USE');
+        assert.equal((await as(admin).delete('/api/timetable/periods/1')).body.error.code, 'PERIOD_IN_USE');
+        const badTimes = await as(admin).put('/api/timetable/periods/2', { start_time: '10:00', end_time: '09:00' });
+        assert.equal(badTimes.status, 400);
+    });
+});
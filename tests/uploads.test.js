@@ -0,0 +1,139 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { setupApp, createUser, createClass, bearer } = require('./helpers/app');
+
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'), Buffer.alloc(16)]);
+const PDF = Buffer.from('%PDF-1.4\n%âãÏÓ\n1 0 obj\n<<>>\nendobj\n', 'latin1');
+const EXE = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(32)]);
+
+describe('upload pipeline', () => {
+    let ctx;
+    let teacher;
+    let classId;
+
+    const setup = async (uploads) => {
+        ctx = await setupApp({ uploads });
+        teacher = await createUser(ctx.pool, 'teacher');
+        classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+    };
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    const upload = (content, name) => request(ctx.app)
+        .post(`/api/classes/${classId}/documents`)
+        .set('Authorization', bearer(ctx.config, teacher))
+        .attach('file', content, name);
+
+    // Storage folders are created with their first file
+    const stored = (folder = 'documents') => {
+        const dir = path.join(ctx.config.uploadsDir, folder);
+        return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+    };
+
+    it('judges files by their content, not their extension', async () => {
+        await setup();
+        const disguised = await upload(EXE, 'notes.pdf');
+        assert.equal(disguised.status, 415);
+        assert.equal(disguised.body.error.code, 'UNSUPPORTED_MEDIA_TYPE');
+        assert.match(disguised.body.error.fields[0].message, /^must be one of: PDF, JPEG/);
+        assert.deepEqual(stored(), []);
+        assert.deepEqual(stored('tmp'), []);
+
+        assert.equal((await upload(PDF, 'handout.pdf')).status, 201);
+        assert.equal((await upload(Buffer.from('a,b\n1,2\n'), 'marks.csv')).status, 201);
+    });
+
+    it('stores uploads under a sanitized name with an extension matching the content', async () => {
+        await setup();
+        assert.equal((await upload(PNG, '../../Résumé photo!.html')).status, 201);
+
+        const [fileName] = stored();
+        assert.match(fileName, /^\d+-[0-9a-f]{8}-Resume_photo\.png$/);
+        const [[file]] = await ctx.pool.query('SELECT * FROM uploaded_files');
+        assert.equal(file.content_type, 'image/png');
+        assert.equal(Number(file.size), PNG.length);
+        assert.equal(file.user_id, teacher.user_id);
+    });
+
+    it('rejects files over the size limit with 413', async () => {
+        await setup({ maxFileSize: 100 });
+        const res = await upload(Buffer.alloc(200, 'a'), 'long.txt');
+        assert.equal(res.status, 413);
+        assert.equal(res.body.error.code, 'FILE_TOO_LARGE');
+        assert.equal(res.body.error.fields[0].message, 'must be at most 1 KB');
+        assert.deepEqual(stored(), []);
+    });
+
+    it('enforces each user\'s storage quota', async () => {
+        await setup({ quotaPerUser: 80 });
+        assert.equal((await upload(Buffer.alloc(50, 'a'), 'one.txt')).status, 201);
+        const over = await upload(Buffer.alloc(50, 'b'), 'two.txt');
+        assert.equal(over.status, 413);
+        assert.equal(over.body.error.code, 'QUOTA_EXCEEDED');
+
+        const [[doc]] = await ctx.pool.query('SELECT document_id FROM documents');
+        await request(ctx.app).delete(`/api/documents/${doc.document_id}`).set('Authorization', bearer(ctx.config, teacher));
+        assert.equal((await upload(Buffer.alloc(50, 'b'), 'two.txt')).status, 413);
+        await request(ctx.app).delete(`/api/documents/${doc.document_id}/purge`).set('Authorization', bearer(ctx.config, teacher));
+        assert.deepEqual(stored(), []);
+        assert.equal((await upload(Buffer.alloc(50, 'b'), 'two.txt')).status, 201);
+    });
+
+    it('leaves nothing behind when the other fields are rejected', async () => {
+        await setup();
+        const invalid = await request(ctx.app)
+            .post(`/api/classes/${classId}/documents`)
+            .set('Authorization', bearer(ctx.config, teacher))
+            .field('title', 'x'.repeat(256))
+            .attach('file', PDF, 'handout.pdf');
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.error.fields[0].field, 'title');
+        assert.deepEqual(stored(), []);
+        const [files] = await ctx.pool.query('SELECT * FROM uploaded_files');
+        assert.equal(files.length, 0);
+    });
+
+    it('only accepts images for school updates', async () => {
+        await setup();
+        const admin = await createUser(ctx.pool, 'admin');
+        const post = (content, name) => request(ctx.app)
+            .post('/api/updates')
+            .set('Authorization', bearer(ctx.config, admin))
+            .field('title', 'Sports day')
+            .field('content', 'See you there')
+            .attach('image', content, name);
+
+        assert.equal((await post(PDF, 'poster.png')).status, 415);
+        assert.equal((await post(PNG, 'poster.png')).status, 201);
+        assert.equal(stored('updates').length, 1);
+    });
+
+    it('deletes an update image when it is replaced or its update is deleted', async () => {
+        await setup();
+        const admin = await createUser(ctx.pool, 'admin');
+        const send = (method, url) => request(ctx.app)[method](url)
+            .set('Authorization', bearer(ctx.config, admin))
+            .field('title', 'Sports day')
+            .attach('image', PNG, 'poster.png');
+
+        await send('post', '/api/updates');
+        const [[update]] = await ctx.pool.query('SELECT id, image_url FROM school_updates');
+        assert.equal((await send('put', `/api/updates/${update.id}`)).status, 200);
+        const [[edited]] = await ctx.pool.query('SELECT image_url FROM school_updates');
+        assert.notEqual(edited.image_url, update.image_url);
+        assert.deepEqual(stored('updates'), [edited.image_url.split('/').pop()]);
+
+        assert.equal((await send('put', '/api/updates/999')).status, 404);
+        assert.equal(stored('updates').length, 1);
+
+        await request(ctx.app).delete(`/api/updates/${update.id}`).set('Authorization', bearer(ctx.config, admin));
+        assert.deepEqual(stored('updates'), []);
+        const [[{ count }]] = await ctx.pool.query('SELECT COUNT(*) AS count FROM uploaded_files');
+        assert.equal(Number(count), 0);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { setupApp, createUser, createClass, createStudent, bearer } = require('./helpers/app');
+
+describe('request validation', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = await setupApp();
+    });
+
+    afterEach(async () => {
+        await ctx.cleanup();
+    });
+
+    it('reports every invalid body field in the uniform error shape', async () => {
+        const res = await request(ctx.app).post('/api/register').send({
+            username: 'ab',
+            password: 'pass1234',
+            confirmPassword: 'different',
+            email: 'not-an-email',
+            firstName: 'New',
+            lastName: 'User',
+            user_type: 'janitor'
+        });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+        assert.deepEqual(res.body.error.fields.map(f => f.field).sort(), ['confirmPassword', 'email', 'user_type', 'username']);
+        assert.ok(res.body.error.fields.every(f => f.location === 'body' && f.message));
+    });
+
+    it('accepts user types regardless of case', async () => {
+        const res = await request(ctx.app).post('/api/register').send({
+            username: 'newparent',
+            password: 'pass1234',
+            confirmPassword: 'pass1234',
+            email: 'parent@example.com',
+            firstName: 'New',
+            lastName: 'Parent',
+            user_type: ' Parent '
+        });
+        assert.equal(res.status, 201);
+    });
+
+    it('rejects illegal attendance statuses item by item', async () => {
+        const teacher = await createUser(ctx.pool, 'teacher');
+        const classId = await createClass(ctx.pool, { teacher_id: teacher.user_id });
+        const studentId = await createStudent(ctx.pool, { class_id: classId });
+
+        const res = await request(ctx.app)
+            .post(`/api/classes/${classId}/attendance`)
+            .set('Authorization', bearer(ctx.config, teacher))
+            .send({ date: '2025-06-02', attendance: [{ student_id: studentId, status: 'present' }, { student_id: studentId, status: 'asleep' }] });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.error.fields, [
+            { location: 'body', field: 'attendance[1].status', message: 'must be one of: present, absent, late, excused' }
+        ]);
+    });
+
+    it('validates route params and query strings', async () => {
+        const admin = await createUser(ctx.pool, 'admin');
+        const params = await request(ctx.app)
+            .delete('/api/parents/abc')
+            .set('Authorization', bearer(ctx.config, admin));
+        assert.equal(params.status, 400);
+        assert.equal(params.body.error.fields[0].location, 'params');
+
+        const query = await request(ctx.app)
+            .get('/api/attendance?date=yesterday')
+            .set('Authorization', bearer(ctx.config, admin));
+        assert.equal(query.status, 400);
+        assert.deepEqual(query.body.error.fields.map(f => `${f.location}.${f.field}`), ['query.date']);
+    });
+
+    it('uses the same shape for auth, not found and malformed JSON errors', async () => {
+        const unauthorized = await request(ctx.app).get('/api/students');
+        assert.deepEqual(unauthorized.body, { error: { code: 'UNAUTHORIZED', message: 'Authentication required', fields: [] } });
+
+        const missing = await request(ctx.app).get('/api/nope');
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.error.code, 'NOT_FOUND');
+
+        const malformed = await request(ctx.app)
+            .post('/api/login')
+            .set('Content-Type', 'application/json')
+            .send('{"username":');
+        assert.equal(malformed.status, 400);
+        assert.equal(malformed.body.error.code, 'INVALID_JSON');
+    });
+});